@@ -20,7 +20,10 @@ const s3Client = new S3Client({
 const ALLOWED_FILE_TYPES = {
     'application/pdf': 'pdf',
     'application/msword': 'doc',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx'
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/rtf': 'rtf',
+    'text/rtf': 'rtf',
+    'application/vnd.oasis.opendocument.text': 'odt'
 };
 
 // Define allowed audio types (same as original voiceUpload.js)
@@ -30,14 +33,20 @@ const ALLOWED_AUDIO_TYPES = {
     'audio/wav': 'wav',
     'audio/wave': 'wav',
     'audio/webm': 'webm',
+    'audio/x-wav': 'wav',
     'audio/ogg': 'ogg',
     'audio/mp4': 'm4a',
-    'audio/x-m4a': 'm4a'
+    'audio/x-m4a': 'm4a',
+    'audio/flac': 'flac',
+    'audio/x-flac': 'flac'
 };
 
+// Recorders often add the codec ("audio/webm;codecs=opus")
+const audioExtension = (mimetype) => ALLOWED_AUDIO_TYPES[String(mimetype).split(';')[0].trim().toLowerCase()];
+
 // File size limits
 const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB for documents
-const MAX_AUDIO_SIZE = 25 * 1024 * 1024; // 25MB for audio
+const MAX_AUDIO_SIZE = parseInt(process.env.MAX_AUDIO_SIZE, 10) || 200 * 1024 * 1024; // 200MB for audio, split for transcription
 
 // Create S3 storage configuration for regular resume uploads
 const createResumeS3Storage = () => {
@@ -79,7 +88,7 @@ const createVoiceS3Storage = () => {
             const userId = req.user.id;
             const timestamp = Date.now();
             const uniqueId = uuidv4();
-            const extension = ALLOWED_AUDIO_TYPES[file.mimetype] || 'audio';
+            const extension = audioExtension(file.mimetype) || 'audio';
             // Organize voice files in a separate folder
             const filename = `voice-resumes/${userId}_${timestamp}_${uniqueId}.${extension}`;
 
@@ -102,16 +111,16 @@ const resumeFileFilter = (req, file, cb) => {
     if (ALLOWED_FILE_TYPES[file.mimetype]) {
         cb(null, true);
     } else {
-        cb(new Error('Invalid file type. Only PDF, DOC, and DOCX files are allowed.'), false);
+        cb(new Error('Invalid file type. Only PDF, DOC, DOCX, RTF and ODT files are allowed.'), false);
     }
 };
 
 // File filter for voice uploads
 const voiceFileFilter = (req, file, cb) => {
-    if (ALLOWED_AUDIO_TYPES[file.mimetype]) {
+    if (audioExtension(file.mimetype)) {
         cb(null, true);
     } else {
-        cb(new Error('Invalid audio format. Supported formats: MP3, WAV, M4A, OGG, WebM'), false);
+        cb(new Error('Invalid audio format. Supported formats: MP3, WAV, M4A, OGG, FLAC, WebM'), false);
     }
 };
 
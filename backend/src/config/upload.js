@@ -10,7 +10,10 @@ const { v4: uuidv4 } = require('uuid');
 const ALLOWED_FILE_TYPES = {
     'application/pdf': 'pdf',
     'application/msword': 'doc',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx'
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/rtf': 'rtf',
+    'text/rtf': 'rtf',
+    'application/vnd.oasis.opendocument.text': 'odt'
 };
 
 // Maximum file size (5MB in bytes)
@@ -58,7 +61,7 @@ const fileFilter = (req, file, cb) => {
     } else {
         // Reject the file with an error
         // This error will be caught by multer and can be handled in our route
-        cb(new Error('Invalid file type. Only PDF, DOC, and DOCX files are allowed.'), false);
+        cb(new Error('Invalid file type. Only PDF, DOC, DOCX, RTF and ODT files are allowed.'), false);
     }
 };
 
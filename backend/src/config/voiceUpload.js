@@ -9,12 +9,20 @@ const ALLOWED_AUDIO_TYPES = {
     'audio/wav': 'wav',
     'audio/wave': 'wav',
     'audio/webm': 'webm',
+    'audio/x-wav': 'wav',
     'audio/ogg': 'ogg',
     'audio/mp4': 'm4a',
-    'audio/x-m4a': 'm4a'
+    'audio/x-m4a': 'm4a',
+    'audio/flac': 'flac',
+    'audio/x-flac': 'flac'
 };
 
-const MAX_AUDIO_SIZE = 25 * 1024 * 1024; // 25MB
+// Recorders often add the codec ("audio/webm;codecs=opus")
+const audioExtension = (mimetype) => ALLOWED_AUDIO_TYPES[String(mimetype).split(';')[0].trim().toLowerCase()];
+
+// Recordings over the transcription provider's 25MB limit are split into
+// chunks before transcription (see services/ai/audioChunker.js)
+const MAX_AUDIO_SIZE = parseInt(process.env.MAX_AUDIO_SIZE, 10) || 200 * 1024 * 1024; // 200MB
 
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
@@ -24,7 +32,7 @@ const storage = multer.diskStorage({
         const userId = req.user.id;
         const timestamp = Date.now();
         const uniqueId = uuidv4();
-        const extension = ALLOWED_AUDIO_TYPES[file.mimetype] || 'audio';
+        const extension = audioExtension(file.mimetype) || 'audio';
         const filename = `${userId}_${timestamp}_${uniqueId}.${extension}`;
         req.uploadedFileOriginalName = file.originalname;
         cb(null, filename);
@@ -32,10 +40,10 @@ const storage = multer.diskStorage({
 });
 
 const fileFilter = (req, file, cb) => {
-    if (ALLOWED_AUDIO_TYPES[file.mimetype]) {
+    if (audioExtension(file.mimetype)) {
         cb(null, true);
     } else {
-        cb(new Error('Invalid audio format. Supported formats: MP3, WAV, M4A, OGG, WebM'), false);
+        cb(new Error('Invalid audio format. Supported formats: MP3, WAV, M4A, OGG, FLAC, WebM'), false);
     }
 };
 
@@ -0,0 +1,154 @@
+// Live Transcription Controller
+// Transcripts of a voice resume while it is being recorded
+// File: src/controllers/liveTranscriptionController.js
+
+const liveTranscriptionService = require('../services/liveTranscriptionService');
+
+// Comment line sent on an idle event stream, so proxies keep it open
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Respond with an AppError's status and message; anything else is a 500
+ */
+function sendServiceError(res, error, fallbackMessage) {
+    if (error.isOperational && error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+/**
+ * Open a live transcription session
+ * Body: {language, fileName}, both optional
+ */
+async function startLiveSession(req, res) {
+    try {
+        const session = await liveTranscriptionService.createSession(req.user.id, {
+            language: req.body?.language,
+            fileName: req.body?.fileName
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                ...session,
+                chunkEndpoint: `/api/v1/voiceresumes/live/${session.sessionId}/chunks`,
+                eventsEndpoint: `/api/v1/voiceresumes/live/${session.sessionId}/events`
+            }
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to start live transcription');
+    }
+}
+
+/**
+ * Add a chunk of the recording
+ * The body is the raw audio; ?sequence= numbers the chunks from 0.
+ */
+async function appendLiveChunk(req, res) {
+    try {
+        const result = await liveTranscriptionService.appendChunk(
+            req.params.sessionId,
+            req.user.id,
+            req.body,
+            req.query.sequence
+        );
+
+        res.status(202).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to add audio to the live session');
+    }
+}
+
+/**
+ * Stream a session's transcripts as Server-Sent Events
+ * Events: transcript, error, done (with the final transcript) and closed.
+ */
+function streamLiveTranscript(req, res) {
+    const writeEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    let unsubscribe;
+    try {
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            // no-transform keeps the compression middleware from buffering the stream
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        unsubscribe = liveTranscriptionService.subscribe(req.params.sessionId, req.user.id, (event, data) => {
+            // "closed" follows "done", once the stream has ended
+            if (res.writableEnded) return;
+            writeEvent(event, data);
+            if (event === 'done' || event === 'closed') {
+                res.end();
+            }
+        });
+    } catch (error) {
+        res.set('Content-Type', 'application/json');
+        return sendServiceError(res, error, 'Failed to stream the live transcript');
+    }
+
+    res.flushHeaders();
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+}
+
+/**
+ * The recording is complete: returns the final transcript
+ * The recording itself is uploaded as usual (POST /upload-voice).
+ */
+async function finishLiveSession(req, res) {
+    try {
+        const transcript = await liveTranscriptionService.finish(req.params.sessionId, req.user.id);
+
+        res.json({
+            success: true,
+            data: transcript
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to finish live transcription');
+    }
+}
+
+/**
+ * Throw a session away
+ */
+async function discardLiveSession(req, res) {
+    try {
+        await liveTranscriptionService.discard(req.params.sessionId, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Live session discarded'
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to discard live session');
+    }
+}
+
+module.exports = {
+    startLiveSession,
+    appendLiveChunk,
+    streamLiveTranscript,
+    finishLiveSession,
+    discardLiveSession
+};
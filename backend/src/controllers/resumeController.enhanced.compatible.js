@@ -4,8 +4,11 @@
 const path = require('path');
 const fs = require('fs').promises;
 const { query } = require('../config/database');
-const huggingFaceService = require('../services/ai/huggingfaceService');
 const uploadProgressService = require('../services/uploadProgressService');
+const jobQueueService = require('../services/jobQueueService');
+const { JOB_TYPES } = jobQueueService;
+const { normalizeLanguage } = require('../services/parsing/locales');
+const duplicateResumeService = require('../services/duplicateResumeService');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -17,6 +20,10 @@ const { v4: uuidv4 } = require('uuid');
  * 2. Still providing progress tracking functionality
  * 3. Maintaining backward compatibility
  * 4. Supporting both local and S3 storage
+ *
+ * A file the user uploaded before is not parsed again by default: the
+ * onDuplicate field picks reuse (return the existing resume), link (a new
+ * resume with a copy of its parse) or parse.
  */
 async function uploadResumeWithProgress(req, res) {
     const uploadId = uuidv4();
@@ -83,8 +90,10 @@ async function uploadResumeWithProgress(req, res) {
         console.log(`Storage type: ${fileInfo.isS3 ? 'S3' : 'Local'}`);
 
         // Validate file type and size
+        // Every type listed here needs an extractor in documentTextExtractor
         const allowedTypes = ['application/pdf', 'application/msword',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'application/rtf', 'text/rtf', 'application/vnd.oasis.opendocument.text'];
         const maxSize = 5 * 1024 * 1024; // 5MB
 
         if (!allowedTypes.includes(fileInfo.mimetype)) {
@@ -97,7 +106,7 @@ async function uploadResumeWithProgress(req, res) {
 
             return res.status(400).json({
                 success: false,
-                message: 'Please upload a PDF or Word document',
+                message: 'Please upload a PDF, Word, RTF or ODT document',
                 uploadId
             });
         }
@@ -127,7 +136,92 @@ async function uploadResumeWithProgress(req, res) {
             message: 'Saving resume metadata'
         });
 
+        // Optional language of the resume; unsupported languages are detected instead
+        const languageHint = normalizeLanguage(req.body?.language);
+
+        const duplicateAction = duplicateResumeService.resolveAction(req.body?.onDuplicate);
+        if (!duplicateAction) {
+            uploadProgressService.failTracking(uploadId, 'Invalid onDuplicate value', 'validation');
+            await duplicateResumeService.discardUpload(req.file);
+
+            return res.status(400).json({
+                success: false,
+                message: 'onDuplicate must be one of: reuse, link, parse',
+                uploadId
+            });
+        }
+
+        // The same file uploaded again needn't go through the AI APIs again
+        const contentHash = await duplicateResumeService.hashFile(fileInfo.filePath);
+        const original = await duplicateResumeService.findUploadDuplicate(req.user.id, contentHash);
+
+        if (original && duplicateAction === 'reuse') {
+            console.log(`Upload duplicates resume ${original.id}; reusing it (Track ID: ${uploadId})`);
+            await duplicateResumeService.discardUpload(req.file);
+
+            // An original still being parsed reports its own progress
+            if (original.processing_status === 'completed') {
+                uploadProgressService.completeTracking(uploadId, {
+                    resumeId: original.id,
+                    message: 'This file was uploaded before; the existing resume was reused'
+                });
+            } else {
+                relayParseProgress(original.id, uploadId);
+            }
+
+            return res.json({
+                success: true,
+                message: 'This file was uploaded before; the existing resume was reused',
+                uploadId,
+                data: {
+                    id: original.id,
+                    filename: original.original_name,
+                    size: original.file_size,
+                    uploadedAt: original.uploaded_at,
+                    parsingStatus: original.processing_status === 'completed' ? 'completed' : 'in_progress',
+                    progressUrl: `/api/v1/progress/${uploadId}`,
+                    storageType: fileInfo.isS3 ? 's3' : 'local',
+                    duplicate: duplicateResumeService.describeDuplicate(original, 'reuse')
+                }
+            });
+        }
+
+        if (original && duplicateAction === 'link' && original.processing_status === 'completed') {
+            const linked = await duplicateResumeService.linkDuplicate(original, {
+                userId: req.user.id,
+                filename: fileInfo.filename,
+                originalName,
+                storagePath: fileInfo.storagePath,
+                size: fileInfo.size,
+                mimetype: fileInfo.mimetype,
+                languageHint,
+                contentHash
+            });
+
+            uploadProgressService.completeTracking(uploadId, {
+                resumeId: linked.id,
+                message: 'This file was uploaded before; its parse was copied to the new resume'
+            });
+
+            return res.status(201).json({
+                success: true,
+                message: 'This file was uploaded before; its parse was copied to the new resume',
+                uploadId,
+                data: {
+                    id: linked.id,
+                    filename: linked.original_name,
+                    size: linked.file_size,
+                    uploadedAt: linked.uploaded_at,
+                    parsingStatus: 'completed',
+                    languageHint,
+                    storageType: fileInfo.isS3 ? 's3' : 'local',
+                    duplicate: duplicateResumeService.describeDuplicate(original, 'link')
+                }
+            });
+        }
+
         // Store file metadata in database (using existing schema)
+        // A duplicate parsed anyway (or linked before its original finished) still records the link
         const insertQuery = `
             INSERT INTO resumes (
                 user_id,
@@ -136,8 +230,11 @@ async function uploadResumeWithProgress(req, res) {
                 file_path,
                 file_size,
                 mime_type,
+                language_hint,
+                content_hash,
+                duplicate_of,
                 uploaded_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
             RETURNING id, filename, original_name, file_size, uploaded_at
         `;
 
@@ -147,7 +244,10 @@ async function uploadResumeWithProgress(req, res) {
             originalName,
             fileInfo.storagePath,  // This will be S3 key or local path
             fileInfo.size,
-            fileInfo.mimetype
+            fileInfo.mimetype,
+            languageHint,
+            contentHash,
+            original ? original.id : null
         ];
 
         const result = await query(insertQuery, values);
@@ -167,14 +267,21 @@ async function uploadResumeWithProgress(req, res) {
             resumeId: resume.id
         });
 
-        // Update progress: Starting AI parsing
+        // Queue AI parsing for the background worker
+        // For S3 files, we pass the S3 URL; for local files, we pass the file path
+        const job = await jobQueueService.enqueue(
+            JOB_TYPES.PARSE_RESUME,
+            { filePath: fileInfo.filePath, userId: req.user.id, mimeType: fileInfo.mimetype, languageHint },
+            { resumeId: resume.id }
+        );
+
         uploadProgressService.updateProgress(uploadId, 'parsing', 10, {
-            message: 'Initiating AI resume parsing'
+            message: 'Queued for AI resume parsing',
+            jobId: job.id
         });
 
-        // Trigger enhanced async parsing with progress tracking
-        // For S3 files, we pass the S3 URL; for local files, we pass the file path
-        parseResumeAsyncWithProgress(resume.id, fileInfo.filePath, req.user.id, uploadId);
+        // The worker runs in another process, so relay its progress from the database
+        relayParseProgress(resume.id, uploadId);
 
         // Send response with upload ID for progress tracking
         res.status(201).json({
@@ -187,8 +294,11 @@ async function uploadResumeWithProgress(req, res) {
                 size: resume.file_size,
                 uploadedAt: resume.uploaded_at,
                 parsingStatus: 'in_progress',
+                languageHint,
+                jobId: job.id,
                 progressUrl: `/api/v1/progress/${uploadId}`,
-                storageType: fileInfo.isS3 ? 's3' : 'local'
+                storageType: fileInfo.isS3 ? 's3' : 'local',
+                duplicate: original ? duplicateResumeService.describeDuplicate(original, 'parse') : null
             }
         });
 
@@ -215,87 +325,83 @@ async function uploadResumeWithProgress(req, res) {
     }
 }
 
-/**
- * Enhanced async parsing with progress updates
- * Now handles both local files and S3 URLs
- */
-async function parseResumeAsyncWithProgress(resumeId, filePath, userId, uploadId) {
-    try {
-        console.log(`Starting AI parsing for resume ID: ${resumeId} (Track: ${uploadId})`);
-        console.log(`File path/URL: ${filePath}`);
-
-        // Update progress through parsing stages
-        uploadProgressService.updateProgress(uploadId, 'parsing', 30, {
-            message: 'Extracting text from document'
-        });
-
-        await new Promise(resolve => setTimeout(resolve, 1000));
+// Progress reported for each resume status while the worker parses
+const PARSE_STATUS_PROGRESS = {
+    'uploaded': { percent: 10, message: 'Queued for AI resume parsing' },
+    'parsing': { percent: 50, message: 'Extracting information from your resume' },
+    'parsed': { percent: 90, message: 'Processing extracted information' }
+};
 
-        uploadProgressService.updateProgress(uploadId, 'parsing', 50, {
-            message: 'Analyzing resume structure'
-        });
+const PROGRESS_POLL_INTERVAL_MS = 2000;
+const PROGRESS_RELAY_TIMEOUT_MS = 15 * 60 * 1000;
 
-        // Call the Hugging Face service
-        // The service should be able to handle both local paths and S3 URLs
-        const parseResult = await huggingFaceService.parseResume(filePath);
+/**
+ * Relay the queued parse's progress to the upload tracker
+ * Polls the resume's processing status until it completes, fails with no
+ * retry pending, or the relay times out (the parse itself carries on).
+ */
+function relayParseProgress(resumeId, uploadId) {
+    const startedAt = Date.now();
+    let lastStatus = null;
+
+    const poll = async () => {
+        try {
+            const result = await query(
+                'SELECT processing_status, parsed_data, error_message FROM resumes WHERE id = $1',
+                [resumeId]
+            );
+            const resume = result.rows[0];
+
+            if (!resume) {
+                uploadProgressService.failTracking(uploadId, 'Resume was deleted', 'parsing');
+                return;
+            }
 
-        uploadProgressService.updateProgress(uploadId, 'parsing', 80, {
-            message: 'Processing extracted information'
-        });
+            const status = resume.processing_status;
+
+            if (status === 'completed') {
+                const parsedData = resume.parsed_data || {};
+                uploadProgressService.updateProgress(uploadId, 'parsing', 100, {
+                    message: 'AI parsing completed successfully',
+                    extractedFields: Object.keys(parsedData).length
+                });
+                uploadProgressService.completeTracking(uploadId, {
+                    resumeId,
+                    parsedData,
+                    message: 'Resume processing completed successfully'
+                });
+                console.log(`✓ Resume ID ${resumeId} parsed successfully`);
+                return;
+            }
 
-        if (parseResult.success) {
-            // Update database with parsed data
-            const updateQuery = `
-                UPDATE resumes
-                SET
-                    parsed_data = $1,
-                    parsed_at = NOW()
-                WHERE id = $2 AND user_id = $3
-            `;
-
-            await query(updateQuery, [
-                JSON.stringify(parseResult.data),
-                resumeId,
-                userId
-            ]);
-
-            // Update progress: Parsing complete
-            uploadProgressService.updateProgress(uploadId, 'parsing', 100, {
-                message: 'AI parsing completed successfully',
-                extractedFields: Object.keys(parseResult.data).length
-            });
+            if (status === 'failed') {
+                // A failed attempt may still be retried by the queue
+                const activeJob = await jobQueueService.getActiveJobForResume(resumeId);
+                if (!activeJob) {
+                    uploadProgressService.failTracking(uploadId, resume.error_message || 'Parsing failed', 'parsing');
+                    return;
+                }
+                if (lastStatus !== status) {
+                    uploadProgressService.updateProgress(uploadId, 'parsing', 10, {
+                        message: 'Parsing failed, retrying shortly'
+                    });
+                }
+            } else if (status !== lastStatus && PARSE_STATUS_PROGRESS[status]) {
+                const { percent, message } = PARSE_STATUS_PROGRESS[status];
+                uploadProgressService.updateProgress(uploadId, 'parsing', percent, { message });
+            }
 
-            // Mark the entire upload as complete
-            uploadProgressService.completeTracking(uploadId, {
-                resumeId,
-                parsedData: parseResult.data,
-                message: 'Resume processing completed successfully'
-            });
+            lastStatus = status;
+        } catch (error) {
+            console.error(`Error relaying parse progress for resume ${resumeId}:`, error.message);
+        }
 
-            console.log(`✓ Resume ID ${resumeId} parsed successfully`);
-        } else {
-            console.error(`Failed to parse resume ID ${resumeId}:`, parseResult.error);
-            uploadProgressService.failTracking(uploadId, parseResult.error, 'parsing');
-
-            // Still update the database to record the attempt
-            const updateQuery = `
-                UPDATE resumes
-                SET
-                    parsed_data = $1,
-                    parsed_at = NOW()
-                WHERE id = $2 AND user_id = $3
-            `;
-
-            await query(updateQuery, [
-                JSON.stringify({ error: parseResult.error, attempted: true }),
-                resumeId,
-                userId
-            ]);
+        if (Date.now() - startedAt < PROGRESS_RELAY_TIMEOUT_MS) {
+            setTimeout(poll, PROGRESS_POLL_INTERVAL_MS);
         }
-    } catch (error) {
-        console.error(`Error in async resume parsing for ID ${resumeId}:`, error);
-        uploadProgressService.failTracking(uploadId, error.message, 'parsing');
-    }
+    };
+
+    setTimeout(poll, PROGRESS_POLL_INTERVAL_MS);
 }
 
 // Add a method to the progress service for storing metadata
@@ -332,6 +438,11 @@ module.exports = {
     streamUploadProgress,
     getUserResumes: require('../controllers/resumeController').getUserResumes,
     getResumeParsedData: require('../controllers/resumeController').getResumeParsedData,
+    updateParsedFields: require('../controllers/resumeController').updateParsedFields,
+    resetParsedField: require('../controllers/resumeController').resetParsedField,
+    getParsedDataRevisions: require('../controllers/resumeController').getParsedDataRevisions,
+    getResumeDuplicates: require('../controllers/resumeController').getResumeDuplicates,
+    getBlindResume: require('../controllers/resumeController').getBlindResume,
     reparseResume: require('../controllers/resumeController').reparseResume,
     deleteResume: require('../controllers/resumeController').deleteResume
 };
\ No newline at end of file
@@ -5,7 +5,17 @@
 const { query } = require('../config/database');
 const fs = require('fs').promises;
 const path = require('path');
-const huggingFaceService = require('../services/huggingFaceResumeService');
+const huggingFaceService = require('../services/ai/huggingfaceService');
+const resumeStatusService = require('../services/resumeStatusService');
+const jobQueueService = require('../services/jobQueueService');
+const { JOB_TYPES } = jobQueueService;
+const resumeOverrideService = require('../services/resumeOverrideService');
+const { resolveStoredFilePath } = require('../utils/storagePaths');
+const { normalizeLanguage } = require('../services/parsing/locales');
+const piiService = require('../services/piiService');
+const blindResumeService = require('../services/blindResumeService');
+const duplicateResumeService = require('../services/duplicateResumeService');
+const documentTextExtractor = require('../services/parsing/documentTextExtractor');
 
 /**
  * Upload Resume Controller
@@ -14,8 +24,10 @@ const huggingFaceService = require('../services/huggingFaceResumeService');
  * Process:
  * 1. File validation (handled by multer)
  * 2. Storage-agnostic file handling
- * 3. Database record creation
- * 4. Async parsing trigger
+ * 3. Duplicate check: a file the user uploaded before is reused, linked to
+ *    or parsed again, as the onDuplicate field asks (reuse, link or parse)
+ * 4. Database record creation
+ * 5. Async parsing trigger
  */
 async function uploadResume(req, res) {
     try {
@@ -56,10 +68,74 @@ async function uploadResume(req, res) {
         // Get the original filename
         const originalName = req.uploadedFileOriginalName || req.file.originalname;
 
+        // Optional language of the resume; unsupported languages are detected instead
+        const languageHint = normalizeLanguage(req.body?.language);
+
+        const duplicateAction = duplicateResumeService.resolveAction(req.body?.onDuplicate);
+        if (!duplicateAction) {
+            await duplicateResumeService.discardUpload(req.file);
+            return res.status(400).json({
+                success: false,
+                message: 'onDuplicate must be one of: reuse, link, parse'
+            });
+        }
+
         console.log(`Processing resume upload: ${originalName}`);
         console.log(`Storage type: ${req.file.location ? 'S3' : 'Local'}`);
 
+        // The same file uploaded again needn't go through the AI APIs again
+        const contentHash = await duplicateResumeService.hashFile(fileInfo.filePath);
+        const original = await duplicateResumeService.findUploadDuplicate(req.user.id, contentHash);
+
+        if (original && duplicateAction === 'reuse') {
+            console.log(`Upload duplicates resume ${original.id}; reusing it`);
+            await duplicateResumeService.discardUpload(req.file);
+
+            return res.json({
+                success: true,
+                message: 'This file was uploaded before; the existing resume was reused',
+                data: {
+                    id: original.id,
+                    filename: original.filename,
+                    originalName: original.original_name,
+                    fileSize: original.file_size,
+                    uploadedAt: original.uploaded_at,
+                    status: original.processing_status,
+                    duplicate: duplicateResumeService.describeDuplicate(original, 'reuse')
+                }
+            });
+        }
+
+        if (original && duplicateAction === 'link' && original.processing_status === 'completed') {
+            const linked = await duplicateResumeService.linkDuplicate(original, {
+                userId: req.user.id,
+                filename: fileInfo.filename,
+                originalName,
+                storagePath: fileInfo.storagePath,
+                size: fileInfo.size,
+                mimetype: fileInfo.mimetype,
+                languageHint,
+                contentHash
+            });
+
+            return res.json({
+                success: true,
+                message: 'This file was uploaded before; its parse was copied to the new resume',
+                data: {
+                    id: linked.id,
+                    filename: linked.filename,
+                    originalName: linked.original_name,
+                    fileSize: linked.file_size,
+                    uploadedAt: linked.uploaded_at,
+                    status: 'completed',
+                    languageHint,
+                    duplicate: duplicateResumeService.describeDuplicate(original, 'link')
+                }
+            });
+        }
+
         // Store the file metadata in database
+        // A duplicate parsed anyway (or linked before its original finished) still records the link
         const insertQuery = `
             INSERT INTO resumes (
                 user_id,
@@ -68,8 +144,11 @@ async function uploadResume(req, res) {
                 file_path,
                 file_size,
                 mime_type,
+                language_hint,
+                content_hash,
+                duplicate_of,
                 uploaded_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
             RETURNING id, filename, original_name, file_size, uploaded_at
         `;
 
@@ -79,7 +158,10 @@ async function uploadResume(req, res) {
             originalName,
             fileInfo.storagePath,  // This will be S3 key or local path
             fileInfo.size,
-            fileInfo.mimetype
+            fileInfo.mimetype,
+            languageHint,
+            contentHash,
+            original ? original.id : null
         ];
 
         const result = await query(insertQuery, values);
@@ -87,9 +169,13 @@ async function uploadResume(req, res) {
 
         console.log(`Resume saved to database with ID: ${resume.id}`);
 
-        // Trigger AI parsing asynchronously
+        // Queue AI parsing for the background worker
         // For S3 files, we pass the S3 URL; for local files, we pass the file path
-        parseResumeAsync(resume.id, fileInfo.filePath, req.user.id);
+        const job = await jobQueueService.enqueue(
+            JOB_TYPES.PARSE_RESUME,
+            { filePath: fileInfo.filePath, userId: req.user.id, mimeType: fileInfo.mimetype, languageHint },
+            { resumeId: resume.id }
+        );
 
         // Send immediate success response
         res.json({
@@ -101,7 +187,10 @@ async function uploadResume(req, res) {
                 originalName: resume.original_name,
                 fileSize: resume.file_size,
                 uploadedAt: resume.uploaded_at,
-                status: 'processing'
+                status: 'processing',
+                languageHint,
+                jobId: job.id,
+                duplicate: original ? duplicateResumeService.describeDuplicate(original, 'parse') : null
             }
         });
 
@@ -128,55 +217,211 @@ async function uploadResume(req, res) {
 
 /**
  * Parse Resume Asynchronously
- * This runs in the background after upload response is sent
+ * Run by the background worker for queued parse_resume jobs
+ *
+ * Moves the resume through uploaded -> parsing -> parsed -> completed
+ * (or failed), the same state machine voice resumes use.
+ *
+ * A resume whose text is exactly that of another of the user's resumes,
+ * already parsed by the current parser version, gets a copy of that parse
+ * instead of a new one, unless this is a reparse (freshParse or
+ * preserveParsedData).
  *
  * @param {number} resumeId - Database ID of the resume
  * @param {string} filePath - Path to the uploaded file (local path or S3 URL)
  * @param {number} userId - ID of the user who uploaded
+ * @param {Object} options - mimeType of the upload, the languageHint the user
+ *                           gave, an optional onProgress(percent, message)
+ *                           callback, preserveParsedData to keep the
+ *                           previous parse if this one fails (bulk reparses)
+ *                           and freshParse to never reuse another parse
+ * @returns {Promise<Object>} The parse result
  */
-async function parseResumeAsync(resumeId, filePath, userId) {
+async function parseResumeAsync(resumeId, filePath, userId, options = {}) {
     console.log(`Starting async parsing for resume ${resumeId}`);
+    const reportProgress = options.onProgress || (() => {});
+    // Whether the text came from OCR, and how good it was (scanned PDFs)
+    let ocrMetadata;
 
     try {
-        // Call the Hugging Face service to parse the resume
-        const parseResult = await huggingFaceService.parseResume(filePath);
+        await resumeStatusService.updateStatus(resumeId, 'parsing', {
+            stage: 'extracting_text'
+        });
+        reportProgress(30, 'Extracting text from document');
+
+        const extraction = await documentTextExtractor.extract(filePath, { mimeType: options.mimeType });
+        ocrMetadata = extraction.metadata.ocr;
+
+        // Fingerprint the text to catch the same resume in a different file
+        const fingerprint = duplicateResumeService.fingerprint(extraction.text);
+        await duplicateResumeService.recordFingerprint(resumeId, fingerprint);
+
+        if (fingerprint && !options.freshParse && !options.preserveParsedData) {
+            const original = await duplicateResumeService.findTextDuplicate(
+                resumeId, userId, fingerprint.textHash, options.languageHint || null
+            );
+            if (original) {
+                return await reuseParse(resumeId, userId, original, extraction, reportProgress);
+            }
+        }
+
+        // Parse the resume with the configured parser provider
+        const parseResult = await huggingFaceService.parseResume(filePath, {
+            mimeType: options.mimeType,
+            language: options.languageHint,
+            extraction
+        });
+
+        if (!parseResult.success) {
+            throw new Error(parseResult.error);
+        }
+
+        reportProgress(80, 'Processing extracted information');
+
+        // The user's corrections win over the new parse until they are reset
+        const parsedData = await resumeOverrideService.applyOverrides(resumeId, parseResult.data);
 
         // Update the resume record with parsed data
         const updateQuery = `
             UPDATE resumes 
             SET 
                 parsed_data = $1,
+                extracted_text = $2,
+                parser_version = $3,
+                language = $4,
                 parsed_at = NOW(),
-                processing_status = 'completed'
-            WHERE id = $2 AND user_id = $3
+                error_message = NULL
+            WHERE id = $5 AND user_id = $6
         `;
 
         await query(updateQuery, [
-            JSON.stringify(parseResult),
+            JSON.stringify(parsedData),
+            piiService.forStorage(parseResult.extractedText),
+            parseResult.data.parser.version,
+            parseResult.data.language.code,
             resumeId,
             userId
         ]);
 
+        // Similar resumes are only reported; the differences may be the point
+        const nearDuplicates = fingerprint
+            ? await duplicateResumeService.findNearDuplicates(resumeId, userId, fingerprint.simhash)
+            : [];
+
+        await resumeStatusService.updateStatus(resumeId, 'parsed', {
+            fieldsExtracted: Object.keys(parseResult.data).length,
+            hasBasicInfo: !!(parseResult.data.name && parseResult.data.email),
+            parserProvider: parseResult.data.parserProvider,
+            sourceFormat: parseResult.sourceFormat,
+            language: parseResult.data.language.code,
+            ...(ocrMetadata && { ocr: ocrMetadata }),
+            ...(nearDuplicates.length > 0 && {
+                duplicate: { resumeId: nearDuplicates[0].id, match: 'near', similarity: nearDuplicates[0].similarity }
+            })
+        });
+        await resumeStatusService.updateStatus(resumeId, 'completed');
+
         console.log(`Successfully parsed resume ${resumeId}`);
+        return parseResult;
 
     } catch (error) {
         console.error(`Error parsing resume ${resumeId}:`, error);
 
-        // Update status to failed
+        // Record the attempt so the detail page can show why it failed
         const errorQuery = `
             UPDATE resumes 
             SET 
-                processing_status = 'failed',
-                error_message = $1
-            WHERE id = $2 AND user_id = $3
+                parsed_data = $1,
+                parsed_at = NOW(),
+                error_message = $2
+            WHERE id = $3 AND user_id = $4
         `;
 
-        await query(errorQuery, [
-            error.message,
+        try {
+            if (options.preserveParsedData) {
+                await query(
+                    'UPDATE resumes SET error_message = $1 WHERE id = $2 AND user_id = $3',
+                    [error.message, resumeId, userId]
+                );
+            } else {
+                await query(errorQuery, [
+                    JSON.stringify({ error: error.message, attempted: true }),
+                    error.message,
+                    resumeId,
+                    userId
+                ]);
+            }
+            await resumeStatusService.updateStatus(resumeId, 'failed', {
+                error: error.message,
+                ...(ocrMetadata && { ocr: ocrMetadata })
+            });
+        } catch (statusError) {
+            console.error(`Error recording parse failure for resume ${resumeId}:`, statusError);
+        }
+
+        throw error;
+    }
+}
+
+/**
+ * Store a copy of another resume's parse instead of parsing
+ * Used by parseResumeAsync when the extracted text is identical; the copy
+ * gets this resume's own corrections, not the original's.
+ *
+ * @param {number} resumeId - The resume being parsed
+ * @param {number} userId
+ * @param {Object} original - Row of the resume with the same text
+ * @param {Object} extraction - This resume's text extraction
+ * @param {Function} reportProgress
+ * @returns {Promise<Object>} The copied parse, like a parse result
+ */
+async function reuseParse(resumeId, userId, original, extraction, reportProgress) {
+    const duplicateOf = original.duplicate_of || original.id;
+    console.log(`Resume ${resumeId} has the same text as resume ${duplicateOf}; reusing its parse`);
+    reportProgress(80, 'Reusing the parse of an identical resume');
+
+    const machineData = await duplicateResumeService.parserOutput(original);
+    const parsedData = await resumeOverrideService.applyOverrides(resumeId, machineData);
+
+    await query(
+        `UPDATE resumes
+         SET parsed_data = $1,
+             extracted_text = $2,
+             parser_version = $3,
+             language = $4,
+             duplicate_of = $5,
+             parsed_at = NOW(),
+             error_message = NULL
+         WHERE id = $6 AND user_id = $7`,
+        [
+            JSON.stringify(parsedData),
+            original.extracted_text,
+            original.parser_version,
+            original.language,
+            duplicateOf,
             resumeId,
             userId
-        ]);
-    }
+        ]
+    );
+
+    await resumeStatusService.updateStatus(resumeId, 'parsed', {
+        fieldsExtracted: Object.keys(machineData).length,
+        hasBasicInfo: !!(machineData.name && machineData.email),
+        parserProvider: machineData.parserProvider,
+        sourceFormat: extraction.format,
+        language: original.language,
+        duplicate: { resumeId: duplicateOf, match: 'text', action: 'reuse' },
+        ...(extraction.metadata.ocr && { ocr: extraction.metadata.ocr })
+    });
+    await resumeStatusService.updateStatus(resumeId, 'completed');
+
+    console.log(`Successfully reused parse of resume ${duplicateOf} for resume ${resumeId}`);
+    return {
+        success: true,
+        data: parsedData,
+        sourceFormat: extraction.format,
+        reusedFrom: duplicateOf
+    };
 }
 
 /**
@@ -192,6 +437,8 @@ async function getUserResumes(req, res) {
                 file_size,
                 mime_type,
                 processing_status as status,
+                language,
+                duplicate_of,
                 uploaded_at,
                 parsed_at,
                 CASE 
@@ -226,16 +473,20 @@ async function getUserResumes(req, res) {
 
 /**
  * Get parsed data for a specific resume
+ * With ?redact=true, emails, phone numbers, addresses, dates of birth and ID
+ * numbers are replaced by placeholders, for sharing the resume.
  */
 async function getResumeParsedData(req, res) {
     try {
         const { id } = req.params;
+        const redact = req.query.redact === 'true';
 
         const selectQuery = `
             SELECT 
                 id,
                 original_name,
                 parsed_data,
+                extracted_text,
                 processing_status as status,
                 error_message,
                 parsed_at
@@ -269,12 +520,29 @@ async function getResumeParsedData(req, res) {
             });
         }
 
+        // What the parser produced for each field the user corrected
+        const overrides = await resumeOverrideService.getOverrides(resume.id);
+
+        const corrections = overrides.map(override => ({
+            field: override.field,
+            machineValue: override.machine_value,
+            updatedAt: override.updated_at
+        }));
+        const redactedText = redact && resume.extracted_text != null
+            ? piiService.redact(resume.extracted_text)
+            : null;
+
         res.json({
             success: true,
             data: {
                 id: resume.id,
                 originalName: resume.original_name,
-                parsedData: resume.parsed_data,
+                parsedData: redact ? piiService.redactParsedData(resume.parsed_data) : resume.parsed_data,
+                corrections: redact ? piiService.redactDeep(corrections) : corrections,
+                // parsedData.fieldProvenance offsets point into this text
+                // (the redacted view drops them)
+                extractedText: redactedText ? redactedText.text : resume.extracted_text,
+                ...(redact && { redacted: true, redactions: redactedText ? redactedText.counts : {} }),
                 parsedAt: resume.parsed_at
             }
         });
@@ -297,7 +565,7 @@ async function reparseResume(req, res) {
 
         // Get the resume details
         const selectQuery = `
-            SELECT id, file_path
+            SELECT id, file_path, mime_type, language_hint
             FROM resumes
             WHERE id = $1 AND user_id = $2
         `;
@@ -313,13 +581,32 @@ async function reparseResume(req, res) {
 
         const resume = result.rows[0];
 
-        // Reset status to processing
+        // Don't restart a resume that is already queued or being parsed
+        const activeJob = await jobQueueService.getActiveJobForResume(resume.id);
+        if (activeJob) {
+            return res.status(409).json({
+                success: false,
+                message: 'This resume is already being processed',
+                data: {
+                    id: resume.id,
+                    jobId: activeJob.id,
+                    jobStatus: activeJob.status
+                }
+            });
+        }
+
+        // Reset the resume to the start of the state machine
         const updateQuery = `
             UPDATE resumes 
             SET 
-                processing_status = 'processing',
+                processing_status = 'uploaded',
+                processing_started_at = NULL,
+                processing_completed_at = NULL,
                 error_message = NULL,
                 parsed_data = NULL,
+                extracted_text = NULL,
+                parser_version = NULL,
+                duplicate_of = NULL,
                 parsed_at = NULL
             WHERE id = $1 AND user_id = $2
         `;
@@ -327,30 +614,29 @@ async function reparseResume(req, res) {
         await query(updateQuery, [id, req.user.id]);
 
         // Determine file path based on storage type
-        let filePath;
-        if (resume.file_path.startsWith('http') || resume.file_path.startsWith('https')) {
-            // S3 URL stored in database
-            filePath = resume.file_path;
-        } else if (resume.file_path.startsWith('resumes/')) {
-            // S3 key stored in database - need to construct URL
-            // This assumes you have S3_BUCKET_NAME and AWS_REGION in env
-            const bucketName = process.env.S3_BUCKET_NAME;
-            const region = process.env.AWS_REGION || 'us-east-1';
-            filePath = `https://${bucketName}.s3.${region}.amazonaws.com/${resume.file_path}`;
-        } else {
-            // Local file path
-            filePath = path.join(__dirname, '../../', resume.file_path);
-        }
-
-        // Trigger re-parsing
-        parseResumeAsync(resume.id, filePath, req.user.id);
+        const { filePath } = resolveStoredFilePath(resume.file_path);
+
+        // Queue re-parsing for the background worker
+        // A reparse asks for a new parse, so it never reuses another resume's
+        const job = await jobQueueService.enqueue(
+            JOB_TYPES.PARSE_RESUME,
+            {
+                filePath,
+                userId: req.user.id,
+                mimeType: resume.mime_type,
+                languageHint: resume.language_hint,
+                freshParse: true
+            },
+            { resumeId: resume.id }
+        );
 
         res.json({
             success: true,
             message: 'Resume re-parsing initiated',
             data: {
                 id: resume.id,
-                status: 'processing'
+                status: 'uploaded',
+                jobId: job.id
             }
         });
 
@@ -363,6 +649,156 @@ async function reparseResume(req, res) {
     }
 }
 
+/**
+ * Send a service's client error (AppError under 500), or a generic failure
+ */
+function sendServiceError(res, error, fallbackMessage) {
+    if (error.isOperational && error.statusCode && error.statusCode < 500) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+/**
+ * Correct parsed fields
+ * The body maps field names to corrected values, e.g.
+ * { "name": "Jane Doe", "skills": ["Python", "SQL"] }; null clears a field.
+ * Corrections are kept separately from the parser's output and survive reparsing.
+ */
+async function updateParsedFields(req, res) {
+    try {
+        const result = await resumeOverrideService.setOverrides(
+            parseInt(req.params.id, 10),
+            req.user.id,
+            req.body
+        );
+
+        res.json({
+            success: true,
+            message: result.changedFields.length > 0
+                ? `Updated ${result.changedFields.join(', ')}`
+                : 'No changes',
+            data: {
+                id: parseInt(req.params.id, 10),
+                changedFields: result.changedFields,
+                parsedData: result.parsedData
+            }
+        });
+
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update parsed data');
+    }
+}
+
+/**
+ * Reset a corrected field to the parser's value
+ */
+async function resetParsedField(req, res) {
+    try {
+        const result = await resumeOverrideService.resetOverride(
+            parseInt(req.params.id, 10),
+            req.user.id,
+            req.params.field
+        );
+
+        res.json({
+            success: true,
+            message: `Reset ${result.field} to the parsed value`,
+            data: {
+                id: parseInt(req.params.id, 10),
+                parsedData: result.parsedData
+            }
+        });
+
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to reset field');
+    }
+}
+
+/**
+ * Get the edit history of a resume's parsed fields
+ */
+async function getParsedDataRevisions(req, res) {
+    try {
+        const { id } = req.params;
+
+        const result = await query(
+            'SELECT id FROM resumes WHERE id = $1 AND user_id = $2',
+            [id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Resume not found'
+            });
+        }
+
+        const revisions = await resumeOverrideService.getRevisions(result.rows[0].id, {
+            limit: req.query.limit
+        });
+
+        res.json({
+            success: true,
+            data: revisions
+        });
+
+    } catch (error) {
+        console.error('Error fetching revisions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch revisions'
+        });
+    }
+}
+
+/**
+ * List the user's resumes that duplicate this one
+ * Exact duplicates have the same file or the same extracted text; near
+ * duplicates have similar text, e.g. the same resume with a line edited.
+ */
+async function getResumeDuplicates(req, res) {
+    try {
+        const duplicates = await duplicateResumeService.getDuplicates(req.params.id, req.user.id);
+
+        res.json({
+            success: true,
+            data: duplicates
+        });
+
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to find duplicate resumes');
+    }
+}
+
+/**
+ * Get a blind (anonymized) copy of a resume, for bias-reduced screening
+ * Names, pronouns, schools, graduation years and contact details are removed.
+ */
+async function getBlindResume(req, res) {
+    try {
+        const blindResume = await blindResumeService.getBlindResume(req.params.id, {
+            userId: req.user.id
+        });
+
+        res.json({
+            success: true,
+            data: blindResume
+        });
+
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to create blind resume');
+    }
+}
+
 /**
  * Delete a resume
  */
@@ -372,7 +808,7 @@ async function deleteResume(req, res) {
 
         // Get file information before deleting
         const selectQuery = `
-            SELECT id, filename, file_path
+            SELECT id, filename, file_path, interview
             FROM resumes
             WHERE id = $1 AND user_id = $2
         `;
@@ -412,10 +848,15 @@ async function deleteResume(req, res) {
                 console.log('S3 file deletion should be handled here for key:', resume.file_path);
                 // TODO: Implement S3 deletion
             } else {
-                // Local file
-                const fullPath = path.join(__dirname, '../../', resume.file_path);
-                await fs.unlink(fullPath);
-                console.log('Deleted local file:', fullPath);
+                // Local file; a guided voice interview has one per answer
+                const storedPaths = resume.interview
+                    ? resume.interview.clips.map(clip => clip.storagePath)
+                    : [resume.file_path];
+                for (const storedPath of storedPaths) {
+                    const fullPath = path.join(__dirname, '../../', storedPath);
+                    await fs.unlink(fullPath);
+                    console.log('Deleted local file:', fullPath);
+                }
             }
         } catch (fileError) {
             // Log error but don't fail the request since DB record is already deleted
@@ -439,8 +880,14 @@ async function deleteResume(req, res) {
 // Export all controller functions
 module.exports = {
     uploadResume,
+    parseResumeAsync,
     getUserResumes,
     getResumeParsedData,
+    updateParsedFields,
+    resetParsedField,
+    getParsedDataRevisions,
+    getResumeDuplicates,
+    getBlindResume,
     reparseResume,
     deleteResume
 };
\ No newline at end of file
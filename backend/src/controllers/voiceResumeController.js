@@ -10,11 +10,49 @@ const huggingFaceService = require('../services/ai/huggingfaceService');
 const huggingFaceResumeService = require('../services/huggingFaceResumeService');
 const resumeStatusService = require('../services/resumeStatusService');
 const confidenceScoreService = require('../services/confidenceScoreService');
+const jobQueueService = require('../services/jobQueueService');
+const { JOB_TYPES } = jobQueueService;
+const resumeOverrideService = require('../services/resumeOverrideService');
+const { normalizeLanguage } = require('../services/parsing/locales');
+const piiService = require('../services/piiService');
+const duplicateResumeService = require('../services/duplicateResumeService');
+const transcriptAlignmentService = require('../services/transcriptAlignmentService');
+const voiceInterviewService = require('../services/voiceInterviewService');
+
+/**
+ * Where an uploaded audio file was stored
+ * multer-s3 adds location and key; local uploads have a path.
+ */
+function getUploadedFileInfo(file) {
+    if (file.location && file.key) {
+        return {
+            filename: file.key.split('/').pop(), // Extract filename from S3 key
+            filePath: file.location,             // Full S3 URL
+            storagePath: file.key,               // S3 key for database
+            size: file.size,
+            mimetype: file.contentType || file.mimetype,
+            isS3: true
+        };
+    }
+
+    return {
+        filename: file.filename,
+        filePath: file.path,
+        storagePath: `uploads/voice-resumes/${file.filename}`,
+        size: file.size,
+        mimetype: file.mimetype,
+        isS3: false
+    };
+}
 
 /**
  * Upload and process a voice resume with enhanced features
  * Now supports both local and S3 storage
  * Includes real-time status tracking and confidence scoring
+ *
+ * A recording the user uploaded before is not transcribed again by default:
+ * the onDuplicate field picks reuse (return the existing resume), link (a
+ * new resume with a copy of its transcript and parse) or parse.
  */
 async function uploadVoiceResume(req, res) {
     try {
@@ -27,39 +65,81 @@ async function uploadVoiceResume(req, res) {
         }
 
         // Detect storage type and extract file information accordingly
-        let fileInfo = {};
-
-        // Check if this is an S3 upload (multer-s3 adds these properties)
-        if (req.file.location && req.file.key) {
-            // S3 storage
-            console.log('Processing S3 voice upload');
-            fileInfo = {
-                filename: req.file.key.split('/').pop(), // Extract filename from S3 key
-                filePath: req.file.location,             // Full S3 URL
-                storagePath: req.file.key,               // S3 key for database
-                size: req.file.size,
-                mimetype: req.file.contentType || req.file.mimetype,
-                isS3: true
-            };
-        } else {
-            // Local storage
-            console.log('Processing local voice upload');
-            fileInfo = {
-                filename: req.file.filename,
-                filePath: req.file.path,
-                storagePath: `uploads/voice-resumes/${req.file.filename}`,
-                size: req.file.size,
-                mimetype: req.file.mimetype,
-                isS3: false
-            };
-        }
+        const fileInfo = getUploadedFileInfo(req.file);
 
         const originalName = req.uploadedFileOriginalName || req.file.originalname;
 
+        // Optional language of the recording, passed to the transcription model;
+        // unsupported languages are detected from the transcript instead
+        const languageHint = normalizeLanguage(req.body?.language);
+
+        const duplicateAction = duplicateResumeService.resolveAction(req.body?.onDuplicate);
+        if (!duplicateAction) {
+            await duplicateResumeService.discardUpload(req.file);
+            return res.status(400).json({
+                success: false,
+                message: 'onDuplicate must be one of: reuse, link, parse'
+            });
+        }
+
         console.log(`Processing voice resume upload: ${originalName}`);
         console.log(`Storage type: ${fileInfo.isS3 ? 'S3' : 'Local'}`);
 
+        // The same recording uploaded again needn't be transcribed and parsed again
+        const contentHash = await duplicateResumeService.hashFile(fileInfo.filePath);
+        const original = await duplicateResumeService.findUploadDuplicate(req.user.id, contentHash, 'voice');
+
+        if (original && duplicateAction === 'reuse') {
+            console.log(`Voice upload duplicates resume ${original.id}; reusing it`);
+            await duplicateResumeService.discardUpload(req.file);
+
+            return res.json({
+                success: true,
+                message: 'This recording was uploaded before; the existing voice resume was reused',
+                data: {
+                    id: original.id,
+                    filename: original.original_name,
+                    size: original.file_size,
+                    uploadedAt: original.uploaded_at,
+                    processingStatus: original.processing_status,
+                    statusEndpoint: `/api/v1/voiceresumes/${original.id}/status`,
+                    storageType: fileInfo.isS3 ? 's3' : 'local',
+                    duplicate: duplicateResumeService.describeDuplicate(original, 'reuse')
+                }
+            });
+        }
+
+        if (original && duplicateAction === 'link' && original.processing_status === 'completed') {
+            const linked = await duplicateResumeService.linkDuplicate(original, {
+                userId: req.user.id,
+                filename: fileInfo.filename,
+                originalName,
+                storagePath: fileInfo.storagePath,
+                size: fileInfo.size,
+                mimetype: fileInfo.mimetype,
+                languageHint,
+                contentHash
+            });
+
+            return res.status(201).json({
+                success: true,
+                message: 'This recording was uploaded before; its transcript and parse were copied to the new voice resume',
+                data: {
+                    id: linked.id,
+                    filename: linked.original_name,
+                    size: linked.file_size,
+                    uploadedAt: linked.uploaded_at,
+                    processingStatus: 'completed',
+                    languageHint,
+                    statusEndpoint: `/api/v1/voiceresumes/${linked.id}/status`,
+                    storageType: fileInfo.isS3 ? 's3' : 'local',
+                    duplicate: duplicateResumeService.describeDuplicate(original, 'link')
+                }
+            });
+        }
+
         // Store the audio file metadata in database with initial status
+        // A duplicate processed anyway (or linked before its original finished) still records the link
         const insertQuery = `
             INSERT INTO resumes (
                 user_id,
@@ -70,9 +150,12 @@ async function uploadVoiceResume(req, res) {
                 mime_type,
                 resume_type,
                 processing_status,
+                language_hint,
+                content_hash,
+                duplicate_of,
                 processing_started_at,
                 uploaded_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW())
             RETURNING id, filename, original_name, file_size, uploaded_at
         `;
 
@@ -84,7 +167,10 @@ async function uploadVoiceResume(req, res) {
             fileInfo.size,
             fileInfo.mimetype,
             'voice',
-            'uploaded' // Initial status
+            'uploaded', // Initial status
+            languageHint,
+            contentHash,
+            original ? original.id : null
         ];
 
         const result = await query(insertQuery, values);
@@ -92,9 +178,13 @@ async function uploadVoiceResume(req, res) {
 
         console.log(`Voice resume saved to database with ID: ${resume.id}`);
 
-        // Trigger async processing
+        // Queue transcription and parsing for the background worker
         // For S3 files, we pass the S3 URL; for local files, we pass the file path
-        processVoiceResumeAsync(resume.id, fileInfo.filePath, req.user.id, fileInfo.isS3);
+        const job = await jobQueueService.enqueue(
+            JOB_TYPES.PROCESS_VOICE_RESUME,
+            { audioFilePath: fileInfo.filePath, userId: req.user.id, isS3: fileInfo.isS3, languageHint },
+            { resumeId: resume.id }
+        );
 
         res.status(201).json({
             success: true,
@@ -105,8 +195,11 @@ async function uploadVoiceResume(req, res) {
                 size: resume.file_size,
                 uploadedAt: resume.uploaded_at,
                 processingStatus: 'uploaded',
+                languageHint,
+                jobId: job.id,
                 statusEndpoint: `/api/v1/voiceresumes/${resume.id}/status`,
-                storageType: fileInfo.isS3 ? 's3' : 'local'
+                storageType: fileInfo.isS3 ? 's3' : 'local',
+                duplicate: original ? duplicateResumeService.describeDuplicate(original, 'parse') : null
             }
         });
 
@@ -131,11 +224,166 @@ async function uploadVoiceResume(req, res) {
     }
 }
 
+/**
+ * The guided interview's prompts, in the requested language (?language=es)
+ */
+async function getInterviewScript(req, res) {
+    res.json({
+        success: true,
+        data: voiceInterviewService.getScript(req.query.language)
+    });
+}
+
+/**
+ * Upload a guided voice interview: one clip per prompt
+ * The clips come in the clips field, with promptIds naming the prompt each
+ * one answers (a JSON array, in the same order). Each clip is transcribed
+ * separately and filed under its prompt's section for the parser.
+ */
+async function uploadVoiceInterview(req, res) {
+    const files = req.files || [];
+
+    try {
+        let answers;
+        try {
+            answers = voiceInterviewService.matchAnswers(req.body?.promptIds, files);
+        } catch (error) {
+            await Promise.all(files.map(file => duplicateResumeService.discardUpload(file)));
+            if (error.statusCode === 400) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            throw error;
+        }
+
+        const languageHint = normalizeLanguage(req.body?.language);
+        const script = voiceInterviewService.getScript(languageHint);
+
+        // The prompt text is kept as asked, in case the script changes later
+        const clips = answers.map(({ prompt, file }) => {
+            const fileInfo = getUploadedFileInfo(file);
+            return {
+                promptId: prompt.id,
+                section: prompt.section,
+                prompt: script.prompts.find(scriptPrompt => scriptPrompt.id === prompt.id).text,
+                storagePath: fileInfo.storagePath,
+                // req.uploadedFileOriginalName only holds the last clip's name
+                originalName: file.originalname,
+                size: fileInfo.size,
+                mimeType: fileInfo.mimetype
+            };
+        });
+        const firstClip = getUploadedFileInfo(answers[0].file);
+
+        console.log(`Processing voice interview upload: ${clips.length} answers`);
+
+        const result = await query(
+            `INSERT INTO resumes (
+                user_id,
+                filename,
+                original_name,
+                file_path,
+                file_size,
+                mime_type,
+                resume_type,
+                processing_status,
+                language_hint,
+                interview,
+                processing_started_at,
+                uploaded_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, 'voice', 'uploaded', $7, $8, NOW(), NOW())
+            RETURNING id, original_name, file_size, uploaded_at`,
+            [
+                req.user.id,
+                firstClip.filename,
+                `Voice interview (${clips.length} answers)`,
+                firstClip.storagePath,
+                clips.reduce((total, clip) => total + clip.size, 0),
+                firstClip.mimetype,
+                languageHint,
+                JSON.stringify({ scriptVersion: script.version, clips })
+            ]
+        );
+        const resume = result.rows[0];
+
+        console.log(`Voice interview saved to database with ID: ${resume.id}`);
+
+        // The worker reads the clips from resumes.interview
+        const job = await jobQueueService.enqueue(
+            JOB_TYPES.PROCESS_VOICE_RESUME,
+            { audioFilePath: firstClip.filePath, userId: req.user.id, isS3: firstClip.isS3, languageHint },
+            { resumeId: resume.id }
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Voice interview uploaded successfully. Transcription and parsing in progress...',
+            data: {
+                id: resume.id,
+                filename: resume.original_name,
+                size: resume.file_size,
+                uploadedAt: resume.uploaded_at,
+                processingStatus: 'uploaded',
+                languageHint,
+                answers: clips.map(clip => ({ promptId: clip.promptId, section: clip.section })),
+                jobId: job.id,
+                statusEndpoint: `/api/v1/voiceresumes/${resume.id}/status`,
+                storageType: firstClip.isS3 ? 's3' : 'local'
+            }
+        });
+
+    } catch (error) {
+        console.error('Voice interview upload error:', error);
+        await Promise.all(files.map(file => duplicateResumeService.discardUpload(file)));
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload voice interview',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * A resume's stored transcript, shaped like a transcription result
+ * Null when there is none to parse: the recording was never transcribed, the
+ * transcript predates its language being kept, or stored transcripts are
+ * masked (PII_REDACT_STORED_TEXT), which would hide the contact details.
+ */
+async function loadStoredTranscript(resumeId) {
+    if (piiService.redactStoredText) return null;
+
+    const result = await query(
+        'SELECT transcription_data, interview FROM resumes WHERE id = $1',
+        [resumeId]
+    );
+    const { transcription_data: stored, interview } = result.rows[0] || {};
+
+    if (!stored?.text || !stored.language?.code) return null;
+    if (interview && !Array.isArray(stored.clips)) return null;
+
+    return {
+        ...stored,
+        success: true,
+        quality: stored.quality || {},
+        segments: stored.segments || []
+    };
+}
+
 /**
  * Enhanced async processing with status tracking and confidence scoring
  * Now handles both local files and S3 URLs
+ *
+ * Run by the background worker for queued process_voice_resume jobs.
+ * Failures are recorded on the resume and rethrown so the job is retried;
+ * with options.preserveParsedData (bulk reparses) the previous parse is kept.
+ * options.languageHint is the language the user said the recording is in;
+ * with options.reuseTranscript the stored transcript is parsed, when there is
+ * one, instead of transcribing the recording again.
  */
-async function processVoiceResumeAsync(resumeId, audioFilePath, userId, isS3 = false) {
+async function processVoiceResumeAsync(resumeId, audioFilePath, userId, isS3 = false, options = {}) {
     let currentStage = 'uploaded';
     let tempTextPath = null;
 
@@ -143,49 +391,91 @@ async function processVoiceResumeAsync(resumeId, audioFilePath, userId, isS3 = f
         console.log(`Starting enhanced voice resume processing for ID: ${resumeId}`);
         console.log(`Processing from ${isS3 ? 'S3 URL' : 'local file'}: ${audioFilePath}`);
 
-        // Step 1: Update status to transcribing
-        await resumeStatusService.updateStatus(resumeId, 'transcribing', {
-            audioFilePath,
-            storageType: isS3 ? 's3' : 'local',
-            startTime: new Date().toISOString()
-        });
-        currentStage = 'transcribing';
+        // Guided interviews have one clip per prompt, listed in resumes.interview
+        const interviewResult = await query('SELECT interview FROM resumes WHERE id = $1', [resumeId]);
+        const interview = interviewResult.rows[0]?.interview || null;
 
-        console.log('Step 1: Transcribing audio...');
-        // The transcription service should be able to handle both local paths and S3 URLs
-        const transcriptionResult = await voiceTranscriptionService.transcribeAudio(audioFilePath);
+        // A reparse reads the transcript stored last time rather than paying
+        // to transcribe the same recording again
+        let transcriptionResult = options.reuseTranscript ? await loadStoredTranscript(resumeId) : null;
 
-        if (!transcriptionResult.success) {
-            throw new Error(`Transcription failed: ${transcriptionResult.error}`);
-        }
+        if (transcriptionResult) {
+            console.log(`Step 1: Reusing the stored transcript. Word count: ${transcriptionResult.wordCount}`);
+            currentStage = 'transcribed';
+        } else {
+            // Step 1: Update status to transcribing
+            await resumeStatusService.updateStatus(resumeId, 'transcribing', {
+                audioFilePath,
+                storageType: isS3 ? 's3' : 'local',
+                startTime: new Date().toISOString()
+            });
+            currentStage = 'transcribing';
+
+            console.log(`Step 1: Transcribing ${interview ? `${interview.clips.length} interview answers` : 'audio'}...`);
+            // The transcription service should be able to handle both local paths and S3 URLs
+            transcriptionResult = interview
+                ? await voiceInterviewService.transcribe(interview, { language: options.languageHint })
+                : await voiceTranscriptionService.transcribeAudio(audioFilePath, {
+                    language: options.languageHint
+                });
 
-        console.log(`Transcription complete. Word count: ${transcriptionResult.wordCount}`);
+            if (!transcriptionResult.success) {
+                throw new Error(`Transcription failed: ${transcriptionResult.error}`);
+            }
 
-        // Update status to transcribed
-        await resumeStatusService.updateStatus(resumeId, 'transcribed', {
-            wordCount: transcriptionResult.wordCount,
-            transcriptionQuality: transcriptionResult.quality,
-            processingTime: transcriptionResult.processingTime
-        });
-        currentStage = 'transcribed';
+            console.log(`Transcription complete. Word count: ${transcriptionResult.wordCount}`);
+
+            // Update status to transcribed
+            await resumeStatusService.updateStatus(resumeId, 'transcribed', {
+                wordCount: transcriptionResult.wordCount,
+                transcriptionQuality: transcriptionResult.quality,
+                transcriptionProvider: transcriptionResult.provider,
+                processingTime: transcriptionResult.processingTime,
+                language: transcriptionResult.language.code,
+                // Real length and codec details, from decoding the recording
+                audioDuration: transcriptionResult.duration,
+                audio: transcriptionResult.audio,
+                ...(interview && { interviewAnswers: transcriptionResult.clips.length })
+            });
+            currentStage = 'transcribed';
+
+            // Store transcription result
+            await query(
+                `UPDATE resumes
+                 SET transcription_data = $1,
+                     transcribed_at = NOW()
+                 WHERE id = $2 AND user_id = $3`,
+                [
+                    JSON.stringify({
+                        text: piiService.forStorage(transcriptionResult.text),
+                        language: transcriptionResult.language,
+                        provider: transcriptionResult.provider,
+                        quality: transcriptionResult.quality,
+                        wordCount: transcriptionResult.wordCount,
+                        processingTime: transcriptionResult.processingTime,
+                        // Long recordings are transcribed in chunks; offsets are in seconds
+                        duration: transcriptionResult.duration,
+                        audio: transcriptionResult.audio,
+                        chunks: transcriptionResult.chunks,
+                        // Timestamped parts of the text, for playing back where a field was said
+                        segments: piiService.segmentsForStorage(transcriptionResult.segments),
+                        // Guided interviews: each answer's transcript, with its prompt
+                        ...(interview && {
+                            clips: transcriptionResult.clips.map(clip => ({
+                                ...clip,
+                                text: piiService.forStorage(clip.text)
+                            }))
+                        })
+                    }),
+                    resumeId,
+                    userId
+                ]
+            );
+        }
 
-        // Store transcription result
-        await query(
-            `UPDATE resumes
-             SET transcription_data = $1,
-                 transcribed_at = NOW()
-             WHERE id = $2 AND user_id = $3`,
-            [
-                JSON.stringify({
-                    text: transcriptionResult.text,
-                    quality: transcriptionResult.quality,
-                    wordCount: transcriptionResult.wordCount,
-                    processingTime: transcriptionResult.processingTime
-                }),
-                resumeId,
-                userId
-            ]
-        );
+        // Fingerprint the transcript so similar recordings can be found
+        const fingerprint = duplicateResumeService.fingerprint(transcriptionResult.text);
+        await duplicateResumeService.recordFingerprint(resumeId, fingerprint);
 
         // Step 2: Update status to parsing
         await resumeStatusService.updateStatus(resumeId, 'parsing', {
@@ -194,10 +484,18 @@ async function processVoiceResumeAsync(resumeId, audioFilePath, userId, isS3 = f
         currentStage = 'parsing';
 
         console.log('Step 2: Formatting transcription for parsing...');
-        const formatted = voiceTranscriptionService.formatTranscriptionForParsing(
-            transcriptionResult.text,
-            { resumeId, userId }
-        );
+        // Interview answers already say which section they belong to
+        const formatted = interview
+            ? voiceInterviewService.formatForParsing(transcriptionResult.clips)
+            : voiceTranscriptionService.formatTranscriptionForParsing(
+                transcriptionResult.text,
+                {
+                    resumeId,
+                    userId,
+                    transcriptionProvider: transcriptionResult.provider,
+                    language: transcriptionResult.language.code
+                }
+            );
 
         // Create a temporary text file for the parser
         // For S3 files, we'll create the temp file in the system temp directory
@@ -207,16 +505,28 @@ async function processVoiceResumeAsync(resumeId, audioFilePath, userId, isS3 = f
         await fs.writeFile(tempTextPath, formatted.formattedText, 'utf8');
 
         console.log('Step 3: Parsing transcribed text...');
-        const parseResult = await huggingFaceService.parseResume(tempTextPath);
+        // Parse in the transcript's language; the English headings added
+        // while formatting would otherwise count towards detection
+        const parseResult = await huggingFaceService.parseResume(tempTextPath, {
+            language: transcriptionResult.language.code
+        });
 
         if (!parseResult.success) {
             throw new Error(`Parsing failed: ${parseResult.error}`);
         }
 
+        // Similar resumes are only reported; the differences may be the point
+        const nearDuplicates = fingerprint
+            ? await duplicateResumeService.findNearDuplicates(resumeId, userId, fingerprint.simhash)
+            : [];
+
         // Update status to parsed
         await resumeStatusService.updateStatus(resumeId, 'parsed', {
             fieldsExtracted: Object.keys(parseResult.data).length,
-            hasBasicInfo: !!(parseResult.data.name && parseResult.data.email)
+            hasBasicInfo: !!(parseResult.data.name && parseResult.data.email),
+            ...(nearDuplicates.length > 0 && {
+                duplicate: { resumeId: nearDuplicates[0].id, match: 'near', similarity: nearDuplicates[0].similarity }
+            })
         });
         currentStage = 'parsed';
 
@@ -302,10 +612,25 @@ async function processVoiceResumeAsync(resumeId, audioFilePath, userId, isS3 = f
             sourceType: 'voice',
             storageType: isS3 ? 's3' : 'local',
             transcriptionQuality: transcriptionResult.quality,
-            originalAudioDuration: formatted.metadata?.duration,
+            originalAudioDuration: transcriptionResult.duration,
             detectedSections: formatted.detectedSections,
+            // Where in the recording each parsed field was said
+            transcriptEvidence: transcriptAlignmentService.align(enhancedParsedData, transcriptionResult.segments),
+            // The prompts answered, and the goals answer as careerGoals
+            ...(interview && voiceInterviewService.describeInterview(interview, transcriptionResult.clips)),
+            // How the transcript's language was determined, not the parser's hint
+            language: transcriptionResult.language,
             confidenceScore: confidenceData.overallScore,
             confidenceLevel: confidenceData.level.label,
+            // Every model that shaped this data, not just the parser's
+            parser: {
+                ...parseResult.data.parser,
+                models: {
+                    ...parseResult.data.parser.models,
+                    transcription: [transcriptionResult.provider, transcriptionResult.model].filter(Boolean).join(':'),
+                    ...(enhancedParsedData.enhanced ? { enhancement: huggingFaceResumeService.models } : {})
+                }
+            },
             processingSteps: {
                 transcribed: true,
                 parsed: true,
@@ -314,17 +639,26 @@ async function processVoiceResumeAsync(resumeId, audioFilePath, userId, isS3 = f
             }
         };
 
+        // The user's corrections win over the new parse until they are reset
+        const parsedData = await resumeOverrideService.applyOverrides(resumeId, finalEnhancedData);
+
         // Update database with enhanced parsed data
         await query(
             `UPDATE resumes
              SET parsed_data = $1,
+                 extracted_text = $2,
+                 parser_version = $3,
+                 language = $4,
                  parsed_at = NOW(),
-                 confidence_scores = $2,
+                 confidence_scores = $5,
                  processing_status = 'completed',
                  processing_completed_at = NOW()
-             WHERE id = $3 AND user_id = $4`,
+             WHERE id = $6 AND user_id = $7`,
             [
-                JSON.stringify(finalEnhancedData),
+                JSON.stringify(parsedData),
+                piiService.forStorage(parseResult.extractedText),
+                parseResult.data.parser.version,
+                transcriptionResult.language.code,
                 JSON.stringify(confidenceData),
                 resumeId,
                 userId
@@ -361,31 +695,39 @@ async function processVoiceResumeAsync(resumeId, audioFilePath, userId, isS3 = f
     } catch (error) {
         console.error(`Error processing voice resume ID ${resumeId}:`, error);
 
-        // Update status to failed
-        await resumeStatusService.updateStatus(resumeId, 'failed', {
-            error: error.message,
-            failedAtStage: currentStage,
-            canRetry: true
-        });
+        try {
+            // Update status to failed
+            await resumeStatusService.updateStatus(resumeId, 'failed', {
+                error: error.message,
+                failedAtStage: currentStage,
+                canRetry: true
+            });
 
-        // Store error state
-        await query(
-            `UPDATE resumes
-             SET parsed_data = $1,
-                 parsed_at = NOW(),
-                 processing_status = 'failed'
-             WHERE id = $2 AND user_id = $3`,
-            [
-                JSON.stringify({
-                    error: error.message,
-                    attempted: true,
-                    stage: currentStage,
-                    timestamp: new Date().toISOString()
-                }),
-                resumeId,
-                userId
-            ]
-        );
+            // Store error state
+            if (!options.preserveParsedData) {
+                await query(
+                    `UPDATE resumes
+                     SET parsed_data = $1,
+                         parsed_at = NOW(),
+                         processing_status = 'failed'
+                     WHERE id = $2 AND user_id = $3`,
+                    [
+                        JSON.stringify({
+                            error: error.message,
+                            attempted: true,
+                            stage: currentStage,
+                            timestamp: new Date().toISOString()
+                        }),
+                        resumeId,
+                        userId
+                    ]
+                );
+            }
+        } catch (statusError) {
+            console.error(`Error recording failure for voice resume ${resumeId}:`, statusError);
+        }
+
+        throw error;
     } finally {
         // Clean up temporary file if it was created
         if (tempTextPath) {
@@ -403,10 +745,13 @@ async function processVoiceResumeAsync(resumeId, audioFilePath, userId, isS3 = f
 /**
  * Get transcription for a voice resume
  * Enhanced to include confidence scores and processing status
+ * With ?redact=true, PII in the transcript and parsed data is replaced by
+ * placeholders, for sharing.
  */
 async function getVoiceResumeTranscription(req, res) {
     try {
         const resumeId = req.params.id;
+        const redact = req.query.redact === 'true';
 
         const result = await query(
             `SELECT 
@@ -465,6 +810,11 @@ async function getVoiceResumeTranscription(req, res) {
             }
         }
 
+        if (redact) {
+            transcriptionData = piiService.redactDeep(transcriptionData);
+            parsedData = piiService.redactParsedData(parsedData);
+        }
+
         res.json({
             success: true,
             data: {
@@ -475,6 +825,7 @@ async function getVoiceResumeTranscription(req, res) {
                 transcription: transcriptionData,
                 confidence: confidenceData,
                 parsedData: parsedData,
+                ...(redact && { redacted: true }),
                 isComplete: resume.processing_status === 'completed',
                 storageType: parsedData?.storageType || 'unknown'
             }
@@ -491,6 +842,8 @@ async function getVoiceResumeTranscription(req, res) {
 
 module.exports = {
     uploadVoiceResume,
+    getInterviewScript,
+    uploadVoiceInterview,
     getVoiceResumeTranscription,
     processVoiceResumeAsync  // Exported for retry functionality
 };
\ No newline at end of file
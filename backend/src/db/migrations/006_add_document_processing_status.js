@@ -0,0 +1,97 @@
+const { query } = require('../../config/database');
+
+/**
+ * This migration lets document resumes go through the same status state machine
+ * as voice resumes (uploaded -> parsing -> parsed -> completed).
+ *
+ * 1. Adds the error_message column the resume controller already reads and writes.
+ *
+ * 2. Recreates update_resume_status() with an INTEGER resume id. Migration 004
+ *    declared the parameter as UUID, but resumes.id is a SERIAL, so the function
+ *    could not be called for any resume on a freshly migrated database.
+ */
+
+async function up() {
+    console.log('Starting migration: 006_add_document_processing_status');
+
+    try {
+        console.log('Adding error_message column...');
+        await query(`
+            ALTER TABLE resumes
+            ADD COLUMN IF NOT EXISTS error_message TEXT
+        `);
+        console.log('✓ error_message column ready');
+
+        console.log('Recreating update_resume_status with an integer resume id...');
+        await query('DROP FUNCTION IF EXISTS update_resume_status(UUID, resume_processing_status, JSONB)');
+        await query(`
+            CREATE OR REPLACE FUNCTION update_resume_status(
+                p_resume_id INTEGER,
+                p_new_status resume_processing_status,
+                p_metadata JSONB DEFAULT '{}'::jsonb
+            )
+            RETURNS void AS $$
+            DECLARE
+                v_current_status resume_processing_status;
+                v_status_history JSONB;
+            BEGIN
+                SELECT processing_status, COALESCE(status_history, '[]'::jsonb)
+                INTO v_current_status, v_status_history
+                FROM resumes
+                WHERE id = p_resume_id;
+
+                IF NOT FOUND THEN
+                    RAISE EXCEPTION 'Resume % not found', p_resume_id;
+                END IF;
+
+                UPDATE resumes
+                SET
+                    processing_status = p_new_status,
+                    last_status_update = NOW(),
+                    status_history = v_status_history || jsonb_build_array(
+                        jsonb_build_object(
+                            'from_status', COALESCE(v_current_status::text, 'unknown'),
+                            'to_status', p_new_status::text,
+                            'timestamp', NOW(),
+                            'metadata', p_metadata
+                        )
+                    ),
+                    processing_metadata = COALESCE(processing_metadata, '{}'::jsonb) || p_metadata,
+                    processing_started_at = CASE
+                        WHEN processing_started_at IS NULL AND v_current_status = 'uploaded'
+                        THEN NOW()
+                        ELSE processing_started_at
+                    END,
+                    processing_completed_at = CASE
+                        WHEN p_new_status IN ('completed', 'failed') THEN NOW()
+                        ELSE processing_completed_at
+                    END
+                WHERE id = p_resume_id;
+            END;
+            $$ LANGUAGE plpgsql
+        `);
+        console.log('✓ Status update function recreated');
+
+        console.log('\n✅ Migration 006_add_document_processing_status completed successfully!');
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        throw error;
+    }
+}
+
+async function down() {
+    console.log('Rolling back migration: 006_add_document_processing_status');
+
+    try {
+        // The UUID variant from migration 004 was never callable, so it is not restored
+        await query('DROP FUNCTION IF EXISTS update_resume_status(INTEGER, resume_processing_status, JSONB)');
+        await query('ALTER TABLE resumes DROP COLUMN IF EXISTS error_message');
+        console.log('✅ Rollback completed successfully');
+    } catch (error) {
+        console.error('❌ Rollback failed:', error);
+        throw error;
+    }
+}
+
+module.exports = { up, down };
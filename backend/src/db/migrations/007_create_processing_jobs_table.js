@@ -0,0 +1,81 @@
+const { query } = require('../../config/database');
+
+/**
+ * This migration creates the processing_jobs table, a Postgres-backed queue
+ * for resume parsing and voice processing. Jobs are claimed by worker
+ * processes (src/worker.js) with a time-limited lease, so a job whose worker
+ * dies mid-run is picked up again once the lease expires.
+ *
+ * Job lifecycle:
+ *   queued  -> running -> completed
+ *   running -> queued (failed attempt, retried after run_at)
+ *   running -> dead   (attempts exhausted; kept for inspection)
+ */
+
+async function up() {
+    console.log('Starting migration: 007_create_processing_jobs_table');
+
+    try {
+        console.log('Creating processing_jobs table...');
+        await query(`
+            CREATE TABLE IF NOT EXISTS processing_jobs (
+                id SERIAL PRIMARY KEY,
+                type VARCHAR(50) NOT NULL,
+                resume_id INTEGER REFERENCES resumes(id) ON DELETE CASCADE,
+                payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+                status VARCHAR(20) NOT NULL DEFAULT 'queued'
+                    CHECK (status IN ('queued', 'running', 'completed', 'dead')),
+                attempts INTEGER NOT NULL DEFAULT 0,
+                max_attempts INTEGER NOT NULL DEFAULT 3,
+                run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                locked_by VARCHAR(255),
+                locked_until TIMESTAMP,
+                last_error TEXT,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                completed_at TIMESTAMP
+            )
+        `);
+        console.log('✓ processing_jobs table created');
+
+        console.log('Creating indexes...');
+        // Workers poll for the oldest runnable job
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_processing_jobs_runnable
+            ON processing_jobs(status, run_at)
+        `);
+        // Expired leases are reclaimed from running jobs
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_processing_jobs_lease
+            ON processing_jobs(locked_until)
+            WHERE status = 'running'
+        `);
+        // At most one active job per resume
+        await query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_processing_jobs_active_resume
+            ON processing_jobs(resume_id)
+            WHERE status IN ('queued', 'running')
+        `);
+        console.log('✓ Indexes created');
+
+        console.log('\n✅ Migration 007_create_processing_jobs_table completed successfully!');
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        throw error;
+    }
+}
+
+async function down() {
+    console.log('Rolling back migration: 007_create_processing_jobs_table');
+
+    try {
+        await query('DROP TABLE IF EXISTS processing_jobs CASCADE');
+        console.log('✅ Rollback completed successfully');
+    } catch (error) {
+        console.error('❌ Rollback failed:', error);
+        throw error;
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,55 @@
+const { query } = require('../../config/database');
+
+/**
+ * This migration creates the ai_inference_cache table, which stores model
+ * outputs keyed by a hash of the model, task and input. Repeated skills and
+ * re-parses of the same resume are answered from here instead of calling
+ * the model again.
+ */
+
+async function up() {
+    console.log('Starting migration: 008_create_ai_inference_cache');
+
+    try {
+        console.log('Creating ai_inference_cache table...');
+        await query(`
+            CREATE TABLE IF NOT EXISTS ai_inference_cache (
+                cache_key CHAR(64) PRIMARY KEY,
+                model VARCHAR(255) NOT NULL,
+                task VARCHAR(100) NOT NULL,
+                output JSONB NOT NULL,
+                hit_count INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                last_used_at TIMESTAMP NOT NULL DEFAULT NOW()
+            )
+        `);
+        console.log('✓ ai_inference_cache table created');
+
+        // Used to prune entries that have not been read for a while
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_ai_inference_cache_last_used
+            ON ai_inference_cache(last_used_at)
+        `);
+        console.log('✓ Indexes created');
+
+        console.log('\n✅ Migration 008_create_ai_inference_cache completed successfully!');
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        throw error;
+    }
+}
+
+async function down() {
+    console.log('Rolling back migration: 008_create_ai_inference_cache');
+
+    try {
+        await query('DROP TABLE IF EXISTS ai_inference_cache');
+        console.log('✅ Rollback completed successfully');
+    } catch (error) {
+        console.error('❌ Rollback failed:', error);
+        throw error;
+    }
+}
+
+module.exports = { up, down };
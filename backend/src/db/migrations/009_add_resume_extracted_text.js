@@ -0,0 +1,41 @@
+const { query } = require('../../config/database');
+
+/**
+ * This migration adds the extracted_text column to resumes: the normalized
+ * text the parser read. Each parsed field records its character offsets in
+ * this text (parsed_data->'fieldProvenance'), so the resume detail page can
+ * highlight where a value came from.
+ */
+
+async function up() {
+    console.log('Starting migration: 009_add_resume_extracted_text');
+
+    try {
+        console.log('Adding extracted_text column...');
+        await query(`
+            ALTER TABLE resumes
+            ADD COLUMN IF NOT EXISTS extracted_text TEXT
+        `);
+        console.log('✓ extracted_text column ready');
+
+        console.log('\n✅ Migration 009_add_resume_extracted_text completed successfully!');
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        throw error;
+    }
+}
+
+async function down() {
+    console.log('Rolling back migration: 009_add_resume_extracted_text');
+
+    try {
+        await query('ALTER TABLE resumes DROP COLUMN IF EXISTS extracted_text');
+        console.log('✅ Rollback completed successfully');
+    } catch (error) {
+        console.error('❌ Rollback failed:', error);
+        throw error;
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,84 @@
+const { query } = require('../../config/database');
+
+/**
+ * This migration adds user corrections to parsed resume data.
+ *
+ * 1. resume_field_overrides holds the user's current value for each corrected
+ *    field, next to the value the parser produced (machine_value). Overrides
+ *    are applied on top of every new parse, so they survive a reparse until
+ *    the user resets them. Together the two columns form a dataset of
+ *    corrected examples for evaluating the parser.
+ *
+ * 2. resume_field_revisions records every change (override or reset) with
+ *    the value before and after, as the field's edit history.
+ */
+
+async function up() {
+    console.log('Starting migration: 010_create_resume_field_overrides');
+
+    try {
+        console.log('Creating resume_field_overrides table...');
+        await query(`
+            CREATE TABLE IF NOT EXISTS resume_field_overrides (
+                resume_id INTEGER NOT NULL REFERENCES resumes(id) ON DELETE CASCADE,
+                field VARCHAR(100) NOT NULL,
+                value JSONB,
+                machine_value JSONB,
+                user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (resume_id, field)
+            )
+        `);
+        console.log('✓ resume_field_overrides table created');
+
+        console.log('Creating resume_field_revisions table...');
+        await query(`
+            CREATE TABLE IF NOT EXISTS resume_field_revisions (
+                id SERIAL PRIMARY KEY,
+                resume_id INTEGER NOT NULL REFERENCES resumes(id) ON DELETE CASCADE,
+                field VARCHAR(100) NOT NULL,
+                action VARCHAR(20) NOT NULL CHECK (action IN ('override', 'reset')),
+                previous_value JSONB,
+                new_value JSONB,
+                user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW()
+            )
+        `);
+        console.log('✓ resume_field_revisions table created');
+
+        console.log('Creating indexes...');
+        // Edit history is read newest first for one resume
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_resume_field_revisions_resume
+            ON resume_field_revisions(resume_id, created_at DESC)
+        `);
+        // The corrections export filters by when fields were corrected
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_resume_field_overrides_updated
+            ON resume_field_overrides(updated_at)
+        `);
+        console.log('✓ Indexes created');
+
+        console.log('\n✅ Migration 010_create_resume_field_overrides completed successfully!');
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        throw error;
+    }
+}
+
+async function down() {
+    console.log('Rolling back migration: 010_create_resume_field_overrides');
+
+    try {
+        await query('DROP TABLE IF EXISTS resume_field_revisions CASCADE');
+        await query('DROP TABLE IF EXISTS resume_field_overrides CASCADE');
+        console.log('✅ Rollback completed successfully');
+    } catch (error) {
+        console.error('❌ Rollback failed:', error);
+        throw error;
+    }
+}
+
+module.exports = { up, down };
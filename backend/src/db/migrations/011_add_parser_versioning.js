@@ -0,0 +1,78 @@
+const { query } = require('../../config/database');
+
+/**
+ * This migration records which parser version produced each resume's
+ * parsed data, so resumes parsed by older versions can be found and
+ * re-queued in bulk.
+ *
+ * 1. resumes.parser_version mirrors parsed_data->'parser'->>'version'.
+ *    Resumes parsed before versioning keep NULL and count as stale.
+ *
+ * 2. reparse_runs records each bulk reparse: the filters it was started
+ *    with, the version it targets and how many resumes it queued. Its jobs
+ *    carry the run id in their payload (reparseRunId), which is indexed so
+ *    progress can be counted per run.
+ */
+
+async function up() {
+    console.log('Starting migration: 011_add_parser_versioning');
+
+    try {
+        console.log('Adding parser_version column...');
+        await query(`
+            ALTER TABLE resumes
+            ADD COLUMN IF NOT EXISTS parser_version VARCHAR(50)
+        `);
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_resumes_parser_version
+            ON resumes(parser_version)
+        `);
+        console.log('✓ parser_version column ready');
+
+        console.log('Creating reparse_runs table...');
+        await query(`
+            CREATE TABLE IF NOT EXISTS reparse_runs (
+                id SERIAL PRIMARY KEY,
+                target_version VARCHAR(50) NOT NULL,
+                filters JSONB NOT NULL DEFAULT '{}',
+                matched INTEGER NOT NULL DEFAULT 0,
+                queued INTEGER NOT NULL DEFAULT 0,
+                skipped INTEGER NOT NULL DEFAULT 0,
+                requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW()
+            )
+        `);
+        console.log('✓ reparse_runs table created');
+
+        console.log('Creating index on reparse jobs...');
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_processing_jobs_reparse_run
+            ON processing_jobs ((payload->>'reparseRunId'))
+            WHERE payload ? 'reparseRunId'
+        `);
+        console.log('✓ Index created');
+
+        console.log('\n✅ Migration 011_add_parser_versioning completed successfully!');
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        throw error;
+    }
+}
+
+async function down() {
+    console.log('Rolling back migration: 011_add_parser_versioning');
+
+    try {
+        await query('DROP INDEX IF EXISTS idx_processing_jobs_reparse_run');
+        await query('DROP TABLE IF EXISTS reparse_runs CASCADE');
+        await query('DROP INDEX IF EXISTS idx_resumes_parser_version');
+        await query('ALTER TABLE resumes DROP COLUMN IF EXISTS parser_version');
+        console.log('✅ Rollback completed successfully');
+    } catch (error) {
+        console.error('❌ Rollback failed:', error);
+        throw error;
+    }
+}
+
+module.exports = { up, down };
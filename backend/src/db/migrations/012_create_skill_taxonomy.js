@@ -0,0 +1,53 @@
+const { query } = require('../../config/database');
+
+/**
+ * This migration adds the skill_taxonomy table: skills added by admins on
+ * top of the built-in taxonomy in data/skill-taxonomy.json.
+ *
+ * Each row is a canonical skill with its aliases, category and related
+ * skills. A row whose name matches a built-in skill extends it (its aliases
+ * and related skills are added, its category wins).
+ */
+
+async function up() {
+    console.log('Starting migration: 012_create_skill_taxonomy');
+
+    try {
+        console.log('Creating skill_taxonomy table...');
+        await query(`
+            CREATE TABLE IF NOT EXISTS skill_taxonomy (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                normalized_name VARCHAR(100) NOT NULL UNIQUE,
+                aliases TEXT[] NOT NULL DEFAULT '{}',
+                category VARCHAR(100),
+                related TEXT[] NOT NULL DEFAULT '{}',
+                match_case TEXT[] NOT NULL DEFAULT '{}',
+                created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+            )
+        `);
+        console.log('✓ skill_taxonomy table created');
+
+        console.log('\n✅ Migration 012_create_skill_taxonomy completed successfully!');
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        throw error;
+    }
+}
+
+async function down() {
+    console.log('Rolling back migration: 012_create_skill_taxonomy');
+
+    try {
+        await query('DROP TABLE IF EXISTS skill_taxonomy CASCADE');
+        console.log('✅ Rollback completed successfully');
+    } catch (error) {
+        console.error('❌ Rollback failed:', error);
+        throw error;
+    }
+}
+
+module.exports = { up, down };
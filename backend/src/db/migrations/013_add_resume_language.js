@@ -0,0 +1,56 @@
+const { query } = require('../../config/database');
+
+/**
+ * This migration records the language of each resume.
+ *
+ * 1. language is the language the resume was parsed in (detected from its
+ *    text or transcript, or taken from the hint), e.g. 'es'. It mirrors
+ *    parsed_data->'language'->>'code'.
+ *
+ * 2. language_hint is the language the user said the resume is in at
+ *    upload, if any. It is passed to transcription and parsing again
+ *    whenever the resume is reprocessed.
+ */
+
+async function up() {
+    console.log('Starting migration: 013_add_resume_language');
+
+    try {
+        console.log('Adding language columns...');
+        await query(`
+            ALTER TABLE resumes
+            ADD COLUMN IF NOT EXISTS language VARCHAR(10),
+            ADD COLUMN IF NOT EXISTS language_hint VARCHAR(10)
+        `);
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_resumes_language
+            ON resumes(language)
+        `);
+        console.log('✓ language columns ready');
+
+        console.log('\n✅ Migration 013_add_resume_language completed successfully!');
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        throw error;
+    }
+}
+
+async function down() {
+    console.log('Rolling back migration: 013_add_resume_language');
+
+    try {
+        await query('DROP INDEX IF EXISTS idx_resumes_language');
+        await query(`
+            ALTER TABLE resumes
+            DROP COLUMN IF EXISTS language,
+            DROP COLUMN IF EXISTS language_hint
+        `);
+        console.log('✅ Rollback completed successfully');
+    } catch (error) {
+        console.error('❌ Rollback failed:', error);
+        throw error;
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,73 @@
+const { query } = require('../../config/database');
+
+/**
+ * This migration adds what duplicate detection needs.
+ *
+ * 1. content_hash is the SHA-256 of the uploaded file. A second upload of the
+ *    same file by the same user can reuse or link to the first one's parse
+ *    instead of being parsed again.
+ *
+ * 2. text_hash is the SHA-256 of the normalized extracted text (or
+ *    transcript), which catches the same resume exported to a new file.
+ *    text_simhash is a 64-bit SimHash of the text (16 hex digits), used to
+ *    find near-duplicates such as a resume with one line edited.
+ *
+ * 3. duplicate_of points at the resume this one duplicates, if any.
+ */
+
+async function up() {
+    console.log('Starting migration: 014_add_resume_duplicate_detection');
+
+    try {
+        console.log('Adding duplicate detection columns...');
+        await query(`
+            ALTER TABLE resumes
+            ADD COLUMN IF NOT EXISTS content_hash CHAR(64),
+            ADD COLUMN IF NOT EXISTS text_hash CHAR(64),
+            ADD COLUMN IF NOT EXISTS text_simhash CHAR(16),
+            ADD COLUMN IF NOT EXISTS duplicate_of INTEGER REFERENCES resumes(id) ON DELETE SET NULL
+        `);
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_resumes_user_content_hash
+            ON resumes(user_id, content_hash)
+        `);
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_resumes_user_text_hash
+            ON resumes(user_id, text_hash)
+        `);
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_resumes_duplicate_of
+            ON resumes(duplicate_of)
+        `);
+        console.log('✓ duplicate detection columns ready');
+
+        console.log('\n✅ Migration 014_add_resume_duplicate_detection completed successfully!');
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        throw error;
+    }
+}
+
+async function down() {
+    console.log('Rolling back migration: 014_add_resume_duplicate_detection');
+
+    try {
+        await query('DROP INDEX IF EXISTS idx_resumes_duplicate_of');
+        await query('DROP INDEX IF EXISTS idx_resumes_user_text_hash');
+        await query('DROP INDEX IF EXISTS idx_resumes_user_content_hash');
+        await query(`
+            ALTER TABLE resumes
+            DROP COLUMN IF EXISTS content_hash,
+            DROP COLUMN IF EXISTS text_hash,
+            DROP COLUMN IF EXISTS text_simhash,
+            DROP COLUMN IF EXISTS duplicate_of
+        `);
+        console.log('✅ Rollback completed successfully');
+    } catch (error) {
+        console.error('❌ Rollback failed:', error);
+        throw error;
+    }
+}
+
+module.exports = { up, down };
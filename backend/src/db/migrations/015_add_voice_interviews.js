@@ -0,0 +1,45 @@
+const { query } = require('../../config/database');
+
+/**
+ * This migration adds guided voice interviews.
+ *
+ * A guided voice resume is one clip per interview prompt rather than one
+ * recording. resumes.interview lists the clips: which prompt each answers
+ * (id, section and the text asked), where it is stored, its size and type,
+ * and the script version. file_path keeps pointing at the first clip, so
+ * code that expects one file per resume still finds one. Free-form voice
+ * resumes and documents leave it NULL.
+ */
+
+async function up() {
+    console.log('Starting migration: 015_add_voice_interviews');
+
+    try {
+        console.log('Adding interview column to resumes...');
+        await query(`
+            ALTER TABLE resumes
+            ADD COLUMN IF NOT EXISTS interview JSONB
+        `);
+        console.log('✓ resumes.interview ready');
+
+        console.log('\n✅ Migration 015_add_voice_interviews completed successfully!');
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        throw error;
+    }
+}
+
+async function down() {
+    console.log('Rolling back migration: 015_add_voice_interviews');
+
+    try {
+        await query('ALTER TABLE resumes DROP COLUMN IF EXISTS interview');
+        console.log('✅ Rollback completed successfully');
+    } catch (error) {
+        console.error('❌ Rollback failed:', error);
+        throw error;
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,111 @@
+// Job Worker
+// File: src/jobs/jobWorker.js
+//
+// Polls the processing_jobs queue and runs one job at a time. While a job
+// runs, its lease is extended periodically; if this process dies, the lease
+// expires and another worker picks the job up. Run more worker processes to
+// process more jobs in parallel.
+
+const os = require('os');
+const jobQueueService = require('../services/jobQueueService');
+
+class JobWorker {
+    /**
+     * @param {Object} handlers - Map of job type to async handler(job)
+     * @param {Object} options - {workerId, pollIntervalMs}
+     */
+    constructor(handlers, options = {}) {
+        this.handlers = handlers;
+        this.workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+        this.pollIntervalMs = options.pollIntervalMs ||
+            parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+
+        this.running = false;
+        this.loop = null;
+        this.wake = null;
+    }
+
+    start() {
+        if (this.running) return;
+
+        this.running = true;
+        console.log(`👷 Job worker ${this.workerId} started (${Object.keys(this.handlers).join(', ')})`);
+        this.loop = this.run();
+    }
+
+    /**
+     * Stop claiming new jobs and wait for the current one to finish
+     */
+    async stop() {
+        if (!this.running) return;
+
+        this.running = false;
+        if (this.wake) this.wake();
+        await this.loop;
+        console.log(`👷 Job worker ${this.workerId} stopped`);
+    }
+
+    async run() {
+        const types = Object.keys(this.handlers);
+
+        while (this.running) {
+            let job = null;
+
+            try {
+                job = await jobQueueService.claimNext(this.workerId, types);
+            } catch (error) {
+                console.error('❌ Failed to claim a job:', error.message);
+            }
+
+            if (job) {
+                await this.process(job);
+            } else {
+                await this.sleep(this.pollIntervalMs);
+            }
+        }
+    }
+
+    async process(job) {
+        console.log(`▶️  Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+        const startTime = Date.now();
+
+        // Keep the lease alive while the handler runs
+        const heartbeat = setInterval(() => {
+            jobQueueService.extendLease(job, this.workerId).catch(error => {
+                console.error(`Failed to extend lease on job ${job.id}:`, error.message);
+            });
+        }, Math.max(1000, Math.floor(jobQueueService.leaseMs / 3)));
+
+        try {
+            await this.handlers[job.type](job);
+            await jobQueueService.complete(job);
+            console.log(`✓ Job ${job.id} completed in ${Date.now() - startTime}ms`);
+        } catch (error) {
+            console.error(`Job ${job.id} failed:`, error.message);
+
+            try {
+                const outcome = await jobQueueService.fail(job, error);
+                if (!outcome.dead) {
+                    console.log(`↻ Job ${job.id} will retry in ${Math.round(outcome.retryInMs / 1000)}s`);
+                }
+            } catch (queueError) {
+                // The lease will expire and the job will be picked up again
+                console.error(`Failed to record failure of job ${job.id}:`, queueError.message);
+            }
+        } finally {
+            clearInterval(heartbeat);
+        }
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            this.wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    }
+}
+
+module.exports = JobWorker;
@@ -0,0 +1,67 @@
+// Resume Job Handlers
+// File: src/jobs/resumeJobs.js
+//
+// Maps each queued job type to the processing function it runs. Handlers
+// throw on failure so the queue can retry or dead-letter the job; the
+// processing functions record the failure on the resume themselves.
+
+const { query } = require('../config/database');
+const { JOB_TYPES } = require('../services/jobQueueService');
+const resumeStatusService = require('../services/resumeStatusService');
+const { parseResumeAsync } = require('../controllers/resumeController');
+const { processVoiceResumeAsync } = require('../controllers/voiceResumeController');
+
+// Statuses a resume can start (or restart) processing from
+const STARTABLE_STATUSES = ['uploaded', 'failed'];
+
+/**
+ * Make sure the resume can enter the state machine again
+ * An attempt that was interrupted (worker restart, expired lease) leaves the
+ * resume in an intermediate status, from which no transition is valid.
+ */
+async function prepareResume(job) {
+    const result = await query(
+        'SELECT processing_status FROM resumes WHERE id = $1',
+        [job.resume_id]
+    );
+
+    if (result.rows.length === 0) {
+        throw new Error(`Resume ${job.resume_id} no longer exists`);
+    }
+
+    const status = result.rows[0].processing_status;
+    if (!STARTABLE_STATUSES.includes(status)) {
+        await resumeStatusService.resetStatus(job.resume_id, {
+            jobId: job.id,
+            attempt: job.attempts,
+            interruptedAt: status
+        });
+    }
+}
+
+const handlers = {
+    [JOB_TYPES.PARSE_RESUME]: async (job) => {
+        const { filePath, userId, mimeType, languageHint, preserveParsedData, freshParse } = job.payload;
+
+        await prepareResume(job);
+        await parseResumeAsync(job.resume_id, filePath, userId, {
+            mimeType,
+            languageHint,
+            preserveParsedData,
+            freshParse
+        });
+    },
+
+    [JOB_TYPES.PROCESS_VOICE_RESUME]: async (job) => {
+        const { audioFilePath, userId, isS3, languageHint, preserveParsedData, reuseTranscript } = job.payload;
+
+        await prepareResume(job);
+        await processVoiceResumeAsync(job.resume_id, audioFilePath, userId, isS3, {
+            languageHint,
+            preserveParsedData,
+            reuseTranscript
+        });
+    }
+};
+
+module.exports = handlers;
@@ -131,7 +131,31 @@ async function optionalAuth(req, res, next) {
   }
 }
 
+/**
+ * Admin authorization middleware
+ *
+ * Must run after authenticate. Admins are the users whose email appears in
+ * the comma-separated ADMIN_EMAILS environment variable; with no admins
+ * configured, every admin route is closed.
+ */
+function requireAdmin(req, res, next) {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.user || !adminEmails.includes(req.user.email.toLowerCase())) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required'
+    });
+  }
+
+  next();
+}
+
 module.exports = {
   authenticate,
-  optionalAuth
+  optionalAuth,
+  requireAdmin
 };
\ No newline at end of file
@@ -0,0 +1,389 @@
+// Admin Routes
+// File: src/routes/adminRoutes.js
+//
+// Operational endpoints for administrators (see ADMIN_EMAILS)
+
+const express = require('express');
+const router = express.Router();
+
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const stuckResumeSweeper = require('../services/stuckResumeSweeper');
+const aiHttpClient = require('../services/ai/aiHttpClient');
+const resumeOverrideService = require('../services/resumeOverrideService');
+const bulkReparseService = require('../services/bulkReparseService');
+const skillTaxonomyService = require('../services/skillTaxonomyService');
+const blindResumeService = require('../services/blindResumeService');
+
+// Every admin route requires an authenticated admin
+router.use(authenticate, requireAdmin);
+
+// "30" -> 30; anything else falls back to the sweeper's configured threshold
+function parseThreshold(value) {
+    const minutes = parseInt(value, 10);
+    return minutes > 0 ? minutes : undefined;
+}
+
+// Validation errors go back to the client; anything else is logged
+function sendError(res, error, fallbackMessage) {
+    if (error.isOperational && error.statusCode && error.statusCode < 500) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+/**
+ * GET /api/v1/admin/resumes/stuck
+ * List resumes that stopped progressing, without changing them
+ *
+ * Query: thresholdMinutes (optional)
+ */
+router.get('/resumes/stuck', async (req, res) => {
+    try {
+        const thresholdMinutes = parseThreshold(req.query.thresholdMinutes) || stuckResumeSweeper.thresholdMinutes;
+        const stuck = await stuckResumeSweeper.findStuck({ thresholdMinutes });
+
+        res.json({
+            success: true,
+            data: {
+                thresholdMinutes,
+                count: stuck.length,
+                resumes: stuck.map(resume => stuckResumeSweeper.describe(resume))
+            }
+        });
+    } catch (error) {
+        console.error('Error finding stuck resumes:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to find stuck resumes'
+        });
+    }
+});
+
+/**
+ * POST /api/v1/admin/resumes/sweep
+ * Mark stuck resumes as failed, optionally queueing them again
+ *
+ * Body: { thresholdMinutes?, requeue?, dryRun? }
+ */
+router.post('/resumes/sweep', async (req, res) => {
+    try {
+        const { thresholdMinutes, requeue, dryRun } = req.body || {};
+
+        const result = await stuckResumeSweeper.sweep({
+            thresholdMinutes: parseThreshold(thresholdMinutes),
+            requeue: typeof requeue === 'boolean' ? requeue : undefined,
+            dryRun: dryRun === true
+        });
+
+        res.json({
+            success: true,
+            message: result.dryRun
+                ? `${result.swept.length} resume(s) would be marked failed`
+                : `${result.swept.length} stuck resume(s) marked failed`,
+            data: result
+        });
+    } catch (error) {
+        console.error('Error sweeping stuck resumes:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sweep stuck resumes'
+        });
+    }
+});
+
+/**
+ * GET /api/v1/admin/resumes/stale
+ * Resumes parsed by an older parser version, without changing them
+ *
+ * Query: userId, resumeType (document|voice), parsedBefore, parsedAfter,
+ *        limit (resumes listed, default 100) - all optional
+ */
+router.get('/resumes/stale', async (req, res) => {
+    try {
+        const filters = bulkReparseService.normalizeFilters(req.query);
+        const limit = Math.min(bulkReparseService.normalizeLimit(req.query.limit) || 100, 1000);
+
+        const [count, stale] = await Promise.all([
+            bulkReparseService.countStale(filters),
+            bulkReparseService.findStale(filters, { limit })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                parserVersion: bulkReparseService.getCurrentVersion(),
+                filters,
+                count,
+                resumes: stale.map(resume => bulkReparseService.describe(resume))
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to find stale resumes');
+    }
+});
+
+/**
+ * POST /api/v1/admin/resumes/reparse
+ * Queue every stale resume matching the filters to be parsed again with the
+ * current parser. Resumes keep their parsed data until the new parse
+ * replaces it. Follow progress with GET /reparse-runs/:id.
+ *
+ * Body: { userId?, resumeType?, parsedBefore?, parsedAfter?, limit?, dryRun? }
+ */
+router.post('/resumes/reparse', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const filters = bulkReparseService.normalizeFilters(body);
+
+        const result = await bulkReparseService.start(filters, {
+            limit: bulkReparseService.normalizeLimit(body.limit),
+            dryRun: body.dryRun === true,
+            requestedBy: req.user.id
+        });
+
+        if (result.dryRun) {
+            return res.json({
+                success: true,
+                message: `${result.matched} stale resume(s) would be reparsed`,
+                data: result
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: `Queued ${result.queued} stale resume(s) for reparsing`,
+            data: result
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to start bulk reparse');
+    }
+});
+
+/**
+ * GET /api/v1/admin/reparse-runs
+ * Recent bulk reparses with their progress
+ *
+ * Query: limit (default 20)
+ */
+router.get('/reparse-runs', async (req, res) => {
+    try {
+        const runs = await bulkReparseService.listRuns({ limit: req.query.limit });
+
+        res.json({
+            success: true,
+            data: { runs }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to list reparse runs');
+    }
+});
+
+/**
+ * GET /api/v1/admin/reparse-runs/:id
+ * Progress of one bulk reparse: its jobs by status and percent complete
+ */
+router.get('/reparse-runs/:id', async (req, res) => {
+    try {
+        const runId = parseInt(req.params.id, 10);
+        if (!(runId > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid reparse run id'
+            });
+        }
+
+        const progress = await bulkReparseService.getProgress(runId);
+
+        res.json({
+            success: true,
+            data: progress
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to get reparse progress');
+    }
+});
+
+/**
+ * GET /api/v1/admin/resumes/:id/blind
+ * Anonymized copy of any user's resume, for screening candidates without
+ * names, pronouns, school names, graduation years or contact details
+ */
+router.get('/resumes/:id/blind', async (req, res) => {
+    try {
+        const resumeId = parseInt(req.params.id, 10);
+        if (!(resumeId > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid resume id'
+            });
+        }
+
+        const blindResume = await blindResumeService.getBlindResume(resumeId);
+
+        res.json({
+            success: true,
+            data: blindResume
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to create blind resume');
+    }
+});
+
+/**
+ * GET /api/v1/admin/comparisons/:id/blind
+ * Anonymized copy of any stored resume-to-job comparison
+ */
+router.get('/comparisons/:id/blind', async (req, res) => {
+    try {
+        const comparisonId = parseInt(req.params.id, 10);
+        if (!(comparisonId > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid comparison id'
+            });
+        }
+
+        const blindComparison = await blindResumeService.getBlindComparison(comparisonId);
+
+        res.json({
+            success: true,
+            data: blindComparison
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to create blind comparison');
+    }
+});
+
+/**
+ * GET /api/v1/admin/skills
+ * The skill taxonomy: canonical names, aliases, categories and related
+ * skills, from the data file and admin additions
+ *
+ * Query: search (in names and aliases), category - both optional
+ */
+router.get('/skills', async (req, res) => {
+    try {
+        await skillTaxonomyService.ensureLoaded();
+        const skills = skillTaxonomyService.listSkills({
+            search: req.query.search,
+            category: req.query.category
+        });
+
+        res.json({
+            success: true,
+            data: {
+                count: skills.length,
+                skills
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to list skills');
+    }
+});
+
+/**
+ * POST /api/v1/admin/skills
+ * Add skills to the taxonomy. Posting an existing skill's name adds to its
+ * aliases and related skills, and replaces its category if one is given.
+ *
+ * Body: { name, aliases?, category?, related?, matchCase? }, or { skills: [...] }
+ *       matchCase lists names or aliases that only count as mentions when
+ *       written in exactly that case (e.g. "Go")
+ */
+router.post('/skills', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const inputs = Array.isArray(body.skills) ? body.skills : [body];
+
+        // Reject the whole request before saving any of it
+        inputs.forEach(input => skillTaxonomyService.validateSkill(input));
+
+        const skills = [];
+        for (const input of inputs) {
+            skills.push(await skillTaxonomyService.upsertSkill(input, req.user.id));
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Saved ${skills.length} skill(s)`,
+            data: { skills }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to save skills');
+    }
+});
+
+/**
+ * DELETE /api/v1/admin/skills/:name
+ * Remove a skill added by an admin, or the additions made to a built-in one
+ */
+router.delete('/skills/:name', async (req, res) => {
+    try {
+        const removed = await skillTaxonomyService.removeSkill(req.params.name);
+
+        res.json({
+            success: true,
+            message: `Removed ${removed.name}`,
+            data: removed
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to remove skill');
+    }
+});
+
+/**
+ * GET /api/v1/admin/ai/metrics
+ * Request, failure and retry counts plus circuit breaker state for each AI
+ * model this process has called since it started
+ */
+router.get('/ai/metrics', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            since: new Date(Date.now() - process.uptime() * 1000).toISOString(),
+            models: aiHttpClient.getMetrics()
+        }
+    });
+});
+
+/**
+ * GET /api/v1/admin/parser-corrections/export
+ * User corrections to parsed resumes as newline-delimited JSON, one line per
+ * resume: the extracted text, the corrected values (expected) and what the
+ * parser produced (machine). Used as labeled data for evaluating the parser.
+ *
+ * Query: since (optional ISO date) - only resumes corrected since then
+ */
+router.get('/parser-corrections/export', async (req, res) => {
+    try {
+        const since = req.query.since ? new Date(req.query.since) : null;
+        if (since && Number.isNaN(since.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'since must be a date'
+            });
+        }
+
+        const corrections = await resumeOverrideService.exportCorrections({ since });
+
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.setHeader('Content-Disposition', 'attachment; filename="parser-corrections.jsonl"');
+        res.send(corrections.map(example => JSON.stringify(example)).join('\n') + (corrections.length ? '\n' : ''));
+    } catch (error) {
+        console.error('Error exporting parser corrections:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export parser corrections'
+        });
+    }
+});
+
+module.exports = router;
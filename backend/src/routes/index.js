@@ -175,6 +175,7 @@ function autoDiscoverAndLoadRoutes() {
 function adjustMountPath(entityName) {
   // Handle special pluralization cases
   const specialCases = {
+    'admin': '/admin',
     'user': '/users',
     'resume': '/resumes',
     'profile': '/profiles',
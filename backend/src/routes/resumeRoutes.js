@@ -20,6 +20,10 @@ const resumeController = require('../controllers/resumeController.enhanced.compa
  * 3. Saves the file to disk
  * 4. Adds file info to req.file
  * 5. Passes control to the controller
+ *
+ * If the user uploaded the same file before, the optional onDuplicate field
+ * decides what happens: reuse (default) returns the existing resume, link
+ * creates a new resume with a copy of its parse, parse parses it again.
  */
 router.post(
     '/upload',
@@ -45,6 +49,8 @@ router.get(
  * This endpoint returns the AI-extracted information from a resume,
  * including name, email, skills, experience, and education.
  * It's useful for displaying the full parsed details on a resume detail page.
+ * ?redact=true replaces emails, phone numbers, addresses, dates of birth and
+ * ID numbers with placeholders, for sharing.
  */
 router.get(
     '/:id/parsed',
@@ -52,6 +58,62 @@ router.get(
     resumeController.getResumeParsedData
 );
 
+/**
+ * PATCH /api/v1/resume/:id/parsed
+ * Correct parsed fields
+ * 
+ * The body maps field names to corrected values. Corrections are stored
+ * separately from the parser's output, recorded in the edit history and
+ * re-applied after every reparse until they are reset.
+ */
+router.patch(
+    '/:id/parsed',
+    authenticate,
+    resumeController.updateParsedFields
+);
+
+/**
+ * DELETE /api/v1/resume/:id/parsed/:field
+ * Reset a corrected field to the value the parser produced
+ */
+router.delete(
+    '/:id/parsed/:field',
+    authenticate,
+    resumeController.resetParsedField
+);
+
+/**
+ * GET /api/v1/resume/:id/parsed/revisions
+ * Edit history of the resume's parsed fields, newest first
+ */
+router.get(
+    '/:id/parsed/revisions',
+    authenticate,
+    resumeController.getParsedDataRevisions
+);
+
+/**
+ * GET /api/v1/resume/:id/duplicates
+ * The user's other resumes with the same file or text (exact) or nearly the
+ * same text (near, with a similarity score)
+ */
+router.get(
+    '/:id/duplicates',
+    authenticate,
+    resumeController.getResumeDuplicates
+);
+
+/**
+ * GET /api/v1/resume/:id/blind
+ * Anonymized copy of a resume for bias-reduced screening: no name, pronouns,
+ * school names, graduation years or contact details
+ */
+router.get(
+    '/:id/blind',
+    authenticate,
+    resumeController.getBlindResume
+);
+
 /**
  * POST /api/v1/resume/:id/reparse
  * Trigger re-parsing of a resume
@@ -2,15 +2,29 @@
 // File: src/routes/voiceResumeRoutes.js
 const express = require('express');
 const router = express.Router();
-const path = require('path');
+
 const { authenticate } = require('../middleware/auth');
 const { voiceUpload } = require('../config/unifiedUploadConfig');
+const { MAX_AUDIO_SIZE } = require('../config/voiceUpload');
 const {
     uploadVoiceResume,
+    getInterviewScript,
+    uploadVoiceInterview,
     getVoiceResumeTranscription
 } = require('../controllers/voiceResumeController');
+const {
+    startLiveSession,
+    appendLiveChunk,
+    streamLiveTranscript,
+    finishLiveSession,
+    discardLiveSession
+} = require('../controllers/liveTranscriptionController');
+const voiceInterviewService = require('../services/voiceInterviewService');
 const resumeStatusService = require('../services/resumeStatusService');
+const jobQueueService = require('../services/jobQueueService');
+const { resolveStoredFilePath } = require('../utils/storagePaths');
 const resumeJobComparisonService = require('../services/resumeJobComparisonService');
+const blindResumeService = require('../services/blindResumeService');
 const { query } = require('../config/database');
 
 // Error handling middleware for multer
@@ -19,7 +33,7 @@ const handleMulterError = (err, req, res, next) => {
     if (err && err.code === 'LIMIT_FILE_SIZE') {
         return res.status(400).json({
             success: false,
-            message: 'File too large. Maximum size is 25MB.'
+            message: `File too large. Maximum size is ${Math.round(MAX_AUDIO_SIZE / 1024 / 1024)}MB.`
         });
     } else if (err) {
         return res.status(400).json({
@@ -38,11 +52,135 @@ router.post('/upload-voice',
     uploadVoiceResume
 );
 
+// Guided interview: the prompts, then one clip per prompt answered
+router.get('/interview/script',
+    authenticate,
+    getInterviewScript
+);
+
+router.post('/upload-interview',
+    authenticate,
+    voiceUpload.array('clips', voiceInterviewService.script.prompts.length),
+    handleMulterError,
+    uploadVoiceInterview
+);
+
+// Live transcription while recording: open a session, send the recorder's
+// chunks as raw audio, and follow the transcript on the event stream
+router.post('/live',
+    authenticate,
+    startLiveSession
+);
+
+router.post('/live/:sessionId/chunks',
+    authenticate,
+    express.raw({ type: () => true, limit: '10mb' }),
+    appendLiveChunk
+);
+
+router.get('/live/:sessionId/events',
+    authenticate,
+    streamLiveTranscript
+);
+
+router.post('/live/:sessionId/finish',
+    authenticate,
+    finishLiveSession
+);
+
+router.delete('/live/:sessionId',
+    authenticate,
+    discardLiveSession
+);
+
 router.get('/:id/transcription',
     authenticate,
     getVoiceResumeTranscription
 );
 
+/**
+ * Stream a voice resume's recording
+ * Supports Range requests, so the voice resume page can seek to the spans
+ * in parsed_data.transcriptEvidence without downloading the whole file.
+ * For a guided interview, ?clip=<promptId> picks the answer (default: the first).
+ */
+router.get('/:id/audio', authenticate, async (req, res) => {
+    try {
+        const result = await query(
+            `SELECT id, file_path, mime_type, interview
+             FROM resumes
+             WHERE id = $1 AND user_id = $2 AND resume_type = 'voice'`,
+            [req.params.id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Resume not found or access denied'
+            });
+        }
+
+        const resume = result.rows[0];
+        let storedPath = resume.file_path;
+        let mimeType = resume.mime_type;
+
+        if (req.query.clip) {
+            const clip = resume.interview?.clips.find(answer => answer.promptId === req.query.clip);
+            if (!clip) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Interview answer not found'
+                });
+            }
+            storedPath = clip.storagePath;
+            mimeType = clip.mimeType;
+        }
+
+        const { filePath, isS3 } = resolveStoredFilePath(storedPath);
+        res.set('Cache-Control', 'private, max-age=3600');
+
+        if (isS3) {
+            // The bucket is private, so the object is passed through rather than linked to
+            const { GetObjectCommand } = require('@aws-sdk/client-s3');
+            const { s3Client } = require('../config/s3Upload');
+            const key = storedPath.startsWith('http')
+                ? decodeURIComponent(new URL(filePath).pathname.slice(1))
+                : storedPath;
+
+            const object = await s3Client.send(new GetObjectCommand({
+                Bucket: process.env.S3_BUCKET_NAME,
+                Key: key,
+                Range: req.headers.range
+            }));
+
+            res.status(object.ContentRange ? 206 : 200);
+            res.set({
+                'Content-Type': object.ContentType || mimeType,
+                'Accept-Ranges': 'bytes',
+                ...(object.ContentLength !== undefined && { 'Content-Length': object.ContentLength }),
+                ...(object.ContentRange && { 'Content-Range': object.ContentRange })
+            });
+            return object.Body.pipe(res);
+        }
+
+        res.sendFile(filePath, (error) => {
+            if (error && !res.headersSent) {
+                console.error('Error sending voice resume audio:', error.message);
+                res.status(error.code === 'ENOENT' ? 404 : 500).json({
+                    success: false,
+                    message: error.code === 'ENOENT' ? 'Recording not found' : 'Failed to send recording'
+                });
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching voice resume audio:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch recording'
+        });
+    }
+});
+
 // New Enhancement Routes
 /**
  * Get real-time processing status for a voice resume
@@ -240,6 +378,36 @@ router.get('/:id/comparisons', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * Get a blind (anonymized) copy of a comparison, for bias-reduced screening
+ */
+router.get('/:id/comparisons/:comparisonId/blind', authenticate, async (req, res) => {
+    try {
+        const blindComparison = await blindResumeService.getBlindComparison(req.params.comparisonId, {
+            userId: req.user.id,
+            resumeId: req.params.id
+        });
+
+        res.json({
+            success: true,
+            data: blindComparison
+        });
+    } catch (error) {
+        if (error.isOperational && error.statusCode && error.statusCode < 500) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error creating blind comparison:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create blind comparison'
+        });
+    }
+});
+
 /**
  * Get all voice resumes for the authenticated user with enhanced metadata
  */
@@ -356,7 +524,7 @@ router.post('/:id/retry', authenticate, async (req, res) => {
 
         // Verify ownership and check if retry is allowed
         const resumeQuery = `
-            SELECT id, file_path, processing_status
+            SELECT id, file_path, processing_status, language_hint
             FROM resumes
             WHERE id = $1 AND user_id = $2 AND resume_type = 'voice'
         `;
@@ -380,24 +548,41 @@ router.post('/:id/retry', authenticate, async (req, res) => {
             });
         }
 
-        // Reset status to transcribing to restart the process
-        await resumeStatusService.updateStatus(resumeId, 'transcribing', {
+        // A failed attempt may already be waiting for an automatic retry
+        const activeJob = await jobQueueService.getActiveJobForResume(resume.id);
+        if (activeJob) {
+            return res.status(409).json({
+                success: false,
+                message: 'This resume is already queued for processing',
+                data: {
+                    resumeId,
+                    jobId: activeJob.id,
+                    jobStatus: activeJob.status
+                }
+            });
+        }
+
+        // Put the resume back at the start of the process
+        await resumeStatusService.resetStatus(resume.id, {
             retryAttempt: true,
             previousFailure: resume.processing_status
         });
 
-        // Trigger reprocessing
-        const { processVoiceResumeAsync } = require('../controllers/voiceResumeController');
-        const fullFilePath = path.join(__dirname, '../../', resume.file_path);
-
-        processVoiceResumeAsync(resumeId, fullFilePath, req.user.id);
+        // Queue reprocessing for the background worker
+        const { filePath, isS3 } = resolveStoredFilePath(resume.file_path);
+        const job = await jobQueueService.enqueue(
+            jobQueueService.JOB_TYPES.PROCESS_VOICE_RESUME,
+            { audioFilePath: filePath, userId: req.user.id, isS3, languageHint: resume.language_hint },
+            { resumeId: resume.id }
+        );
 
         res.json({
             success: true,
             message: 'Resume processing retry initiated',
             data: {
                 resumeId,
-                status: 'transcribing',
+                status: 'uploaded',
+                jobId: job.id,
                 statusEndpoint: `/api/v1/voiceresumes/${resumeId}/status`
             }
         });
@@ -67,8 +67,17 @@ async function checkParsedData() {
                             if (parsed.phone) console.log(`     - Phone: ${parsed.phone}`);
                             if (parsed.skills) console.log(`     - Skills: ${Array.isArray(parsed.skills) ? parsed.skills.length : 0} found`);
                             if (parsed.currentJob) console.log(`     - Current Job: ${parsed.currentJob}`);
-                            if (parsed.education) console.log(`     - Education: ${parsed.education}`);
-                            if (parsed.experience) console.log(`     - Experience: ${parsed.experience}`);
+                            if (Array.isArray(parsed.education)) {
+                                console.log(`     - Education: ${parsed.education.map(entry => entry.degree || entry.institution).join('; ')}`);
+                            } else if (parsed.education) {
+                                console.log(`     - Education: ${parsed.education}`);
+                            }
+                            if (parsed.certifications?.length) console.log(`     - Certifications: ${parsed.certifications.length} found`);
+                            if (Array.isArray(parsed.experience)) {
+                                console.log(`     - Experience: ${parsed.experience.length} positions, ${parsed.totalYearsExperience || 0} years`);
+                            } else if (parsed.experience) {
+                                console.log(`     - Experience: ${parsed.experience}`);
+                            }
                         }
                     } catch (e) {
                         console.log(`   ❌ Failed to parse as JSON: ${e.message}`);
@@ -0,0 +1,297 @@
+// Parser evaluation
+// Runs the resume parser over labeled fixtures and reports per-field
+// precision, recall and exact-match rates, optionally diffed against a
+// previous run so parser changes can be judged objectively.
+//
+// Usage: npm run evaluate-parser -- [options]
+//
+//   --fixtures <dir>       Labeled fixtures (default: fixtures/resumes). Each
+//                          resume file (.txt, .pdf, .docx, .doc, .odt, .rtf)
+//                          is paired with <name>.expected.json
+//   --dataset <file>       Also evaluate a corrections export (JSONL from
+//                          GET /api/v1/admin/parser-corrections/export)
+//   --provider <name>      Parser provider (default: RESUME_PARSER_PROVIDER)
+//   --save <file>          Save this run for later comparison
+//   --compare <file>       Diff this run against a saved one
+//   --fail-on-regression   Exit with status 1 if --compare finds regressions
+//   --use-cache            Read and write the AI inference cache (needs the database)
+//   --json                 Print the full run as JSON
+//   --verbose              Show every mismatch and the parser's own logs
+
+require('dotenv').config();
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const SUPPORTED_EXTENSIONS = ['.txt', '.pdf', '.docx', '.doc', '.odt', '.rtf'];
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures/resumes');
+
+function parseArgs(argv) {
+    const options = {
+        fixtures: DEFAULT_FIXTURES_DIR,
+        dataset: null,
+        provider: undefined,
+        save: null,
+        compare: null,
+        failOnRegression: false,
+        useCache: false,
+        json: false,
+        verbose: false
+    };
+    const valueFlags = { '--fixtures': 'fixtures', '--dataset': 'dataset', '--provider': 'provider', '--save': 'save', '--compare': 'compare' };
+    const booleanFlags = { '--fail-on-regression': 'failOnRegression', '--use-cache': 'useCache', '--json': 'json', '--verbose': 'verbose' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (valueFlags[arg]) {
+            if (!argv[i + 1]) throw new Error(`${arg} needs a value`);
+            options[valueFlags[arg]] = argv[++i];
+        } else if (booleanFlags[arg]) {
+            options[booleanFlags[arg]] = true;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Fixture files that have labels, sorted by name
+ */
+async function loadFixtures(directory) {
+    const entries = await fs.readdir(directory);
+    const fixtures = [];
+
+    for (const entry of entries.sort()) {
+        const extension = path.extname(entry).toLowerCase();
+        if (!SUPPORTED_EXTENSIONS.includes(extension)) continue;
+
+        const name = path.basename(entry, path.extname(entry));
+        const labelsPath = path.join(directory, `${name}.expected.json`);
+
+        try {
+            const expected = JSON.parse(await fs.readFile(labelsPath, 'utf8'));
+            fixtures.push({ name, filePath: path.join(directory, entry), expected });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.warn(`⚠️  Skipping ${entry}: no ${name}.expected.json`);
+            } else {
+                throw new Error(`Could not read ${labelsPath}: ${error.message}`);
+            }
+        }
+    }
+
+    return fixtures;
+}
+
+/**
+ * Corrected resumes from a corrections export, as text fixtures
+ */
+async function loadDataset(datasetPath) {
+    const lines = (await fs.readFile(datasetPath, 'utf8')).split('\n').filter(line => line.trim());
+
+    return lines
+        .map(line => JSON.parse(line))
+        .filter(example => example.text && example.expected)
+        .map(example => ({
+            name: `correction-${example.resumeId}`,
+            text: example.text,
+            expected: example.expected
+        }));
+}
+
+// Keep the parser's progress logs out of the report unless asked for
+async function withQuietLogs(verbose, fn) {
+    if (verbose) return fn();
+
+    const { log, warn } = console;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+async function runFixture(fixture, options, huggingFaceService, parserEvaluation) {
+    let filePath = fixture.filePath;
+    let tempFile = null;
+
+    if (!filePath) {
+        tempFile = path.join(os.tmpdir(), `${fixture.name}-${process.pid}.txt`);
+        await fs.writeFile(tempFile, fixture.text, 'utf8');
+        filePath = tempFile;
+    }
+
+    const startTime = Date.now();
+    try {
+        const result = await withQuietLogs(options.verbose, () =>
+            huggingFaceService.parseResume(filePath, { provider: options.provider })
+        );
+
+        if (!result.success) {
+            return { name: fixture.name, error: result.error, durationMs: Date.now() - startTime, fields: {} };
+        }
+
+        return {
+            name: fixture.name,
+            durationMs: Date.now() - startTime,
+            fields: parserEvaluation.evaluateFixture(fixture.expected, result.data)
+        };
+    } finally {
+        if (tempFile) {
+            await fs.unlink(tempFile).catch(() => {});
+        }
+    }
+}
+
+function describeParser(providerName) {
+    let commit = null;
+    try {
+        commit = execSync('git rev-parse --short HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+    } catch (error) {
+        // Not a git checkout
+    }
+    return { provider: providerName, commit };
+}
+
+function formatRate(value) {
+    return value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+function formatDelta(delta) {
+    if (delta === null || delta === undefined || delta === 0) return '';
+    return ` (${delta > 0 ? '+' : ''}${(delta * 100).toFixed(1)})`;
+}
+
+function formatValue(value) {
+    const text = JSON.stringify(value);
+    return text && text.length > 80 ? `${text.substring(0, 77)}...` : text;
+}
+
+function printReport(run, comparison, verbose) {
+    console.log(`\n📊 Parser evaluation: ${run.fixtures.length} fixtures, provider ${run.parser.provider}` +
+        (run.parser.commit ? ` @ ${run.parser.commit}` : ''));
+
+    const failed = run.fixtures.filter(fixture => fixture.error);
+    for (const fixture of failed) {
+        console.log(`❌ ${fixture.name}: ${fixture.error}`);
+    }
+
+    const column = (metrics, deltas, metric) =>
+        `${formatRate(metrics[metric])}${formatDelta(deltas?.[metric].delta)}`.padEnd(16);
+
+    console.log(`\n${'Field'.padEnd(20)}${'Precision'.padEnd(16)}${'Recall'.padEnd(16)}${'Exact match'.padEnd(16)}Fixtures`);
+    for (const [field, metrics] of Object.entries(run.summary.fields)) {
+        const deltas = comparison?.fields[field];
+        console.log(
+            field.padEnd(20) +
+            column(metrics, deltas, 'precision') +
+            column(metrics, deltas, 'recall') +
+            column(metrics, deltas, 'exactMatchRate') +
+            metrics.fixtures
+        );
+    }
+
+    const { overall } = run.summary;
+    console.log(`\nOverall: precision ${formatRate(overall.precision).trim()}, recall ${formatRate(overall.recall).trim()}, ` +
+        `exact match ${formatRate(overall.exactMatchRate).trim()} over ${overall.comparisons} field comparisons`);
+
+    if (verbose) {
+        console.log('\nMismatches:');
+        for (const fixture of run.fixtures) {
+            for (const [field, result] of Object.entries(fixture.fields)) {
+                if (result.exact) continue;
+                console.log(`  ${fixture.name} ${field}: expected ${formatValue(result.expected)}, got ${formatValue(result.actual)}`);
+            }
+        }
+    }
+
+    if (comparison) {
+        console.log(`\nCompared with ${comparison.baseline.provider}` +
+            (comparison.baseline.commit ? ` @ ${comparison.baseline.commit}` : '') +
+            ` (${comparison.baseline.evaluatedAt})`);
+
+        for (const change of comparison.regressions) {
+            console.log(`  ⬇️  ${change.fixture} ${change.field}: was ${formatValue(change.before)}, now ${formatValue(change.after)}`);
+        }
+        for (const change of comparison.improvements) {
+            console.log(`  ⬆️  ${change.fixture} ${change.field}: was ${formatValue(change.before)}, now ${formatValue(change.after)}`);
+        }
+        console.log(`  ${comparison.regressions.length} regression(s), ${comparison.improvements.length} improvement(s)`);
+    }
+}
+
+async function evaluateParser() {
+    const options = parseArgs(process.argv.slice(2));
+
+    // The cache lives in Postgres; evaluations normally run without one
+    if (!options.useCache) {
+        process.env.AI_CACHE_ENABLED = 'false';
+    }
+    // Judge the parser against the taxonomy in the repository, not one with
+    // an environment's admin additions
+    process.env.SKILL_TAXONOMY_DB_ENABLED = 'false';
+
+    const huggingFaceService = require('../services/ai/huggingfaceService');
+    const parserProviders = require('../services/parsing/providers');
+    const parserEvaluation = require('../services/parsing/parserEvaluation');
+
+    const provider = parserProviders.getProvider(options.provider);
+
+    const fixtures = await loadFixtures(options.fixtures);
+    if (options.dataset) {
+        fixtures.push(...await loadDataset(options.dataset));
+    }
+    if (fixtures.length === 0) {
+        throw new Error(`No labeled fixtures found in ${options.fixtures}`);
+    }
+
+    const results = [];
+    for (const fixture of fixtures) {
+        results.push(await runFixture(fixture, { ...options, provider: provider.name }, huggingFaceService, parserEvaluation));
+    }
+
+    const run = {
+        parser: describeParser(provider.name),
+        evaluatedAt: new Date().toISOString(),
+        summary: parserEvaluation.summarize(results),
+        fixtures: results
+    };
+
+    let comparison = null;
+    if (options.compare) {
+        const baseline = JSON.parse(await fs.readFile(options.compare, 'utf8'));
+        comparison = {
+            baseline: { ...baseline.parser, evaluatedAt: baseline.evaluatedAt },
+            ...parserEvaluation.compareRuns(baseline, run)
+        };
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify({ ...run, comparison }, null, 2));
+    } else {
+        printReport(run, comparison, options.verbose);
+    }
+
+    if (options.save) {
+        await fs.writeFile(options.save, JSON.stringify(run, null, 2));
+        if (!options.json) {
+            console.log(`\n💾 Saved results to ${options.save}`);
+        }
+    }
+
+    const failed = results.some(result => result.error);
+    const regressed = options.failOnRegression && comparison && comparison.regressions.length > 0;
+    process.exit(failed || regressed ? 1 : 0);
+}
+
+evaluateParser().catch(error => {
+    console.error('❌ Parser evaluation failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,129 @@
+// Bulk reparse
+// Queues every resume parsed by an older parser version (see
+// src/services/parsing/parserVersion.js) to be parsed again by the worker,
+// and optionally follows the run until its jobs have finished.
+//
+// Usage: npm run reparse-stale -- [options]
+//
+//   --user <id>             Only this user's resumes
+//   --type <type>           Only document or voice resumes
+//   --parsed-before <date>  Only resumes parsed before this date
+//   --parsed-after <date>   Only resumes parsed on or after this date
+//   --limit <n>             Queue at most n resumes (oldest parses first)
+//   --dry-run               List what would be queued without queueing it
+//   --watch                 Report progress until every job has finished
+//   --run <id>              Report the progress of an earlier run instead
+//   --interval <seconds>    How often --watch checks progress (default 5)
+
+require('dotenv').config();
+
+const bulkReparseService = require('../services/bulkReparseService');
+
+function parseArgs(argv) {
+    const options = {
+        filters: {},
+        limit: null,
+        dryRun: false,
+        watch: false,
+        run: null,
+        intervalSeconds: 5
+    };
+    const filterFlags = {
+        '--user': 'userId',
+        '--type': 'resumeType',
+        '--parsed-before': 'parsedBefore',
+        '--parsed-after': 'parsedAfter'
+    };
+    const valueFlags = { '--limit': 'limit', '--run': 'run', '--interval': 'intervalSeconds' };
+    const booleanFlags = { '--dry-run': 'dryRun', '--watch': 'watch' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (filterFlags[arg] || valueFlags[arg]) {
+            if (!argv[i + 1]) throw new Error(`${arg} needs a value`);
+            const value = argv[++i];
+            if (filterFlags[arg]) {
+                options.filters[filterFlags[arg]] = value;
+            } else {
+                options[valueFlags[arg]] = value;
+            }
+        } else if (booleanFlags[arg]) {
+            options[booleanFlags[arg]] = true;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function printProgress(progress) {
+    const { jobs } = progress;
+    console.log(`Run ${progress.runId} (parser ${progress.targetVersion}): ` +
+        `${progress.percentComplete}% complete - ${jobs.completed} reparsed, ${jobs.dead} failed, ` +
+        `${jobs.running} running, ${jobs.queued} waiting`);
+}
+
+async function watchRun(runId, intervalSeconds) {
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    let progress = await bulkReparseService.getProgress(runId);
+    printProgress(progress);
+
+    while (!progress.done) {
+        await sleep(intervalSeconds * 1000);
+        progress = await bulkReparseService.getProgress(runId);
+        printProgress(progress);
+    }
+
+    return progress;
+}
+
+async function reparseStale() {
+    const options = parseArgs(process.argv.slice(2));
+    const intervalSeconds = Math.max(parseInt(options.intervalSeconds, 10) || 5, 1);
+
+    if (options.run) {
+        const runId = parseInt(options.run, 10);
+        const progress = options.watch
+            ? await watchRun(runId, intervalSeconds)
+            : await bulkReparseService.getProgress(runId);
+        if (!options.watch) printProgress(progress);
+        return progress.failed > 0 ? 1 : 0;
+    }
+
+    const filters = bulkReparseService.normalizeFilters(options.filters);
+    const limit = bulkReparseService.normalizeLimit(options.limit);
+
+    const result = await bulkReparseService.start(filters, { limit, dryRun: options.dryRun });
+
+    if (result.dryRun) {
+        console.log(`🔎 ${result.matched} resume(s) were parsed by a version older than ${result.targetVersion}`);
+        for (const resume of result.resumes) {
+            console.log(`  resume ${resume.resumeId} (${resume.resumeType}, user ${resume.userId}): ` +
+                `${resume.parserVersion || 'unversioned'}, parsed ${new Date(resume.parsedAt).toISOString()}`);
+        }
+        if (result.resumes.length < result.matched) {
+            console.log(`  ... and ${result.matched - result.resumes.length} more`);
+        }
+        return 0;
+    }
+
+    console.log(`🔁 Run ${result.runId}: queued ${result.queued} of ${result.matched} stale resume(s)` +
+        (result.skipped ? ` (${result.skipped} already being processed)` : ''));
+
+    if (!options.watch) {
+        console.log(`Follow it with: npm run reparse-stale -- --run ${result.runId} --watch`);
+        return 0;
+    }
+
+    const progress = await watchRun(result.runId, intervalSeconds);
+    return progress.failed > 0 ? 1 : 0;
+}
+
+reparseStale()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error('❌ Bulk reparse failed:', error.message);
+        process.exit(1);
+    });
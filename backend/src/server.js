@@ -11,6 +11,10 @@ const rateLimit = require('express-rate-limit');
 // Import our configuration
 const config = require('./config');
 
+// Keep resume PII (emails, phone numbers, ...) out of the logs
+const { installLogRedaction, createRedactingStream } = require('./utils/logRedaction');
+installLogRedaction();
+
 // Import database connection - this is the new crucial part
 const { pool, testConnection } = require('./config/database');
 
@@ -21,6 +25,10 @@ const notFound = require('./middleware/notFound');
 // Import API routes
 const apiRoutes = require('./routes');
 
+// Background job worker, only used when RUN_JOBS_IN_PROCESS=true
+const JobWorker = require('./jobs/jobWorker');
+let jobWorker = null;
+
 // Create Express application
 const app = express();
 
@@ -41,7 +49,7 @@ app.use(cors({
 
 // Request logging - Morgan provides detailed logs of all HTTP requests
 // In production, you might want to log to a file or external service
-app.use(morgan(config.isDevelopment ? 'dev' : 'combined'));
+app.use(morgan(config.isDevelopment ? 'dev' : 'combined', { stream: createRedactingStream() }));
 
 // Body parsing middleware - allows us to read JSON request bodies
 app.use(express.json({ limit: '10mb' })); // Limit prevents DoS attacks with huge payloads
@@ -57,6 +65,9 @@ const limiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true, // Return rate limit info in headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+  // Live transcription sends a chunk every few seconds while recording;
+  // the session's size limit bounds those instead
+  skip: (req) => req.method === 'POST' && new RegExp(`^/${config.apiVersion}/voiceresumes/live/[^/]+/chunks$`).test(req.path),
 });
 
 // Apply rate limiting to all API routes
@@ -132,6 +143,14 @@ const startServer = async () => {
     🗄️  Database: Connected to Neon PostgreSQL
       `);
     });
+
+    // Single-process deployments can run the job worker inside the API
+    // process instead of starting `npm run worker` separately
+    if (process.env.RUN_JOBS_IN_PROCESS === 'true') {
+      jobWorker = new JobWorker(require('./jobs/resumeJobs'));
+      jobWorker.start();
+      require('./services/stuckResumeSweeper').start();
+    }
     
     // Graceful shutdown handling
     process.on('SIGTERM', gracefulShutdown(server));
@@ -150,6 +169,11 @@ const gracefulShutdown = (server) => {
     
     server.close(async () => {
       console.log('📭 HTTP server closed');
+
+      if (jobWorker) {
+        require('./services/stuckResumeSweeper').stop();
+        await jobWorker.stop();
+      }
       
       try {
         // Close database pool connections
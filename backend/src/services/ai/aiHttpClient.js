@@ -0,0 +1,286 @@
+// AI HTTP Client
+// File: src/services/ai/aiHttpClient.js
+//
+// Shared HTTP client for every call to a hosted AI model (Hugging Face
+// Inference, OpenAI Whisper, a self-hosted whisper.cpp server). It provides:
+//
+// - Bounded retries with exponential backoff and full jitter
+// - Respect for Retry-After, and Hugging Face's "model is loading" estimate
+// - A per-model timeout
+// - A circuit breaker per model: after repeated failures, calls fail fast
+//   for a cooldown period instead of piling up on a broken endpoint
+// - Per-model metrics (requests, failures, retries, latency, breaker state)
+//
+// Each call names the model it is for (e.g. "huggingface:dslim/bert-base-NER");
+// breakers and metrics are tracked per name.
+
+const axios = require('axios');
+const { AppError } = require('../../middleware/errorHandler');
+
+// Responses worth retrying; other 4xx errors will fail the same way again
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Thrown without making a request while a model's circuit is open
+ */
+class CircuitOpenError extends AppError {
+    constructor(key, retryAt) {
+        super(`${key} is temporarily unavailable after repeated failures; retry after ${retryAt.toISOString()}`, 503);
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+        this.retryAt = retryAt;
+    }
+}
+
+class AIHttpClient {
+    constructor() {
+        this.maxRetries = parseInt(process.env.AI_MAX_RETRIES, 10) || 3;
+        this.baseDelayMs = parseInt(process.env.AI_RETRY_BASE_DELAY_MS, 10) || 1000;
+        this.maxDelayMs = parseInt(process.env.AI_RETRY_MAX_DELAY_MS, 10) || 30000;
+        this.defaultTimeoutMs = parseInt(process.env.AI_REQUEST_TIMEOUT_MS, 10) || 30000;
+        this.failureThreshold = parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD, 10) || 5;
+        this.cooldownMs = parseInt(process.env.AI_CIRCUIT_COOLDOWN_MS, 10) || 60000;
+
+        this.breakers = new Map();
+        this.metrics = new Map();
+    }
+
+    /**
+     * POST to an AI endpoint
+     *
+     * @param {string} url - Endpoint URL
+     * @param {*|Function} data - Request body, or a function returning a fresh
+     *   body for each attempt (needed for streams such as FormData). Bodies
+     *   with getHeaders() contribute their multipart headers.
+     * @param {Object} options
+     * @param {string} options.key - Model name for breakers and metrics
+     * @param {Object} options.headers - Request headers
+     * @param {number} options.timeout - Per-attempt timeout in ms
+     * @param {number} options.maxRetries - Override the retry limit
+     * @param {Object} options.axiosOptions - Extra axios request options
+     * @returns {Promise<Object>} The axios response
+     */
+    async post(url, data, options = {}) {
+        const key = options.key || url;
+        const maxRetries = options.maxRetries ?? this.maxRetries;
+        const metrics = this.getModelMetrics(key);
+
+        this.checkCircuit(key);
+
+        for (let attempt = 0; ; attempt++) {
+            const body = typeof data === 'function' ? data() : data;
+            const startTime = Date.now();
+            metrics.requests++;
+
+            try {
+                const response = await axios.post(url, body, {
+                    ...options.axiosOptions,
+                    headers: {
+                        ...(body && typeof body.getHeaders === 'function' ? body.getHeaders() : {}),
+                        ...options.headers
+                    },
+                    timeout: options.timeout || this.defaultTimeoutMs
+                });
+
+                this.recordSuccess(key, Date.now() - startTime);
+                return response;
+            } catch (error) {
+                const retryable = this.isRetryable(error);
+                this.recordFailure(key, error, retryable);
+
+                // Give up if the failure was final, or if it just opened the circuit
+                if (!retryable || attempt >= maxRetries || this.getBreaker(key).state === 'open') {
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(error, attempt);
+                metrics.retries++;
+                console.log(`↻ ${key} failed (${this.describeError(error)}), retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    isRetryable(error) {
+        if (error.response) {
+            return RETRYABLE_STATUS_CODES.includes(error.response.status);
+        }
+        return RETRYABLE_ERROR_CODES.includes(error.code);
+    }
+
+    /**
+     * How long to wait before the next attempt
+     * A server-provided wait (Retry-After, or Hugging Face's estimated model
+     * loading time) wins over backoff, capped at the maximum delay.
+     */
+    getRetryDelay(error, attempt) {
+        const serverDelay = this.getServerRequestedDelay(error.response);
+        if (serverDelay !== null) {
+            return Math.min(serverDelay, this.maxDelayMs);
+        }
+
+        // Full jitter: a random wait up to the exponential ceiling
+        const ceiling = Math.min(this.baseDelayMs * Math.pow(2, attempt), this.maxDelayMs);
+        return Math.round(Math.random() * ceiling);
+    }
+
+    getServerRequestedDelay(response) {
+        if (!response) return null;
+
+        const retryAfter = response.headers?.['retry-after'];
+        if (retryAfter) {
+            // Either a number of seconds or an HTTP date
+            const seconds = Number(retryAfter);
+            if (!Number.isNaN(seconds)) {
+                return Math.max(0, seconds * 1000);
+            }
+            const date = Date.parse(retryAfter);
+            if (!Number.isNaN(date)) {
+                return Math.max(0, date - Date.now());
+            }
+        }
+
+        // {"error": "Model ... is currently loading", "estimated_time": 20.0}
+        if (response.status === 503 && typeof response.data?.estimated_time === 'number') {
+            return Math.round(response.data.estimated_time * 1000);
+        }
+
+        return null;
+    }
+
+    describeError(error) {
+        if (error.response) return `HTTP ${error.response.status}`;
+        return error.code || error.message;
+    }
+
+    // Circuit breaker
+
+    getBreaker(key) {
+        if (!this.breakers.has(key)) {
+            this.breakers.set(key, { state: 'closed', consecutiveFailures: 0, openedAt: null, trialInFlight: false });
+        }
+        return this.breakers.get(key);
+    }
+
+    /**
+     * Throw if the circuit is open; after the cooldown, let one trial
+     * request through (half-open) to find out whether the model recovered
+     */
+    checkCircuit(key) {
+        const breaker = this.getBreaker(key);
+        const retryAt = new Date(breaker.openedAt + this.cooldownMs);
+
+        if (breaker.state === 'open' && Date.now() >= retryAt.getTime()) {
+            breaker.state = 'half-open';
+            breaker.trialInFlight = true;
+            console.log(`🔌 Circuit for ${key} is half-open, trying one request`);
+            return;
+        }
+
+        if (breaker.state === 'open' || (breaker.state === 'half-open' && breaker.trialInFlight)) {
+            this.getModelMetrics(key).circuitRejections++;
+            throw new CircuitOpenError(key, retryAt);
+        }
+    }
+
+    recordSuccess(key, latencyMs) {
+        const breaker = this.getBreaker(key);
+        if (breaker.state !== 'closed') {
+            console.log(`🔌 Circuit for ${key} closed`);
+        }
+        breaker.state = 'closed';
+        breaker.consecutiveFailures = 0;
+        breaker.openedAt = null;
+        breaker.trialInFlight = false;
+
+        const metrics = this.getModelMetrics(key);
+        metrics.successes++;
+        metrics.totalLatencyMs += latencyMs;
+    }
+
+    /**
+     * Count a failed attempt; only failures that say the model is unhealthy
+     * (timeouts, 5xx, rate limits) count towards opening the circuit
+     */
+    recordFailure(key, error, countsTowardsCircuit) {
+        const metrics = this.getModelMetrics(key);
+        metrics.failures++;
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            metrics.timeouts++;
+        }
+        metrics.lastError = this.describeError(error);
+        metrics.lastFailureAt = new Date().toISOString();
+
+        const breaker = this.getBreaker(key);
+
+        if (!countsTowardsCircuit) {
+            // The model answered, so the trial request shows it is reachable
+            if (breaker.state === 'half-open') {
+                breaker.state = 'closed';
+                breaker.consecutiveFailures = 0;
+                breaker.trialInFlight = false;
+            }
+            return;
+        }
+
+        breaker.consecutiveFailures++;
+
+        if (breaker.state === 'half-open' ||
+            (breaker.state === 'closed' && breaker.consecutiveFailures >= this.failureThreshold)) {
+            breaker.state = 'open';
+            breaker.openedAt = Date.now();
+            breaker.trialInFlight = false;
+            metrics.circuitOpenings++;
+            console.warn(`🔌 Circuit for ${key} opened after ${breaker.consecutiveFailures} consecutive failures`);
+        }
+    }
+
+    // Metrics
+
+    getModelMetrics(key) {
+        if (!this.metrics.has(key)) {
+            this.metrics.set(key, {
+                requests: 0,
+                successes: 0,
+                failures: 0,
+                retries: 0,
+                timeouts: 0,
+                circuitRejections: 0,
+                circuitOpenings: 0,
+                totalLatencyMs: 0,
+                lastError: null,
+                lastFailureAt: null
+            });
+        }
+        return this.metrics.get(key);
+    }
+
+    /**
+     * Snapshot of metrics and breaker state for every model called so far
+     */
+    getMetrics() {
+        const models = {};
+
+        for (const [key, metrics] of this.metrics) {
+            const { totalLatencyMs, ...counts } = metrics;
+            const breaker = this.getBreaker(key);
+
+            models[key] = {
+                ...counts,
+                averageLatencyMs: metrics.successes > 0 ? Math.round(totalLatencyMs / metrics.successes) : null,
+                circuit: {
+                    state: breaker.state,
+                    consecutiveFailures: breaker.consecutiveFailures,
+                    openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null
+                }
+            };
+        }
+
+        return models;
+    }
+}
+
+module.exports = new AIHttpClient();
+module.exports.CircuitOpenError = CircuitOpenError;
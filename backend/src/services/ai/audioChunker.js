@@ -0,0 +1,193 @@
+// Audio Chunker
+// File: src/services/ai/audioChunker.js
+//
+// Splits long voice resumes into chunks the hosted transcription models
+// accept (25MB per request, and a request timeout). Cuts are placed in
+// pauses found with ffmpeg's silencedetect filter, so no word is cut in
+// half, and each chunk is re-encoded to 16kHz mono MP3, which keeps a
+// 10-minute chunk around 5MB. Everything runs locally with the ffmpeg
+// binary; without it, recordings over the provider's limit are rejected
+// as before.
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const execFileAsync = promisify(execFile);
+
+// Chunks are never cut shorter than this share of the target length
+const MIN_CHUNK_SHARE = 0.5;
+
+class AudioChunker {
+    constructor() {
+        this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+        this.chunkSeconds = parseInt(process.env.TRANSCRIPTION_CHUNK_SECONDS, 10) || 600;
+        // What counts as a pause to cut in
+        this.silenceNoiseDb = parseInt(process.env.TRANSCRIPTION_SILENCE_NOISE_DB, 10) || -35;
+        this.silenceMinSeconds = parseFloat(process.env.TRANSCRIPTION_SILENCE_MIN_SECONDS) || 0.5;
+        this.timeoutMs = parseInt(process.env.FFMPEG_TIMEOUT_MS, 10) || 120000;
+
+        this.availability = null;
+    }
+
+    /**
+     * Whether the ffmpeg binary can be run (checked once)
+     */
+    isAvailable() {
+        if (!this.availability) {
+            this.availability = execFileAsync(this.ffmpegPath, ['-version'], { timeout: 10000 })
+                .then(() => true)
+                .catch(() => {
+                    console.warn(`⚠️  ffmpeg not found at "${this.ffmpegPath}" - long recordings can't be split`);
+                    return false;
+                });
+        }
+        return this.availability;
+    }
+
+    /**
+     * Decode a recording once to find its length and its pauses
+     * The length comes from decoding rather than the container, because
+     * browser recordings (WebM from MediaRecorder) usually don't declare one.
+     *
+     * @param {string} filePath
+     * @param {number} noiseDb - Level below which audio counts as silence
+     * @param {number} start - Seconds to skip; only the rest is decoded
+     * @returns {Promise<{duration: number, silences: Array<{start: number, end: number}>}>}
+     *   Times in seconds into the whole recording
+     */
+    async analyze(filePath, noiseDb = this.silenceNoiseDb, start = 0) {
+        const { stderr } = await execFileAsync(this.ffmpegPath, [
+            '-hide_banner',
+            ...(start > 0 ? ['-ss', start.toFixed(3)] : []),
+            '-i', filePath,
+            '-vn',
+            '-af', `silencedetect=noise=${noiseDb}dB:d=${this.silenceMinSeconds}`,
+            '-f', 'null',
+            '-'
+        ], { timeout: this.timeoutMs, maxBuffer: 20 * 1024 * 1024 });
+
+        const silences = [];
+        for (const match of stderr.matchAll(/silence_(start|end): (-?[\d.]+)/g)) {
+            const time = start + Math.max(0, parseFloat(match[2]));
+            if (match[1] === 'start') {
+                silences.push({ start: time, end: null });
+            } else if (silences.length > 0 && silences[silences.length - 1].end === null) {
+                silences[silences.length - 1].end = time;
+            }
+        }
+
+        // The last progress line has the decoded length
+        const times = [...stderr.matchAll(/time=(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/g)];
+        const last = times[times.length - 1];
+        const duration = start + (last
+            ? parseInt(last[1], 10) * 3600 + parseInt(last[2], 10) * 60 + parseFloat(last[3])
+            : 0);
+
+        // A recording that ends in silence has no silence_end
+        return {
+            duration,
+            silences: silences.map(silence => ({ start: silence.start, end: silence.end ?? duration }))
+        };
+    }
+
+    /**
+     * Choose where to cut a recording
+     * Each chunk ends in the last pause before it reaches the target length,
+     * or at the target length when there is no pause in its second half.
+     *
+     * @param {number} duration - Seconds
+     * @param {Array<{start: number, end: number}>} silences
+     * @param {number} chunkSeconds - Target (and maximum) chunk length
+     * @returns {Array<{index: number, start: number, end: number}>}
+     */
+    planChunks(duration, silences, chunkSeconds = this.chunkSeconds) {
+        const chunks = [];
+        let start = 0;
+
+        while (duration - start > chunkSeconds) {
+            const earliest = start + chunkSeconds * MIN_CHUNK_SHARE;
+            const latest = start + chunkSeconds;
+
+            // Cut in the middle of the pause
+            const cuts = silences
+                .map(silence => (silence.start + silence.end) / 2)
+                .filter(cut => cut >= earliest && cut <= latest);
+            const end = cuts.length > 0 ? cuts[cuts.length - 1] : latest;
+
+            chunks.push({ index: chunks.length, start, end });
+            start = end;
+        }
+
+        chunks.push({ index: chunks.length, start, end: duration });
+        return chunks;
+    }
+
+    /**
+     * Split a recording into chunk files
+     *
+     * @param {string} filePath
+     * @param {Object} analysis - Result of analyze(), if already known
+     * @returns {Promise<{workDir: string, duration: number, chunks: Array<Object>}>}
+     *   Each chunk has index, start and end (seconds) and the path of its
+     *   MP3 file. Call cleanup(workDir) when done.
+     */
+    async split(filePath, analysis = null) {
+        const { duration, silences } = analysis || await this.analyze(filePath);
+        const plan = this.planChunks(duration, silences);
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'voice-chunks-'));
+
+        try {
+            const chunks = [];
+            for (const chunk of plan) {
+                const chunkPath = path.join(workDir, `chunk-${String(chunk.index).padStart(3, '0')}.mp3`);
+                await this.extract(filePath, chunk.start, chunk.end, chunkPath);
+                chunks.push({ ...chunk, path: chunkPath });
+            }
+
+            console.log(`✂️  Split ${Math.round(duration)}s recording into ${chunks.length} chunks`);
+            return { workDir, duration, chunks };
+
+        } catch (error) {
+            await this.cleanup(workDir);
+            throw new Error(`Could not split the recording: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write part of a recording to a 16kHz mono MP3 file
+     *
+     * @param {number} start - Seconds into the recording
+     * @param {number} end - Seconds into the recording
+     */
+    async extract(filePath, start, end, outputPath) {
+        await execFileAsync(this.ffmpegPath, [
+            '-hide_banner',
+            '-loglevel', 'error',
+            '-ss', start.toFixed(3),
+            '-i', filePath,
+            '-t', (end - start).toFixed(3),
+            '-vn',
+            '-ac', '1',
+            '-ar', '16000',
+            '-c:a', 'libmp3lame',
+            '-b:a', '64k',
+            '-y',
+            outputPath
+        ], { timeout: this.timeoutMs });
+    }
+
+    async cleanup(workDir) {
+        if (!workDir) return;
+        try {
+            await fs.rm(workDir, { recursive: true, force: true });
+        } catch (error) {
+            console.error(`Error removing chunk directory ${workDir}:`, error.message);
+        }
+    }
+}
+
+// Export a singleton instance
+module.exports = new AudioChunker();
@@ -0,0 +1,204 @@
+// Audio Normalizer
+// File: src/services/ai/audioNormalizer.js
+//
+// Brings every voice resume into the same shape before transcription,
+// whatever the browser or phone recorded: 16kHz mono 16-bit WAV (what
+// Whisper resamples to anyway), with the silence before the first and after
+// the last word trimmed off and the loudness evened out (EBU R128), so quiet
+// recordings transcribe as well as loud ones. The original upload is kept
+// as it is; the normalized copy only lives for the transcription.
+//
+// Runs with the same ffmpeg binary as the chunker (./audioChunker), plus
+// ffprobe for the codec details. Without ffmpeg, or with
+// AUDIO_NORMALIZATION_ENABLED=false, recordings are transcribed as uploaded.
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const audioChunker = require('./audioChunker');
+
+const execFileAsync = promisify(execFile);
+
+const SAMPLE_RATE = 16000;
+// Silence kept around the speech, so the first word isn't clipped
+const TRIM_PADDING_SECONDS = 0.25;
+// Shorter edges aren't worth a cut
+const MIN_TRIM_SECONDS = 1;
+
+class AudioNormalizer {
+    constructor() {
+        this.enabled = process.env.AUDIO_NORMALIZATION_ENABLED !== 'false';
+        this.ffprobePath = process.env.FFPROBE_PATH || 'ffprobe';
+        // Integrated loudness target in LUFS
+        this.loudnessTarget = parseInt(process.env.AUDIO_LOUDNESS_TARGET, 10) || -16;
+        // Quieter than the chunker's pauses: the recording isn't normalized yet,
+        // and quiet speech must not be trimmed as silence
+        this.trimNoiseDb = parseInt(process.env.AUDIO_TRIM_SILENCE_DB, 10) || -50;
+
+        this.warnedAboutProbe = false;
+    }
+
+    /**
+     * Codec details of a recording, from ffprobe
+     * Browser recordings (WebM from MediaRecorder) usually have no duration
+     * in the container, so duration may be null here.
+     *
+     * @returns {Promise<Object|null>} {format, codec, sampleRate, channels, bitRate, duration},
+     *   or null if ffprobe isn't installed or can't read the file
+     */
+    async probe(filePath) {
+        try {
+            const { stdout } = await execFileAsync(this.ffprobePath, [
+                '-v', 'error',
+                '-print_format', 'json',
+                '-show_format',
+                '-show_streams',
+                '-select_streams', 'a:0',
+                filePath
+            ], { timeout: audioChunker.timeoutMs });
+
+            const { format = {}, streams = [] } = JSON.parse(stdout);
+            const stream = streams[0] || {};
+            const toNumber = (value) => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : null);
+
+            return {
+                format: format.format_name || null,
+                codec: stream.codec_name || null,
+                sampleRate: toNumber(stream.sample_rate),
+                channels: stream.channels || null,
+                bitRate: toNumber(stream.bit_rate ?? format.bit_rate),
+                duration: toNumber(stream.duration ?? format.duration)
+            };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                if (!this.warnedAboutProbe) {
+                    console.warn(`⚠️  ffprobe not found at "${this.ffprobePath}" - codec details won't be recorded`);
+                    this.warnedAboutProbe = true;
+                }
+            } else {
+                console.warn(`Could not probe ${path.basename(filePath)}:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Where the speech starts and ends, from the pauses found by the chunker
+     * Leading and trailing silence is cut, keeping a little padding.
+     *
+     * @returns {{start: number, end: number}} Seconds into the recording
+     */
+    findSpeechBounds(duration, silences) {
+        let start = 0;
+        let end = duration;
+
+        const leading = silences.find(silence => silence.start <= 0.05);
+        // A recording that is all silence is left whole, for the provider to judge
+        if (leading && leading.end >= duration - 0.05) {
+            return { start, end };
+        }
+        if (leading && leading.end - TRIM_PADDING_SECONDS >= MIN_TRIM_SECONDS) {
+            start = leading.end - TRIM_PADDING_SECONDS;
+        }
+
+        const trailing = silences.find(silence => silence.end >= duration - 0.05 && silence !== leading);
+        if (trailing && duration - trailing.start - TRIM_PADDING_SECONDS >= MIN_TRIM_SECONDS) {
+            end = trailing.start + TRIM_PADDING_SECONDS;
+        }
+
+        return { start, end };
+    }
+
+    /**
+     * Write a normalized copy of a recording
+     *
+     * @param {string} filePath - The uploaded recording
+     * @returns {Promise<Object|null>} {filePath, workDir, offset, size, audio} where
+     *   offset is the seconds trimmed from the start (add it to timestamps in
+     *   the transcript of the copy) and audio describes the original:
+     *   {duration, format, codec, sampleRate, channels, bitRate, trimmed, normalized}.
+     *   Null when normalization is off or ffmpeg is missing. Call
+     *   cleanup(result) when done.
+     * @throws {Error} If ffmpeg can't decode the recording
+     */
+    async normalize(filePath) {
+        if (!this.enabled || !(await audioChunker.isAvailable())) {
+            return null;
+        }
+
+        const [probe, analysis] = await Promise.all([
+            this.probe(filePath),
+            audioChunker.analyze(filePath, this.trimNoiseDb)
+        ]);
+
+        if (!analysis.duration) {
+            throw new Error('No audio could be decoded from the recording');
+        }
+
+        const bounds = this.findSpeechBounds(analysis.duration, analysis.silences);
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'voice-normalized-'));
+        const outputPath = path.join(workDir, 'normalized.wav');
+
+        try {
+            await execFileAsync(audioChunker.ffmpegPath, [
+                '-hide_banner',
+                '-loglevel', 'error',
+                '-ss', bounds.start.toFixed(3),
+                '-i', filePath,
+                '-t', (bounds.end - bounds.start).toFixed(3),
+                '-vn',
+                '-af', `loudnorm=I=${this.loudnessTarget}:TP=-1.5:LRA=11`,
+                '-ac', '1',
+                '-ar', String(SAMPLE_RATE),
+                '-c:a', 'pcm_s16le',
+                '-y',
+                outputPath
+            ], { timeout: audioChunker.timeoutMs });
+
+            const { size } = await fs.stat(outputPath);
+            const round = (seconds) => Math.round(seconds * 100) / 100;
+
+            console.log(
+                `🎚️  Normalized ${path.basename(filePath)} (${probe?.codec || 'unknown codec'}, ` +
+                `${Math.round(analysis.duration)}s, trimmed ${round(bounds.start)}s + ` +
+                `${round(analysis.duration - bounds.end)}s of silence)`
+            );
+
+            return {
+                filePath: outputPath,
+                workDir,
+                offset: bounds.start,
+                size,
+                audio: {
+                    // Decoded length; the container's is often missing or wrong
+                    duration: round(analysis.duration),
+                    format: probe?.format || null,
+                    codec: probe?.codec || null,
+                    sampleRate: probe?.sampleRate || null,
+                    channels: probe?.channels || null,
+                    bitRate: probe?.bitRate || null,
+                    trimmed: {
+                        start: round(bounds.start),
+                        end: round(analysis.duration - bounds.end)
+                    },
+                    normalized: { format: 'wav', sampleRate: SAMPLE_RATE, channels: 1, loudness: this.loudnessTarget }
+                }
+            };
+
+        } catch (error) {
+            await audioChunker.cleanup(workDir);
+            throw new Error(`Could not normalize the recording: ${error.message}`);
+        }
+    }
+
+    async cleanup(result) {
+        if (result) {
+            await audioChunker.cleanup(result.workDir);
+        }
+    }
+}
+
+// Export a singleton instance
+module.exports = new AudioNormalizer();
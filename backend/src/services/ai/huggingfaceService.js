@@ -1,142 +1,394 @@
 // Hugging Face Service - Enhanced with Context-Aware Question Strategies
 // This service handles all interactions with Hugging Face's API for resume parsing
 // Updated to use context-aware questions for better extraction accuracy
-
-const axios = require('axios');
-const fs = require('fs').promises;
-const pdf = require('pdf-parse');
+// The questions are answered by a parser provider (see parsing/providers),
+// either the hosted QA model or the offline rule-based parser
+
+const aiHttpClient = require('./aiHttpClient');
+const documentTextExtractor = require('../parsing/documentTextExtractor');
+const resumeSectionSegmenter = require('../parsing/resumeSectionSegmenter');
+const workHistoryExtractor = require('../parsing/workHistoryExtractor');
+const educationExtractor = require('../parsing/educationExtractor');
+const parserProviders = require('../parsing/providers');
+const languageDetector = require('../parsing/languageDetector');
+const { getLocale, normalizeLanguage } = require('../parsing/locales');
+const skillTaxonomyService = require('../skillTaxonomyService');
+const { describeParser } = require('../parsing/parserVersion');
+const { mapWithConcurrency } = require('../../utils/concurrency');
 
 class HuggingFaceService {
     constructor() {
         // Initialize with API key from environment
         this.apiKey = process.env.HUGGINGFACE_API_KEY;
         this.baseURL = 'https://api-inference.huggingface.co/models/';
-        this.qaModel = 'deepset/roberta-base-squad2';
         this.classificationModel = 'facebook/bart-large-mnli';
     }
 
     /**
      * Parse a resume file and extract structured information
      * Enhanced with better extraction strategies
+     *
+     * @param {string} filePath - Local path or S3 URL of the resume
+     * @param {Object} options - Extraction hints such as the upload's mimeType
+     *                           and the resume's `language` if the user gave it,
+     *                           optionally the parser `provider` to use, and
+     *                           the document's `extraction` if the caller
+     *                           already extracted its text
      */
-    async parseResume(filePath) {
+    async parseResume(filePath, options = {}) {
+        let extraction = null;
+
         try {
             console.log(`Starting resume parsing for file: ${filePath}`);
 
-            // Extract text from the file
-            let resumeText = '';
-            try {
-                if (filePath.toLowerCase().endsWith('.pdf')) {
-                    const fileBuffer = await fs.readFile(filePath);
-                    const pdfData = await pdf(fileBuffer);
-                    resumeText = pdfData.text;
-                } else {
-                    resumeText = await fs.readFile(filePath, 'utf8');
-                }
-            } catch (readError) {
-                console.error('Error reading file:', readError);
-                resumeText = await fs.readFile(filePath, 'utf8');
+            // Resolve the provider up front so a misconfiguration fails fast
+            const provider = parserProviders.getProvider(options.provider);
+            console.log(`Using resume parser provider: ${provider.name}`);
+
+            // Skills are reported by their canonical names
+            await skillTaxonomyService.ensureLoaded();
+
+            // Extract text from the file using the extractor registered for its format
+            extraction = options.extraction || await documentTextExtractor.extract(filePath, options);
+            let resumeText = extraction.text;
+            console.log(`Detected document format: ${extraction.format}`);
+
+            if (!resumeText) {
+                throw new Error(`No text could be extracted from the ${extraction.format} document` +
+                    this.describeOcrOutcome(extraction.metadata.ocr));
             }
 
-            // Clean up the text
-            resumeText = resumeText.replace(/\s+/g, ' ').trim();
+            // Asking the model about a page of scanner noise only returns junk
+            if (extraction.metadata.lowText) {
+                throw new Error(`Too little text could be extracted from the ${extraction.format} document ` +
+                    `(${resumeText.trim().length} characters)` + this.describeOcrOutcome(extraction.metadata.ocr));
+            }
+
+            // Clean up the text while keeping its line structure,
+            // which the section segmenter relies on to find headings
+            resumeText = this.normalizeWhitespace(resumeText);
             console.log(`Extracted text length: ${resumeText.length} characters`);
 
-            // ENHANCED: First, try to identify the candidate's section
-            // Most resumes start with the candidate's information
-            const firstSection = this.extractFirstSection(resumeText);
-            console.log('Analyzing first section of resume for primary candidate info...');
+            // Questions, headings and rules are asked in the resume's language
+            const language = languageDetector.resolve(resumeText, normalizeLanguage(options.language));
+            const locale = getLocale(language.code);
+            console.log(`Resume language: ${language.code} (${language.source})`);
+
+            // ENHANCED: Split the resume into its sections so each question
+            // is asked against the part of the resume that actually answers it
+            const segmentation = resumeSectionSegmenter.segment(resumeText, { language: language.code });
+            console.log(`Detected sections: ${segmentation.order.join(', ')}`);
+
+            // The candidate's own details live in the header (or a contact section);
+            // fall back to the first-characters heuristic when neither is usable.
+            // Contexts remember where their text came from so answer offsets
+            // can be mapped back onto the resume text.
+            const firstSection = this.getCandidateSection(segmentation, resumeText);
+            const sectionContext = (keys) =>
+                this.getSectionContext(segmentation, keys) || this.buildContext([{ start: 0, text: resumeText }]);
 
             // ENHANCED: Define context-aware questions
             // These questions are designed to specifically target the resume owner's information
             const questions = [
                 {
-                    question: "What is the name at the very beginning of this resume?",
                     key: 'name',
-                    fallbackQuestion: "Whose resume is this?",
-                    context: firstSection // Use first section for name extraction
+                    ...locale.questions.name,
+                    context: firstSection // Use the candidate section for name extraction
                 },
                 {
-                    question: "What is the first email address mentioned in this resume?",
                     key: 'email',
-                    fallbackQuestion: "What email address appears near the name at the top?",
-                    context: firstSection // Use first section for email
+                    ...locale.questions.email,
+                    context: firstSection // Use the candidate section for email
                 },
                 {
-                    question: "What is the first phone number listed in this resume?",
                     key: 'phone',
-                    fallbackQuestion: "What phone number appears in the contact information?",
-                    context: firstSection // Use first section for phone
+                    ...locale.questions.phone,
+                    context: firstSection // Use the candidate section for phone
                 },
                 {
-                    question: "What programming languages and technical skills are mentioned?",
                     key: 'skills',
-                    fallbackQuestion: "What are the technical skills?",
-                    context: resumeText // Use full text for skills
+                    ...locale.questions.skills,
+                    context: sectionContext(['skills']) // Skills section, or full text
                 },
                 {
-                    question: "What is the most recent job title and company?",
                     key: 'currentJob',
-                    fallbackQuestion: "What is their current position?",
-                    context: resumeText // Use full text for job info
+                    ...locale.questions.currentJob,
+                    context: sectionContext(['experience']) // Experience section for job info
                 },
                 {
-                    question: "What is the highest education degree and institution?",
-                    key: 'education',
-                    fallbackQuestion: "What education is listed?",
-                    context: resumeText // Use full text for education
+                    key: 'highestEducation',
+                    ...locale.questions.highestEducation,
+                    context: sectionContext(['education']) // Education section
                 },
                 {
-                    question: "How many years of experience are mentioned?",
-                    key: 'experience',
-                    fallbackQuestion: "What is the work experience?",
-                    context: resumeText // Use full text for experience
+                    key: 'experienceSummary',
+                    ...locale.questions.experienceSummary,
+                    context: sectionContext(['summary', 'experience']) // Summary usually states the years
                 }
             ];
 
-            // Store all extracted information
+            // Store all extracted information, and the answers it came from
             const extractedInfo = {};
+            const answers = {};
 
-            // Process each question with the appropriate context
-            for (const { question, key, fallbackQuestion, context } of questions) {
+            // Process the questions concurrently, each with its own context,
+            // up to the provider's limit
+            await mapWithConcurrency(questions, provider.maxConcurrency, async ({ question, key, fallbackQuestion, context }) => {
                 try {
                     console.log(`Extracting: ${key}`);
 
                     // Use the specific context for each question
-                    let answer = await this.extractWithQA(context, question);
-
-                    // If we didn't get a good answer, try the fallback
-                    if (!answer || answer.length < 2) {
-                        answer = await this.extractWithQA(context, fallbackQuestion);
-                    }
+                    const answer = await provider.answer({
+                        key,
+                        question,
+                        fallbackQuestion,
+                        context: context.text,
+                        fullText: resumeText,
+                        language: language.code
+                    });
 
                     if (answer) {
-                        extractedInfo[key] = answer;
-                        console.log(`✓ Extracted ${key}: ${answer.substring(0, 50)}...`);
+                        extractedInfo[key] = answer.text;
+                        answers[key] = { ...answer, context };
+                        // Values are the candidate's personal data; log only that one was found
+                        console.log(`✓ Extracted ${key} (${answer.text.length} characters)`);
                     }
                 } catch (error) {
                     console.error(`Error extracting ${key}:`, error.message);
                 }
-
-                // Add delay to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 500));
-            }
+            });
 
             // ENHANCED: Apply additional validation and cleaning
             const processedInfo = this.enhancedPostProcessing(extractedInfo, resumeText);
+            processedInfo.detectedSections = segmentation.order.filter(key => key !== 'header');
+            processedInfo.parserProvider = provider.name;
+            processedInfo.language = language;
+            processedInfo.parser = describeParser(provider);
+            processedInfo.fieldProvenance = this.buildFieldProvenance(processedInfo, answers, provider.name);
+
+            // ENHANCED: Build the position list from the experience section.
+            // QA only ever returns one span, so positions are read from the
+            // date ranges that anchor each role instead.
+            const workHistory = workHistoryExtractor.extract(this.getWorkHistoryText(segmentation, resumeText));
+            processedInfo.experience = workHistory.positions;
+            processedInfo.totalYearsExperience = workHistory.totalYearsExperience;
+            console.log(`✓ Extracted ${workHistory.positions.length} positions (${workHistory.totalYearsExperience} years)`);
+
+            const latestPosition = workHistory.positions[0];
+            if (!processedInfo.currentJob && latestPosition && latestPosition.title) {
+                processedInfo.currentJob = [latestPosition.title, latestPosition.company].filter(Boolean).join(' at ');
+                processedInfo.fieldProvenance.currentJob = this.locateInText(
+                    resumeText, latestPosition.title, { method: 'workHistory' }
+                );
+            }
+
+            // ENHANCED: Every degree and certification, not just the highest one
+            processedInfo.education = this.extractEducationEntries(segmentation, resumeText);
+            processedInfo.certifications = educationExtractor.extractCertifications(
+                resumeSectionSegmenter.getSectionText(segmentation, ['certifications']) || ''
+            );
+            console.log(`✓ Extracted ${processedInfo.education.length} education entries, ${processedInfo.certifications.length} certifications`);
 
             return {
                 success: true,
                 data: processedInfo,
-                rawText: resumeText.substring(0, 1000)
+                rawText: resumeText.substring(0, 1000),
+                // The text fieldProvenance offsets refer to
+                extractedText: resumeText,
+                sourceFormat: extraction.format,
+                extractionMetadata: extraction.metadata,
+                sections: this.summarizeSections(segmentation)
             };
         } catch (error) {
             console.error('Resume parsing error:', error);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                // How far text extraction got, e.g. whether OCR was tried
+                extractionMetadata: extraction ? extraction.metadata : null
+            };
+        }
+    }
+
+    /**
+     * Explain what OCR made of a scan, for the error shown on the resume
+     */
+    describeOcrOutcome(ocr) {
+        if (!ocr) return '';
+        if (ocr.error) return `; OCR was not possible: ${ocr.error}`;
+        return `; OCR read ${ocr.textLength} characters with ${ocr.confidence}% confidence`;
+    }
+
+    /**
+     * Collapse runs of spaces and tabs and trim each line,
+     * but keep line breaks so headings stay on their own lines
+     */
+    normalizeWhitespace(text) {
+        return text
+            .split('\n')
+            .map(line => line.replace(/[ \t\f\v]+/g, ' ').trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Pick the text that holds the candidate's own details
+     * The header (everything before the first heading) plus any explicit
+     * contact section; the first-characters heuristic is the fallback.
+     */
+    getCandidateSection(segmentation, resumeText) {
+        const segments = ['header', 'contact']
+            .map(key => segmentation.sections[key])
+            .filter(section => section && section.text.trim())
+            .flatMap(section => section.segments);
+        const candidate = this.buildContext(segments);
+
+        if (candidate.text.trim().length >= 20) {
+            return candidate;
+        }
+
+        return this.buildContext([{ start: 0, text: this.extractFirstSection(resumeText) }]);
+    }
+
+    /**
+     * Context for the first available section, like getSectionText
+     */
+    getSectionContext(segmentation, keys) {
+        for (const key of keys) {
+            const section = segmentation.sections[key];
+            if (section && section.text.trim()) {
+                return this.buildContext(section.segments);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Text a question is asked against, built from pieces of the resume text
+     * Pieces are joined with line breaks, the same way the segmenter joins
+     * repeated sections; each keeps its offset in the resume text.
+     *
+     * @param {Array<{start: number, text: string}>} pieces
+     */
+    buildContext(pieces) {
+        return {
+            text: pieces.map(piece => piece.text).join('\n'),
+            pieces: pieces.map(piece => ({ start: piece.start, length: piece.text.length }))
+        };
+    }
+
+    /**
+     * Map a span within a context back to offsets in the resume text
+     * A span that crosses into the next piece is cut at the end of its first piece.
+     */
+    toDocumentSpan(context, start, end) {
+        if (typeof start !== 'number' || typeof end !== 'number' || end <= start) {
+            return null;
+        }
+
+        let offset = 0;
+        for (const piece of context.pieces) {
+            if (start < offset + piece.length) {
+                return {
+                    start: piece.start + Math.max(0, start - offset),
+                    end: piece.start + Math.min(end - offset, piece.length)
+                };
+            }
+            offset += piece.length + 1;
+        }
+
+        return null;
+    }
+
+    /**
+     * Where each extracted field came from
+     * The answer as found in the text, the model's score (null for rules),
+     * its character offsets in the resume text and what produced it.
+     */
+    buildFieldProvenance(processedInfo, answers, providerName) {
+        const provenance = {};
+
+        for (const [key, answer] of Object.entries(answers)) {
+            // Post-processing may have rejected the answer
+            if (processedInfo[key] === undefined) continue;
+
+            const span = this.toDocumentSpan(answer.context, answer.start, answer.end);
+            provenance[key] = {
+                text: answer.text,
+                score: typeof answer.score === 'number' ? answer.score : null,
+                start: span ? span.start : null,
+                end: span ? span.end : null,
+                source: { provider: providerName, ...answer.source }
             };
         }
+
+        return provenance;
+    }
+
+    /**
+     * Provenance for a value taken verbatim from the resume text
+     */
+    locateInText(resumeText, value, source) {
+        const start = resumeText.indexOf(value);
+        return {
+            text: value,
+            score: null,
+            start: start === -1 ? null : start,
+            end: start === -1 ? null : start + value.length,
+            source
+        };
+    }
+
+    /**
+     * Text to read positions from
+     * Without an experience heading, use everything except the sections whose
+     * date ranges are not jobs (education, certifications, ...).
+     */
+    getWorkHistoryText(segmentation, resumeText) {
+        const experienceText = resumeSectionSegmenter.getSectionText(segmentation, ['experience']);
+        if (experienceText) {
+            return experienceText;
+        }
+
+        const nonWorkSections = ['education', 'certifications', 'awards', 'publications', 'references'];
+        const remaining = segmentation.segments
+            .filter(segment => !nonWorkSections.includes(segment.key))
+            .map(segment => segment.text);
+
+        return remaining.length > 0 ? remaining.join('\n') : resumeText;
+    }
+
+    /**
+     * Education entries from the education section
+     * Without an education heading the whole text is scanned, keeping only
+     * entries that name a degree so employer names aren't mistaken for schools.
+     */
+    extractEducationEntries(segmentation, resumeText) {
+        const educationText = resumeSectionSegmenter.getSectionText(segmentation, ['education']);
+        if (educationText) {
+            return educationExtractor.extractEducation(educationText);
+        }
+
+        return educationExtractor.extractEducation(resumeText).filter(entry => entry.degree);
+    }
+
+    /**
+     * Section map returned alongside the parse result
+     * Offsets refer to the normalized resume text
+     */
+    summarizeSections(segmentation) {
+        const summary = {};
+
+        for (const [key, section] of Object.entries(segmentation.sections)) {
+            summary[key] = {
+                heading: section.heading,
+                ranges: section.segments.map(segment => ({ start: segment.start, end: segment.end })),
+                length: section.text.length
+            };
+        }
+
+        return summary;
     }
 
     /**
@@ -164,65 +416,6 @@ class HuggingFaceService {
         return resumeText.substring(0, firstSectionEnd);
     }
 
-    /**
-     * Extract information using the Question-Answering model
-     * (Same as before, no changes needed here)
-     */
-    async extractWithQA(context, question) {
-        try {
-            const response = await axios.post(
-                `${this.baseURL}${this.qaModel}`,
-                {
-                    inputs: {
-                        question: question,
-                        context: context
-                    }
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.apiKey}`,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 30000
-                }
-            );
-
-            if (response.data && response.data.answer && response.data.score > 0.01) {
-                return response.data.answer;
-            }
-            return null;
-        } catch (error) {
-            if (error.response && error.response.status === 503) {
-                console.log('Model is loading, waiting 5 seconds...');
-                await new Promise(resolve => setTimeout(resolve, 5000));
-                try {
-                    const retryResponse = await axios.post(
-                        `${this.baseURL}${this.qaModel}`,
-                        {
-                            inputs: {
-                                question: question,
-                                context: context
-                            }
-                        },
-                        {
-                            headers: {
-                                'Authorization': `Bearer ${this.apiKey}`,
-                                'Content-Type': 'application/json'
-                            },
-                            timeout: 30000
-                        }
-                    );
-                    if (retryResponse.data && retryResponse.data.answer) {
-                        return retryResponse.data.answer;
-                    }
-                } catch (retryError) {
-                    console.error('Retry failed:', retryError.message);
-                }
-            }
-            throw error;
-        }
-    }
-
     /**
      * Enhanced post-processing with validation
      * This ensures we're getting the candidate's information, not references
@@ -276,17 +469,19 @@ class HuggingFaceService {
             processed.phone = phoneDigits.length >= 10 ? phoneDigits : rawInfo.phone;
         }
 
-        // Process skills
+        // Process skills: "JS, ReactJS, javascript" -> ["JavaScript", "React"]
         if (rawInfo.skills) {
             const skillArray = rawInfo.skills
                 .split(/[,;]/)
                 .map(skill => skill.trim())
                 .filter(skill => skill.length > 0);
-            processed.skills = skillArray.length > 0 ? skillArray : [rawInfo.skills];
+            processed.skills = skillArray.length > 0
+                ? skillTaxonomyService.canonicalizeList(skillArray)
+                : [rawInfo.skills];
         }
 
         // Keep other fields as extracted
-        ['currentJob', 'education', 'experience'].forEach(field => {
+        ['currentJob', 'highestEducation', 'experienceSummary'].forEach(field => {
             if (rawInfo[field]) {
                 processed[field] = rawInfo[field];
             }
@@ -327,7 +522,7 @@ class HuggingFaceService {
      */
     async classifyText(text, labels) {
         try {
-            const response = await axios.post(
+            const response = await aiHttpClient.post(
                 `${this.baseURL}${this.classificationModel}`,
                 {
                     inputs: text,
@@ -336,6 +531,7 @@ class HuggingFaceService {
                     }
                 },
                 {
+                    key: `huggingface:${this.classificationModel}`,
                     headers: {
                         'Authorization': `Bearer ${this.apiKey}`,
                         'Content-Type': 'application/json'
@@ -0,0 +1,130 @@
+// AI Inference Cache
+// File: src/services/ai/inferenceCache.js
+//
+// Postgres-backed cache of model outputs (table ai_inference_cache). Entries
+// are keyed by a SHA-256 hash of the model, the task and the exact input, so
+// the same skill or the same resume text never goes to the model twice.
+//
+// The cache is an optimization only: if the database is unreachable or the
+// table has not been migrated yet, lookups miss and writes are skipped.
+
+const crypto = require('crypto');
+const { query } = require('../../config/database');
+
+class InferenceCache {
+    constructor() {
+        this.enabled = process.env.AI_CACHE_ENABLED !== 'false';
+        this.ttlDays = parseInt(process.env.AI_CACHE_TTL_DAYS, 10) || 30;
+        this.warnedAboutError = false;
+    }
+
+    /**
+     * Content hash identifying one model call
+     */
+    getKey(model, task, input) {
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify({ model, task, input }))
+            .digest('hex');
+    }
+
+    /**
+     * Look up cached outputs for several inputs in one query
+     *
+     * @returns {Promise<Map>} input index -> cached output, for hits only
+     */
+    async getMany(model, task, inputs) {
+        const hits = new Map();
+        if (!this.enabled || inputs.length === 0) return hits;
+
+        const keys = inputs.map(input => this.getKey(model, task, input));
+
+        try {
+            const result = await query(
+                `UPDATE ai_inference_cache
+                 SET hit_count = hit_count + 1,
+                     last_used_at = NOW()
+                 WHERE cache_key = ANY($1)
+                   AND created_at > NOW() - ($2 * INTERVAL '1 day')
+                 RETURNING cache_key, output`,
+                [keys, this.ttlDays]
+            );
+
+            const outputs = new Map(result.rows.map(row => [row.cache_key, row.output]));
+            keys.forEach((key, index) => {
+                if (outputs.has(key)) {
+                    hits.set(index, outputs.get(key));
+                }
+            });
+        } catch (error) {
+            this.reportError('read', error);
+        }
+
+        return hits;
+    }
+
+    async get(model, task, input) {
+        const hits = await this.getMany(model, task, [input]);
+        return hits.has(0) ? hits.get(0) : null;
+    }
+
+    /**
+     * Store outputs for several inputs
+     *
+     * @param {Array<{input, output}>} entries
+     */
+    async setMany(model, task, entries) {
+        if (!this.enabled || entries.length === 0) return;
+
+        try {
+            await query(
+                `INSERT INTO ai_inference_cache (cache_key, model, task, output)
+                 SELECT key, $2, $3, output
+                 FROM UNNEST($1::text[], $4::jsonb[]) AS entry(key, output)
+                 ON CONFLICT (cache_key) DO UPDATE
+                 SET output = EXCLUDED.output,
+                     created_at = NOW(),
+                     last_used_at = NOW()`,
+                [
+                    entries.map(({ input }) => this.getKey(model, task, input)),
+                    model,
+                    task,
+                    entries.map(({ output }) => JSON.stringify(output))
+                ]
+            );
+        } catch (error) {
+            this.reportError('write', error);
+        }
+    }
+
+    async set(model, task, input, output) {
+        await this.setMany(model, task, [{ input, output }]);
+    }
+
+    /**
+     * Return the cached output, or compute and cache it
+     * Null or undefined outputs are not cached.
+     */
+    async wrap(model, task, input, compute) {
+        const cached = await this.get(model, task, input);
+        if (cached !== null) {
+            return cached;
+        }
+
+        const output = await compute();
+        if (output !== null && output !== undefined) {
+            await this.set(model, task, input, output);
+        }
+        return output;
+    }
+
+    reportError(operation, error) {
+        // Say it once; a missing table would otherwise log on every call
+        if (!this.warnedAboutError) {
+            console.warn(`⚠️  AI inference cache ${operation} failed, continuing without cache: ${error.message}`);
+            this.warnedAboutError = true;
+        }
+    }
+}
+
+module.exports = new InferenceCache();
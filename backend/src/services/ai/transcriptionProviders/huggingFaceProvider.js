@@ -0,0 +1,92 @@
+// Hugging Face Transcription Provider
+// File: src/services/ai/transcriptionProviders/huggingFaceProvider.js
+//
+// Sends audio to a speech recognition model on the Hugging Face Inference API.
+// The model defaults to openai/whisper-large-v3 and can be changed with
+// HUGGINGFACE_TRANSCRIPTION_MODEL.
+
+const aiHttpClient = require('../aiHttpClient');
+const { fromTimestampChunks } = require('./segments');
+
+class HuggingFaceTranscriptionProvider {
+    constructor() {
+        this.name = 'huggingface';
+        this.baseURL = 'https://api-inference.huggingface.co/models/';
+
+        // Payload limit for the hosted inference API
+        this.maxFileSize = 25 * 1024 * 1024;
+        // Longer recordings are sent in chunks that fit the limit and the timeout
+        this.splitLongAudio = true;
+    }
+
+    getApiKey() {
+        return process.env.HUGGINGFACE_API_KEY;
+    }
+
+    getModel() {
+        return process.env.HUGGINGFACE_TRANSCRIPTION_MODEL || 'openai/whisper-large-v3';
+    }
+
+    isAvailable() {
+        return !!this.getApiKey();
+    }
+
+    /**
+     * Transcribe an audio buffer
+     * The audio is sent base64-encoded in a JSON body so pipeline parameters
+     * can go along: timestamps for every chunk of text, and the language
+     * when it is known. Waiting for a cold model to load is handled by the
+     * shared AI HTTP client.
+     *
+     * @param {Object} audio - {buffer, fileName, contentType, filePath}
+     * @param {Object} options - {language}, an ISO 639-1 code
+     * @returns {Promise<{text: string, raw: Object, model: string, segments: Array}>}
+     */
+    async transcribe(audio, options = {}) {
+        const apiKey = this.getApiKey();
+        if (!apiKey) {
+            throw new Error('API key not configured. Please add HUGGINGFACE_API_KEY to your .env file');
+        }
+
+        const model = this.getModel();
+        const body = {
+            inputs: audio.buffer.toString('base64'),
+            parameters: {
+                return_timestamps: true,
+                ...(options.language && {
+                    generate_kwargs: { language: options.language, task: 'transcribe' }
+                })
+            }
+        };
+
+        try {
+            const response = await aiHttpClient.post(`${this.baseURL}${model}`, body, {
+                key: `huggingface:${model}`,
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                timeout: 120000,
+                axiosOptions: {
+                    maxContentLength: Infinity,
+                    maxBodyLength: Infinity
+                }
+            });
+
+            return {
+                text: response.data.text,
+                raw: response.data,
+                model,
+                segments: fromTimestampChunks(response.data.chunks)
+            };
+        } catch (error) {
+            if (error.response && error.response.status === 401) {
+                throw new Error('Invalid API key. Please check your HUGGINGFACE_API_KEY.');
+            }
+
+            throw error;
+        }
+    }
+}
+
+module.exports = new HuggingFaceTranscriptionProvider();
@@ -0,0 +1,74 @@
+// Transcription Provider Registry
+// File: src/services/ai/transcriptionProviders/index.js
+//
+// voiceTranscriptionService handles validation and quality checks; a provider
+// only turns audio into text. Every provider exposes:
+//
+//   name                      - identifier used in TRANSCRIPTION_PROVIDER
+//   transcribe(audio, opts)   - Promise<{text, raw, model, segments}> for {buffer, fileName, contentType, filePath, sourcePath, range};
+//                               filePath is the file sent (a normalized copy or a chunk), sourcePath the upload;
+//                               range is {start, end}, the seconds of sourcePath in filePath, when live
+//                               transcription sends part of a recording (null otherwise);
+//                               model names what produced the text (stamped on parsed resumes);
+//                               segments are timestamped parts of the text (see ./segments), or []
+//                               opts: {prompt, language}; language is an ISO 639-1 hint, null to auto-detect
+//   isAvailable()             - whether it is configured in this environment
+//   maxFileSize               - upload limit in bytes, or null for none
+//   splitLongAudio            - whether long recordings should be split into chunks
+//                               (see ../audioChunker) and sent as separate requests
+//
+// TRANSCRIPTION_PROVIDER selects one explicitly (openai, huggingface, local).
+// When it is unset, OpenAI is used if OPENAI_API_KEY is present and the local
+// provider otherwise.
+
+const openAIProvider = require('./openAIProvider');
+const huggingFaceProvider = require('./huggingFaceProvider');
+const localProvider = require('./localProvider');
+
+class TranscriptionProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.warnedAboutFallback = false;
+
+        this.register(openAIProvider);
+        this.register(huggingFaceProvider);
+        this.register(localProvider);
+    }
+
+    register(provider) {
+        this.providers.set(provider.name, provider);
+    }
+
+    getProviderNames() {
+        return [...this.providers.keys()];
+    }
+
+    /**
+     * Resolve the provider to use for a transcription
+     *
+     * @param {string} [name] - Explicit provider name; defaults to TRANSCRIPTION_PROVIDER
+     */
+    getProvider(name = process.env.TRANSCRIPTION_PROVIDER) {
+        if (name) {
+            const provider = this.providers.get(name.trim().toLowerCase());
+            if (!provider) {
+                throw new Error(
+                    `Unknown transcription provider "${name}". Available: ${this.getProviderNames().join(', ')}`
+                );
+            }
+            return provider;
+        }
+
+        if (openAIProvider.isAvailable()) {
+            return openAIProvider;
+        }
+
+        if (!this.warnedAboutFallback) {
+            console.warn('⚠️  OPENAI_API_KEY is not set - using the local transcription provider');
+            this.warnedAboutFallback = true;
+        }
+        return localProvider;
+    }
+}
+
+module.exports = new TranscriptionProviderRegistry();
@@ -0,0 +1,149 @@
+// Local Transcription Provider
+// File: src/services/ai/transcriptionProviders/localProvider.js
+//
+// Transcribes without any hosted service, for offline development and tests:
+//
+// 1. Sidecar transcripts - a text file next to the audio ("clip.webm.txt" or
+//    "clip.txt"), or "<name>.txt" in TRANSCRIPTION_FIXTURES_DIR. For live
+//    transcription, which sends the recording a part at a time, the words
+//    are taken to be spoken at TRANSCRIPTION_FIXTURE_WORDS_PER_MINUTE and
+//    each part gets the ones said during it.
+// 2. A self-hosted whisper.cpp server (or anything speaking its /inference
+//    API) at WHISPER_CPP_URL, e.g. http://localhost:8080/inference.
+
+const FormData = require('form-data');
+const fs = require('fs').promises;
+const path = require('path');
+const aiHttpClient = require('../aiHttpClient');
+const { normalizeSegments } = require('./segments');
+
+class LocalTranscriptionProvider {
+    constructor() {
+        this.name = 'local';
+
+        // No upload limit applies to a sidecar file or a local server
+        this.maxFileSize = null;
+        // A sidecar transcript covers the whole recording, so it is never split
+        this.splitLongAudio = false;
+        // Speaking rate assumed when a sidecar transcript is given out in parts
+        this.fixtureWordsPerMinute = parseInt(process.env.TRANSCRIPTION_FIXTURE_WORDS_PER_MINUTE, 10) || 150;
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * Transcribe from a sidecar file, or from the whisper.cpp server
+     *
+     * @param {Object} audio - {buffer, fileName, contentType, filePath, sourcePath, range}
+     * @param {Object} options - {prompt, language}
+     * @returns {Promise<{text: string, raw: Object, model: string, segments: Array}>}
+     *   A sidecar transcript has no timestamps, so its segments are empty
+     */
+    async transcribe(audio, options = {}) {
+        // The sidecar sits next to the upload, not the normalized copy
+        const sidecar = await this.findSidecarTranscript(audio.sourcePath || audio.filePath);
+        if (sidecar) {
+            console.log(`Using sidecar transcript: ${sidecar.path}`);
+            return {
+                text: audio.range ? this.wordsSpokenDuring(sidecar.text, audio.range) : sidecar.text,
+                raw: { source: 'sidecar', path: sidecar.path, range: audio.range || null },
+                model: 'sidecar',
+                segments: []
+            };
+        }
+
+        const serverUrl = process.env.WHISPER_CPP_URL;
+        if (serverUrl) {
+            return this.transcribeWithServer(serverUrl, audio, options);
+        }
+
+        throw new Error(
+            `No sidecar transcript found for ${path.basename(audio.sourcePath || audio.filePath)} and WHISPER_CPP_URL is not set`
+        );
+    }
+
+    /**
+     * Look for a transcript file that belongs to the audio file
+     */
+    async findSidecarTranscript(audioFilePath) {
+        const parsed = path.parse(audioFilePath);
+        const candidates = [
+            `${audioFilePath}.txt`,
+            path.join(parsed.dir, `${parsed.name}.txt`)
+        ];
+
+        if (process.env.TRANSCRIPTION_FIXTURES_DIR) {
+            candidates.push(
+                path.join(process.env.TRANSCRIPTION_FIXTURES_DIR, `${parsed.base}.txt`),
+                path.join(process.env.TRANSCRIPTION_FIXTURES_DIR, `${parsed.name}.txt`)
+            );
+        }
+
+        for (const candidate of candidates) {
+            try {
+                const text = await fs.readFile(candidate, 'utf8');
+                return { path: candidate, text: text.trim() };
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * The words of a sidecar transcript said between two points of the recording
+     */
+    wordsSpokenDuring(text, range) {
+        const words = text.split(/\s+/).filter(Boolean);
+        const wordsPerSecond = this.fixtureWordsPerMinute / 60;
+        return words
+            .slice(Math.round(range.start * wordsPerSecond), Math.round(range.end * wordsPerSecond))
+            .join(' ');
+    }
+
+    async transcribeWithServer(serverUrl, audio, options) {
+        const buildForm = () => {
+            const formData = new FormData();
+            formData.append('file', audio.buffer, {
+                filename: audio.fileName,
+                contentType: audio.contentType
+            });
+            formData.append('response_format', 'verbose_json');
+            if (options.prompt) {
+                formData.append('prompt', options.prompt);
+            }
+            if (options.language) {
+                formData.append('language', options.language);
+            }
+            return formData;
+        };
+
+        try {
+            const response = await aiHttpClient.post(serverUrl, buildForm, {
+                key: 'local:whisper.cpp',
+                timeout: 300000, // CPU inference is slow on long recordings
+                axiosOptions: {
+                    maxContentLength: Infinity,
+                    maxBodyLength: Infinity
+                }
+            });
+
+            return {
+                text: response.data.text,
+                raw: response.data,
+                model: 'whisper.cpp',
+                segments: normalizeSegments(response.data.segments)
+            };
+        } catch (error) {
+            if (error.code === 'ECONNREFUSED') {
+                throw new Error(`Could not reach the whisper.cpp server at ${serverUrl}`);
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = new LocalTranscriptionProvider();
@@ -0,0 +1,108 @@
+// OpenAI Transcription Provider
+// File: src/services/ai/transcriptionProviders/openAIProvider.js
+//
+// Sends audio to OpenAI's hosted Whisper model (whisper-1).
+
+const FormData = require('form-data');
+const aiHttpClient = require('../aiHttpClient');
+const { normalizeSegments } = require('./segments');
+
+class OpenAITranscriptionProvider {
+    constructor() {
+        this.name = 'openai';
+        this.baseURL = 'https://api.openai.com/v1/audio/transcriptions';
+        this.model = 'whisper-1';
+
+        // OpenAI has a 25MB file size limit for audio files
+        this.maxFileSize = 25 * 1024 * 1024;
+        // Longer recordings are sent in chunks that fit the limit and the timeout
+        this.splitLongAudio = true;
+    }
+
+    // Read lazily so the key is picked up even if .env loads after this module
+    getApiKey() {
+        return process.env.OPENAI_API_KEY;
+    }
+
+    isAvailable() {
+        return !!this.getApiKey();
+    }
+
+    /**
+     * Transcribe an audio buffer
+     *
+     * @param {Object} audio - {buffer, fileName, contentType, filePath}
+     * @param {Object} options - {prompt, language}; language is an ISO 639-1 code
+     * @returns {Promise<{text: string, raw: Object, model: string, segments: Array}>}
+     */
+    async transcribe(audio, options = {}) {
+        const apiKey = this.getApiKey();
+        if (!apiKey) {
+            throw new Error('API key not configured. Please add OPENAI_API_KEY to your .env file');
+        }
+
+        // OpenAI's API expects multipart/form-data with the audio file
+        // The form is a stream, so each retry attempt gets a fresh one
+        const buildForm = () => {
+            const formData = new FormData();
+            formData.append('file', audio.buffer, {
+                filename: audio.fileName,
+                contentType: audio.contentType
+            });
+            formData.append('model', this.model);
+            if (options.prompt) {
+                formData.append('prompt', options.prompt);
+            }
+            if (options.language) {
+                formData.append('language', options.language);
+            }
+            // Segment and word timestamps link the transcript back to the audio
+            formData.append('response_format', 'verbose_json');
+            formData.append('timestamp_granularities[]', 'segment');
+            formData.append('timestamp_granularities[]', 'word');
+            return formData;
+        };
+
+        try {
+            const response = await aiHttpClient.post(this.baseURL, buildForm, {
+                key: `openai:${this.model}`,
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                },
+                timeout: 120000, // 2 minutes timeout for longer audio files
+                axiosOptions: {
+                    maxContentLength: Infinity,
+                    maxBodyLength: Infinity
+                }
+            });
+
+            return {
+                text: response.data.text,
+                raw: response.data,
+                model: this.model,
+                segments: normalizeSegments(response.data.segments, response.data.words)
+            };
+        } catch (apiError) {
+            if (apiError.response) {
+                console.error('API Error Response:', {
+                    status: apiError.response.status,
+                    statusText: apiError.response.statusText,
+                    data: apiError.response.data
+                });
+
+                // Provide user-friendly error messages
+                if (apiError.response.status === 401) {
+                    throw new Error('Invalid API key. Please check your OPENAI_API_KEY.');
+                } else if (apiError.response.status === 429) {
+                    throw new Error('Rate limit exceeded. Please try again later.');
+                } else if (apiError.response.status === 413) {
+                    throw new Error('Audio file too large. Maximum size is 25MB.');
+                }
+            }
+
+            throw apiError;
+        }
+    }
+}
+
+module.exports = new OpenAITranscriptionProvider();
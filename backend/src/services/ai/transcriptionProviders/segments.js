@@ -0,0 +1,113 @@
+// Transcript Segments
+// File: src/services/ai/transcriptionProviders/segments.js
+//
+// Providers return timestamps in different shapes: Whisper's verbose_json
+// (OpenAI and whisper.cpp) has segments plus, on request, a flat list of
+// words; the Hugging Face pipeline returns text chunks with [start, end]
+// pairs. These helpers turn both into one shape:
+//
+//   [{id, start, end, text, words?: [{word, start, end}]}]
+//
+// with times in seconds from the start of the audio that was sent.
+
+const round = (seconds) => Math.round(seconds * 100) / 100;
+
+const toSeconds = (value) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+/**
+ * Normalize Whisper verbose_json segments
+ *
+ * @param {Array<Object>} segments - {id, start, end, text, words?}
+ * @param {Array<Object>} [words] - Top-level {word, start, end} list, as
+ *   OpenAI returns it with timestamp_granularities[]=word; each word goes to
+ *   the segment its midpoint falls in
+ * @returns {Array<Object>}
+ */
+const normalizeSegments = (segments, words = null) => {
+    const normalized = [];
+
+    for (const segment of Array.isArray(segments) ? segments : []) {
+        const start = toSeconds(segment.start);
+        const end = toSeconds(segment.end);
+        const text = String(segment.text || '').trim();
+        if (start === null || !text) continue;
+
+        normalized.push({
+            id: normalized.length,
+            start: round(start),
+            end: round(end !== null && end >= start ? end : start),
+            text,
+            ...(Array.isArray(segment.words) && { words: normalizeWords(segment.words) })
+        });
+    }
+
+    if (Array.isArray(words) && words.length > 0 && normalized.length > 0) {
+        let index = 0;
+        for (const word of normalizeWords(words)) {
+            const midpoint = (word.start + word.end) / 2;
+            while (index < normalized.length - 1 && midpoint > normalized[index].end) {
+                index++;
+            }
+            const segment = normalized[index];
+            (segment.words = segment.words || []).push(word);
+        }
+    }
+
+    return normalized;
+};
+
+/**
+ * Normalize Hugging Face chunks ({text, timestamp: [start, end]})
+ * The last chunk's end is null when the audio ends mid-sentence.
+ */
+const fromTimestampChunks = (chunks, duration = null) => {
+    return normalizeSegments(
+        (Array.isArray(chunks) ? chunks : []).map((chunk, index, all) => {
+            const [start, end] = Array.isArray(chunk.timestamp) ? chunk.timestamp : [];
+            return {
+                start,
+                end: end ?? all[index + 1]?.timestamp?.[0] ?? duration ?? start,
+                text: chunk.text
+            };
+        })
+    );
+};
+
+const normalizeWords = (words) => {
+    return words
+        .map(word => ({
+            word: String(word.word ?? word.text ?? '').trim(),
+            start: toSeconds(word.start),
+            end: toSeconds(word.end)
+        }))
+        .filter(word => word.word && word.start !== null && word.end !== null)
+        .map(word => ({ word: word.word, start: round(word.start), end: round(word.end) }));
+};
+
+/**
+ * Shift segments by an offset, e.g. a chunk's start in the whole recording
+ */
+const shiftSegments = (segments, offset, firstId = 0) => {
+    return (segments || []).map((segment, index) => ({
+        ...segment,
+        id: firstId + index,
+        start: round(segment.start + offset),
+        end: round(segment.end + offset),
+        ...(segment.words && {
+            words: segment.words.map(word => ({
+                ...word,
+                start: round(word.start + offset),
+                end: round(word.end + offset)
+            }))
+        })
+    }));
+};
+
+module.exports = {
+    normalizeSegments,
+    fromTimestampChunks,
+    shiftSegments
+};
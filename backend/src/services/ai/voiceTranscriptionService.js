@@ -1,73 +1,53 @@
-// Voice Transcription Service using OpenAI's Whisper API
+// Voice Transcription Service
 // This service handles converting audio files (voice resumes) into text
-// Updated to use OpenAI's official Whisper API for reliable transcription
+// The speech-to-text backend is pluggable (see ./transcriptionProviders):
+// OpenAI Whisper, the Hugging Face Inference API, or a local stand-in
 
-const axios = require('axios');
 const fs = require('fs').promises;
-const FormData = require('form-data');
 const path = require('path');
+const transcriptionProviders = require('./transcriptionProviders');
+const audioChunker = require('./audioChunker');
+const audioNormalizer = require('./audioNormalizer');
+const { shiftSegments } = require('./transcriptionProviders/segments');
+const { mapWithConcurrency } = require('../../utils/concurrency');
+const languageDetector = require('../parsing/languageDetector');
+const { getLocale, normalizeLanguage } = require('../parsing/locales');
 
 class VoiceTranscriptionService {
     constructor() {
-        // Initialize the API key - will be retrieved when needed
-        // This prevents timing issues with environment variable loading
-        this.apiKey = null;
+        // Audio formats accepted for voice resumes
+        // These are the formats Whisper supports, which every provider can handle
+        this.supportedFormats = ['.mp3', '.mp4', '.mpeg', '.mpga', '.m4a', '.wav', '.webm', '.ogg', '.oga', '.flac'];
 
-        // OpenAI's Whisper API endpoint
-        // This is the official, reliable endpoint for audio transcription
-        this.baseURL = 'https://api.openai.com/v1/audio/transcriptions';
-
-        // Whisper model to use - 'whisper-1' is the current model
-        this.model = 'whisper-1';
-
-        // Supported audio formats by OpenAI's Whisper
-        // These formats are officially supported and tested
-        this.supportedFormats = ['.mp3', '.mp4', '.mpeg', '.mpga', '.m4a', '.wav', '.webm'];
-
-        // OpenAI has a 25MB file size limit for audio files
+        // Default size limit, used when the provider does not declare its own
         this.maxFileSize = 25 * 1024 * 1024; // 25MB limit
-    }
-
-    /**
-     * Get the API key, ensuring it's loaded from environment if not already cached
-     * This method handles the timing issue where env vars might not be loaded when the service is instantiated
-     * @returns {string} The OpenAI API key
-     */
-    getApiKey() {
-        // If we don't have the API key cached, try to get it from environment
-        if (!this.apiKey) {
-            // First try OpenAI key, then fall back to Hugging Face key if needed
-            this.apiKey = process.env.OPENAI_API_KEY || process.env.HUGGINGFACE_API_KEY;
-
-            // Log warning if still no API key (helps with debugging)
-            if (!this.apiKey) {
-                console.error('WARNING: No API key found. Please set OPENAI_API_KEY in your .env file');
-            }
-        }
 
-        return this.apiKey;
+        // Longer recordings are split and their chunks transcribed separately
+        this.maxDurationSeconds = parseInt(process.env.TRANSCRIPTION_MAX_DURATION_SECONDS, 10) || 30 * 60;
+        this.chunkConcurrency = parseInt(process.env.TRANSCRIPTION_CHUNK_CONCURRENCY, 10) || 3;
     }
 
     /**
-     * Transcribe an audio file to text using OpenAI's Whisper API
+     * Transcribe an audio file to text with the configured provider
      * This is the main entry point for voice resume processing
      * @param {string} audioFilePath - Path to the audio file
-     * @returns {Object} Transcription result with text and metadata
+     * @param {Object} options - {provider} to override TRANSCRIPTION_PROVIDER, and
+     *                           {language} the user says the recording is in
+     * @returns {Object} Transcription result with text and metadata, including
+     *                  the language of the transcript, timestamped segments
+     *                  when the provider returns them, the recording's
+     *                  duration and codec details (audio), and for recordings
+     *                  that were split, the chunks with their time offsets.
+     *                  All times are seconds into the uploaded recording.
      */
-    async transcribeAudio(audioFilePath) {
+    async transcribeAudio(audioFilePath, options = {}) {
+        let normalized = null;
+
         try {
             console.log(`Starting voice transcription for file: ${audioFilePath}`);
 
-            // Get the API key when we actually need it
-            const apiKey = this.getApiKey();
-
-            // Check if we have an API key before proceeding
-            if (!apiKey) {
-                throw new Error('API key not configured. Please add OPENAI_API_KEY to your .env file');
-            }
-
-            // Debug log to confirm API key is present (shows first 10 chars only for security)
-            console.log(`API Key status: Present (${apiKey.substring(0, 10)}...)`);
+            const provider = transcriptionProviders.getProvider(options.provider);
+            console.log(`Transcription provider: ${provider.name}`);
 
             // First, validate the audio file
             const validation = await this.validateAudioFile(audioFilePath);
@@ -75,88 +55,66 @@ class VoiceTranscriptionService {
                 throw new Error(validation.error);
             }
 
-            // Read the audio file
-            const audioBuffer = await fs.readFile(audioFilePath);
-            console.log(`Audio file size: ${(audioBuffer.length / 1024 / 1024).toFixed(2)} MB`);
-
-            // Create form data for multipart upload
-            // OpenAI's API expects multipart/form-data with the audio file
-            const formData = new FormData();
-
-            // Add the audio file to the form
-            // We need to provide the buffer, filename, and content type
-            const fileName = path.basename(audioFilePath);
-            formData.append('file', audioBuffer, {
-                filename: fileName,
-                contentType: this.getContentType(fileName)
-            });
-
-            // Add the model parameter
-            formData.append('model', this.model);
-
-            // Optional: Add prompt to help with resume-specific terminology
-            formData.append('prompt', 'This is a voice resume. Please transcribe accurately, including technical terms, company names, and personal information.');
+            // Transcribe a 16kHz mono copy with the silent edges trimmed off
+            normalized = await this.normalizeAudio(audioFilePath);
+            const sourcePath = normalized ? normalized.filePath : audioFilePath;
+            const size = normalized ? normalized.size : validation.size;
 
-            // Optional: Set response format to verbose JSON for more details
-            formData.append('response_format', 'json');
+            // Recordings too big or too long for one request are split
+            const plan = await this.planTranscription(sourcePath, provider, size);
+            console.log(`Audio file size: ${(size / 1024 / 1024).toFixed(2)} MB`);
 
             const startTime = Date.now();
 
-            try {
-                // Make the transcription request to OpenAI
-                const response = await axios.post(
-                    this.baseURL,
-                    formData,
-                    {
-                        headers: {
-                            ...formData.getHeaders(),
-                            'Authorization': `Bearer ${apiKey}`,
-                        },
-                        maxContentLength: Infinity,
-                        maxBodyLength: Infinity,
-                        timeout: 120000 // 2 minutes timeout for longer audio files
-                    }
-                );
+            // A known language spares the model guessing it from the first seconds
+            const languageHint = normalizeLanguage(options.language);
+            const transcriptionOptions = {
+                prompt: getLocale(languageHint).transcriptionPrompt,
+                language: languageHint
+            };
 
-                const transcriptionTime = Date.now() - startTime;
-                console.log(`Transcription completed in ${transcriptionTime}ms`);
+            const result = plan.split
+                ? await this.transcribeInChunks(sourcePath, provider, transcriptionOptions, plan.analysis)
+                : await this.transcribeFile(sourcePath, provider, transcriptionOptions, audioFilePath);
 
-                // Process the response
-                const transcribedText = this.processTranscriptionResponse(response.data);
+            // Timestamps in the trimmed copy are behind the upload's by what was trimmed
+            const offset = normalized ? normalized.offset : 0;
 
-                // Analyze the transcription for quality
-                const quality = this.assessTranscriptionQuality(transcribedText);
+            const transcriptionTime = Date.now() - startTime;
+            console.log(`Transcription completed in ${transcriptionTime}ms`);
 
-                return {
-                    success: true,
-                    text: transcribedText,
-                    processingTime: transcriptionTime,
-                    quality: quality,
-                    wordCount: transcribedText.split(/\s+/).filter(word => word.length > 0).length,
-                    characterCount: transcribedText.length
-                };
+            // Process the response
+            const transcribedText = this.processTranscriptionResponse(result);
 
-            } catch (apiError) {
-                // Handle specific API errors
-                if (apiError.response) {
-                    console.error('API Error Response:', {
-                        status: apiError.response.status,
-                        statusText: apiError.response.statusText,
-                        data: apiError.response.data
-                    });
-
-                    // Provide user-friendly error messages
-                    if (apiError.response.status === 401) {
-                        throw new Error('Invalid API key. Please check your OPENAI_API_KEY.');
-                    } else if (apiError.response.status === 429) {
-                        throw new Error('Rate limit exceeded. Please try again later.');
-                    } else if (apiError.response.status === 413) {
-                        throw new Error('Audio file too large. Maximum size is 25MB.');
-                    }
-                }
+            // Analyze the transcription for quality
+            const quality = this.assessTranscriptionQuality(transcribedText);
 
-                throw apiError;
-            }
+            const language = languageDetector.resolve(transcribedText, languageHint);
+            console.log(`Transcript language: ${language.code} (${language.source})`);
+
+            return {
+                success: true,
+                text: transcribedText,
+                language,
+                provider: provider.name,
+                model: result.model || null,
+                duration: normalized
+                    ? normalized.audio.duration
+                    : plan.analysis ? Math.round(plan.analysis.duration * 100) / 100 : null,
+                audio: normalized ? normalized.audio : null,
+                segments: shiftSegments(result.segments, offset),
+                chunks: result.chunks
+                    ? result.chunks.map(chunk => ({
+                        ...chunk,
+                        start: Math.round((chunk.start + offset) * 100) / 100,
+                        end: Math.round((chunk.end + offset) * 100) / 100
+                    }))
+                    : null,
+                processingTime: transcriptionTime,
+                quality: quality,
+                wordCount: transcribedText.split(/\s+/).filter(word => word.length > 0).length,
+                characterCount: transcribedText.length
+            };
 
         } catch (error) {
             console.error('Voice transcription error:', error);
@@ -166,9 +124,156 @@ class VoiceTranscriptionService {
                 error: error.message,
                 details: error.response?.data || 'No additional details available'
             };
+        } finally {
+            await audioNormalizer.cleanup(normalized);
         }
     }
 
+    /**
+     * Normalized copy of a recording (see ./audioNormalizer), or null to
+     * transcribe the upload as it is
+     * A file ffmpeg can't decode is still sent: the provider may manage.
+     */
+    async normalizeAudio(audioFilePath) {
+        try {
+            return await audioNormalizer.normalize(audioFilePath);
+        } catch (error) {
+            console.warn(`Could not normalize ${path.basename(audioFilePath)}, sending it as uploaded:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Decide whether a recording is sent whole or in chunks
+     * It is split when it is over the provider's size limit or longer than
+     * one chunk, as long as the provider wants long audio split and ffmpeg
+     * is installed. Without ffmpeg, recordings over the limit are rejected.
+     *
+     * @returns {Promise<{split: boolean, analysis: Object|null}>} analysis
+     *   has the recording's duration and pauses, when it was decoded
+     */
+    async planTranscription(audioFilePath, provider, size) {
+        const maxFileSize = provider.maxFileSize === undefined ? this.maxFileSize : provider.maxFileSize;
+        const tooBig = !!maxFileSize && size > maxFileSize;
+
+        if (!provider.splitLongAudio || !(await audioChunker.isAvailable())) {
+            if (tooBig) {
+                throw new Error(
+                    `Audio file too large. Maximum size: ${maxFileSize / 1024 / 1024}MB` +
+                    (provider.splitLongAudio ? ' (install ffmpeg to split longer recordings)' : '')
+                );
+            }
+            return { split: false, analysis: null };
+        }
+
+        let analysis;
+        try {
+            analysis = await audioChunker.analyze(audioFilePath);
+        } catch (error) {
+            // The provider may still make sense of a file ffmpeg can't decode
+            if (tooBig) {
+                throw new Error(`Could not read the recording to split it: ${error.message}`);
+            }
+            console.warn(`Could not analyze ${path.basename(audioFilePath)}, sending it whole:`, error.message);
+            return { split: false, analysis: null };
+        }
+
+        if (analysis.duration > this.maxDurationSeconds) {
+            throw new Error(
+                `Recording too long (${Math.round(analysis.duration / 60)} minutes). ` +
+                `Maximum length: ${Math.round(this.maxDurationSeconds / 60)} minutes`
+            );
+        }
+
+        return {
+            split: tooBig || analysis.duration > audioChunker.chunkSeconds,
+            analysis
+        };
+    }
+
+    /**
+     * Send a whole recording to the provider in one request
+     *
+     * @param {string} sourcePath - The upload audioFilePath was made from,
+     *   for providers that look for files next to it (sidecar transcripts)
+     * @param {Object} [range] - {start, end}: the seconds of sourcePath that
+     *   audioFilePath holds, when it is only part of it
+     */
+    async transcribeFile(audioFilePath, provider, transcriptionOptions, sourcePath = audioFilePath, range = null) {
+        const fileName = path.basename(audioFilePath);
+
+        return provider.transcribe(
+            {
+                buffer: await fs.readFile(audioFilePath),
+                fileName: fileName,
+                contentType: this.getContentType(fileName),
+                filePath: audioFilePath,
+                sourcePath,
+                range
+            },
+            transcriptionOptions
+        );
+    }
+
+    /**
+     * Split a recording on pauses and transcribe the chunks in parallel
+     * At most TRANSCRIPTION_CHUNK_CONCURRENCY requests run at once. The
+     * chunks' texts are joined in order; segments with timestamps, if the
+     * provider returns them, are shifted by their chunk's start so they are
+     * relative to the whole recording.
+     *
+     * @returns {Promise<{text: string, raw: Object, model: string, segments: Array, chunks: Array}>}
+     *   chunks lists each chunk's start and end (seconds) and where its text
+     *   starts and ends in the joined text
+     */
+    async transcribeInChunks(audioFilePath, provider, transcriptionOptions, analysis) {
+        const { workDir, chunks } = await audioChunker.split(audioFilePath, analysis);
+
+        try {
+            const results = await mapWithConcurrency(chunks, this.chunkConcurrency, async (chunk) => {
+                const result = await this.transcribeFile(chunk.path, provider, transcriptionOptions);
+                console.log(`✓ Transcribed chunk ${chunk.index + 1}/${chunks.length}`);
+                return result;
+            });
+
+            let text = '';
+            const segments = [];
+            const chunkOffsets = [];
+
+            results.forEach((result, index) => {
+                const chunk = chunks[index];
+                // A chunk with no speech in it comes back empty
+                const chunkText = (result.text || '').trim();
+
+                if (text && chunkText) text += ' ';
+                const textStart = text.length;
+                text += chunkText;
+
+                chunkOffsets.push({
+                    index: chunk.index,
+                    start: Math.round(chunk.start * 100) / 100,
+                    end: Math.round(chunk.end * 100) / 100,
+                    textStart,
+                    textEnd: text.length
+                });
+
+                segments.push(...shiftSegments(result.segments, chunk.start, segments.length));
+            });
+
+            return {
+                text,
+                raw: { chunks: results.map(result => result.raw) },
+                model: results[0]?.model,
+                segments,
+                chunks: chunkOffsets
+            };
+
+        } finally {
+            await audioChunker.cleanup(workDir);
+        }
+    }
+
+
     /**
      * Get the appropriate content type for an audio file
      * This helps the API understand the format of the uploaded file
@@ -182,7 +287,10 @@ class VoiceTranscriptionService {
             '.mpga': 'audio/mpeg',
             '.m4a': 'audio/m4a',
             '.wav': 'audio/wav',
-            '.webm': 'audio/webm'
+            '.webm': 'audio/webm',
+            '.ogg': 'audio/ogg',
+            '.oga': 'audio/ogg',
+            '.flac': 'audio/flac'
         };
 
         return contentTypes[ext] || 'audio/mpeg';
@@ -191,8 +299,10 @@ class VoiceTranscriptionService {
     /**
      * Validate audio file before processing
      * This prevents issues with unsupported formats or oversized files
+     * Without a maxFileSize, only the format and readability are checked;
+     * the provider's limit is handled by splitting (see planTranscription).
      */
-    async validateAudioFile(filePath) {
+    async validateAudioFile(filePath, maxFileSize = null) {
         try {
             // Check file extension
             const extension = filePath.toLowerCase().substring(filePath.lastIndexOf('.'));
@@ -205,17 +315,17 @@ class VoiceTranscriptionService {
 
             // Check file size
             const stats = await fs.stat(filePath);
-            if (stats.size > this.maxFileSize) {
+            if (maxFileSize && stats.size > maxFileSize) {
                 return {
                     valid: false,
-                    error: `Audio file too large. Maximum size: ${this.maxFileSize / 1024 / 1024}MB`
+                    error: `Audio file too large. Maximum size: ${maxFileSize / 1024 / 1024}MB`
                 };
             }
 
             // Check if file exists and is readable
             await fs.access(filePath, fs.constants.R_OK);
 
-            return { valid: true };
+            return { valid: true, size: stats.size };
 
         } catch (error) {
             return {
@@ -226,11 +336,11 @@ class VoiceTranscriptionService {
     }
 
     /**
-     * Process the transcription response from OpenAI
-     * OpenAI returns a JSON object with the transcribed text
+     * Process the transcription response from a provider
+     * Providers return a JSON object with the transcribed text
      */
     processTranscriptionResponse(responseData) {
-        // OpenAI returns an object with a 'text' field
+        // Providers return an object with a 'text' field
         if (typeof responseData === 'object' && responseData.text) {
             return responseData.text.trim();
         }
@@ -327,8 +437,9 @@ class VoiceTranscriptionService {
     formatTranscriptionForParsing(transcribedText, metadata = {}) {
         // Add structure to help the resume parser
         // This is important because spoken resumes lack the visual cues of written ones
+        // The headings added are English, which the segmenter always recognizes
 
-        const sections = this.identifySectionsInSpeech(transcribedText);
+        const sections = this.identifySectionsInSpeech(transcribedText, metadata.language);
 
         let formattedText = '';
 
@@ -361,7 +472,7 @@ class VoiceTranscriptionService {
             detectedSections: Object.keys(sections).filter(key => sections[key] !== null),
             metadata: {
                 ...metadata,
-                transcriptionMethod: 'whisper-openai',
+                transcriptionMethod: metadata.transcriptionProvider || 'openai',
                 isVoiceResume: true
             }
         };
@@ -370,20 +481,16 @@ class VoiceTranscriptionService {
     /**
      * Identify sections in spoken resume based on keywords
      * Speech patterns are different from written text
+     *
+     * @param {string} text - The transcript
+     * @param {string} [language] - Language of the transcript; detected when not given
      */
-    identifySectionsInSpeech(text) {
+    identifySectionsInSpeech(text, language = languageDetector.detect(text).language) {
         const sections = {};
-        const lowerText = text.toLowerCase();
+        const { speech } = getLocale(language);
 
         // Look for introduction patterns
-        const introPatterns = [
-            /my name is .+? and/i,
-            /i am .+? with/i,
-            /hello,? i'm/i,
-            /hi,? my name/i
-        ];
-
-        for (const pattern of introPatterns) {
+        for (const pattern of speech.introPatterns) {
             const match = text.match(pattern);
             if (match) {
                 // Extract introduction section (usually first 100-200 words)
@@ -394,34 +501,10 @@ class VoiceTranscriptionService {
             }
         }
 
-        // Look for experience mentions
-        const experienceKeywords = [
-            'worked at', 'working at', 'currently work',
-            'experience includes', 'my experience',
-            'previous role', 'current role', 'position',
-            'job', 'employment', 'company'
-        ];
-
-        sections.experience = this.extractSectionByKeywords(text, experienceKeywords, 150);
-
-        // Look for education mentions
-        const educationKeywords = [
-            'studied at', 'graduated from', 'degree in',
-            'university', 'college', 'education',
-            'bachelor', 'master', 'phd', 'certification',
-            'school', 'major', 'minor'
-        ];
-
-        sections.education = this.extractSectionByKeywords(text, educationKeywords, 100);
-
-        // Look for skills mentions
-        const skillsKeywords = [
-            'skills include', 'proficient in', 'experienced with',
-            'technologies', 'programming languages', 'familiar with',
-            'expertise', 'knowledge of', 'certified in'
-        ];
-
-        sections.skills = this.extractSectionByKeywords(text, skillsKeywords, 100);
+        // Look for experience, education and skills mentions
+        sections.experience = this.extractSectionByKeywords(text, speech.experience, 150);
+        sections.education = this.extractSectionByKeywords(text, speech.education, 100);
+        sections.skills = this.extractSectionByKeywords(text, speech.skills, 100);
 
         return sections;
     }
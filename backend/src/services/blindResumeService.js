@@ -0,0 +1,444 @@
+// Blind Resume Service
+// File: src/services/blindResumeService.js
+//
+// Anonymized ("blind") copies of resumes and job comparison results, for
+// screening candidates without the details that invite bias: the name (and
+// other people's names), gendered pronouns and titles, school names and
+// graduation years, plus the contact details the PII service redacts.
+// Names and schools come from the parsed data and from the named entities
+// found by HuggingFaceResumeService.extractEntities. Photos never reach the
+// parsed data, and the blind copy holds no link to the original file.
+//
+// Pronouns are rewritten in English only; the other parser languages mark
+// gender on far more than pronouns.
+
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const piiService = require('./piiService');
+const huggingFaceResumeService = require('./huggingFaceResumeService');
+const parserProviders = require('./parsing/providers');
+const resumeSectionSegmenter = require('./parsing/resumeSectionSegmenter');
+const { LOCALES, getLocale } = require('./parsing/locales');
+
+const PLACEHOLDERS = {
+    candidate: '[CANDIDATE]',
+    person: '[NAME]',
+    school: '[SCHOOL]',
+    year: '[YEAR]',
+    gender: '[GENDER]',
+    profile: '[PROFILE_URL]'
+};
+
+// Entity scores below this are too unsure to act on
+const MIN_ENTITY_SCORE = 0.8;
+// Text sent for entity extraction when the resume has no stored entities
+const MAX_ENTITY_TEXT_LENGTH = 5000;
+
+// Parsed fields left out of the blind copy entirely
+const OMITTED_FIELDS = [
+    'name', 'email', 'phone', 'nameConfidence', 'fieldProvenance', 'rawText',
+    'detectedOrganizations', 'transcriptEvidence'
+];
+const PHOTO_FIELD = /^(photo|picture|avatar|image|headshot)/i;
+
+const SCHOOL_WORDS = /(?<!\p{L})(university|college|institute|school|academy|polytechnic|conservatory|universidad|universidade|université|universität|escuela|école|instituto|lycée|đại học|học viện|trường)(?!\p{L})/iu;
+
+// "University of Texas", "Stanford University", "Universidad de Sevilla",
+// "Đại học Bách khoa Hà Nội"
+const CAPITALIZED_WORD = "\\p{Lu}[\\p{L}&.'’-]*";
+const SCHOOL_PATTERN = new RegExp(
+    '(?<!\\p{L})(?:' +
+        `(?:University|College|Institute|School|Academy|Universidad|Universidade|Université|Universität|Escuela|École|Instituto|Lycée)(?:[ \\t]+(?:of|de|del|de la|des|du|d'|für))?(?:[ \\t]+${CAPITALIZED_WORD})+` +
+        `(?:[ \\t]+(?:of|de|del|la|des|du|and|&|y|et)[ \\t]+${CAPITALIZED_WORD}(?:[ \\t]+${CAPITALIZED_WORD})*)?` +
+        `|(?:${CAPITALIZED_WORD}[ \\t]+)+(?:University|College|Institute|School|Academy|Polytechnic)(?:[ \\t]+of(?:[ \\t]+${CAPITALIZED_WORD})+)?` +
+        `|(?:Đại học|Học viện|Trường)(?:[ \\t]+${CAPITALIZED_WORD})+` +
+    ')',
+    'gu'
+);
+
+const YEAR_PATTERN = /(?<!\d)(?:19|20)\d{2}(?!\d)/g;
+const GRADUATION_WORDS = /graduat|class of|promoci[oó]n|promotion|egresad|dipl[oô]m|tốt nghiệp/i;
+
+// Profile links name the candidate as surely as the name does
+const PROFILE_URL = /(?:https?:\/\/)?(?:www\.)?(?:linkedin\.com\/in|github\.com|gitlab\.com|twitter\.com|x\.com|facebook\.com|instagram\.com)\/[\w\-.%/]+/gi;
+
+// English pronouns and their neutral replacements ("her" is most often possessive in resumes)
+const PRONOUNS = {
+    he: 'they', she: 'they', him: 'them', her: 'their', his: 'their', hers: 'theirs',
+    himself: 'themselves', herself: 'themselves',
+    "he's": "they're", "she's": "they're", "he'd": "they'd", "she'd": "they'd",
+    "he'll": "they'll", "she'll": "they'll"
+};
+const PRONOUN_PATTERN = /(?<![\p{L}'’])(?:he|she|him|her|his|hers|himself|herself)(?:['’](?:s|d|ll))?(?![\p{L}'’])/giu;
+
+// Case-sensitive: "Ms" is a title, "MS" a degree
+const HONORIFIC_PATTERN = /(?<!\p{L})(?:Mr|Mrs|Ms|Miss|Mx|Sra|Srta|Mme|Mlle|Madame|Monsieur|Señora|Señor|Señorita)\.?[ \t]+(?=\p{Lu})/gu;
+
+const GENDER_LINE = /(?<!\p{L})(gender|sex|sexo|género|genero|sexe|giới tính)([ \t]*[:\-–][ \t]*)\p{L}+/giu;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function matchCase(source, replacement) {
+    return source[0] === source[0].toUpperCase()
+        ? replacement[0].toUpperCase() + replacement.slice(1)
+        : replacement;
+}
+
+function increment(counts, key, by = 1) {
+    if (counts && by > 0) counts[key] = (counts[key] || 0) + by;
+}
+
+class BlindResumeService {
+    /**
+     * Blind copy of a resume
+     *
+     * @param {number|string} resumeId
+     * @param {Object} options
+     * @param {number|null} options.userId - Only this user's resume; null for any (admins)
+     * @returns {Promise<Object>} { id, resumeType, language, parsedData, text, transcript, anonymization }
+     * @throws {AppError} 400 for an invalid id, 404 if the resume doesn't
+     *   exist, 409 if it isn't parsed yet
+     */
+    async getBlindResume(resumeId, { userId = null } = {}) {
+        const resume = await this.loadResume(this.parseId(resumeId, 'resume'), userId);
+        const transcript = resume.transcription_data?.text || null;
+        const context = await this.buildContext(resume.parsed_data, resume.extracted_text || transcript);
+
+        return {
+            id: resume.id,
+            resumeType: resume.resume_type,
+            language: resume.language,
+            parsedData: this.anonymizeParsedData(resume.parsed_data, context),
+            text: resume.extracted_text ? this.anonymizeText(resume.extracted_text, context) : null,
+            transcript: transcript ? this.anonymizeText(transcript, context) : null,
+            anonymization: this.describe(context)
+        };
+    }
+
+    /**
+     * Blind copy of a stored resume-to-job comparison
+     *
+     * @param {number|string} comparisonId
+     * @param {Object} options
+     * @param {number|null} options.userId - Only this user's comparisons; null for any (admins)
+     * @param {number|null} options.resumeId - Only a comparison of this resume
+     * @returns {Promise<Object>} { id, resumeId, jobDescription, comparison, anonymization, createdAt }
+     * @throws {AppError} 400 for an invalid id, 404 if the comparison doesn't exist
+     */
+    async getBlindComparison(comparisonId, { userId = null, resumeId = null } = {}) {
+        comparisonId = this.parseId(comparisonId, 'comparison');
+        resumeId = resumeId === null ? null : this.parseId(resumeId, 'resume');
+
+        const result = await query(
+            `SELECT id, resume_id, job_description, comparison_result, created_at
+             FROM resume_job_comparisons
+             WHERE id = $1
+               AND ($2::int IS NULL OR user_id = $2)
+               AND ($3::int IS NULL OR resume_id = $3)`,
+            [comparisonId, userId, resumeId]
+        );
+        if (result.rows.length === 0) {
+            throw new AppError('Comparison not found', 404);
+        }
+
+        const comparison = result.rows[0];
+        const resume = await this.loadResume(comparison.resume_id, userId);
+        const context = await this.buildContext(
+            resume.parsed_data,
+            resume.extracted_text || resume.transcription_data?.text
+        );
+
+        return {
+            id: comparison.id,
+            resumeId: comparison.resume_id,
+            jobDescription: comparison.job_description,
+            comparison: this.anonymizeComparison(this.parseJson(comparison.comparison_result), context),
+            anonymization: this.describe(context),
+            createdAt: comparison.created_at
+        };
+    }
+
+    /**
+     * An id from the URL as a number
+     * @throws {AppError} 400 unless it is a positive integer
+     */
+    parseId(value, label) {
+        const id = Number(value);
+        if (!Number.isInteger(id) || id <= 0) {
+            throw new AppError(`Invalid ${label} id`, 400);
+        }
+        return id;
+    }
+
+    async loadResume(resumeId, userId) {
+        const result = await query(
+            `SELECT id, resume_type, language, processing_status, parsed_at, parsed_data,
+                    extracted_text, transcription_data
+             FROM resumes
+             WHERE id = $1 AND ($2::int IS NULL OR user_id = $2)`,
+            [resumeId, userId]
+        );
+        if (result.rows.length === 0) {
+            throw new AppError('Resume not found', 404);
+        }
+
+        const resume = result.rows[0];
+        resume.parsed_data = this.parseJson(resume.parsed_data);
+        resume.transcription_data = this.parseJson(resume.transcription_data);
+
+        // Documents parsed before they had a status lifecycle stayed 'uploaded'
+        const parsed = resume.processing_status === 'completed'
+            || (resume.processing_status === 'uploaded' && resume.parsed_at !== null);
+        if (!parsed || !resume.parsed_data || resume.parsed_data.error) {
+            throw new AppError(`Resume is not parsed yet (status: ${resume.processing_status})`, 409);
+        }
+        return resume;
+    }
+
+    parseJson(value) {
+        if (typeof value !== 'string') return value || null;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * What to remove from a resume: the candidate's name, other people's
+     * names and school names
+     * Uses the entities stored by the enhancement step, or extracts them when
+     * the parser provider supports it and the resume has none.
+     *
+     * @param {Object} parsedData
+     * @param {string} text - The resume text or transcript
+     * @returns {Promise<{candidateNames: string[], personNames: string[], schools: string[], language: string, counts: Object}>}
+     */
+    async buildContext(parsedData, text) {
+        const data = parsedData || {};
+        let entities = data.huggingFaceEnhancement?.entities || null;
+
+        if (!entities && text && parserProviders.getProvider().supportsEnhancement) {
+            entities = await huggingFaceResumeService.extractEntities(text.substring(0, MAX_ENTITY_TEXT_LENGTH));
+        }
+
+        const confident = list => (list || [])
+            .filter(entity => entity && entity.text && (entity.score ?? 1) >= MIN_ENTITY_SCORE)
+            .map(entity => entity.text.trim());
+
+        const candidateNames = data.name ? [data.name.trim()] : [];
+        const personNames = confident(entities?.persons)
+            .filter(name => name.length > 1 && !candidateNames.some(candidate => candidate.includes(name)));
+
+        const schools = [
+            ...(Array.isArray(data.education) ? data.education.map(entry => this.schoolName(entry && entry.institution)) : []),
+            ...confident(entities?.organizations).filter(organization => SCHOOL_WORDS.test(organization))
+        ].filter(school => school && school.trim().length > 1);
+
+        return {
+            candidateNames,
+            personNames,
+            schools: [...new Set(schools.map(school => school.trim()))],
+            language: data.language?.code || 'en',
+            counts: {}
+        };
+    }
+
+    /**
+     * The school in a parsed institution
+     * Lines the education extractor couldn't split ("Máster en ... -
+     * Universidad de Sevilla") end up whole in the institution, and the
+     * degree must not be removed with the school.
+     */
+    schoolName(institution) {
+        if (!institution) return null;
+        const parts = institution.split(/\s+[-–|]\s+|,\s*/).filter(part => SCHOOL_WORDS.test(part));
+        return parts.length > 0 ? parts.join(', ') : institution;
+    }
+
+    /**
+     * Anonymize a text: PII, schools, graduation years, names, pronouns
+     * Counts of what was replaced are added to context.counts.
+     */
+    anonymizeText(text, context) {
+        if (typeof text !== 'string' || !text) return text;
+        const counts = context.counts;
+
+        const pii = piiService.redact(text);
+        for (const [type, count] of Object.entries(pii.counts)) increment(counts, type, count);
+        let result = pii.text.replace(PROFILE_URL, () => {
+            increment(counts, 'profiles');
+            return PLACEHOLDERS.profile;
+        });
+
+        // Longest first, so "Stanford University" goes before "Stanford"
+        for (const school of [...context.schools].sort((a, b) => b.length - a.length)) {
+            result = this.replaceWord(result, school, PLACEHOLDERS.school, counts, 'schools');
+        }
+        result = result.replace(SCHOOL_PATTERN, () => {
+            increment(counts, 'schools');
+            return PLACEHOLDERS.school;
+        });
+
+        result = this.removeGraduationYears(result, context);
+
+        for (const name of context.candidateNames) {
+            result = this.replaceName(result, name, PLACEHOLDERS.candidate, counts);
+        }
+        for (const name of context.personNames) {
+            result = this.replaceName(result, name, PLACEHOLDERS.person, counts);
+        }
+
+        result = result.replace(HONORIFIC_PATTERN, () => {
+            increment(counts, 'titles');
+            return '';
+        });
+        result = result.replace(PRONOUN_PATTERN, match => {
+            increment(counts, 'pronouns');
+            return matchCase(match, PRONOUNS[match.toLowerCase().replace('’', "'")]);
+        });
+        result = result.replace(GENDER_LINE, (match, label, separator) => {
+            increment(counts, 'gender');
+            return `${label}${separator}${PLACEHOLDERS.gender}`;
+        });
+
+        return result;
+    }
+
+    /**
+     * Replace a name, then each of its words on its own ("Jane" in "Jane's team")
+     */
+    replaceName(text, name, placeholder, counts) {
+        let result = this.replaceWord(text, name, placeholder, counts, 'names');
+        for (const part of name.split(/\s+/).filter(part => part.length > 1)) {
+            result = this.replaceWord(result, part, placeholder, counts, 'names');
+        }
+        return result;
+    }
+
+    replaceWord(text, word, placeholder, counts, countKey) {
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, 'gu');
+        return text.replace(pattern, () => {
+            increment(counts, countKey);
+            return placeholder;
+        });
+    }
+
+    /**
+     * Replace years in the education section, and in other lines and
+     * sentences about education (spoken resumes have no sections)
+     * Job dates stay: they show experience, not age.
+     */
+    removeGraduationYears(text, context) {
+        const locale = getLocale(context.language);
+        const degreePatterns = [...LOCALES.en.rules.degrees, ...(locale === LOCALES.en ? [] : locale.rules.degrees)];
+        const educationPhrases = [...LOCALES.en.speech.education, ...(locale === LOCALES.en ? [] : locale.speech.education)];
+        const educationSegments = resumeSectionSegmenter.segment(text, { language: locale.code }).segments
+            .filter(segment => segment.key === 'education');
+
+        const isEducation = (segment, offset) => {
+            const lower = segment.toLowerCase();
+            return educationSegments.some(section => offset >= section.start && offset < section.end) ||
+                segment.includes(PLACEHOLDERS.school) ||
+                SCHOOL_WORDS.test(segment) ||
+                GRADUATION_WORDS.test(segment) ||
+                degreePatterns.some(pattern => pattern.test(segment)) ||
+                educationPhrases.some(phrase => lower.includes(phrase));
+        };
+
+        // Split into lines, and lines into sentences ("B.S." doesn't end one)
+        let offset = 0;
+        return text
+            .split(/(\n|(?<=[^\s.]{2}[.!?])\s+(?=\p{Lu}))/u)
+            .map((segment, index) => {
+                const start = offset;
+                offset += segment.length;
+                if (index % 2 === 1 || !isEducation(segment, start)) return segment;
+
+                return segment.replace(YEAR_PATTERN, () => {
+                    increment(context.counts, 'graduationYears');
+                    return PLACEHOLDERS.year;
+                });
+            })
+            .join('');
+    }
+
+    /**
+     * Blind copy of parsed resume data
+     */
+    anonymizeParsedData(parsedData, context) {
+        if (!parsedData) return parsedData;
+
+        const blind = {};
+        for (const [key, value] of Object.entries(parsedData)) {
+            if (OMITTED_FIELDS.includes(key) || PHOTO_FIELD.test(key)) continue;
+            blind[key] = value;
+        }
+
+        if (Array.isArray(blind.education)) {
+            blind.education = blind.education.map(entry => {
+                if (!entry || typeof entry !== 'object') return entry;
+                // The school's location identifies it as well as its name
+                const { location, ...rest } = entry;
+                if (rest.year) increment(context.counts, 'graduationYears');
+                return {
+                    ...rest,
+                    institution: rest.institution ? PLACEHOLDERS.school : rest.institution,
+                    year: null
+                };
+            });
+        }
+
+        // Raw model output: names and organizations are already covered above
+        if (blind.huggingFaceEnhancement) {
+            const { entities, ...enhancement } = blind.huggingFaceEnhancement;
+            blind.huggingFaceEnhancement = enhancement;
+        }
+
+        return this.anonymizeDeep(blind, context);
+    }
+
+    /**
+     * Blind copy of a comparison result
+     * The job's requirements describe the job, not the candidate, and are kept.
+     */
+    anonymizeComparison(comparison, context) {
+        if (!comparison) return comparison;
+
+        const { jobRequirements, ...rest } = comparison;
+        return {
+            ...this.anonymizeDeep(rest, context),
+            ...(jobRequirements !== undefined && { jobRequirements })
+        };
+    }
+
+    anonymizeDeep(value, context) {
+        if (typeof value === 'string') {
+            return this.anonymizeText(value, context);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.anonymizeDeep(item, context));
+        }
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            return Object.fromEntries(
+                Object.entries(value).map(([key, item]) => [key, this.anonymizeDeep(item, context)])
+            );
+        }
+        return value;
+    }
+
+    /**
+     * What was removed, for the response
+     */
+    describe(context) {
+        return {
+            removed: { ...context.counts },
+            generatedAt: new Date().toISOString()
+        };
+    }
+}
+
+// Export a singleton instance
+module.exports = new BlindResumeService();
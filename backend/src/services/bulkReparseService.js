@@ -0,0 +1,297 @@
+// Bulk Reparse Service
+// File: src/services/bulkReparseService.js
+//
+// Finds resumes whose parsed data came from an older parser version (see
+// parsing/parserVersion.js) and queues them to be parsed again. Each bulk
+// reparse is recorded in reparse_runs, and its jobs carry the run id in
+// their payload, so progress is read straight from processing_jobs.
+//
+// Bulk reparses keep the resume's current parsed data: it stays in place
+// until the new parse replaces it, and survives if the new parse fails.
+// Voice resumes are parsed from their stored transcript; only the parser
+// changed, so the recording is not sent to the transcription provider again.
+
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const jobQueueService = require('./jobQueueService');
+const { PARSER_VERSION } = require('./parsing/parserVersion');
+
+const RESUME_TYPES = ['document', 'voice'];
+
+/**
+ * WHERE clause matching stale resumes; $1 is the current parser version
+ *
+ * A resume is stale when it was parsed successfully and its parser_version
+ * is missing (parsed before versioning), malformed, or lower than $1.
+ */
+function buildStaleConditions(filters) {
+    const params = [PARSER_VERSION];
+    const conditions = [
+        'r.parsed_at IS NOT NULL',
+        // Documents parsed before they had a status lifecycle stayed 'uploaded'
+        `r.processing_status IN ('completed', 'uploaded')`,
+        `r.parsed_data IS NOT NULL AND NOT (r.parsed_data ? 'error')`,
+        `CASE
+             WHEN r.parser_version ~ '^[0-9]+([.][0-9]+)*$'
+             THEN string_to_array(r.parser_version, '.')::int[] < string_to_array($1, '.')::int[]
+             ELSE TRUE
+         END`,
+        `NOT EXISTS (
+             SELECT 1 FROM processing_jobs j
+             WHERE j.resume_id = r.id AND j.status IN ('queued', 'running')
+         )`
+    ];
+
+    if (filters.userId) {
+        params.push(filters.userId);
+        conditions.push(`r.user_id = $${params.length}`);
+    }
+    if (filters.resumeType) {
+        params.push(filters.resumeType);
+        conditions.push(`COALESCE(r.resume_type, 'document') = $${params.length}`);
+    }
+    if (filters.parsedBefore) {
+        params.push(filters.parsedBefore);
+        conditions.push(`r.parsed_at < $${params.length}`);
+    }
+    if (filters.parsedAfter) {
+        params.push(filters.parsedAfter);
+        conditions.push(`r.parsed_at >= $${params.length}`);
+    }
+
+    return { where: conditions.join('\n  AND '), params };
+}
+
+function parseDate(value, name) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new AppError(`${name} must be a date`, 400);
+    }
+    return date.toISOString();
+}
+
+class BulkReparseService {
+    getCurrentVersion() {
+        return PARSER_VERSION;
+    }
+
+    /**
+     * Validate the filters that select which stale resumes to reparse
+     *
+     * @param {Object} input - {userId, resumeType, parsedBefore, parsedAfter}, all optional
+     * @returns {Object} The filters that were given, normalized
+     * @throws {AppError} 400 for invalid values
+     */
+    normalizeFilters(input = {}) {
+        const filters = {};
+
+        if (input.userId !== undefined && input.userId !== null && input.userId !== '') {
+            const userId = Number(input.userId);
+            if (!Number.isInteger(userId) || userId <= 0) {
+                throw new AppError('userId must be a positive integer', 400);
+            }
+            filters.userId = userId;
+        }
+
+        if (input.resumeType) {
+            if (!RESUME_TYPES.includes(input.resumeType)) {
+                throw new AppError(`resumeType must be one of: ${RESUME_TYPES.join(', ')}`, 400);
+            }
+            filters.resumeType = input.resumeType;
+        }
+
+        if (input.parsedBefore) {
+            filters.parsedBefore = parseDate(input.parsedBefore, 'parsedBefore');
+        }
+        if (input.parsedAfter) {
+            filters.parsedAfter = parseDate(input.parsedAfter, 'parsedAfter');
+        }
+
+        return filters;
+    }
+
+    normalizeLimit(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const limit = Number(value);
+        if (!Number.isInteger(limit) || limit <= 0) {
+            throw new AppError('limit must be a positive integer', 400);
+        }
+        return limit;
+    }
+
+    /**
+     * Stale resumes matching the filters, oldest parse first
+     *
+     * @param {Object} filters - See normalizeFilters
+     * @param {Object} options - {limit}
+     */
+    async findStale(filters = {}, options = {}) {
+        const { where, params } = buildStaleConditions(filters);
+
+        let limitClause = '';
+        if (options.limit) {
+            params.push(options.limit);
+            limitClause = `LIMIT $${params.length}`;
+        }
+
+        const result = await query(
+            `SELECT r.id, r.user_id, r.resume_type, r.file_path, r.mime_type, r.language_hint,
+                    r.parser_version, r.parsed_at
+             FROM resumes r
+             WHERE ${where}
+             ORDER BY r.parsed_at, r.id
+             ${limitClause}`,
+            params
+        );
+        return result.rows;
+    }
+
+    async countStale(filters = {}) {
+        const { where, params } = buildStaleConditions(filters);
+
+        const result = await query(
+            `SELECT COUNT(*)::int AS count FROM resumes r WHERE ${where}`,
+            params
+        );
+        return result.rows[0].count;
+    }
+
+    describe(resume) {
+        return {
+            resumeId: resume.id,
+            userId: resume.user_id,
+            resumeType: resume.resume_type || 'document',
+            parserVersion: resume.parser_version,
+            parsedAt: resume.parsed_at
+        };
+    }
+
+    /**
+     * Queue every stale resume matching the filters for another parse
+     *
+     * @param {Object} filters - See normalizeFilters
+     * @param {Object} options - {limit, dryRun, requestedBy}
+     * @returns {Promise<Object>} The run's progress, or for a dry run the
+     *   number of matching resumes and the first of them
+     */
+    async start(filters = {}, options = {}) {
+        if (options.dryRun) {
+            const [matched, sample] = await Promise.all([
+                this.countStale(filters),
+                this.findStale(filters, { limit: Math.min(options.limit || 100, 100) })
+            ]);
+            return {
+                dryRun: true,
+                targetVersion: PARSER_VERSION,
+                filters,
+                matched: options.limit ? Math.min(matched, options.limit) : matched,
+                resumes: sample.map(resume => this.describe(resume))
+            };
+        }
+
+        const stale = await this.findStale(filters, { limit: options.limit });
+
+        const runResult = await query(
+            `INSERT INTO reparse_runs (target_version, filters, matched, requested_by)
+             VALUES ($1, $2, $3, $4)
+             RETURNING id`,
+            [PARSER_VERSION, JSON.stringify(filters), stale.length, options.requestedBy || null]
+        );
+        const runId = runResult.rows[0].id;
+
+        let queued = 0;
+        let skipped = 0;
+        for (const resume of stale) {
+            try {
+                const job = await jobQueueService.enqueueResume(resume, {
+                    reparseRunId: runId,
+                    preserveParsedData: true,
+                    ...(resume.resume_type === 'voice' && { reuseTranscript: true })
+                });
+
+                if (job && job.payload?.reparseRunId === runId) {
+                    queued++;
+                } else {
+                    // Another job was started for the resume since it was selected
+                    skipped++;
+                }
+            } catch (error) {
+                console.error(`Failed to queue resume ${resume.id} for reparse:`, error.message);
+                skipped++;
+            }
+        }
+
+        await query(
+            'UPDATE reparse_runs SET queued = $1, skipped = $2 WHERE id = $3',
+            [queued, skipped, runId]
+        );
+
+        console.log(`🔁 Reparse run ${runId}: queued ${queued} stale resume(s) for parser ${PARSER_VERSION}` +
+            (skipped ? `, skipped ${skipped}` : ''));
+
+        return this.getProgress(runId);
+    }
+
+    /**
+     * Where a bulk reparse stands, from the state of its jobs
+     *
+     * @throws {AppError} 404 if the run does not exist
+     */
+    async getProgress(runId) {
+        const runResult = await query('SELECT * FROM reparse_runs WHERE id = $1', [runId]);
+        if (runResult.rows.length === 0) {
+            throw new AppError('Reparse run not found', 404);
+        }
+        const run = runResult.rows[0];
+
+        const jobsResult = await query(
+            `SELECT status, COUNT(*)::int AS count
+             FROM processing_jobs
+             WHERE payload ? 'reparseRunId' AND payload->>'reparseRunId' = $1
+             GROUP BY status`,
+            [String(run.id)]
+        );
+
+        const jobs = { queued: 0, running: 0, completed: 0, dead: 0 };
+        for (const row of jobsResult.rows) {
+            jobs[row.status] = row.count;
+        }
+
+        const finished = jobs.completed + jobs.dead;
+        const pending = jobs.queued + jobs.running;
+
+        return {
+            runId: run.id,
+            targetVersion: run.target_version,
+            filters: run.filters,
+            requestedBy: run.requested_by,
+            createdAt: run.created_at,
+            matched: run.matched,
+            queued: run.queued,
+            skipped: run.skipped,
+            jobs,
+            succeeded: jobs.completed,
+            failed: jobs.dead,
+            pending,
+            percentComplete: run.queued > 0 ? Math.round((finished / run.queued) * 100) : 100,
+            done: pending === 0
+        };
+    }
+
+    /**
+     * Recent bulk reparses, newest first
+     */
+    async listRuns(options = {}) {
+        const limit = Math.min(parseInt(options.limit, 10) || 20, 100);
+
+        const result = await query(
+            'SELECT id FROM reparse_runs ORDER BY created_at DESC, id DESC LIMIT $1',
+            [limit]
+        );
+        return Promise.all(result.rows.map(row => this.getProgress(row.id)));
+    }
+}
+
+module.exports = new BulkReparseService();
+module.exports.RESUME_TYPES = RESUME_TYPES;
@@ -102,13 +102,28 @@ class ConfidenceScoreService {
         return Math.max(0, Math.min(100, score));
     }
 
+    /**
+     * Score (0-100) the parser's model gave a field, from parsed_data.fieldProvenance
+     * Null when the field was produced by a rule or has no provenance.
+     */
+    getFieldExtractionScore(resumeData, field) {
+        const score = resumeData.fieldProvenance?.[field]?.score;
+        return typeof score === 'number' ? Math.round(score * 100) : null;
+    }
+
     /**
      * Calculate confidence for name extraction
-     * Based on entity recognition confidence and name validation
+     * Based on the QA model's score, entity recognition confidence and name validation
      */
     calculateNameExtractionScore(resumeData) {
-        if (!resumeData.name || !resumeData.huggingFaceEnhancement?.entities) {
-            return resumeData.name ? 70 : 0; // Default score if name exists but no AI validation
+        if (!resumeData.name) {
+            return 0;
+        }
+
+        const extractionScore = this.getFieldExtractionScore(resumeData, 'name');
+
+        if (!resumeData.huggingFaceEnhancement?.entities) {
+            return extractionScore ?? 70; // Default score if name exists but no AI validation
         }
 
         const entities = resumeData.huggingFaceEnhancement.entities;
@@ -121,11 +136,14 @@ class ConfidenceScoreService {
         );
 
         if (nameMatch) {
-            return Math.round(nameMatch.score * 100);
+            // Both models agree on the name; weigh their scores equally
+            return extractionScore !== null
+                ? Math.round((nameMatch.score * 100 + extractionScore) / 2)
+                : Math.round(nameMatch.score * 100);
         }
 
         // If name exists but wasn't found in entities, give moderate confidence
-        return 60;
+        return extractionScore !== null ? Math.min(extractionScore, 60) : 60;
     }
 
     /**
@@ -154,7 +172,19 @@ class ConfidenceScoreService {
             score -= penalties.invalidPhoneFormat;
         }
 
-        return Math.max(0, score);
+        score = Math.max(0, score);
+
+        // Blend in the model's own scores for the contact fields it found
+        const extractionScores = ['email', 'phone']
+            .map(field => resumeData[field] ? this.getFieldExtractionScore(resumeData, field) : null)
+            .filter(fieldScore => fieldScore !== null);
+
+        if (extractionScores.length > 0) {
+            const averageExtractionScore = extractionScores.reduce((sum, s) => sum + s, 0) / extractionScores.length;
+            score = Math.round((score + averageExtractionScore) / 2);
+        }
+
+        return score;
     }
 
     /**
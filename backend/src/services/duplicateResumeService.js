@@ -0,0 +1,418 @@
+// Duplicate Resume Service
+// File: src/services/duplicateResumeService.js
+//
+// Users often upload the same resume more than once, and every upload used to
+// be parsed again through the paid AI APIs. Duplicates are caught at two
+// points:
+//
+// 1. At upload, by the SHA-256 of the file (resumes.content_hash). The upload
+//    can then reuse the existing resume, link to it (a new resume that copies
+//    its parse) or be parsed anyway.
+// 2. In the worker, once the text is extracted, by a hash of the normalized
+//    text (resumes.text_hash) - the same resume exported to a new PDF - and by
+//    a SimHash of it (resumes.text_simhash) for near-duplicates such as a
+//    resume with a line edited. Identical text reuses the earlier parse;
+//    near-duplicates are only reported, since the edit may be what matters.
+//
+// Duplicates are only looked for among the same user's resumes.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const documentTextExtractor = require('./parsing/documentTextExtractor');
+const { PARSER_VERSION } = require('./parsing/parserVersion');
+const resumeOverrideService = require('./resumeOverrideService');
+
+// What to do with an upload whose file was uploaded before
+const DUPLICATE_ACTIONS = ['reuse', 'link', 'parse'];
+
+// Texts with fewer words than this are too short to compare
+const MIN_FINGERPRINT_WORDS = 20;
+// Words per shingle fed to the SimHash
+const SHINGLE_SIZE = 3;
+// Near-duplicates differ in at most this many of the 64 SimHash bits
+const DEFAULT_MAX_SIMHASH_DISTANCE = 10;
+// Most recent resumes compared against for near-duplicates
+const NEAR_DUPLICATE_CANDIDATES = 200;
+
+// Bits set in each byte value, for Hamming distances
+const BIT_COUNTS = Array.from({ length: 256 }, (_, byte) => {
+    let count = 0;
+    for (let value = byte; value; value >>= 1) count += value & 1;
+    return count;
+});
+
+class DuplicateResumeService {
+    constructor() {
+        const defaultAction = process.env.DUPLICATE_UPLOAD_ACTION || 'reuse';
+        this.defaultAction = DUPLICATE_ACTIONS.includes(defaultAction) ? defaultAction : 'reuse';
+
+        const maxDistance = parseInt(process.env.DUPLICATE_SIMHASH_MAX_DISTANCE, 10);
+        this.maxSimhashDistance = Number.isInteger(maxDistance) && maxDistance >= 0
+            ? maxDistance
+            : DEFAULT_MAX_SIMHASH_DISTANCE;
+    }
+
+    /**
+     * The duplicate action an upload asked for
+     *
+     * @param {string} value - The upload's onDuplicate field, if any
+     * @returns {string|null} One of DUPLICATE_ACTIONS, or null if invalid
+     */
+    resolveAction(value) {
+        if (value === undefined || value === null || value === '') {
+            return this.defaultAction;
+        }
+        const action = String(value).trim().toLowerCase();
+        return DUPLICATE_ACTIONS.includes(action) ? action : null;
+    }
+
+    /**
+     * SHA-256 of an uploaded file
+     * Best-effort: the upload has already succeeded, so a file that can't be
+     * read back (an S3 download failing or timing out) only skips duplicate
+     * detection.
+     *
+     * @param {string} filePath - Local path or S3 URL
+     * @returns {Promise<string|null>} Hex digest, or null if it couldn't be read
+     */
+    async hashFile(filePath) {
+        try {
+            const buffer = await documentTextExtractor.loadFile(filePath);
+            return crypto.createHash('sha256').update(buffer).digest('hex');
+        } catch (error) {
+            console.warn('Could not hash upload, skipping duplicate detection:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * The user's earlier upload of the same file, if any
+     * A completed resume is preferred over one still being processed; failed
+     * uploads don't count, so re-uploading after a failure parses again.
+     *
+     * @param {number} userId
+     * @param {string|null} contentHash - Null when the upload couldn't be hashed
+     * @param {'document'|'voice'} resumeType
+     * @returns {Promise<Object|null>} The resume row
+     */
+    async findUploadDuplicate(userId, contentHash, resumeType = 'document') {
+        if (!contentHash) {
+            return null;
+        }
+
+        const result = await query(
+            `SELECT id, filename, original_name, file_size, uploaded_at, parsed_at,
+                    processing_status, parser_version, language
+             FROM resumes
+             WHERE user_id = $1
+               AND content_hash = $2
+               AND COALESCE(resume_type, 'document') = $3
+               AND processing_status <> 'failed'
+             ORDER BY (processing_status = 'completed') DESC, uploaded_at DESC
+             LIMIT 1`,
+            [userId, contentHash, resumeType]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Create a resume for a duplicate upload that copies the original's parse
+     * The new resume keeps its own file and name but is not parsed; it can
+     * still be reparsed later like any other resume.
+     *
+     * @param {Object} original - The completed resume the upload duplicates
+     * @param {Object} upload - userId, filename, originalName, storagePath,
+     *                          size, mimetype, languageHint and contentHash
+     * @returns {Promise<Object>} The new resume row
+     */
+    async linkDuplicate(original, upload) {
+        const source = await query(
+            `SELECT id, duplicate_of, resume_type, parsed_data, extracted_text, parser_version,
+                    language, confidence_scores, transcription_data, transcribed_at,
+                    text_hash, text_simhash
+             FROM resumes
+             WHERE id = $1`,
+            [original.id]
+        );
+        const row = source.rows[0];
+        if (!row) {
+            throw new AppError('Resume not found', 404);
+        }
+
+        // Link to the first upload rather than building chains of copies
+        const duplicateOf = row.duplicate_of || row.id;
+
+        const result = await query(
+            `INSERT INTO resumes (
+                user_id, filename, original_name, file_path, file_size, mime_type,
+                resume_type, language_hint, content_hash, text_hash, text_simhash, duplicate_of,
+                parsed_data, extracted_text, parser_version, language,
+                confidence_scores, transcription_data, transcribed_at,
+                processing_status, processing_metadata,
+                processing_started_at, processing_completed_at, parsed_at, uploaded_at
+            ) VALUES (
+                $1, $2, $3, $4, $5, $6,
+                $7, $8, $9, $10, $11, $12,
+                $13, $14, $15, $16,
+                $17, $18, $19,
+                'completed', $20,
+                NOW(), NOW(), NOW(), NOW()
+            )
+            RETURNING id, filename, original_name, file_size, uploaded_at`,
+            [
+                upload.userId,
+                upload.filename,
+                upload.originalName,
+                upload.storagePath,
+                upload.size,
+                upload.mimetype,
+                row.resume_type || 'document',
+                upload.languageHint,
+                upload.contentHash,
+                row.text_hash,
+                row.text_simhash,
+                duplicateOf,
+                JSON.stringify(await this.parserOutput(row)),
+                row.extracted_text,
+                row.parser_version,
+                row.language,
+                row.confidence_scores ? JSON.stringify(row.confidence_scores) : null,
+                row.transcription_data ? JSON.stringify(row.transcription_data) : null,
+                row.transcribed_at,
+                JSON.stringify({ duplicate: { resumeId: duplicateOf, match: 'file', action: 'link' } })
+            ]
+        );
+
+        console.log(`🔗 Linked duplicate upload as resume ${result.rows[0].id} (copy of ${duplicateOf})`);
+        return result.rows[0];
+    }
+
+    /**
+     * Remove the file of an upload that is not kept
+     * S3 objects are left in place, as when a resume is deleted.
+     */
+    async discardUpload(file) {
+        if (!file || file.location || !file.path) {
+            return;
+        }
+        try {
+            await fs.unlink(file.path);
+        } catch (error) {
+            console.error('Error deleting duplicate upload:', error.message);
+        }
+    }
+
+    /**
+     * The duplicate details returned with an upload response
+     */
+    describeDuplicate(original, action, match = 'file') {
+        return {
+            resumeId: original.id,
+            originalName: original.original_name,
+            uploadedAt: original.uploaded_at,
+            status: original.processing_status,
+            match,
+            action
+        };
+    }
+
+    /**
+     * Lowercased words of a text, without punctuation or layout
+     */
+    normalizeWords(text) {
+        return String(text || '')
+            .normalize('NFKC')
+            .toLowerCase()
+            .match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    /**
+     * Fingerprints of an extracted text or transcript
+     *
+     * @param {string} text
+     * @returns {{textHash: string, simhash: string}|null} null for texts too
+     *   short to compare
+     */
+    fingerprint(text) {
+        const words = this.normalizeWords(text);
+        if (words.length < MIN_FINGERPRINT_WORDS) {
+            return null;
+        }
+
+        return {
+            textHash: crypto.createHash('sha256').update(words.join(' ')).digest('hex'),
+            simhash: this.simhash(words)
+        };
+    }
+
+    /**
+     * 64-bit SimHash of a list of words, as 16 hex digits
+     * Each shingle of consecutive words votes on every bit with its own
+     * hash, so texts that share most shingles end up a few bits apart.
+     */
+    simhash(words) {
+        const votes = new Array(64).fill(0);
+        const shingleCount = Math.max(1, words.length - SHINGLE_SIZE + 1);
+
+        for (let i = 0; i < shingleCount; i++) {
+            const shingle = words.slice(i, i + SHINGLE_SIZE).join(' ');
+            const digest = crypto.createHash('md5').update(shingle).digest();
+            for (let bit = 0; bit < 64; bit++) {
+                votes[bit] += (digest[bit >> 3] >> (7 - (bit & 7))) & 1 ? 1 : -1;
+            }
+        }
+
+        const hash = Buffer.alloc(8);
+        votes.forEach((vote, bit) => {
+            if (vote > 0) hash[bit >> 3] |= 1 << (7 - (bit & 7));
+        });
+        return hash.toString('hex');
+    }
+
+    /**
+     * Share of SimHash bits two fingerprints agree on (0-1)
+     */
+    similarity(simhashA, simhashB) {
+        return Math.round((1 - this.distance(simhashA, simhashB) / 64) * 1000) / 1000;
+    }
+
+    distance(simhashA, simhashB) {
+        const a = Buffer.from(simhashA, 'hex');
+        const b = Buffer.from(simhashB, 'hex');
+        let distance = 0;
+        for (let i = 0; i < 8; i++) {
+            distance += BIT_COUNTS[a[i] ^ b[i]];
+        }
+        return distance;
+    }
+
+    /**
+     * Store a resume's text fingerprints
+     */
+    async recordFingerprint(resumeId, fingerprint) {
+        await query(
+            'UPDATE resumes SET text_hash = $1, text_simhash = $2 WHERE id = $3',
+            [fingerprint?.textHash || null, fingerprint?.simhash || null, resumeId]
+        );
+    }
+
+    /**
+     * A completed resume of the user's with exactly the same text
+     * Only parses made by the current parser version (and with the same
+     * language hint) are reused, so a reparse still gets a fresh parse.
+     *
+     * @returns {Promise<Object|null>} The resume row
+     */
+    async findTextDuplicate(resumeId, userId, textHash, languageHint = null) {
+        const result = await query(
+            `SELECT id, duplicate_of, parsed_data, extracted_text, parser_version, language
+             FROM resumes
+             WHERE user_id = $1
+               AND id <> $2
+               AND text_hash = $3
+               AND COALESCE(resume_type, 'document') = 'document'
+               AND processing_status = 'completed'
+               AND parser_version = $4
+               AND language_hint IS NOT DISTINCT FROM $5
+               AND parsed_data IS NOT NULL
+             ORDER BY parsed_at DESC
+             LIMIT 1`,
+            [userId, resumeId, textHash, PARSER_VERSION, languageHint]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * The user's resumes whose text is nearly the same
+     *
+     * @param {number} resumeId - The resume to compare (excluded from results)
+     * @param {number} userId
+     * @param {string} simhash
+     * @returns {Promise<Array<Object>>} Rows with a similarity, most similar first
+     */
+    async findNearDuplicates(resumeId, userId, simhash) {
+        const result = await query(
+            `SELECT id, original_name, resume_type, processing_status, uploaded_at, text_simhash
+             FROM resumes
+             WHERE user_id = $1
+               AND id <> $2
+               AND text_simhash IS NOT NULL
+             ORDER BY uploaded_at DESC
+             LIMIT $3`,
+            [userId, resumeId, NEAR_DUPLICATE_CANDIDATES]
+        );
+
+        return result.rows
+            .filter(row => this.distance(simhash, row.text_simhash) <= this.maxSimhashDistance)
+            .map(row => ({ ...row, similarity: this.similarity(simhash, row.text_simhash) }))
+            .sort((a, b) => b.similarity - a.similarity);
+    }
+
+    /**
+     * The parser output behind a resume's parsed data
+     * The resume's own corrections are not carried over to another resume.
+     */
+    async parserOutput(resume) {
+        const overrides = await resumeOverrideService.getOverrides(resume.id);
+        return resumeOverrideService.stripOverrides(resume.parsed_data, overrides);
+    }
+
+    /**
+     * Exact and near duplicates of one of the user's resumes
+     *
+     * @returns {Promise<Object>} duplicateOf, exact (same file or same text)
+     *   and near (similar text) resumes
+     * @throws {AppError} 404 if the resume isn't the user's
+     */
+    async getDuplicates(resumeId, userId) {
+        const result = await query(
+            `SELECT id, duplicate_of, content_hash, text_hash, text_simhash
+             FROM resumes
+             WHERE id = $1 AND user_id = $2`,
+            [resumeId, userId]
+        );
+        const resume = result.rows[0];
+        if (!resume) {
+            throw new AppError('Resume not found', 404);
+        }
+
+        const exactResult = await query(
+            `SELECT id, original_name, resume_type, processing_status, uploaded_at,
+                    CASE WHEN content_hash = $3 THEN 'file' ELSE 'text' END AS match
+             FROM resumes
+             WHERE user_id = $1
+               AND id <> $2
+               AND (content_hash = $3 OR text_hash = $4)
+             ORDER BY uploaded_at DESC`,
+            [userId, resumeId, resume.content_hash, resume.text_hash]
+        );
+        const exactIds = new Set(exactResult.rows.map(row => row.id));
+
+        const near = resume.text_simhash
+            ? (await this.findNearDuplicates(resumeId, userId, resume.text_simhash))
+                .filter(row => !exactIds.has(row.id))
+            : [];
+
+        const describe = row => ({
+            id: row.id,
+            originalName: row.original_name,
+            resumeType: row.resume_type || 'document',
+            status: row.processing_status,
+            uploadedAt: row.uploaded_at
+        });
+
+        return {
+            resumeId: resume.id,
+            duplicateOf: resume.duplicate_of,
+            fingerprinted: !!resume.text_hash,
+            exact: exactResult.rows.map(row => ({ ...describe(row), match: row.match })),
+            near: near.map(row => ({ ...describe(row), similarity: row.similarity }))
+        };
+    }
+}
+
+// Export a singleton instance
+module.exports = new DuplicateResumeService();
+module.exports.DUPLICATE_ACTIONS = DUPLICATE_ACTIONS;
@@ -1,5 +1,21 @@
 
-const axios = require('axios');
+const aiHttpClient = require('./ai/aiHttpClient');
+const inferenceCache = require('./ai/inferenceCache');
+const parserProviders = require('./parsing/providers');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+// Labels for skill categorization
+const SKILL_CATEGORIES = [
+  'Frontend Development',
+  'Backend Development',
+  'Database',
+  'DevOps',
+  'Mobile Development',
+  'Data Science',
+  'Cloud Computing',
+  'Programming Language'
+];
 
 class HuggingFaceResumeService {
   constructor() {
@@ -20,14 +36,35 @@ class HuggingFaceResumeService {
       // Sentence similarity for finding related skills
       sentenceSimilarity: 'sentence-transformers/all-MiniLM-L6-v2'
     };
+
+    // Skills sent per zero-shot request, and requests in flight at once
+    // when the model has to be called one skill at a time
+    this.batchSize = parseInt(process.env.AI_BATCH_SIZE, 10) || 10;
+    this.maxConcurrency = parseInt(process.env.AI_MAX_CONCURRENCY, 10) || 3;
+
+    // Set to false the first time the API rejects a batched zero-shot request
+    this.zeroShotBatchSupported = true;
   }
 
+  // Outputs are cached by model and input, so repeated calls are free
   async callHuggingFaceAPI(modelName, inputs, options = {}) {
+    return inferenceCache.wrap(
+      modelName,
+      'inference',
+      { inputs, ...options },
+      () => this.requestHuggingFaceAPI(modelName, inputs, options)
+    );
+  }
+
+  // Retries (including while a model is loading) and circuit breaking are
+  // handled by the shared AI HTTP client
+  async requestHuggingFaceAPI(modelName, inputs, options = {}) {
     try {
-      const response = await axios.post(
+      const response = await aiHttpClient.post(
         this.baseURL + modelName,
         { inputs, ...options },
         {
+          key: `huggingface:${modelName}`,
           headers: {
             'Authorization': `Bearer ${this.apiKey}`,
             'Content-Type': 'application/json'
@@ -38,14 +75,6 @@ class HuggingFaceResumeService {
       return response.data;
     } catch (error) {
       console.error(`Hugging Face API error for ${modelName}:`, error.message);
-      
-      // If model is loading, wait and retry
-      if (error.response?.status === 503) {
-        console.log('Model is loading, waiting 20 seconds...');
-        await new Promise(resolve => setTimeout(resolve, 20000));
-        return this.callHuggingFaceAPI(modelName, inputs, options);
-      }
-      
       throw error;
     }
   }
@@ -107,58 +136,108 @@ class HuggingFaceResumeService {
   }
 
   // Categorize skills into technical categories
+  // Skills the taxonomy knows take its category. Each other distinct skill
+  // is classified once: cached results are reused, and the rest are sent to
+  // the model in batches
   async categorizeSkills(skills) {
     console.log('Categorizing skills using zero-shot classification...');
+    await skillTaxonomyService.ensureLoaded();
     
-    const categories = [
-      'Frontend Development',
-      'Backend Development',
-      'Database',
-      'DevOps',
-      'Mobile Development',
-      'Data Science',
-      'Cloud Computing',
-      'Programming Language'
-    ];
+    const parameters = {
+      candidate_labels: SKILL_CATEGORIES,
+      multi_label: true
+    };
     
-    const categorizedSkills = [];
+    // "React" and "react " are the same skill
+    const normalize = skill => skill.trim().toLowerCase();
+    const uniqueSkills = [...new Set(skills.map(normalize))]
+      .filter(skill => skill && !skillTaxonomyService.getCategory(skill));
+    const cacheInputs = uniqueSkills.map(skill => ({ text: skill, parameters }));
     
-    for (const skill of skills) {
-      try {
-        const result = await this.callHuggingFaceAPI(
-          this.models.zeroShot,
-          skill,
-          {
-            parameters: {
-              candidate_labels: categories,
-              multi_label: true
-            }
+    const cached = await inferenceCache.getMany(this.models.zeroShot, 'zero-shot-classification', cacheInputs);
+    const results = new Map();
+    cached.forEach((result, index) => results.set(uniqueSkills[index], result));
+    
+    const uncached = uniqueSkills.filter(skill => !results.has(skill));
+    console.log(`Skill categories: ${results.size} cached, ${uncached.length} to classify`);
+    
+    const classified = await this.classifySkills(uncached, parameters);
+    const newEntries = [];
+    classified.forEach((result, skill) => {
+      results.set(skill, result);
+      newEntries.push({ input: { text: skill, parameters }, output: result });
+    });
+    await inferenceCache.setMany(this.models.zeroShot, 'zero-shot-classification', newEntries);
+    
+    return skills.map(skill => {
+      const knownCategory = skillTaxonomyService.getCategory(skill);
+      if (knownCategory) {
+        return { skill, categories: [{ category: knownCategory, score: 1, source: 'taxonomy' }] };
+      }
+      
+      const result = results.get(normalize(skill));
+      if (!result) {
+        return { skill, categories: [] };
+      }
+      
+      // Take top 2 categories with confidence > 0.3
+      const topCategories = result.labels
+        .map((label, index) => ({
+          category: label,
+          score: result.scores[index]
+        }))
+        .filter(cat => cat.score > 0.3)
+        .slice(0, 2);
+      
+      return { skill, categories: topCategories };
+    });
+  }
+
+  // Run zero-shot classification for skills, batching where the API allows
+  // Returns a Map of skill -> {labels, scores}; failed skills are left out
+  async classifySkills(skills, parameters) {
+    const results = new Map();
+    const batches = [];
+    for (let i = 0; i < skills.length; i += this.batchSize) {
+      batches.push(skills.slice(i, i + this.batchSize));
+    }
+    
+    for (const batch of batches) {
+      if (this.zeroShotBatchSupported && batch.length > 1) {
+        try {
+          const output = await this.requestHuggingFaceAPI(this.models.zeroShot, batch, { parameters });
+          
+          if (Array.isArray(output) && output.length === batch.length && output.every(r => r && r.labels)) {
+            batch.forEach((skill, index) => results.set(skill, output[index]));
+            continue;
           }
-        );
-        
-        // Take top 2 categories with confidence > 0.3
-        const topCategories = result.labels
-          .map((label, index) => ({
-            category: label,
-            score: result.scores[index]
-          }))
-          .filter(cat => cat.score > 0.3)
-          .slice(0, 2);
-        
-        categorizedSkills.push({
-          skill,
-          categories: topCategories
-        });
-      } catch (error) {
-        console.error(`Failed to categorize skill "${skill}":`, error);
-        categorizedSkills.push({
-          skill,
-          categories: []
-        });
+          
+          console.warn('Zero-shot model returned an unexpected batch response; classifying skills one at a time');
+          this.zeroShotBatchSupported = false;
+        } catch (error) {
+          // A 4xx means the API won't take a list of inputs; anything else
+          // (outage, open circuit) would fail per skill too
+          const status = error.response?.status;
+          if (!(status >= 400 && status < 500 && status !== 429)) {
+            console.error('Failed to categorize skills:', error.message);
+            continue;
+          }
+          console.warn(`Batched zero-shot request rejected (HTTP ${status}); classifying skills one at a time`);
+          this.zeroShotBatchSupported = false;
+        }
       }
+      
+      await mapWithConcurrency(batch, this.maxConcurrency, async (skill) => {
+        try {
+          const result = await this.requestHuggingFaceAPI(this.models.zeroShot, skill, { parameters });
+          results.set(skill, result);
+        } catch (error) {
+          console.error(`Failed to categorize skill "${skill}":`, error.message);
+        }
+      });
     }
     
-    return categorizedSkills;
+    return results;
   }
 
   // Infer experience level from resume text
@@ -197,39 +276,30 @@ class HuggingFaceResumeService {
   }
 
   // Find related skills based on mentioned skills
+  // The related-skill edges come from the skill taxonomy
   async findRelatedSkills(skills) {
     console.log('Finding related skills...');
     
-    // Common skill relationships
-    const skillRelationships = {
-      'React': ['Redux', 'Next.js', 'TypeScript', 'JavaScript', 'Webpack'],
-      'Node.js': ['Express.js', 'MongoDB', 'PostgreSQL', 'TypeScript', 'REST APIs'],
-      'Python': ['Django', 'Flask', 'NumPy', 'Pandas', 'TensorFlow'],
-      'Ruby on Rails': ['Ruby', 'PostgreSQL', 'Redis', 'Sidekiq', 'RSpec'],
-      'JavaScript': ['TypeScript', 'ES6+', 'npm', 'Webpack', 'Babel']
-    };
-    
-    const relatedSkills = new Set();
-    
-    skills.forEach(skill => {
-      const normalized = skill.trim().toLowerCase();
-      
-      Object.keys(skillRelationships).forEach(key => {
-        if (normalized.includes(key.toLowerCase())) {
-          skillRelationships[key].forEach(related => {
-            if (!skills.some(s => s.toLowerCase().includes(related.toLowerCase()))) {
-              relatedSkills.add(related);
-            }
-          });
-        }
-      });
-    });
-    
-    return Array.from(relatedSkills);
+    await skillTaxonomyService.ensureLoaded();
+    return skillTaxonomyService.getRelatedSkills(skills);
   }
 
   // Main enhancement function that orchestrates all capabilities
   async enhanceResumeData(originalParsedData, transcriptionText) {
+    // Offline providers have no model to enhance with; keep the parsed data as is
+    const provider = parserProviders.getProvider();
+    if (!provider.supportsEnhancement) {
+      console.log(`Skipping Hugging Face enhancement (parser provider: ${provider.name})`);
+      return {
+        ...originalParsedData,
+        huggingFaceEnhancement: {
+          skipped: true,
+          reason: `Enhancement is not available with the ${provider.name} parser provider`,
+          processedAt: new Date().toISOString()
+        }
+      };
+    }
+
     console.log('Starting Hugging Face resume enhancement...');
     
     const enhanced = {
@@ -331,7 +401,13 @@ class HuggingFaceResumeService {
       suggestions.push('Provide email in standard format (user@domain.com)');
     }
     
-    if (!resumeData.experience || resumeData.experience.length < 50) {
+    if (Array.isArray(resumeData.experience)) {
+      if (resumeData.experience.length === 0) {
+        suggestions.push('List your positions with job title, company and dates');
+      } else if (resumeData.experience.some(position => !position.description || position.description.length < 50)) {
+        suggestions.push('Add more detail about your work experience');
+      }
+    } else if (!resumeData.experience || resumeData.experience.length < 50) {
       suggestions.push('Add more detail about your work experience');
     }
     
@@ -339,7 +415,12 @@ class HuggingFaceResumeService {
       suggestions.push('Mention more technical skills relevant to your field');
     }
     
-    if (!resumeData.education || resumeData.education.length < 20) {
+    if (Array.isArray(resumeData.education)) {
+      if (resumeData.education.length === 0 ||
+          resumeData.education.some(entry => !entry.degree || !entry.institution || !entry.year)) {
+        suggestions.push('Include degree, major, and graduation year for education');
+      }
+    } else if (!resumeData.education || resumeData.education.length < 20) {
       suggestions.push('Include degree, major, and graduation year for education');
     }
     
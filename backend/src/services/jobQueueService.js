@@ -0,0 +1,222 @@
+// Job Queue Service
+// File: src/services/jobQueueService.js
+//
+// Postgres-backed queue for background resume processing. The HTTP server
+// enqueues jobs; worker processes (src/worker.js) claim them with a lease,
+// run them, and report success or failure. Failed attempts are retried with
+// exponential backoff until max_attempts, after which the job is dead.
+
+const { query } = require('../config/database');
+const { resolveStoredFilePath } = require('../utils/storagePaths');
+
+const JOB_TYPES = {
+    PARSE_RESUME: 'parse_resume',
+    PROCESS_VOICE_RESUME: 'process_voice_resume'
+};
+
+class JobQueueService {
+    constructor() {
+        this.defaultMaxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+        this.leaseMs = parseInt(process.env.JOB_LEASE_MS, 10) || 5 * 60 * 1000;
+        this.retryBaseDelayMs = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS, 10) || 30 * 1000;
+        this.retryMaxDelayMs = 15 * 60 * 1000;
+    }
+
+    /**
+     * Add a job to the queue
+     * A resume has at most one active job; if one is already queued or
+     * running, that job is returned instead of adding another.
+     *
+     * @param {string} type - One of JOB_TYPES
+     * @param {Object} payload - Handler arguments (stored as JSONB)
+     * @param {Object} options - {resumeId, maxAttempts, runAt}
+     * @returns {Promise<Object>} The queued job row
+     */
+    async enqueue(type, payload = {}, options = {}) {
+        const result = await query(
+            `INSERT INTO processing_jobs (type, resume_id, payload, max_attempts, run_at)
+             VALUES ($1, $2, $3, $4, COALESCE($5, NOW()))
+             ON CONFLICT (resume_id) WHERE status IN ('queued', 'running') DO NOTHING
+             RETURNING *`,
+            [
+                type,
+                options.resumeId || null,
+                JSON.stringify(payload),
+                options.maxAttempts || this.defaultMaxAttempts,
+                options.runAt || null
+            ]
+        );
+
+        if (result.rows.length === 0) {
+            return this.getActiveJobForResume(options.resumeId);
+        }
+
+        const job = result.rows[0];
+        console.log(`📥 Queued ${type} job ${job.id}${job.resume_id ? ` for resume ${job.resume_id}` : ''}`);
+        return job;
+    }
+
+    /**
+     * Queue a stored resume for processing again, with the job type and
+     * payload its resume type needs
+     *
+     * @param {Object} resume - Row with id, user_id, resume_type, file_path, mime_type, language_hint
+     * @param {Object} extraPayload - Added to the job payload (e.g. reparseRunId)
+     * @returns {Promise<Object>} The queued job, or the resume's active job
+     */
+    enqueueResume(resume, extraPayload = {}) {
+        const { filePath, isS3 } = resolveStoredFilePath(resume.file_path);
+        const languageHint = resume.language_hint || null;
+
+        if (resume.resume_type === 'voice') {
+            return this.enqueue(
+                JOB_TYPES.PROCESS_VOICE_RESUME,
+                { audioFilePath: filePath, userId: resume.user_id, isS3, languageHint, ...extraPayload },
+                { resumeId: resume.id }
+            );
+        }
+
+        return this.enqueue(
+            JOB_TYPES.PARSE_RESUME,
+            { filePath, userId: resume.user_id, mimeType: resume.mime_type, languageHint, ...extraPayload },
+            { resumeId: resume.id }
+        );
+    }
+
+    /**
+     * Get the queued or running job for a resume, if any
+     */
+    async getActiveJobForResume(resumeId) {
+        const result = await query(
+            `SELECT * FROM processing_jobs
+             WHERE resume_id = $1 AND status IN ('queued', 'running')`,
+            [resumeId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Claim the next runnable job for a worker
+     *
+     * A job is runnable when it is queued and due, or when it is running but
+     * its lease has expired (the worker that held it died). SKIP LOCKED lets
+     * several workers poll at once without claiming the same job.
+     *
+     * @param {string} workerId - Identifies the claiming worker
+     * @param {string[]} types - Job types this worker can run
+     * @returns {Promise<Object|null>} The claimed job, with attempts incremented
+     */
+    async claimNext(workerId, types) {
+        const result = await query(
+            `UPDATE processing_jobs
+             SET status = 'running',
+                 attempts = attempts + 1,
+                 locked_by = $1,
+                 locked_until = NOW() + ($2 * INTERVAL '1 millisecond'),
+                 updated_at = NOW()
+             WHERE id = (
+                 SELECT id FROM processing_jobs
+                 WHERE type = ANY($3)
+                   AND (
+                       (status = 'queued' AND run_at <= NOW())
+                       OR (status = 'running' AND locked_until < NOW())
+                   )
+                 ORDER BY run_at
+                 LIMIT 1
+                 FOR UPDATE SKIP LOCKED
+             )
+             RETURNING *`,
+            [workerId, this.leaseMs, types]
+        );
+
+        const job = result.rows[0] || null;
+
+        // A reclaimed job may already have used its last attempt
+        if (job && job.attempts > job.max_attempts) {
+            await this.markDead(job, job.last_error || 'Worker lease expired on the final attempt');
+            return null;
+        }
+
+        return job;
+    }
+
+    /**
+     * Extend the lease on a running job (called periodically by the worker)
+     */
+    async extendLease(job, workerId) {
+        const result = await query(
+            `UPDATE processing_jobs
+             SET locked_until = NOW() + ($1 * INTERVAL '1 millisecond'),
+                 updated_at = NOW()
+             WHERE id = $2 AND status = 'running' AND locked_by = $3`,
+            [this.leaseMs, job.id, workerId]
+        );
+        return result.rowCount > 0;
+    }
+
+    async complete(job) {
+        await query(
+            `UPDATE processing_jobs
+             SET status = 'completed',
+                 locked_by = NULL,
+                 locked_until = NULL,
+                 last_error = NULL,
+                 completed_at = NOW(),
+                 updated_at = NOW()
+             WHERE id = $1`,
+            [job.id]
+        );
+    }
+
+    /**
+     * Record a failed attempt: requeue with backoff, or dead-letter the job
+     * once it has used all of its attempts
+     *
+     * @returns {Promise<{dead: boolean, retryInMs?: number}>}
+     */
+    async fail(job, error) {
+        const message = error?.message || String(error);
+
+        if (job.attempts >= job.max_attempts) {
+            await this.markDead(job, message);
+            return { dead: true };
+        }
+
+        const retryInMs = this.getRetryDelay(job.attempts);
+        await query(
+            `UPDATE processing_jobs
+             SET status = 'queued',
+                 run_at = NOW() + ($1 * INTERVAL '1 millisecond'),
+                 locked_by = NULL,
+                 locked_until = NULL,
+                 last_error = $2,
+                 updated_at = NOW()
+             WHERE id = $3`,
+            [retryInMs, message, job.id]
+        );
+
+        return { dead: false, retryInMs };
+    }
+
+    async markDead(job, message) {
+        await query(
+            `UPDATE processing_jobs
+             SET status = 'dead',
+                 locked_by = NULL,
+                 locked_until = NULL,
+                 last_error = $1,
+                 updated_at = NOW()
+             WHERE id = $2`,
+            [message, job.id]
+        );
+        console.error(`☠️  Job ${job.id} (${job.type}) is dead after ${job.attempts} attempts: ${message}`);
+    }
+
+    // 30s, 60s, 120s, ... capped at 15 minutes
+    getRetryDelay(attempts) {
+        return Math.min(this.retryBaseDelayMs * Math.pow(2, attempts - 1), this.retryMaxDelayMs);
+    }
+}
+
+module.exports = new JobQueueService();
+module.exports.JOB_TYPES = JOB_TYPES;
@@ -0,0 +1,376 @@
+// Live Transcription Service
+// File: src/services/liveTranscriptionService.js
+//
+// Transcribes a voice resume while it is being recorded, so the candidate
+// sees their words appear instead of waiting for the whole pipeline. The
+// recorder opens a session, sends MediaRecorder's chunks as they are
+// produced, and listens for transcripts on an event stream.
+//
+// The chunks are appended to one file (a WebM recording only has its header
+// in the first chunk, so they can't be read one by one). Every few seconds,
+// the audio after the last final cut is decoded with ffmpeg, the part up to
+// its last pause is cut out and transcribed with the configured provider;
+// that text is final. What comes after the pause is transcribed too, but as
+// a partial transcript that the next pass replaces, since it may end
+// mid-word. Each pass only decodes and sends audio that isn't final yet, so
+// ffmpeg is required: without it every pass would re-send the whole
+// recording.
+//
+// Live transcripts are only feedback: the finished recording is uploaded and
+// processed like any other voice resume. Sessions live in this process's
+// memory, so with several API instances a session's requests must reach the
+// instance that opened it.
+
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { AppError } = require('../middleware/errorHandler');
+const { MAX_AUDIO_SIZE } = require('../config/voiceUpload');
+const transcriptionProviders = require('./ai/transcriptionProviders');
+const audioChunker = require('./ai/audioChunker');
+const voiceTranscriptionService = require('./ai/voiceTranscriptionService');
+const { getLocale, normalizeLanguage } = require('./parsing/locales');
+
+// Open sessions a user may have at once
+const MAX_SESSIONS_PER_USER = 3;
+// A final cut is made at most this far into a pause
+const MAX_CUT_INTO_PAUSE_SECONDS = 0.5;
+// Speech without a pause is made final anyway after this long
+const MAX_PARTIAL_SECONDS = 30;
+// Shorter tails aren't worth a request
+const MIN_PARTIAL_SECONDS = 1;
+
+class LiveTranscriptionService {
+    constructor() {
+        this.enabled = process.env.LIVE_TRANSCRIPTION_ENABLED !== 'false';
+        // Time between passes while recording
+        this.windowSeconds = parseFloat(process.env.LIVE_TRANSCRIPTION_WINDOW_SECONDS) || 5;
+        // Sessions with no new chunks for this long are closed, even with a
+        // listener: a recorder that stopped sending may still hold its stream
+        this.idleSeconds = parseInt(process.env.LIVE_SESSION_IDLE_SECONDS, 10) || 300;
+
+        this.sessions = new Map();
+
+        this.sweepTimer = setInterval(() => this.closeIdleSessions(), 60 * 1000);
+        this.sweepTimer.unref();
+    }
+
+    /**
+     * Open a live session
+     *
+     * @param {number} userId
+     * @param {Object} options - {language} hint, and {fileName} the recording
+     *   will have (its extension tells the format; the local provider also
+     *   finds sidecar transcripts by it)
+     * @returns {Promise<Object>} The session, as describeSession() returns it
+     * @throws {AppError} 503 when live transcription is off or ffmpeg is
+     *   missing, 429 when the user has too many sessions open
+     */
+    async createSession(userId, options = {}) {
+        if (!this.enabled) {
+            throw new AppError('Live transcription is disabled', 503);
+        }
+        if (!(await audioChunker.isAvailable())) {
+            throw new AppError('Live transcription is unavailable: ffmpeg is not installed on the server', 503);
+        }
+
+        const open = [...this.sessions.values()].filter(session => session.userId === userId);
+        if (open.length >= MAX_SESSIONS_PER_USER) {
+            throw new AppError(`At most ${MAX_SESSIONS_PER_USER} live sessions can be open at once`, 429);
+        }
+
+        const fileName = path.basename(String(options.fileName || ''));
+        const extension = path.extname(fileName).toLowerCase();
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'voice-live-'));
+
+        const session = {
+            id: uuidv4(),
+            userId,
+            dir,
+            filePath: path.join(dir, voiceTranscriptionService.supportedFormats.includes(extension) ? fileName : 'recording.webm'),
+            language: normalizeLanguage(options.language),
+            bytes: 0,
+            nextSequence: 0,
+            duration: 0,
+            committed: { text: '', until: 0 },
+            partial: '',
+            parts: 0,
+            lastPassAt: 0,
+            running: null,
+            pending: false,
+            finished: false,
+            closed: false,
+            lastActivity: Date.now(),
+            events: new EventEmitter()
+        };
+
+        await fs.writeFile(session.filePath, '');
+        this.sessions.set(session.id, session);
+        console.log(`🎙️  Live transcription session ${session.id} opened`);
+
+        return this.describeSession(session);
+    }
+
+    describeSession(session) {
+        return {
+            sessionId: session.id,
+            language: session.language,
+            nextSequence: session.nextSequence,
+            bytes: session.bytes
+        };
+    }
+
+    /**
+     * @throws {AppError} 404 unless the session exists and belongs to the user
+     */
+    getSession(sessionId, userId) {
+        const session = this.sessions.get(sessionId);
+        if (!session || session.userId !== userId) {
+            throw new AppError('Live session not found', 404);
+        }
+        return session;
+    }
+
+    /**
+     * Add the next chunk of the recording
+     * Chunks are numbered from 0 and must arrive in order, since each one
+     * continues the previous.
+     *
+     * @returns {Promise<{sequence: number, bytes: number}>}
+     * @throws {AppError} 400 for an empty chunk, 409 for one out of order or
+     *   after finish, 413 past MAX_AUDIO_SIZE
+     */
+    async appendChunk(sessionId, userId, chunk, sequence) {
+        const session = this.getSession(sessionId, userId);
+
+        if (session.finished) {
+            throw new AppError('Live session already finished', 409);
+        }
+        if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+            throw new AppError('Chunk is empty', 400);
+        }
+        if (Number(sequence) !== session.nextSequence) {
+            throw new AppError(`Expected chunk ${session.nextSequence}, got ${sequence}`, 409);
+        }
+        if (session.bytes + chunk.length > MAX_AUDIO_SIZE) {
+            throw new AppError(`Recording too large. Maximum size is ${Math.round(MAX_AUDIO_SIZE / 1024 / 1024)}MB.`, 413);
+        }
+
+        await fs.appendFile(session.filePath, chunk);
+        session.bytes += chunk.length;
+        session.nextSequence += 1;
+        session.lastActivity = Date.now();
+
+        this.schedulePass(session);
+
+        return { sequence: session.nextSequence - 1, bytes: session.bytes };
+    }
+
+    /**
+     * Listen to a session's events
+     * The listener is called with (event, data): "transcript" after each
+     * pass, "error" when one fails, "done" with the final transcript, and
+     * "closed" when the session is gone.
+     *
+     * @returns {Function} Call to stop listening
+     */
+    subscribe(sessionId, userId, listener) {
+        const session = this.getSession(sessionId, userId);
+        session.lastActivity = Date.now();
+
+        session.events.on('event', listener);
+        if (session.committed.text || session.partial) {
+            listener('transcript', this.describeTranscript(session));
+        }
+
+        return () => session.events.off('event', listener);
+    }
+
+    emit(session, event, data) {
+        session.events.emit('event', event, data);
+    }
+
+    describeTranscript(session) {
+        return {
+            sequence: session.nextSequence - 1,
+            text: [session.committed.text, session.partial].filter(Boolean).join(' '),
+            final: session.committed.text,
+            partial: session.partial,
+            duration: Math.round(session.duration * 100) / 100
+        };
+    }
+
+    /**
+     * Run a pass now, or after the one in progress
+     */
+    schedulePass(session) {
+        if (session.running) {
+            session.pending = true;
+            return;
+        }
+
+        session.running = this.runPass(session).finally(() => {
+            session.running = null;
+            if (session.pending && !session.finished && !session.closed) {
+                session.pending = false;
+                this.schedulePass(session);
+            }
+        });
+    }
+
+    /**
+     * Transcribe what is new and tell the listeners
+     * Failures are reported as events, so one bad pass doesn't end the session.
+     */
+    async runPass(session, final = false) {
+        try {
+            if (await this.transcribeNewAudio(session, final)) {
+                this.emit(session, 'transcript', this.describeTranscript(session));
+            }
+        } catch (error) {
+            console.warn(`Live transcription pass failed for session ${session.id}:`, error.message);
+            this.emit(session, 'error', { message: error.message });
+        }
+    }
+
+    /**
+     * Bring the session's transcript up to date with its recording
+     *
+     * @param {boolean} final - The recording is complete: make all of it final
+     * @returns {Promise<boolean>} Whether the transcript changed
+     */
+    async transcribeNewAudio(session, final) {
+        if (session.closed || session.bytes === 0) return false;
+
+        // Chunks come every few seconds; decoding is only worth it once a window has passed
+        if (!final && Date.now() - session.lastPassAt < this.windowSeconds * 1000) return false;
+        session.lastPassAt = Date.now();
+
+        const provider = transcriptionProviders.getProvider();
+        const options = {
+            prompt: getLocale(session.language).transcriptionPrompt,
+            language: session.language
+        };
+
+        // Only the audio that isn't final yet is decoded
+        const from = session.committed.until;
+        const { duration, silences } = await audioChunker.analyze(session.filePath, audioChunker.silenceNoiseDb, from);
+        if (duration > voiceTranscriptionService.maxDurationSeconds) {
+            throw new Error(`Recording too long for live transcription (over ${Math.round(voiceTranscriptionService.maxDurationSeconds / 60)} minutes)`);
+        }
+        session.duration = duration;
+
+        // Up to the last pause the speech is complete; the tail may end mid-word
+        const cut = final ? duration : this.findCut(from, duration, silences);
+        if (cut !== null && cut > from) {
+            const text = await this.transcribeRange(session, provider, options, from, cut);
+            session.committed.text = [session.committed.text, text].filter(Boolean).join(' ');
+            session.committed.until = cut;
+        }
+
+        const tail = duration - session.committed.until;
+        session.partial = !final && tail >= MIN_PARTIAL_SECONDS
+            ? await this.transcribeRange(session, provider, options, session.committed.until, duration)
+            : '';
+
+        return true;
+    }
+
+    /**
+     * Where the final part of the transcript can end: in the last pause after
+     * the current end, or right at the end after a long stretch without one
+     *
+     * @returns {number|null} Seconds into the recording
+     */
+    findCut(from, duration, silences) {
+        const cuts = silences
+            .map(silence => Math.min((silence.start + silence.end) / 2, silence.start + MAX_CUT_INTO_PAUSE_SECONDS))
+            .filter(cut => cut > from + MIN_PARTIAL_SECONDS && cut < duration);
+
+        if (cuts.length > 0) return cuts[cuts.length - 1];
+        return duration - from >= MAX_PARTIAL_SECONDS ? duration : null;
+    }
+
+    /**
+     * Transcribe part of the session's recording
+     */
+    async transcribeRange(session, provider, options, start, end) {
+        const partPath = path.join(session.dir, `part-${session.parts++}.mp3`);
+
+        try {
+            await audioChunker.extract(session.filePath, start, end, partPath);
+            const result = await voiceTranscriptionService.transcribeFile(
+                partPath, provider, options, session.filePath, { start, end }
+            );
+            return (result.text || '').trim();
+        } finally {
+            await fs.rm(partPath, { force: true });
+        }
+    }
+
+    /**
+     * The recording is complete: transcribe what is left and close the session
+     *
+     * @returns {Promise<Object>} The final transcript {sequence, text, final, partial, duration}
+     */
+    async finish(sessionId, userId) {
+        const session = this.getSession(sessionId, userId);
+        if (session.finished) {
+            throw new AppError('Live session already finished', 409);
+        }
+        session.finished = true;
+
+        while (session.running) {
+            await session.running;
+        }
+        await this.runPass(session, true);
+
+        const transcript = this.describeTranscript(session);
+        this.emit(session, 'done', transcript);
+        await this.close(session);
+
+        console.log(`✓ Live transcription session ${session.id} finished (${transcript.final.length} characters)`);
+        return transcript;
+    }
+
+    /**
+     * Close a session without finishing it (the recording was thrown away)
+     */
+    async discard(sessionId, userId) {
+        await this.close(this.getSession(sessionId, userId));
+    }
+
+    async close(session) {
+        if (session.closed) return;
+        session.closed = true;
+        this.sessions.delete(session.id);
+
+        this.emit(session, 'closed', { sessionId: session.id });
+        session.events.removeAllListeners();
+
+        while (session.running) {
+            await session.running;
+        }
+        await audioChunker.cleanup(session.dir);
+    }
+
+    /**
+     * Close sessions nobody is sending to
+     * Their listeners get "closed", which ends the event stream.
+     */
+    async closeIdleSessions() {
+        const cutoff = Date.now() - this.idleSeconds * 1000;
+
+        for (const session of [...this.sessions.values()]) {
+            if (session.lastActivity < cutoff && !session.finished) {
+                console.log(`Closing idle live transcription session ${session.id}`);
+                await this.close(session);
+            }
+        }
+    }
+}
+
+// Export a singleton instance
+module.exports = new LiveTranscriptionService();
@@ -0,0 +1,550 @@
+// Document Text Extractor
+// File: src/services/parsing/documentTextExtractor.js
+//
+// Turns an uploaded resume (PDF, DOCX, DOC, RTF, ODT or plain text) into clean
+// text for the parsing pipeline. Each format is handled by an extractor that is
+// registered with this service, so supporting a new format only means calling
+// register() with the extensions, MIME types and signature it recognises.
+
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const AdmZip = require('adm-zip');
+const pdf = require('pdf-parse');
+const pdfOcr = require('./pdfOcr');
+
+// Magic bytes used to identify formats regardless of the stored file extension
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+const XML_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&apos;': '\''
+};
+
+class DocumentTextExtractor {
+    constructor() {
+        // Registered extractors keyed by format name
+        this.extractors = new Map();
+
+        this.registerDefaults();
+    }
+
+    /**
+     * Register (or replace) an extractor for a document format
+     *
+     * @param {string} format - Short format name, e.g. 'docx'
+     * @param {Object} definition
+     * @param {string[]} definition.extensions - File extensions including the dot
+     * @param {string[]} definition.mimeTypes - MIME types reported by uploads
+     * @param {Function} [definition.detect] - (buffer) => boolean signature check
+     * @param {Function} definition.extract - async (buffer) => { text, metadata }
+     */
+    register(format, definition) {
+        if (typeof definition.extract !== 'function') {
+            throw new Error(`Extractor for ${format} must provide an extract function`);
+        }
+
+        this.extractors.set(format, {
+            format,
+            extensions: definition.extensions || [],
+            mimeTypes: definition.mimeTypes || [],
+            detect: definition.detect || null,
+            extract: definition.extract
+        });
+    }
+
+    /**
+     * List the formats that currently have an extractor
+     */
+    getSupportedFormats() {
+        return Array.from(this.extractors.keys());
+    }
+
+    /**
+     * Extract clean text from a local file path or an HTTP(S) URL (S3 uploads)
+     *
+     * @param {string} source - Local path or URL of the document
+     * @param {Object} options
+     * @param {string} [options.mimeType] - MIME type recorded at upload time
+     * @returns {Promise<{text: string, format: string, metadata: Object}>}
+     */
+    async extract(source, options = {}) {
+        const buffer = await this.loadFile(source);
+        const format = this.detectFormat(source, buffer, options.mimeType);
+        const extractor = this.extractors.get(format);
+
+        let result;
+        try {
+            result = await extractor.extract(buffer);
+        } catch (error) {
+            // A corrupt or mislabelled file should not stop the pipeline entirely;
+            // the plain text reader is the same behaviour we had before extractors
+            console.error(`${format} extraction failed, falling back to plain text:`, error.message);
+            result = await this.extractors.get('txt').extract(buffer);
+            result.metadata = { ...result.metadata, fallbackFrom: format, fallbackReason: error.message };
+        }
+
+        return {
+            text: this.normalizeText(result.text || ''),
+            format,
+            metadata: result.metadata || {}
+        };
+    }
+
+    /**
+     * Read the raw bytes of the document
+     */
+    async loadFile(source) {
+        if (/^https?:\/\//i.test(source)) {
+            const response = await axios.get(source, {
+                responseType: 'arraybuffer',
+                timeout: 30000
+            });
+            return Buffer.from(response.data);
+        }
+
+        return fs.readFile(source);
+    }
+
+    /**
+     * Work out which extractor to use
+     * File signatures win over extensions because users regularly upload
+     * RTF files renamed to .doc, and stored filenames follow the MIME type.
+     */
+    detectFormat(source, buffer, mimeType) {
+        for (const extractor of this.extractors.values()) {
+            if (extractor.detect && extractor.detect(buffer)) {
+                return extractor.format;
+            }
+        }
+
+        const extension = path.extname(source.split('?')[0]).toLowerCase();
+        for (const extractor of this.extractors.values()) {
+            if (extractor.extensions.includes(extension)) {
+                return extractor.format;
+            }
+        }
+
+        if (mimeType) {
+            for (const extractor of this.extractors.values()) {
+                if (extractor.mimeTypes.includes(mimeType)) {
+                    return extractor.format;
+                }
+            }
+        }
+
+        return 'txt';
+    }
+
+    /**
+     * Normalise line endings and strip control characters while keeping
+     * the paragraph and line structure of the document intact
+     */
+    normalizeText(text) {
+        return text
+            .replace(/\r\n?/g, '\n')
+            .replace(/\u00a0/g, ' ')
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g, '')
+            .split('\n')
+            .map(line => line.replace(/[ \t]+$/g, ''))
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    registerDefaults() {
+        this.register('pdf', {
+            extensions: ['.pdf'],
+            mimeTypes: ['application/pdf'],
+            detect: buffer => buffer.slice(0, 5).toString('latin1') === '%PDF-',
+            extract: async (buffer) => this.extractPdf(buffer)
+        });
+
+        this.register('docx', {
+            extensions: ['.docx'],
+            mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+            detect: buffer => this.isZipContaining(buffer, 'word/document.xml'),
+            extract: async (buffer) => this.extractDocx(buffer)
+        });
+
+        this.register('odt', {
+            extensions: ['.odt'],
+            mimeTypes: ['application/vnd.oasis.opendocument.text'],
+            detect: buffer => this.isZipContaining(buffer, 'content.xml') &&
+                !this.isZipContaining(buffer, 'word/document.xml'),
+            extract: async (buffer) => this.extractOdt(buffer)
+        });
+
+        this.register('rtf', {
+            extensions: ['.rtf'],
+            mimeTypes: ['application/rtf', 'text/rtf'],
+            detect: buffer => buffer.slice(0, 5).toString('latin1') === '{\\rtf',
+            extract: async (buffer) => ({
+                text: this.rtfToText(buffer.toString('latin1')),
+                metadata: {}
+            })
+        });
+
+        this.register('doc', {
+            extensions: ['.doc'],
+            mimeTypes: ['application/msword'],
+            detect: buffer => buffer.length >= 8 && buffer.slice(0, 8).equals(OLE_SIGNATURE),
+            extract: async (buffer) => ({
+                text: this.extractLegacyDocText(buffer),
+                metadata: { bestEffort: true }
+            })
+        });
+
+        this.register('txt', {
+            extensions: ['.txt', '.text', '.md'],
+            mimeTypes: ['text/plain', 'text/markdown'],
+            extract: async (buffer) => ({
+                text: buffer.toString('utf8').replace(/^\ufeff/, ''),
+                metadata: {}
+            })
+        });
+    }
+
+    /**
+     * PDF: the text layer, or OCR of the page images when the text layer is
+     * missing or too thin (scanned resumes). metadata.ocr records whether
+     * OCR ran and how confident it was; metadata.lowText is set when neither
+     * produced enough text to parse.
+     */
+    async extractPdf(buffer) {
+        const pdfData = await pdf(buffer);
+        const metadata = { pages: pdfData.numpages };
+
+        if (!pdfOcr.isLowText(pdfData.text, pdfData.numpages)) {
+            return { text: pdfData.text, metadata };
+        }
+
+        console.log(`PDF has little or no text layer (${pdfData.text.trim().length} characters), trying OCR`);
+        const ocr = {
+            used: false,
+            reason: pdfData.text.trim() ? 'low_text' : 'no_text',
+            textLayerLength: pdfData.text.trim().length
+        };
+
+        let text = pdfData.text;
+        try {
+            const result = await pdfOcr.recognize(buffer);
+            Object.assign(ocr, {
+                engine: result.engine,
+                language: result.language,
+                pagesProcessed: result.pagesProcessed,
+                confidence: result.confidence,
+                quality: result.quality,
+                textLength: result.text.length,
+                durationMs: result.durationMs
+            });
+
+            // Keep the text layer if OCR somehow recovered less of the page
+            if (result.text.trim().length > pdfData.text.trim().length) {
+                text = result.text;
+                ocr.used = true;
+            }
+            console.log(`OCR read ${result.pagesProcessed} page(s), ${result.text.length} characters, ` +
+                `confidence ${result.confidence}`);
+        } catch (error) {
+            console.error('OCR failed:', error.message);
+            ocr.error = error.message;
+        }
+
+        metadata.ocr = ocr;
+        metadata.lowText = pdfOcr.isLowText(text, ocr.used ? ocr.pagesProcessed : pdfData.numpages);
+        return { text, metadata };
+    }
+
+    isZipContaining(buffer, entryName) {
+        if (buffer.length < 4 || !buffer.slice(0, 4).equals(ZIP_SIGNATURE)) {
+            return false;
+        }
+
+        try {
+            return new AdmZip(buffer).getEntry(entryName) !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * DOCX: headers first (they usually hold the candidate's name and contact
+     * details), then the body including tables, then footers
+     */
+    extractDocx(buffer) {
+        const zip = new AdmZip(buffer);
+        const entryNames = zip.getEntries().map(entry => entry.entryName);
+        const readXml = name => zip.readAsText(name, 'utf8');
+
+        const headers = entryNames.filter(name => /^word\/header\d*\.xml$/.test(name)).sort();
+        const footers = entryNames.filter(name => /^word\/footer\d*\.xml$/.test(name)).sort();
+
+        const headerText = headers.map(name => this.wordXmlToText(readXml(name))).join('\n');
+        const bodyText = this.wordXmlToText(readXml('word/document.xml'));
+        const footerText = footers.map(name => this.wordXmlToText(readXml(name))).join('\n');
+
+        return {
+            text: [headerText, bodyText, footerText].filter(part => part.trim()).join('\n\n'),
+            metadata: {
+                headers: headers.length,
+                footers: footers.length,
+                tables: (readXml('word/document.xml').match(/<w:tbl>/g) || []).length
+            }
+        };
+    }
+
+    /**
+     * Convert WordprocessingML into text. Paragraphs become lines, table cells
+     * are separated with " | " and each table row ends the line.
+     */
+    wordXmlToText(xml) {
+        let output = '';
+        let inText = false;
+        let inDeleted = false;
+        let inTabStops = false;
+        const tokenPattern = /<(\/?)([\w:]+)[^>]*?(\/?)>|([^<]+)/g;
+        let match;
+
+        while ((match = tokenPattern.exec(xml)) !== null) {
+            const [, closing, tag, selfClosing, textNode] = match;
+
+            if (textNode !== undefined) {
+                if (inText && !inDeleted) {
+                    output += this.decodeXmlEntities(textNode);
+                }
+                continue;
+            }
+
+            if (tag === 'w:t') {
+                inText = !closing && !selfClosing;
+            } else if (tag === 'w:del') {
+                inDeleted = !closing && !selfClosing;
+            } else if (tag === 'w:tabs') {
+                inTabStops = !closing && !selfClosing;
+            } else if (tag === 'w:tab' && !closing && !inTabStops) {
+                output += '\t';
+            } else if ((tag === 'w:br' || tag === 'w:cr') && !closing) {
+                output += '\n';
+            } else if (tag === 'w:p' && (closing || selfClosing)) {
+                output += '\n';
+            } else if (tag === 'w:tc' && closing) {
+                output = output.replace(/\n$/, '') + ' | ';
+            } else if (tag === 'w:tr' && closing) {
+                output = output.replace(/ \| $/, '') + '\n';
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * ODT: headers live in styles.xml (master pages), the body in content.xml
+     */
+    extractOdt(buffer) {
+        const zip = new AdmZip(buffer);
+        const stylesXml = zip.getEntry('styles.xml') ? zip.readAsText('styles.xml', 'utf8') : '';
+        const contentXml = zip.readAsText('content.xml', 'utf8');
+
+        const headerBlocks = stylesXml.match(/<style:header[\s>][\s\S]*?<\/style:header>/g) || [];
+        const headerText = headerBlocks.map(block => this.odfXmlToText(block)).join('\n');
+        const bodyXml = (contentXml.match(/<office:body>([\s\S]*)<\/office:body>/) || [null, contentXml])[1];
+
+        return {
+            text: [headerText, this.odfXmlToText(bodyXml)].filter(part => part.trim()).join('\n\n'),
+            metadata: {
+                headers: headerBlocks.length,
+                tables: (bodyXml.match(/<table:table[\s>]/g) || []).length
+            }
+        };
+    }
+
+    odfXmlToText(xml) {
+        let output = '';
+        const tokenPattern = /<(\/?)([\w:-]+)([^>]*?)(\/?)>|([^<]+)/g;
+        let match;
+
+        while ((match = tokenPattern.exec(xml)) !== null) {
+            const [, closing, tag, attributes, selfClosing, textNode] = match;
+
+            if (textNode !== undefined) {
+                output += this.decodeXmlEntities(textNode);
+                continue;
+            }
+
+            if (tag === 'text:tab' && !closing) {
+                output += '\t';
+            } else if (tag === 'text:line-break' && !closing) {
+                output += '\n';
+            } else if (tag === 'text:s' && !closing) {
+                const count = parseInt((attributes.match(/text:c="(\d+)"/) || [])[1], 10) || 1;
+                output += ' '.repeat(count);
+            } else if ((tag === 'text:p' || tag === 'text:h') && (closing || selfClosing)) {
+                output += '\n';
+            } else if (tag === 'table:table-cell' && closing) {
+                output = output.replace(/\n$/, '') + ' | ';
+            } else if (tag === 'table:table-row' && closing) {
+                output = output.replace(/ \| $/, '') + '\n';
+            }
+        }
+
+        return output;
+    }
+
+    decodeXmlEntities(text) {
+        return text
+            .replace(/&(amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity])
+            .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)));
+    }
+
+    /**
+     * Best-effort RTF to text conversion. Handles paragraph/tab control words,
+     * hex and unicode escapes, and skips non-text destinations (font tables,
+     * pictures, document info).
+     */
+    rtfToText(rtf) {
+        const skippedDestinations = new Set([
+            'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object',
+            'themedata', 'colorschememapping', 'datastore', 'latentstyles',
+            'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl'
+        ]);
+
+        let output = '';
+        let depth = 0;
+        let skipUntilDepth = null;
+        let unicodeSkip = 0;
+        let i = 0;
+
+        while (i < rtf.length) {
+            const char = rtf[i];
+
+            if (char === '{') {
+                depth++;
+                // {\* ...} marks an ignorable destination
+                if (skipUntilDepth === null && rtf.startsWith('{\\*', i)) {
+                    skipUntilDepth = depth;
+                }
+                i++;
+                continue;
+            }
+
+            if (char === '}') {
+                if (skipUntilDepth === depth) {
+                    skipUntilDepth = null;
+                }
+                depth--;
+                i++;
+                continue;
+            }
+
+            if (char === '\\') {
+                const next = rtf[i + 1];
+
+                if (next === '\\' || next === '{' || next === '}') {
+                    if (skipUntilDepth === null) output += next;
+                    i += 2;
+                    continue;
+                }
+
+                if (next === '\'') {
+                    if (skipUntilDepth === null && unicodeSkip === 0) {
+                        output += String.fromCharCode(parseInt(rtf.substr(i + 2, 2), 16));
+                    }
+                    unicodeSkip = Math.max(0, unicodeSkip - 1);
+                    i += 4;
+                    continue;
+                }
+
+                const controlMatch = /^\\([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i, i + 40));
+                if (!controlMatch) {
+                    i += 2;
+                    continue;
+                }
+
+                const [token, word, param] = controlMatch;
+                i += token.length;
+
+                if (skipUntilDepth !== null) continue;
+
+                if (skippedDestinations.has(word)) {
+                    skipUntilDepth = depth;
+                } else if (word === 'par' || word === 'line' || word === 'row') {
+                    output += '\n';
+                } else if (word === 'tab') {
+                    output += '\t';
+                } else if (word === 'cell') {
+                    output += ' | ';
+                } else if (word === 'u' && param !== undefined) {
+                    let code = parseInt(param, 10);
+                    if (code < 0) code += 65536;
+                    output += String.fromCharCode(code);
+                    unicodeSkip = 1; // the ANSI fallback character that follows
+                }
+                continue;
+            }
+
+            if (char === '\r' || char === '\n') {
+                i++;
+                continue;
+            }
+
+            if (skipUntilDepth === null) {
+                if (unicodeSkip > 0) {
+                    unicodeSkip--;
+                } else {
+                    output += char;
+                }
+            }
+            i++;
+        }
+
+        return output;
+    }
+
+    /**
+     * Best-effort text recovery from legacy Word 97-2003 binaries.
+     * Without a full OLE/FIB parser we scan for runs of readable UTF-16LE
+     * text (how Word stores most documents) and fall back to 8-bit runs.
+     */
+    extractLegacyDocText(buffer) {
+        const utf16Runs = this.findTextRuns(buffer, 2);
+        const asciiRuns = this.findTextRuns(buffer, 1);
+
+        const utf16Length = utf16Runs.reduce((sum, run) => sum + run.length, 0);
+        const runs = utf16Length >= 200 ? utf16Runs : asciiRuns;
+
+        return runs
+            .filter(run => /[aeiouy]/i.test(run) && /[a-z]{2,}/i.test(run))
+            .join('\n');
+    }
+
+    findTextRuns(buffer, bytesPerChar) {
+        const runs = [];
+        let current = '';
+
+        for (let offset = 0; offset + bytesPerChar <= buffer.length; offset += bytesPerChar) {
+            const code = bytesPerChar === 2 ? buffer.readUInt16LE(offset) : buffer[offset];
+            const isReadable = (code >= 0x20 && code < 0x7f) ||
+                (code >= 0xa0 && code <= 0x24f) ||
+                code === 0x09 || code === 0x0d;
+
+            if (isReadable) {
+                current += code === 0x0d ? '\n' : String.fromCharCode(code);
+            } else {
+                if (current.trim().length >= 4) runs.push(current);
+                current = '';
+            }
+        }
+
+        if (current.trim().length >= 4) runs.push(current);
+        return runs;
+    }
+}
+
+// Export a singleton instance
+module.exports = new DocumentTextExtractor();
@@ -0,0 +1,332 @@
+// Education Extractor
+// File: src/services/parsing/educationExtractor.js
+//
+// Reads the education and certifications sections of a resume into lists.
+// Education entries are grouped from consecutive degree / institution / year
+// lines (or a single "B.S. Computer Science, MIT, 2014" line); certifications
+// are one per line with an optional issuer and date.
+
+const { MONTHS } = require('./workHistoryExtractor');
+
+// Spelled-out degrees can appear anywhere on a line
+const DEGREE_WORDS = /\b(bachelor(?:'s)?|master(?:'s)?|doctor(?:ate)?(?: of)?|associate(?:'s)? (?:degree|of)|mba|ph\.?\s?d\.?|high school diploma|diploma|ged)\b/i;
+
+// Abbreviations clash with state codes ("Boston, MA"), so only trust them at the start of a line
+const DEGREE_ABBREVIATIONS = /^(b\.?\s?s\.?c?\.?|b\.?\s?a\.?|b\.?\s?eng\.?|b\.?\s?tech\.?|b\.?\s?com\.?|m\.?\s?s\.?c?\.?|m\.?\s?a\.?|m\.?\s?eng\.?|m\.?\s?tech\.?|a\.?\s?a\.?s?\.?|a\.?\s?s\.?)(?=[\s,]|$)/i;
+
+const INSTITUTION_WORDS = /\b(university|college|institute|school|academy|polytechnic|conservatory|universidad|université|universität)\b/i;
+
+const GPA_REGEX = /\b(?:gpa|cgpa|grade point average)\s*[:\-]?\s*(\d(?:\.\d{1,2})?)(?:\s*\/\s*(\d(?:\.\d{1,2})?))?/i;
+
+const YEAR_REGEX = /\b(?:19|20)\d{2}\b/;
+
+// "Bachelor of Science" names the degree, not the field
+const GENERIC_DEGREE_SUBJECTS = /^(science|arts|engineering|business administration|philosophy|laws|education|fine arts|technology|applied science|commerce)$/i;
+
+// Certification levels are part of the name, not an issuer ("... - Professional")
+const CERTIFICATION_LEVELS = /^(professional|associate|foundational|specialty|expert|practitioner|fundamentals|advanced|intermediate|beginner|level \d+)$/i;
+
+// Issuers that can be inferred from the certification name alone
+const KNOWN_ISSUERS = [
+    [/\b(aws|amazon web services)\b/i, 'Amazon Web Services'],
+    [/\b(google cloud|gcp)\b/i, 'Google Cloud'],
+    [/\bgoogle\b/i, 'Google'],
+    [/\b(microsoft|azure)\b/i, 'Microsoft'],
+    [/\boracle\b/i, 'Oracle'],
+    [/\b(cisco|ccna|ccnp|ccie)\b/i, 'Cisco'],
+    [/\b(comptia|security\+|network\+|a\+)/i, 'CompTIA'],
+    [/\b(pmp|capm|pmi)\b/i, 'Project Management Institute'],
+    [/\b(csm|scrum alliance)\b/i, 'Scrum Alliance'],
+    [/\b(psm|scrum\.org)\b/i, 'Scrum.org'],
+    [/\bsalesforce\b/i, 'Salesforce'],
+    [/\b(red hat|rhce|rhcsa)\b/i, 'Red Hat'],
+    [/\b(cka|ckad|cks|cncf)\b/i, 'Cloud Native Computing Foundation'],
+    [/\blinux foundation\b/i, 'The Linux Foundation'],
+    [/\b(hashicorp|terraform)\b/i, 'HashiCorp'],
+    [/\b(cissp|isc2|\(isc\)²)\b/i, 'ISC2'],
+    [/\b(cisa|cism|isaca)\b/i, 'ISACA'],
+    [/\bmongodb\b/i, 'MongoDB'],
+    [/\b(cpa)\b/i, 'AICPA'],
+    [/\b(cfa)\b/i, 'CFA Institute']
+];
+
+// Degree and institution phrases inside a sentence, as in spoken resumes:
+// "I graduated from the University of Texas with a bachelor's degree in statistics"
+const DEGREE_PHRASE = /\b((?:bachelor|master|doctor|associate)(?:'s)?(?:\s+degree)?(?:\s+of\s+(?:science|arts|engineering|business administration))?|ph\.?\s?d\.?|mba)(?:\s+(?:in|of)\s+([a-z][a-z &]*?))?(?=\s*(?:[.,;|–—]|-\s|$)|\s(?:from|at|with|and)\b)/i;
+const INSTITUTION_PHRASE = /\b((?:University|College|Institute|School|Academy) of (?:[A-Z][\w&.-]*)(?:\s+(?:of\s+)?[A-Z][\w&.-]*)*|(?:[A-Z][\w&.-]*\s+)+(?:University|College|Institute|School|Academy)(?:\s+of\s+[A-Z][\w&.-]*(?:\s+[A-Z][\w&.-]*)*)?)/;
+
+// Dashes, pipes and tabs only separate fields; a sentence has no use for them
+const FIELD_SEPARATORS = /\s[|–—]\s|\s-\s|\t/;
+
+// What follows a degree that is a note about it rather than the school
+const DEGREE_NOTES = /\b(minor|major|concentration|specialization|honou?rs|cum laude|thesis|coursework)\b/i;
+
+const BULLET_REGEX = /^\s*(?:[-*•▪‣◦·●■]|\d+[.)])\s+/;
+
+class EducationExtractor {
+    /**
+     * Extract education entries
+     *
+     * @param {string} text - Education section text with line breaks preserved
+     * @returns {Array<{degree: string, field: string|null, institution: string, location?: string, year: string|null, gpa: string|null}>}
+     */
+    extractEducation(text) {
+        const entries = [];
+        let current = null;
+
+        const startEntry = () => {
+            current = { degree: '', field: null, institution: '', year: null, gpa: null };
+            entries.push(current);
+        };
+
+        for (const rawLine of (text || '').split('\n')) {
+            const line = rawLine.replace(BULLET_REGEX, '').trim();
+            if (!line) continue;
+
+            // Prose rather than resume lines: pull the phrases out of the sentence
+            if (this.isSentence(line)) {
+                const sentenceEntry = this.parseSentence(line);
+                if (sentenceEntry) {
+                    startEntry();
+                    Object.assign(current, sentenceEntry);
+                }
+                continue;
+            }
+
+            const gpaMatch = line.match(GPA_REGEX);
+            const lineWithoutGpa = gpaMatch ? line.replace(gpaMatch[0], '').trim() : line;
+
+            const parts = lineWithoutGpa
+                .split(/\s+[|–—]\s+|\s+-\s+|,\s+|\t/)
+                .map(part => part.replace(/[()]/g, '').trim())
+                .filter(Boolean);
+
+            const degreePart = parts.find((part, index) => this.isDegree(part, index === 0));
+            const institutionPart = parts.find(part => part !== degreePart && INSTITUTION_WORDS.test(part)) ||
+                this.findInstitutionAfterDegree(parts, degreePart);
+            const year = this.findGraduationYear(line);
+
+            // A new degree or institution that the open entry already has starts the next entry
+            if (!current ||
+                (degreePart && current.degree) ||
+                (institutionPart && current.institution && !degreePart && current.degree)) {
+                if (degreePart || institutionPart) startEntry();
+            }
+
+            if (!current) continue;
+
+            if (degreePart && !current.degree) {
+                const { degree, field } = this.splitDegree(lineWithoutGpa, degreePart, institutionPart);
+                current.degree = degree;
+                current.field = field;
+            }
+
+            if (institutionPart && !current.institution) {
+                const { institution, location } = this.splitInstitution(
+                    degreePart ? institutionPart : lineWithoutGpa,
+                    !degreePart
+                );
+                current.institution = institution;
+                if (location) current.location = location;
+            }
+
+            if (year && !current.year) current.year = year;
+            if (gpaMatch && !current.gpa) {
+                current.gpa = gpaMatch[2] ? `${gpaMatch[1]}/${gpaMatch[2]}` : gpaMatch[1];
+            }
+        }
+
+        return entries.filter(entry => entry.degree || entry.institution);
+    }
+
+    /**
+     * Extract certifications, one per line
+     *
+     * @param {string} text - Certifications section text
+     * @returns {Array<{name: string, issuer: string|null, date: string|null}>}
+     */
+    extractCertifications(text) {
+        const certifications = [];
+
+        for (const rawLine of (text || '').split('\n')) {
+            const line = rawLine.replace(BULLET_REGEX, '').trim();
+            if (!line || line.length > 200) continue;
+
+            const date = this.findDate(line);
+
+            // "Issued by X" / "issued X" reads as the issuer
+            const issuedBy = line.match(/\bissued(?:\s+by)?\s+([^,|()\d]+?)(?=\s*(?:[,|()]|\bon\b|\bin\b|$|(?:19|20)\d{2}))/i);
+
+            // "(CKA)" after the name is its acronym, not the issuer
+            const acronymMatch = line.match(/\s*\(([A-Z][A-Z0-9+-]{1,7})\)/);
+
+            const parts = line
+                .replace(acronymMatch ? acronymMatch[0] : '', '')
+                .replace(/\bissued(?:\s+by)?\s+[^,|()]*$/i, '')
+                .split(/\s+[|–—]\s+|\s+-\s+|,\s+|\s*\(\s*|\s*\)\s*/)
+                .map(part => part.trim())
+                .filter(part => part && !this.isDateText(part));
+
+            if (parts.length === 0) continue;
+
+            let name = parts.shift();
+            while (parts.length > 0 && CERTIFICATION_LEVELS.test(parts[0])) {
+                name = `${name} - ${parts.shift()}`;
+            }
+            if (acronymMatch) name = `${name} (${acronymMatch[1]})`;
+
+            const issuer = (issuedBy && issuedBy[1].trim()) ||
+                parts[0] ||
+                this.inferIssuer(name);
+
+            certifications.push({ name, issuer: issuer || null, date });
+        }
+
+        return certifications;
+    }
+
+    /**
+     * Education entry from a full sentence, or null when it names no degree or school
+     */
+    parseSentence(sentence) {
+        const degreeMatch = sentence.match(DEGREE_PHRASE);
+        const institutionMatch = sentence.match(INSTITUTION_PHRASE);
+        if (!degreeMatch && !institutionMatch) return null;
+
+        const gpaMatch = sentence.match(GPA_REGEX);
+
+        return {
+            degree: degreeMatch ? degreeMatch[0].trim() : '',
+            field: degreeMatch && degreeMatch[2] ? degreeMatch[2].trim() : null,
+            institution: institutionMatch ? institutionMatch[1].trim() : '',
+            year: this.findGraduationYear(sentence),
+            gpa: gpaMatch ? (gpaMatch[2] ? `${gpaMatch[1]}/${gpaMatch[2]}` : gpaMatch[1]) : null
+        };
+    }
+
+    /**
+     * Whether a long line is a sentence, as in spoken resumes
+     * Lines split into fields by separators are resume lines however long
+     * ("Master of Science in Data Science - Stanford University - 2018");
+     * commas only count as separators between short fields.
+     */
+    isSentence(line) {
+        if (line.split(/\s+/).length <= 10 || FIELD_SEPARATORS.test(line)) return false;
+        return line.split(/,\s+/).some(part => part.split(/\s+/).length > 6);
+    }
+
+    /**
+     * The part after a degree that already names its subject is the school,
+     * even one without an institution word ("B.S. Computer Science, MIT, 2015")
+     */
+    findInstitutionAfterDegree(parts, degreePart) {
+        if (!degreePart || !this.degreeSubject(degreePart)) return undefined;
+
+        const next = parts[parts.indexOf(degreePart) + 1];
+        if (!next || YEAR_REGEX.test(next) || DEGREE_NOTES.test(next) || this.isDegree(next, false)) {
+            return undefined;
+        }
+        return next;
+    }
+
+    isDegree(part, startsLine) {
+        return DEGREE_WORDS.test(part) || (startsLine && DEGREE_ABBREVIATIONS.test(part));
+    }
+
+    /**
+     * Separate the degree from its field of study
+     * "Master of Science in Computer Science" and "B.S. Computer Science" ->
+     * field "Computer Science"; "B.S., Computer Science" -> field from the
+     * part after the degree.
+     */
+    splitDegree(line, degreePart, institutionPart) {
+        const degree = degreePart.replace(/\s+(?:19|20)\d{2}$/, '').trim();
+
+        const subject = this.degreeSubject(degree);
+        if (subject) return { degree, field: subject };
+
+        // Field written after the degree on the same line
+        const parts = line.split(/\s+[|–—]\s+|\s+-\s+|,\s+/).map(part => part.trim());
+        const degreeIndex = parts.indexOf(degreePart);
+        const next = degreeIndex > -1 ? parts[degreeIndex + 1] : null;
+        if (next && next !== institutionPart && !YEAR_REGEX.test(next) && !INSTITUTION_WORDS.test(next)) {
+            return { degree, field: next };
+        }
+
+        return { degree, field: null };
+    }
+
+    /**
+     * Field of study named in the degree itself, or null
+     * "Bachelor of Science" names the degree only.
+     */
+    degreeSubject(degreePart) {
+        const degree = degreePart.replace(/\s+(?:19|20)\d{2}$/, '').trim();
+
+        const inMatch = degree.match(/\s+in\s+(.+)$/i);
+        if (inMatch) return inMatch[1].trim();
+
+        const ofMatch = degree.match(/\s+of\s+(.+)$/i);
+        if (ofMatch) {
+            return GENERIC_DEGREE_SUBJECTS.test(ofMatch[1].trim()) ? null : ofMatch[1].trim();
+        }
+
+        // "B.S. Computer Science"
+        const abbreviation = degree.match(DEGREE_ABBREVIATIONS);
+        const rest = abbreviation ? degree.slice(abbreviation[0].length).replace(/^[\s.,]+/, '').trim() : '';
+        return rest || null;
+    }
+
+    /**
+     * "Stanford University, Stanford, CA" -> institution and location
+     * Only applies to a line holding just the institution.
+     */
+    splitInstitution(text, wholeLine) {
+        const cleaned = text.replace(/\b(?:19|20)\d{2}\b.*$/, '').replace(/[,|–—-]\s*$/, '').trim();
+        if (!wholeLine) return { institution: cleaned };
+
+        const withState = cleaned.match(/^(.*?),\s*([^,]+,\s*[A-Z]{2})$/);
+        if (withState && INSTITUTION_WORDS.test(withState[1])) {
+            return { institution: withState[1].trim(), location: withState[2].trim() };
+        }
+
+        return { institution: cleaned };
+    }
+
+    // Latest year on the line is the graduation year ("2010 - 2014", "Graduated: May 2014")
+    findGraduationYear(line) {
+        const years = line.match(new RegExp(YEAR_REGEX.source, 'g'));
+        return years ? years[years.length - 1] : null;
+    }
+
+    /**
+     * Normalize a certification date to YYYY-MM, or YYYY when no month is given
+     */
+    findDate(line) {
+        const monthPattern = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+        const monthMatch = line.match(new RegExp(`\\b(${monthPattern})\\.?,?\\s+((?:19|20)\\d{2})\\b`, 'i'));
+        if (monthMatch) {
+            return `${monthMatch[2]}-${String(MONTHS[monthMatch[1].toLowerCase()]).padStart(2, '0')}`;
+        }
+
+        const numericMatch = line.match(/\b(0?[1-9]|1[0-2])\/((?:19|20)\d{2})\b/);
+        if (numericMatch) {
+            return `${numericMatch[2]}-${numericMatch[1].padStart(2, '0')}`;
+        }
+
+        return this.findGraduationYear(line);
+    }
+
+    isDateText(part) {
+        const monthPattern = Object.keys(MONTHS).join('|');
+        return new RegExp(`^(?:(?:issued|obtained|earned|expires?|valid until)\\s+)?(?:(?:${monthPattern})\\.?\\s+)?(?:19|20)\\d{2}$`, 'i')
+            .test(part.trim());
+    }
+
+    inferIssuer(name) {
+        const known = KNOWN_ISSUERS.find(([pattern]) => pattern.test(name));
+        return known ? known[1] : null;
+    }
+}
+
+module.exports = new EducationExtractor();
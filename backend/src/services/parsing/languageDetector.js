@@ -0,0 +1,80 @@
+// Language Detector
+// File: src/services/parsing/languageDetector.js
+//
+// Works out which supported language (see ./locales) a resume or transcript
+// is written in by counting each language's frequent words. Resumes are
+// terse and full of English technical terms, so a language only wins when
+// its words clearly outnumber the others'; otherwise English is assumed.
+
+const { LOCALES, DEFAULT_LANGUAGE } = require('./locales');
+
+// Fewer matched words than this can't tell languages apart
+const MIN_MATCHES = 3;
+// Share of all matched words the winner needs
+const MIN_CONFIDENCE = 0.5;
+// Longer texts are cut; the opening pages are plenty
+const MAX_SAMPLE_LENGTH = 5000;
+
+class LanguageDetector {
+    constructor() {
+        this.stopwords = Object.values(LOCALES).map(locale => ({
+            code: locale.code,
+            words: new Set(locale.stopwords)
+        }));
+    }
+
+    /**
+     * Detect the language of a text
+     *
+     * @param {string} text
+     * @returns {{language: string, confidence: number, reliable: boolean, scores: Object}}
+     *   language is DEFAULT_LANGUAGE when the result isn't reliable; confidence
+     *   is the winner's share of matched words (0-1)
+     */
+    detect(text) {
+        const words = String(text || '')
+            .slice(0, MAX_SAMPLE_LENGTH)
+            .toLowerCase()
+            .match(/\p{L}+(?:['’]\p{L}+)?/gu) || [];
+
+        const scores = {};
+        for (const { code, words: stopwords } of this.stopwords) {
+            scores[code] = words.filter(word => stopwords.has(word)).length;
+        }
+
+        const total = Object.values(scores).reduce((sum, count) => sum + count, 0);
+        const [best, bestCount] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+        const confidence = total > 0 ? Math.round((bestCount / total) * 100) / 100 : 0;
+        const reliable = bestCount >= MIN_MATCHES && confidence >= MIN_CONFIDENCE;
+
+        return {
+            language: reliable ? best : DEFAULT_LANGUAGE,
+            confidence,
+            reliable,
+            scores
+        };
+    }
+
+    /**
+     * The language to parse in: a supported hint wins over detection
+     *
+     * @param {string} text
+     * @param {string|null} hint - Normalized language code given by the user
+     * @returns {{code: string, source: 'hint'|'detected'|'default', confidence: number|null}}
+     */
+    resolve(text, hint = null) {
+        if (hint && LOCALES[hint]) {
+            return { code: hint, source: 'hint', confidence: null };
+        }
+
+        const detection = this.detect(text);
+        return {
+            code: detection.language,
+            source: detection.reliable ? 'detected' : 'default',
+            confidence: detection.confidence
+        };
+    }
+}
+
+// Export a singleton instance
+module.exports = new LanguageDetector();
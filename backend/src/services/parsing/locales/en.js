@@ -0,0 +1,142 @@
+// English
+// File: src/services/parsing/locales/en.js
+
+module.exports = {
+    code: 'en',
+    name: 'English',
+
+    // Frequent function words, used to detect the language of a resume
+    stopwords: [
+        'the', 'and', 'of', 'to', 'in', 'for', 'with', 'on', 'at', 'is', 'was', 'as', 'by',
+        'from', 'my', 'i', 'am', 'have', 'has', 'this', 'that', 'which', 'an', 'years',
+        'experience', 'work', 'worked', 'team', 'using', 'developed', 'including'
+    ],
+
+    // One question per field, asked against the section most likely to answer it
+    questions: {
+        name: {
+            question: 'What is the name at the very beginning of this resume?',
+            fallbackQuestion: 'Whose resume is this?'
+        },
+        email: {
+            question: 'What is the first email address mentioned in this resume?',
+            fallbackQuestion: 'What email address appears near the name at the top?'
+        },
+        phone: {
+            question: 'What is the first phone number listed in this resume?',
+            fallbackQuestion: 'What phone number appears in the contact information?'
+        },
+        skills: {
+            question: 'What programming languages and technical skills are mentioned?',
+            fallbackQuestion: 'What are the technical skills?'
+        },
+        currentJob: {
+            question: 'What is the most recent job title and company?',
+            fallbackQuestion: 'What is their current position?'
+        },
+        highestEducation: {
+            question: 'What is the highest education degree and institution?',
+            fallbackQuestion: 'What education is listed?'
+        },
+        experienceSummary: {
+            question: 'How many years of experience are mentioned?',
+            fallbackQuestion: 'What is the work experience?'
+        }
+    },
+
+    // Canonical section keys and the headings that introduce them.
+    // Headings are compared after lower-casing, replacing "&" with "and" and
+    // stripping punctuation, so "SKILLS & TOOLS:" matches "skills and tools".
+    sectionHeadings: {
+        contact: [
+            'contact', 'contact information', 'contact info', 'contact details',
+            'personal information', 'personal details', 'personal info'
+        ],
+        summary: [
+            'summary', 'professional summary', 'career summary', 'executive summary',
+            'profile', 'professional profile', 'objective', 'career objective', 'about me', 'about'
+        ],
+        experience: [
+            'experience', 'work experience', 'professional experience', 'relevant experience',
+            'employment', 'employment history', 'work history', 'career history',
+            'professional background', 'experience and employment'
+        ],
+        education: [
+            'education', 'academic background', 'academic history', 'education and training',
+            'academic qualifications', 'educational background', 'qualifications'
+        ],
+        skills: [
+            'skills', 'technical skills', 'core skills', 'key skills', 'core competencies',
+            'competencies', 'technologies', 'technical proficiencies', 'tools and technologies',
+            'skills and tools', 'skills and abilities', 'areas of expertise', 'expertise'
+        ],
+        projects: [
+            'projects', 'personal projects', 'selected projects', 'key projects',
+            'academic projects', 'side projects', 'open source'
+        ],
+        certifications: [
+            'certifications', 'certification', 'certificates', 'licenses',
+            'licenses and certifications', 'certifications and licenses', 'professional certifications'
+        ],
+        awards: ['awards', 'honors', 'honours', 'achievements', 'honors and awards', 'awards and honors'],
+        publications: ['publications', 'research', 'papers'],
+        languages: ['languages', 'language skills'],
+        volunteer: ['volunteer', 'volunteering', 'volunteer experience', 'community involvement', 'leadership'],
+        interests: ['interests', 'hobbies', 'hobbies and interests'],
+        references: ['references', 'referees']
+    },
+
+    // Spoken resumes have no headings; these phrases mark where each part starts
+    speech: {
+        introPatterns: [
+            /my name is .+? and/i,
+            /i am .+? with/i,
+            /hello,? i'm/i,
+            /hi,? my name/i
+        ],
+        experience: [
+            'worked at', 'working at', 'currently work',
+            'experience includes', 'my experience',
+            'previous role', 'current role', 'position',
+            'job', 'employment', 'company'
+        ],
+        education: [
+            'studied at', 'graduated from', 'degree in',
+            'university', 'college', 'education',
+            'bachelor', 'master', 'phd', 'certification',
+            'school', 'major', 'minor'
+        ],
+        skills: [
+            'skills include', 'proficient in', 'experienced with',
+            'technologies', 'programming languages', 'familiar with',
+            'expertise', 'knowledge of', 'certified in'
+        ]
+    },
+
+    // Patterns for the rule-based parser
+    rules: {
+        // Followed by the name; case-sensitive, so the capitalized words stop at "and"
+        nameLeadIn: "[Mm]y name is|I am|I'm|[Tt]his is",
+        nameLabel: '(?:full\\s+)?name',
+        skillLeadIns: [
+            'skills include', 'skills are', 'skilled in', 'proficient in', 'experienced with',
+            'experience with', 'familiar with', 'knowledge of', 'expertise in', 'technologies:', 'skills:'
+        ],
+        currentJob: [
+            /\b(?:currently|now)\s+(?:work(?:ing)?|employed)\s+(?:as|at)\s+([^.\n]+)/i,
+            /\bi(?:'m| am)\s+(?:currently\s+)?(?:an?|the)\s+([^.\n]+?\s+at\s+[^.\n]+)/i
+        ],
+        yearWords: 'years?|yrs?',
+        // From highest to lowest, so the first hit is the highest degree
+        degrees: [
+            /\b(ph\.?\s?d|doctor(?:ate)?)\b/i,
+            /\b(master(?:'s)?|mba|m\.s\.|m\.sc|m\.a\.)\b/i,
+            /\b(bachelor(?:'s)?|b\.s\.|b\.sc|b\.a\.)\b/i,
+            /\b(associate(?:'s)?)\b/i,
+            /\b(diploma|high school)\b/i
+        ]
+    },
+
+    // Helps Whisper-family models with resume-specific terminology
+    transcriptionPrompt: 'This is a voice resume. Please transcribe accurately, including technical terms, company names, and personal information.'
+};
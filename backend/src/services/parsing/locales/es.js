@@ -0,0 +1,107 @@
+// Spanish
+// File: src/services/parsing/locales/es.js
+
+module.exports = {
+    code: 'es',
+    name: 'Spanish',
+
+    stopwords: [
+        'de', 'la', 'que', 'el', 'en', 'y', 'los', 'del', 'las', 'con', 'por', 'para', 'una',
+        'un', 'su', 'al', 'como', 'más', 'se', 'mi', 'soy', 'años', 'experiencia', 'trabajo',
+        'desarrollo', 'empresa', 'equipo', 'también', 'sobre', 'donde'
+    ],
+
+    questions: {
+        name: {
+            question: '¿Cuál es el nombre al principio de este currículum?',
+            fallbackQuestion: '¿De quién es este currículum?'
+        },
+        email: {
+            question: '¿Cuál es el primer correo electrónico que aparece en este currículum?',
+            fallbackQuestion: '¿Qué correo electrónico aparece cerca del nombre?'
+        },
+        phone: {
+            question: '¿Cuál es el primer número de teléfono de este currículum?',
+            fallbackQuestion: '¿Qué teléfono aparece en los datos de contacto?'
+        },
+        skills: {
+            question: '¿Qué lenguajes de programación y habilidades técnicas se mencionan?',
+            fallbackQuestion: '¿Cuáles son las habilidades técnicas?'
+        },
+        currentJob: {
+            question: '¿Cuál es el puesto y la empresa más recientes?',
+            fallbackQuestion: '¿Cuál es su puesto actual?'
+        },
+        highestEducation: {
+            question: '¿Cuál es el título académico más alto y la institución?',
+            fallbackQuestion: '¿Qué formación académica se menciona?'
+        },
+        experienceSummary: {
+            question: '¿Cuántos años de experiencia se mencionan?',
+            fallbackQuestion: '¿Cuál es la experiencia laboral?'
+        }
+    },
+
+    sectionHeadings: {
+        contact: ['contacto', 'datos de contacto', 'informacion de contacto', 'datos personales', 'informacion personal'],
+        summary: ['resumen', 'resumen profesional', 'perfil', 'perfil profesional', 'objetivo', 'objetivo profesional', 'sobre mi', 'acerca de mi'],
+        experience: ['experiencia', 'experiencia laboral', 'experiencia profesional', 'historial laboral', 'trayectoria profesional', 'empleos'],
+        education: ['educacion', 'formacion', 'formacion academica', 'estudios', 'titulacion', 'educacion y formacion'],
+        skills: ['habilidades', 'habilidades tecnicas', 'competencias', 'competencias tecnicas', 'conocimientos', 'conocimientos tecnicos', 'tecnologias', 'aptitudes', 'destrezas'],
+        projects: ['proyectos', 'proyectos personales', 'proyectos destacados'],
+        certifications: ['certificaciones', 'certificados', 'licencias', 'certificaciones y licencias'],
+        awards: ['premios', 'logros', 'reconocimientos', 'distinciones'],
+        publications: ['publicaciones', 'investigacion'],
+        languages: ['idiomas', 'lenguas'],
+        volunteer: ['voluntariado', 'actividades de voluntariado', 'liderazgo'],
+        interests: ['intereses', 'aficiones', 'pasatiempos'],
+        references: ['referencias']
+    },
+
+    speech: {
+        introPatterns: [
+            /me llamo .+? y/i,
+            /mi nombre es .+? y/i,
+            /hola,? soy/i,
+            /soy .+? con/i
+        ],
+        experience: [
+            'trabajé en', 'trabajo en', 'actualmente trabajo', 'mi experiencia',
+            'experiencia incluye', 'puesto anterior', 'puesto actual', 'cargo',
+            'empleo', 'empresa', 'trabajo'
+        ],
+        education: [
+            'estudié en', 'me gradué', 'licenciatura en', 'grado en', 'título en',
+            'universidad', 'maestría', 'máster', 'doctorado', 'formación',
+            'escuela', 'carrera', 'certificación'
+        ],
+        skills: [
+            'mis habilidades', 'habilidades incluyen', 'domino', 'tengo experiencia con',
+            'experiencia en', 'conocimientos de', 'manejo', 'tecnologías',
+            'lenguajes de programación', 'certificado en'
+        ]
+    },
+
+    rules: {
+        nameLeadIn: '[Mm]e llamo|[Mm]i nombre es|[Ss]oy',
+        nameLabel: 'nombre(?:\\s+completo)?',
+        skillLeadIns: [
+            'mis habilidades son', 'habilidades incluyen', 'tengo experiencia con', 'experiencia en',
+            'conocimientos de', 'conocimientos en', 'domino', 'manejo', 'habilidades:', 'tecnologías:'
+        ],
+        currentJob: [
+            /(?:actualmente|ahora)\s+trabajo\s+(?:como|en)\s+([^.\n]+)/i,
+            /\bsoy\s+(?:un|una|el|la)?\s*([^.\n]+?\s+en\s+[^.\n]+)/i
+        ],
+        yearWords: 'años?',
+        degrees: [
+            /(?<!\p{L})(doctorado|doctora?\s+en)(?!\p{L})/iu,
+            /(?<!\p{L})(m[aá]ster|maestr[ií]a|mag[ií]ster|mba)(?!\p{L})/iu,
+            /(?<!\p{L})(licenciatura|licenciad[oa]|grado\s+en|ingenier[ií]a|ingenier[oa])(?!\p{L})/iu,
+            /(?<!\p{L})(t[eé]cnico\s+superior)(?!\p{L})/iu,
+            /(?<!\p{L})(bachillerato|bachiller|diplomado)(?!\p{L})/iu
+        ]
+    },
+
+    transcriptionPrompt: 'Este es un currículum hablado. Transcribe con precisión, incluidos los términos técnicos, los nombres de empresas y los datos personales.'
+};
@@ -0,0 +1,107 @@
+// French
+// File: src/services/parsing/locales/fr.js
+
+module.exports = {
+    code: 'fr',
+    name: 'French',
+
+    stopwords: [
+        'de', 'la', 'le', 'et', 'les', 'des', 'en', 'du', 'un', 'une', 'pour', 'dans', 'avec',
+        'sur', 'au', 'aux', 'par', 'est', 'je', 'mon', 'ma', 'mes', 'ans', 'années',
+        'expérience', 'travail', 'équipe', 'développement', 'entreprise', 'chez', 'été'
+    ],
+
+    questions: {
+        name: {
+            question: 'Quel est le nom au tout début de ce CV ?',
+            fallbackQuestion: 'À qui appartient ce CV ?'
+        },
+        email: {
+            question: 'Quelle est la première adresse e-mail mentionnée dans ce CV ?',
+            fallbackQuestion: 'Quelle adresse e-mail figure près du nom ?'
+        },
+        phone: {
+            question: 'Quel est le premier numéro de téléphone indiqué dans ce CV ?',
+            fallbackQuestion: 'Quel numéro de téléphone figure dans les coordonnées ?'
+        },
+        skills: {
+            question: 'Quels langages de programmation et compétences techniques sont mentionnés ?',
+            fallbackQuestion: 'Quelles sont les compétences techniques ?'
+        },
+        currentJob: {
+            question: 'Quels sont le poste et l\'entreprise les plus récents ?',
+            fallbackQuestion: 'Quel est le poste actuel ?'
+        },
+        highestEducation: {
+            question: 'Quel est le diplôme le plus élevé et l\'établissement ?',
+            fallbackQuestion: 'Quelle formation est indiquée ?'
+        },
+        experienceSummary: {
+            question: 'Combien d\'années d\'expérience sont mentionnées ?',
+            fallbackQuestion: 'Quelle est l\'expérience professionnelle ?'
+        }
+    },
+
+    sectionHeadings: {
+        contact: ['contact', 'coordonnees', 'informations personnelles', 'informations de contact', 'etat civil'],
+        summary: ['resume', 'profil', 'profil professionnel', 'objectif', 'objectif professionnel', 'a propos', 'a propos de moi', 'presentation'],
+        experience: ['experience', 'experiences', 'experience professionnelle', 'experiences professionnelles', 'parcours professionnel', 'emplois'],
+        education: ['formation', 'formations', 'education', 'etudes', 'diplomes', 'cursus', 'parcours academique', 'formation et diplomes'],
+        skills: ['competences', 'competences techniques', 'savoir faire', 'connaissances', 'technologies', 'outils', 'competences cles', 'aptitudes'],
+        projects: ['projets', 'projets personnels', 'realisations'],
+        certifications: ['certifications', 'certificats', 'habilitations'],
+        awards: ['prix', 'distinctions', 'recompenses'],
+        publications: ['publications', 'recherche'],
+        languages: ['langues', 'competences linguistiques'],
+        volunteer: ['benevolat', 'engagement associatif', 'vie associative'],
+        interests: ['centres d interet', 'loisirs', 'interets'],
+        references: ['references']
+    },
+
+    speech: {
+        introPatterns: [
+            /je m'appelle .+? et/i,
+            /mon nom est .+? et/i,
+            /bonjour,? je suis/i,
+            /je suis .+? avec/i
+        ],
+        experience: [
+            "j'ai travaillé chez", 'je travaille chez', 'actuellement', 'mon expérience',
+            'expérience professionnelle', 'poste précédent', 'poste actuel', 'poste',
+            'emploi', 'entreprise', 'société'
+        ],
+        education: [
+            "j'ai étudié", 'diplômé de', 'diplôme en', 'licence en', 'master en',
+            'université', 'école', 'formation', 'doctorat', 'baccalauréat',
+            'certification'
+        ],
+        skills: [
+            'mes compétences', 'je maîtrise', 'compétences incluent', 'expérience avec',
+            'connaissances en', 'technologies', 'langages de programmation',
+            'expertise en', 'certifié en'
+        ]
+    },
+
+    rules: {
+        nameLeadIn: "[Jj]e m'appelle|[Jj]e m’appelle|[Mm]on nom est|[Jj]e suis",
+        nameLabel: '(?:nom(?:\\s+complet)?|pr[ée]nom\\s+et\\s+nom)',
+        skillLeadIns: [
+            'mes compétences sont', 'compétences incluent', 'je maîtrise', 'expérience avec',
+            'connaissances en', 'expertise en', 'compétences:', 'compétences :', 'technologies:'
+        ],
+        currentJob: [
+            /(?:actuellement|aujourd'hui),?\s+je\s+(?:travaille|suis)\s+(?:comme|chez|en tant que)\s+([^.\n]+)/i,
+            /\bje\s+suis\s+(?:actuellement\s+)?(?:un|une|le|la)?\s*([^.\n]+?\s+chez\s+[^.\n]+)/i
+        ],
+        yearWords: 'ans|ann[ée]es?',
+        degrees: [
+            /(?<!\p{L})(doctorat|ph\.?\s?d)(?!\p{L})/iu,
+            /(?<!\p{L})(master|mast[eè]re|ma[iî]trise|mba|dea|dess)(?!\p{L})/iu,
+            /(?<!\p{L})(licence|bachelor|dipl[oô]me\s+d'ing[ée]nieur|ing[ée]nieur)(?!\p{L})/iu,
+            /(?<!\p{L})(bts|dut|deug|but)(?!\p{L})/iu,
+            /(?<!\p{L})(baccalaur[ée]at|bac)(?!\p{L})/iu
+        ]
+    },
+
+    transcriptionPrompt: 'Ceci est un CV oral. Transcrivez fidèlement, y compris les termes techniques, les noms d\'entreprises et les informations personnelles.'
+};
@@ -0,0 +1,68 @@
+// Resume Locales
+// File: src/services/parsing/locales/index.js
+//
+// Everything language-specific about parsing, one module per language:
+//
+//   stopwords        - frequent words, used by languageDetector
+//   questions        - {question, fallbackQuestion} per extracted field
+//   sectionHeadings  - headings per section key, written without diacritics
+//                      or punctuation (see resumeSectionSegmenter.normalizeHeading)
+//   speech           - intro patterns and keywords that mark the parts of a
+//                      spoken resume (voiceTranscriptionService)
+//   rules            - patterns for the rule-based parser provider
+//   transcriptionPrompt - context for Whisper-family transcription models
+//
+// English headings are always recognized as well, since resumes in other
+// languages often use them.
+
+const en = require('./en');
+const es = require('./es');
+const fr = require('./fr');
+const vi = require('./vi');
+
+const LOCALES = { en, es, fr, vi };
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = Object.keys(LOCALES);
+
+// Language names accepted where a code is expected
+const LANGUAGE_NAMES = {
+    english: 'en',
+    spanish: 'es',
+    'español': 'es',
+    espanol: 'es',
+    french: 'fr',
+    'français': 'fr',
+    francais: 'fr',
+    vietnamese: 'vi',
+    'tiếng việt': 'vi',
+    'tieng viet': 'vi'
+};
+
+/**
+ * Turn a language hint ("es", "es-MX", "Spanish") into a supported code
+ *
+ * @returns {string|null} null when the language isn't supported
+ */
+function normalizeLanguage(value) {
+    if (typeof value !== 'string') return null;
+
+    const hint = value.trim().toLowerCase();
+    if (LOCALES[hint]) return hint;
+
+    const base = hint.split(/[-_]/)[0];
+    if (LOCALES[base]) return base;
+
+    return LANGUAGE_NAMES[hint] || null;
+}
+
+function getLocale(code) {
+    return LOCALES[code] || LOCALES[DEFAULT_LANGUAGE];
+}
+
+module.exports = {
+    LOCALES,
+    DEFAULT_LANGUAGE,
+    SUPPORTED_LANGUAGES,
+    normalizeLanguage,
+    getLocale
+};
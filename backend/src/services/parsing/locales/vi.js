@@ -0,0 +1,105 @@
+// Vietnamese
+// File: src/services/parsing/locales/vi.js
+
+module.exports = {
+    code: 'vi',
+    name: 'Vietnamese',
+
+    stopwords: [
+        'của', 'và', 'là', 'tôi', 'có', 'những', 'các', 'được', 'trong', 'với', 'cho', 'năm',
+        'tại', 'làm', 'việc', 'một', 'không', 'này', 'đã', 'từ', 'về', 'kinh', 'nghiệm',
+        'công', 'ty', 'phát', 'triển', 'dự', 'án', 'người'
+    ],
+
+    questions: {
+        name: {
+            question: 'Tên ở đầu sơ yếu lý lịch này là gì?',
+            fallbackQuestion: 'Đây là sơ yếu lý lịch của ai?'
+        },
+        email: {
+            question: 'Địa chỉ email đầu tiên trong sơ yếu lý lịch này là gì?',
+            fallbackQuestion: 'Địa chỉ email nào xuất hiện gần tên?'
+        },
+        phone: {
+            question: 'Số điện thoại đầu tiên trong sơ yếu lý lịch này là gì?',
+            fallbackQuestion: 'Số điện thoại liên hệ là gì?'
+        },
+        skills: {
+            question: 'Những ngôn ngữ lập trình và kỹ năng kỹ thuật nào được nhắc đến?',
+            fallbackQuestion: 'Các kỹ năng kỹ thuật là gì?'
+        },
+        currentJob: {
+            question: 'Chức danh và công ty gần đây nhất là gì?',
+            fallbackQuestion: 'Vị trí hiện tại là gì?'
+        },
+        highestEducation: {
+            question: 'Bằng cấp cao nhất và trường đào tạo là gì?',
+            fallbackQuestion: 'Trình độ học vấn là gì?'
+        },
+        experienceSummary: {
+            question: 'Có bao nhiêu năm kinh nghiệm được nhắc đến?',
+            fallbackQuestion: 'Kinh nghiệm làm việc là gì?'
+        }
+    },
+
+    sectionHeadings: {
+        contact: ['lien he', 'thong tin lien he', 'thong tin ca nhan'],
+        summary: ['tom tat', 'gioi thieu', 'gioi thieu ban than', 'muc tieu', 'muc tieu nghe nghiep', 'ho so'],
+        experience: ['kinh nghiem', 'kinh nghiem lam viec', 'kinh nghiem chuyen mon', 'qua trinh lam viec', 'qua trinh cong tac'],
+        education: ['hoc van', 'trinh do hoc van', 'qua trinh hoc tap', 'dao tao', 'giao duc'],
+        skills: ['ky nang', 'ky nang chuyen mon', 'ky nang ky thuat', 'cong nghe', 'kien thuc chuyen mon'],
+        projects: ['du an', 'du an ca nhan', 'cac du an'],
+        certifications: ['chung chi', 'chung nhan', 'chung chi va giay phep'],
+        awards: ['giai thuong', 'thanh tich', 'khen thuong'],
+        publications: ['an pham', 'nghien cuu', 'cong trinh nghien cuu'],
+        languages: ['ngoai ngu', 'ngon ngu'],
+        volunteer: ['hoat dong', 'hoat dong tinh nguyen', 'tinh nguyen'],
+        interests: ['so thich'],
+        references: ['nguoi tham chieu', 'tham chieu']
+    },
+
+    speech: {
+        introPatterns: [
+            /tôi tên là .+? và/i,
+            /tên tôi là .+? và/i,
+            /xin chào,? tôi là/i,
+            /tôi là .+? với/i
+        ],
+        experience: [
+            'tôi đã làm việc tại', 'làm việc tại', 'hiện đang làm', 'kinh nghiệm của tôi',
+            'kinh nghiệm làm việc', 'vị trí trước', 'vị trí hiện tại', 'công ty',
+            'công việc', 'chức vụ'
+        ],
+        education: [
+            'tôi học tại', 'tốt nghiệp', 'bằng cử nhân', 'cử nhân', 'thạc sĩ', 'tiến sĩ',
+            'đại học', 'cao đẳng', 'chuyên ngành', 'trường', 'chứng chỉ'
+        ],
+        skills: [
+            'kỹ năng của tôi', 'kỹ năng bao gồm', 'thành thạo', 'có kinh nghiệm với',
+            'kiến thức về', 'công nghệ', 'ngôn ngữ lập trình', 'sử dụng'
+        ]
+    },
+
+    rules: {
+        nameLeadIn: '[Tt]ôi tên là|[Tt]ên tôi là|[Tt]ôi là',
+        nameLabel: '(?:h[ọo]\\s+v[àa]\\s+)?t[êe]n',
+        skillLeadIns: [
+            'kỹ năng của tôi gồm', 'kỹ năng bao gồm', 'thành thạo', 'có kinh nghiệm với',
+            'kiến thức về', 'kỹ năng:', 'công nghệ:'
+        ],
+        currentJob: [
+            /hiện\s+(?:tại|nay),?\s+(?:tôi\s+)?(?:đang\s+)?làm(?:\s+việc)?\s+(?:tại|ở|là)\s+([^.\n]+)/i,
+            /\btôi\s+(?:đang\s+)?là\s+([^.\n]+?\s+tại\s+[^.\n]+)/i
+        ],
+        yearWords: 'năm',
+        degrees: [
+            /(?<!\p{L})(tiến\s+sĩ|ph\.?\s?d)(?!\p{L})/iu,
+            /(?<!\p{L})(thạc\s+sĩ|mba)(?!\p{L})/iu,
+            /(?<!\p{L})(cử\s+nhân|kỹ\s+sư)(?!\p{L})/iu,
+            /(?<!\p{L})(cao\s+đẳng)(?!\p{L})/iu,
+            /(?<!\p{L})(trung\s+cấp|trung\s+học|thpt)(?!\p{L})/iu
+        ]
+    },
+
+    transcriptionPrompt: 'Đây là sơ yếu lý lịch dạng giọng nói. Hãy phiên âm chính xác, bao gồm thuật ngữ kỹ thuật, tên công ty và thông tin cá nhân.'
+};
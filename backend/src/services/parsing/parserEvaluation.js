@@ -0,0 +1,247 @@
+// Parser Evaluation
+// File: src/services/parsing/parserEvaluation.js
+//
+// Scores parser output against labeled expectations. Each labeled field is
+// compared after normalization (case, whitespace, phone formatting):
+//
+// - Single values (name, email, ...) match or they don't
+// - Lists (skills, positions, degrees, certifications) are compared as sets
+//   of item keys, so one missed skill costs recall, not the whole field
+// - Skills compare by their canonical names in the skill taxonomy, so
+//   "Kafka" and "Apache Kafka" are the same skill
+//
+// Only fields present in the labels are scored. A label of null means the
+// field should be empty, so anything the parser returns for it is a false
+// positive.
+//
+// Used by src/scripts/evaluate-parser.js.
+
+const skillTaxonomyService = require('../skillTaxonomyService');
+
+function normalizeText(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .toLowerCase()
+        .replace(/[\s,;]+/g, ' ')
+        .replace(/[.\s]+$/, '')
+        .trim();
+}
+
+// Phone numbers compare on their last ten digits, so formatting and
+// country codes don't count as mismatches
+function normalizePhone(value) {
+    return String(value || '').replace(/\D/g, '').slice(-10);
+}
+
+/**
+ * How each evaluated field is compared
+ * Lists name the key that identifies one item.
+ */
+const FIELD_SPECS = {
+    name: { type: 'value', normalize: normalizeText },
+    email: { type: 'value', normalize: normalizeText },
+    phone: { type: 'value', normalize: normalizePhone },
+    currentJob: { type: 'value', normalize: normalizeText },
+    highestEducation: { type: 'value', normalize: normalizeText },
+    totalYearsExperience: { type: 'number', tolerance: 0.5 },
+    skills: { type: 'list', key: skill => normalizeText(skillTaxonomyService.canonicalize(skill)) },
+    experience: {
+        type: 'list',
+        key: item => `${normalizeText(item.title)} @ ${normalizeText(item.company)}`
+    },
+    education: {
+        type: 'list',
+        key: item => `${normalizeText(item.degree)} @ ${normalizeText(item.institution)}`
+    },
+    certifications: {
+        type: 'list',
+        key: item => normalizeText(typeof item === 'string' ? item : item.name)
+    }
+};
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+function ratio(numerator, denominator) {
+    return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+class ParserEvaluation {
+    getEvaluatedFields() {
+        return Object.keys(FIELD_SPECS);
+    }
+
+    /**
+     * Compare one field of parser output with its label
+     *
+     * @returns {{truePositives, falsePositives, falseNegatives, exact}}
+     */
+    compareField(field, expected, actual) {
+        const spec = FIELD_SPECS[field];
+
+        if (spec.type === 'list') {
+            const toKeys = (items) => new Set(
+                (Array.isArray(items) ? items : []).map(spec.key).filter(Boolean)
+            );
+            const expectedKeys = toKeys(expected);
+            const actualKeys = toKeys(actual);
+            const truePositives = [...actualKeys].filter(key => expectedKeys.has(key)).length;
+
+            return {
+                truePositives,
+                falsePositives: actualKeys.size - truePositives,
+                falseNegatives: expectedKeys.size - truePositives,
+                exact: truePositives === expectedKeys.size && truePositives === actualKeys.size
+            };
+        }
+
+        const hasExpected = !isEmpty(expected);
+        const hasActual = !isEmpty(actual);
+        const matches = hasExpected && hasActual && (spec.type === 'number'
+            ? Math.abs(Number(expected) - Number(actual)) <= spec.tolerance
+            : spec.normalize(expected) === spec.normalize(actual));
+
+        return {
+            truePositives: matches ? 1 : 0,
+            falsePositives: hasActual && !matches ? 1 : 0,
+            falseNegatives: hasExpected && !matches ? 1 : 0,
+            exact: matches || (!hasExpected && !hasActual)
+        };
+    }
+
+    /**
+     * Score one fixture
+     *
+     * @param {Object} expected - Labels; fields outside FIELD_SPECS are ignored
+     * @param {Object} actual - Parser output (result.data)
+     * @returns {Object} field -> comparison, with the expected and actual values
+     */
+    evaluateFixture(expected, actual) {
+        const fields = {};
+
+        for (const field of Object.keys(expected)) {
+            if (!FIELD_SPECS[field]) continue;
+
+            fields[field] = {
+                ...this.compareField(field, expected[field], actual[field]),
+                expected: expected[field],
+                actual: actual[field] === undefined ? null : actual[field]
+            };
+        }
+
+        return fields;
+    }
+
+    /**
+     * Per-field precision, recall and exact-match rate over all fixtures
+     * Counts are summed across fixtures before the rates are computed.
+     *
+     * @param {Array<{fields: Object}>} fixtureResults - evaluateFixture output per fixture
+     */
+    summarize(fixtureResults) {
+        const totals = {};
+
+        for (const result of fixtureResults) {
+            for (const [field, comparison] of Object.entries(result.fields || {})) {
+                const total = totals[field] || (totals[field] = {
+                    fixtures: 0, exactMatches: 0, truePositives: 0, falsePositives: 0, falseNegatives: 0
+                });
+                total.fixtures++;
+                total.exactMatches += comparison.exact ? 1 : 0;
+                total.truePositives += comparison.truePositives;
+                total.falsePositives += comparison.falsePositives;
+                total.falseNegatives += comparison.falseNegatives;
+            }
+        }
+
+        const fields = {};
+        const overall = { fixtures: 0, exactMatches: 0, truePositives: 0, falsePositives: 0, falseNegatives: 0 };
+
+        for (const field of this.getEvaluatedFields()) {
+            const total = totals[field];
+            if (!total) continue;
+
+            fields[field] = {
+                ...total,
+                precision: ratio(total.truePositives, total.truePositives + total.falsePositives),
+                recall: ratio(total.truePositives, total.truePositives + total.falseNegatives),
+                exactMatchRate: ratio(total.exactMatches, total.fixtures)
+            };
+
+            for (const key of Object.keys(overall)) {
+                overall[key] += total[key];
+            }
+        }
+
+        return {
+            fields,
+            overall: {
+                comparisons: overall.fixtures,
+                precision: ratio(overall.truePositives, overall.truePositives + overall.falsePositives),
+                recall: ratio(overall.truePositives, overall.truePositives + overall.falseNegatives),
+                exactMatchRate: ratio(overall.exactMatches, overall.fixtures)
+            }
+        };
+    }
+
+    /**
+     * Diff two evaluation runs (e.g. two parser versions)
+     *
+     * @param {Object} baseline - A saved run: {summary, fixtures}
+     * @param {Object} current - The run to judge
+     * @returns {{fields: Object, regressions: Array, improvements: Array}}
+     *   Per-field metric deltas, and the fixture fields whose exact match was
+     *   lost (regressions) or gained (improvements)
+     */
+    compareRuns(baseline, current) {
+        const fields = {};
+        const metrics = ['precision', 'recall', 'exactMatchRate'];
+
+        for (const field of this.getEvaluatedFields()) {
+            const before = baseline.summary.fields[field];
+            const after = current.summary.fields[field];
+            if (!before && !after) continue;
+
+            fields[field] = {};
+            for (const metric of metrics) {
+                const previous = before ? before[metric] : null;
+                const next = after ? after[metric] : null;
+                fields[field][metric] = {
+                    before: previous,
+                    after: next,
+                    delta: previous !== null && next !== null ? Math.round((next - previous) * 1000) / 1000 : null
+                };
+            }
+        }
+
+        const baselineFixtures = new Map(baseline.fixtures.map(fixture => [fixture.name, fixture]));
+        const regressions = [];
+        const improvements = [];
+
+        for (const fixture of current.fixtures) {
+            const previous = baselineFixtures.get(fixture.name);
+            if (!previous) continue;
+
+            for (const [field, comparison] of Object.entries(fixture.fields || {})) {
+                const before = previous.fields?.[field];
+                if (!before || before.exact === comparison.exact) continue;
+
+                const change = {
+                    fixture: fixture.name,
+                    field,
+                    expected: comparison.expected,
+                    before: before.actual,
+                    after: comparison.actual
+                };
+                (comparison.exact ? improvements : regressions).push(change);
+            }
+        }
+
+        return { fields, regressions, improvements };
+    }
+}
+
+module.exports = new ParserEvaluation();
+module.exports.FIELD_SPECS = FIELD_SPECS;
@@ -0,0 +1,33 @@
+// Parser Version
+// File: src/services/parsing/parserVersion.js
+//
+// Every parse is stamped with PARSER_VERSION and the models that produced
+// it (parsed_data.parser, and resumes.parser_version for querying). Bump the
+// version whenever a change to text extraction, the questions, the
+// extractors or post-processing would change what is parsed from the same
+// resume; resumes parsed by an older version can then be re-queued with
+// POST /api/v1/admin/resumes/reparse or `npm run reparse-stale`.
+//
+// Versions are dotted numbers and compare numerically (1.10.0 > 1.9.0), so
+// always bump to a higher one.
+
+const PARSER_VERSION = '1.2.0';
+
+/**
+ * The stamp stored with a parse
+ *
+ * @param {Object} provider - The parser provider that answered the questions
+ * @returns {{version: string, provider: string, models: Object}}
+ */
+function describeParser(provider) {
+    return {
+        version: PARSER_VERSION,
+        provider: provider.name,
+        models: { ...provider.models }
+    };
+}
+
+module.exports = {
+    PARSER_VERSION,
+    describeParser
+};
@@ -0,0 +1,145 @@
+// PDF OCR
+// File: src/services/parsing/pdfOcr.js
+//
+// Reads the text of scanned (image-only) PDFs. Pages are rasterized with
+// poppler's pdftoppm and recognized locally with tesseract.js, so no resume
+// leaves the server. Used by the PDF extractor when the text layer is
+// missing or too thin to parse (see documentTextExtractor.js).
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createWorker } = require('tesseract.js');
+
+const execFileAsync = promisify(execFile);
+
+class PdfOcr {
+    constructor() {
+        this.enabled = process.env.OCR_ENABLED !== 'false';
+        this.pdftoppmPath = process.env.PDFTOPPM_PATH || 'pdftoppm';
+        this.language = process.env.OCR_LANGUAGE || 'eng';
+        // Where tesseract.js keeps (and downloads) its language data
+        this.langPath = process.env.OCR_LANG_PATH || undefined;
+        this.cachePath = process.env.OCR_CACHE_PATH || path.join(os.tmpdir(), 'tesseract-cache');
+
+        this.maxPages = parseInt(process.env.OCR_MAX_PAGES, 10) || 5;
+        this.dpi = parseInt(process.env.OCR_DPI, 10) || 300;
+        this.timeoutMs = parseInt(process.env.OCR_TIMEOUT_MS, 10) || 120000;
+
+        // A text layer thinner than this per page is treated as a scan
+        this.minCharsPerPage = parseInt(process.env.OCR_MIN_CHARS_PER_PAGE, 10) || 100;
+    }
+
+    /**
+     * Whether extracted text is too thin for the number of pages
+     * Only letters and digits count, so page numbers and stray punctuation
+     * from a scanner's text layer don't pass as content.
+     */
+    isLowText(text, pages = 1) {
+        const characters = (String(text || '').match(/[\p{L}\p{N}]/gu) || []).length;
+        return characters < this.minCharsPerPage * Math.max(pages || 1, 1);
+    }
+
+    /**
+     * Recognize the text of the first OCR_MAX_PAGES pages
+     *
+     * @param {Buffer} buffer - The PDF
+     * @returns {Promise<{text, pagesProcessed, confidence, quality, engine, language, durationMs}>}
+     *   confidence is tesseract's 0-100 score averaged over the recognized text
+     * @throws {Error} If OCR is disabled, pdftoppm is missing or recognition fails
+     */
+    async recognize(buffer) {
+        if (!this.enabled) {
+            throw new Error('OCR is disabled (OCR_ENABLED=false)');
+        }
+
+        const startedAt = Date.now();
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'resume-ocr-'));
+
+        try {
+            const images = await this.rasterize(buffer, workDir);
+            if (images.length === 0) {
+                throw new Error('pdftoppm produced no page images');
+            }
+
+            const worker = await createWorker(this.language, undefined, {
+                langPath: this.langPath,
+                cachePath: this.cachePath
+            });
+
+            const pages = [];
+            try {
+                for (const image of images) {
+                    const { data } = await worker.recognize(image);
+                    pages.push({ text: data.text || '', confidence: data.confidence || 0 });
+                }
+            } finally {
+                await worker.terminate();
+            }
+
+            const confidence = this.averageConfidence(pages);
+            return {
+                text: pages.map(page => page.text.trim()).filter(Boolean).join('\n\n'),
+                pagesProcessed: pages.length,
+                confidence,
+                quality: this.describeQuality(confidence),
+                engine: 'tesseract.js',
+                language: this.language,
+                durationMs: Date.now() - startedAt
+            };
+        } finally {
+            await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+        }
+    }
+
+    /**
+     * Render the first pages as PNGs; returns their paths in page order
+     */
+    async rasterize(buffer, workDir) {
+        const pdfPath = path.join(workDir, 'resume.pdf');
+        await fs.writeFile(pdfPath, buffer);
+
+        try {
+            await execFileAsync(this.pdftoppmPath, [
+                '-png',
+                '-r', String(this.dpi),
+                '-f', '1',
+                '-l', String(this.maxPages),
+                pdfPath,
+                path.join(workDir, 'page')
+            ], { timeout: this.timeoutMs });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`${this.pdftoppmPath} was not found; install poppler-utils or set PDFTOPPM_PATH`);
+            }
+            throw new Error(`Could not rasterize the PDF: ${(error.stderr || error.message).toString().trim()}`);
+        }
+
+        // pdftoppm pads page numbers to the page count's width (page-01.png)
+        const files = await fs.readdir(workDir);
+        return files
+            .filter(file => /^page-\d+\.png$/.test(file))
+            .sort((a, b) => parseInt(a.slice(5), 10) - parseInt(b.slice(5), 10))
+            .map(file => path.join(workDir, file));
+    }
+
+    // Weighted by text length, so a near-empty page doesn't drag the score
+    averageConfidence(pages) {
+        const totalLength = pages.reduce((sum, page) => sum + page.text.trim().length, 0);
+        if (totalLength === 0) return 0;
+
+        const weighted = pages.reduce((sum, page) => sum + page.confidence * page.text.trim().length, 0);
+        return Math.round(weighted / totalLength);
+    }
+
+    describeQuality(confidence) {
+        if (confidence >= 80) return 'good';
+        if (confidence >= 60) return 'fair';
+        return 'poor';
+    }
+}
+
+// Export a singleton instance
+module.exports = new PdfOcr();
@@ -0,0 +1,113 @@
+// Hugging Face Parser Provider
+// File: src/services/parsing/providers/huggingFaceProvider.js
+//
+// Answers resume questions with the hosted extractive QA model
+// (deepset/roberta-base-squad2) on the Hugging Face Inference API. Resumes
+// in other languages go to a multilingual QA model instead, which
+// HUGGINGFACE_MULTILINGUAL_QA_MODEL can change.
+
+const aiHttpClient = require('../../ai/aiHttpClient');
+const inferenceCache = require('../../ai/inferenceCache');
+
+class HuggingFaceProvider {
+    constructor() {
+        this.name = 'huggingface';
+        this.apiKey = process.env.HUGGINGFACE_API_KEY;
+        this.baseURL = 'https://api-inference.huggingface.co/models/';
+        this.qaModel = 'deepset/roberta-base-squad2';
+        this.multilingualQaModel = process.env.HUGGINGFACE_MULTILINGUAL_QA_MODEL || 'deepset/xlm-roberta-large-squad2';
+        this.models = {
+            questionAnswering: this.qaModel,
+            multilingualQuestionAnswering: this.multilingualQaModel
+        };
+
+        // Questions in flight at once; the shared client backs off if the
+        // API starts rate limiting
+        this.maxConcurrency = parseInt(process.env.AI_MAX_CONCURRENCY, 10) || 3;
+
+        // The AI enhancement step uses the same API
+        this.supportsEnhancement = true;
+    }
+
+    isAvailable() {
+        return !!this.apiKey;
+    }
+
+    /**
+     * Answer one extraction question
+     * Falls back to the alternative phrasing when the first answer is unusable.
+     *
+     * @param {Object} request
+     * @param {string} request.question - Primary question
+     * @param {string} request.fallbackQuestion - Alternative phrasing
+     * @param {string} request.context - Text the answer must come from
+     * @param {string} [request.language] - Language of the resume and questions
+     * @returns {Promise<Object|null>} Answer with the model's score and span
+     */
+    async answer({ question, fallbackQuestion, context, language }) {
+        const model = this.getModel(language);
+        const answer = await this.extractWithQA(context, question, model);
+
+        if ((!answer || answer.text.length < 2) && fallbackQuestion) {
+            const fallback = await this.extractWithQA(context, fallbackQuestion, model);
+            return fallback
+                ? { ...fallback, source: { method: 'fallbackQuestion', question: fallbackQuestion } }
+                : null;
+        }
+
+        return answer ? { ...answer, source: { method: 'question', question } } : null;
+    }
+
+    // The English model is more accurate on English resumes
+    getModel(language) {
+        return !language || language === 'en' ? this.qaModel : this.multilingualQaModel;
+    }
+
+    /**
+     * Extract information using the Question-Answering model
+     * Retries while the model loads are handled by the shared AI HTTP client;
+     * answers are cached, so re-parsing the same resume makes no calls.
+     *
+     * @returns {Promise<{text, score, start, end}|null>} Offsets are within the context
+     */
+    async extractWithQA(context, question, model = this.qaModel) {
+        const result = await inferenceCache.wrap(
+            model,
+            'question-answering',
+            { question, context },
+            async () => (await this.callQAModel(context, question, model)).data
+        );
+
+        if (result && result.answer && result.score > 0.01) {
+            return {
+                text: result.answer,
+                score: result.score,
+                start: typeof result.start === 'number' ? result.start : null,
+                end: typeof result.end === 'number' ? result.end : null
+            };
+        }
+        return null;
+    }
+
+    callQAModel(context, question, model = this.qaModel) {
+        return aiHttpClient.post(
+            `${this.baseURL}${model}`,
+            {
+                inputs: {
+                    question: question,
+                    context: context
+                }
+            },
+            {
+                key: `huggingface:${model}`,
+                headers: {
+                    'Authorization': `Bearer ${this.apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                timeout: 30000
+            }
+        );
+    }
+}
+
+module.exports = new HuggingFaceProvider();
@@ -0,0 +1,72 @@
+// Parser Provider Registry
+// File: src/services/parsing/providers/index.js
+//
+// huggingfaceService.parseResume asks one question per field; a provider is
+// whatever answers those questions. Every provider exposes:
+//
+//   name                 - identifier used in RESUME_PARSER_PROVIDER
+//   answer(request)      - Promise<Answer|null> for {key, question, fallbackQuestion, context, fullText, language};
+//                          questions are already in the resume's language (see ../locales)
+//   isAvailable()        - whether it can run in this environment
+//   maxConcurrency       - how many questions may be answered at once
+//   supportsEnhancement  - whether the remote AI enhancement step should run
+//   models               - the models it calls, by role (recorded with every parse)
+//
+// An Answer is {text, score, start, end, source}: the answer as it appears in
+// the context, the model's score (null for rules), the answer's character
+// offsets within the context (null when unknown) and what produced it, e.g.
+// {method: 'question', question} or {method: 'rule', rule}.
+//
+// RESUME_PARSER_PROVIDER selects one explicitly. When it is unset, the hosted
+// model is used if HUGGINGFACE_API_KEY is present and the offline rule-based
+// provider otherwise.
+
+const huggingFaceProvider = require('./huggingFaceProvider');
+const ruleBasedProvider = require('./ruleBasedProvider');
+
+class ParserProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.warnedAboutFallback = false;
+
+        this.register(huggingFaceProvider);
+        this.register(ruleBasedProvider);
+    }
+
+    register(provider) {
+        this.providers.set(provider.name, provider);
+    }
+
+    getProviderNames() {
+        return [...this.providers.keys()];
+    }
+
+    /**
+     * Resolve the provider to use for a parse
+     *
+     * @param {string} [name] - Explicit provider name; defaults to RESUME_PARSER_PROVIDER
+     */
+    getProvider(name = process.env.RESUME_PARSER_PROVIDER) {
+        if (name) {
+            const provider = this.providers.get(name.trim().toLowerCase());
+            if (!provider) {
+                throw new Error(
+                    `Unknown resume parser provider "${name}". Available: ${this.getProviderNames().join(', ')}`
+                );
+            }
+            return provider;
+        }
+
+        if (huggingFaceProvider.isAvailable()) {
+            return huggingFaceProvider;
+        }
+
+        if (!this.warnedAboutFallback) {
+            console.warn('⚠️  HUGGINGFACE_API_KEY is not set - using the offline rule-based resume parser');
+            this.warnedAboutFallback = true;
+        }
+        return ruleBasedProvider;
+    }
+}
+
+module.exports = new ParserProviderRegistry();
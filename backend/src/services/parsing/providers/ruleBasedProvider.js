@@ -0,0 +1,201 @@
+// Rule-Based Parser Provider
+// File: src/services/parsing/providers/ruleBasedProvider.js
+//
+// Deterministic, fully offline answers to the resume questions using regular
+// expressions and the section text chosen by the segmenter. Used for local
+// development and CI, where there is no network or API key. Phrases that
+// depend on the resume's language (spoken lead-ins, degree names) come from
+// its locale's rules (see ../locales).
+
+const skillTaxonomyService = require('../../skillTaxonomyService');
+const { getLocale } = require('../locales');
+
+// Capitalized words in any script, e.g. "Jane Doe" or "Nguyễn Văn An"
+const NAME_PATTERN = "\\p{Lu}[\\p{L}'’.-]+(?:\\s+\\p{Lu}[\\p{L}'’.-]+){1,3}";
+
+const EMAIL_REGEX = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+
+const PHONE_REGEX = /(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{3}\)|\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b/;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class RuleBasedProvider {
+    constructor() {
+        this.name = 'rule-based';
+        this.models = {};
+        this.maxConcurrency = Infinity;
+        this.supportsEnhancement = false;
+
+        this.extractors = {
+            name: (context, fullText, rules) => this.findName(context, rules),
+            email: (context) => this.firstMatch(context, EMAIL_REGEX),
+            phone: (context) => this.firstMatch(context, PHONE_REGEX),
+            skills: (context, fullText, rules) => this.findSkills(context, fullText, rules),
+            currentJob: (context, fullText, rules) => this.findCurrentJob(context, rules),
+            highestEducation: (context, fullText, rules) => this.findHighestEducation(context, rules),
+            experienceSummary: (context, fullText, rules) => this.findExperienceSummary(context, rules)
+        };
+
+        // Patterns built from each language's rules, on first use
+        this.patterns = new Map();
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * Answer one extraction question by its key
+     * The question wording is ignored; each key has its own rule.
+     *
+     * @param {Object} request
+     * @param {string} request.key - Field being extracted
+     * @param {string} request.context - Section text chosen for the field
+     * @param {string} request.fullText - Whole resume text
+     * @param {string} [request.language] - Language of the resume, e.g. 'es'
+     * @returns {Promise<Object|null>} Answer with its span in the context; rules have no score
+     */
+    async answer({ key, context, fullText, language }) {
+        const extractor = this.extractors[key];
+        if (!extractor) return null;
+
+        // Extractors return the answer, or {text, start, end} when the answer
+        // was rewritten and can't be found in the context verbatim
+        const result = extractor(context || '', fullText || context || '', this.getPatterns(language));
+        if (!result) return null;
+
+        const span = typeof result === 'string' ? this.locate(context || '', result) : result;
+        if (!span.text) return null;
+
+        return {
+            text: span.text,
+            score: null,
+            start: span.start,
+            end: span.end,
+            source: { method: 'rule', rule: key }
+        };
+    }
+
+    /**
+     * The language's rules, with their phrase lists compiled to patterns
+     */
+    getPatterns(language) {
+        const locale = getLocale(language);
+        if (!this.patterns.has(locale.code)) {
+            const { rules } = locale;
+            this.patterns.set(locale.code, {
+                ...rules,
+                labelledName: new RegExp(`^\\s*${rules.nameLabel}\\s*[:\\-]\\s*(${NAME_PATTERN})`, 'imu'),
+                // Case-sensitive, so the capitalized words stop at "and"
+                spokenName: new RegExp(`(?<!\\p{L})(?:${rules.nameLeadIn})\\s+(${NAME_PATTERN})`, 'u'),
+                skillLeadIn: new RegExp(
+                    `(?:${rules.skillLeadIns.map(escapeRegExp).join('|')})\\s*([^.\\n]+)`, 'iu'
+                ),
+                years: new RegExp(`\\d+\\+?\\s*(?:${rules.yearWords})(?!\\p{L})`, 'iu')
+            });
+        }
+        return this.patterns.get(locale.code);
+    }
+
+    locate(context, text) {
+        const start = context.indexOf(text);
+        return {
+            text,
+            start: start === -1 ? null : start,
+            end: start === -1 ? null : start + text.length
+        };
+    }
+
+    firstMatch(text, regex) {
+        const match = text.match(regex);
+        return match ? match[0].trim() : null;
+    }
+
+    findName(context, rules) {
+        const labelled = context.match(rules.labelledName);
+        if (labelled) return labelled[1];
+
+        // Spoken introductions: "Hi, my name is Jane Doe and ..."
+        const spoken = context.match(rules.spokenName);
+        if (spoken) return spoken[1];
+
+        // Written resumes open with the candidate's name on its own line
+        const nameLine = new RegExp(`^${NAME_PATTERN}$`, 'u');
+        for (const line of context.split('\n').map(l => l.trim()).filter(Boolean).slice(0, 5)) {
+            if (nameLine.test(line) && !/\d|@/.test(line)) {
+                return line;
+            }
+        }
+
+        return null;
+    }
+
+    findSkills(context, fullText, rules) {
+        // "My skills include ..." - spoken resumes and prose
+        const leadIn = context.match(rules.skillLeadIn);
+        if (leadIn) {
+            const start = leadIn.index + leadIn[0].lastIndexOf(leadIn[1]);
+            return { text: this.toSkillList(leadIn[1]), start, end: start + leadIn[1].length };
+        }
+
+        // A dedicated skills section: every line is skills, minus "Category:" labels
+        if (context !== fullText) {
+            const skills = context
+                .split('\n')
+                .map(line => line.replace(/^\s*[-*•]\s*/, '').replace(/^[^:,]{1,40}:\s*/, '').trim())
+                .filter(Boolean)
+                .join(', ');
+            if (skills) return { text: this.toSkillList(skills), start: 0, end: context.length };
+        }
+
+        // Found outside the context, so there is no span to report
+        const fullTextLeadIn = fullText.match(rules.skillLeadIn);
+        if (fullTextLeadIn) {
+            return { text: this.toSkillList(fullTextLeadIn[1]), start: null, end: null };
+        }
+
+        // Last resort: known skills named anywhere in the resume
+        const mentions = skillTaxonomyService.findMentions(fullText);
+        return mentions.length > 0
+            ? { text: mentions.map(mention => mention.name).join(', '), start: null, end: null }
+            : null;
+    }
+
+    // "Python, SQL and Docker" -> "Python, SQL, Docker"
+    toSkillList(text) {
+        return text
+            .split(/,|;|\band\b|(?<!\p{L})(?:y|et|và)(?!\p{L})|\|/iu)
+            .map(skill => skill.trim())
+            .filter(skill => skill.length > 0 && skill.length <= 50)
+            .join(', ');
+    }
+
+    findCurrentJob(context, rules) {
+        const spoken = rules.currentJob.map(pattern => context.match(pattern)).find(Boolean);
+        // Written resumes are left to the work history extractor, which
+        // reads the most recent title and company from the position list
+        return spoken ? spoken[1].trim() : null;
+    }
+
+    findHighestEducation(context, rules) {
+        const lines = context.split(/\n|(?<=\.)\s+/).map(line => line.trim()).filter(Boolean);
+
+        // Degrees are listed from highest to lowest
+        for (const degree of rules.degrees) {
+            const line = lines.find(candidate => degree.test(candidate));
+            if (line) return line;
+        }
+
+        return null;
+    }
+
+    findExperienceSummary(context, rules) {
+        const sentences = context.split(/(?<=[.!?])\s+|\n/);
+        const sentence = sentences.find(candidate => rules.years.test(candidate));
+        return sentence ? sentence.trim() : null;
+    }
+}
+
+module.exports = new RuleBasedProvider();
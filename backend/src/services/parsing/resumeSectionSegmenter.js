@@ -0,0 +1,203 @@
+// Resume Section Segmenter
+// File: src/services/parsing/resumeSectionSegmenter.js
+//
+// Splits resume text into its sections (experience, education, skills, ...)
+// by detecting heading lines. The text must keep its original line structure;
+// every section records its character offsets in that text so later stages can
+// point back to where a value came from.
+
+const { LOCALES, DEFAULT_LANGUAGE } = require('./locales');
+
+// Canonical section keys and the English headings that introduce them;
+// other languages' headings are in ./locales
+const SECTION_HEADINGS = LOCALES[DEFAULT_LANGUAGE].sectionHeadings;
+
+// Longest heading we will consider; longer lines are content, not headings
+const MAX_HEADING_LENGTH = 45;
+
+class ResumeSectionSegmenter {
+    constructor() {
+        // Normalized heading -> section key, per language. English headings
+        // are part of every language's lookup.
+        this.headingLookups = new Map();
+        for (const locale of Object.values(LOCALES)) {
+            const lookup = new Map();
+            for (const headings of [SECTION_HEADINGS, locale.sectionHeadings]) {
+                for (const [key, list] of Object.entries(headings)) {
+                    list.forEach(heading => lookup.set(this.normalizeHeading(heading), key));
+                }
+            }
+            this.headingLookups.set(locale.code, lookup);
+        }
+    }
+
+    /**
+     * Segment resume text into sections
+     *
+     * @param {string} text - Resume text with line breaks preserved
+     * @param {Object} options - {language}: also recognize that language's headings
+     * @returns {{
+     *   segments: Array<{key: string, heading: string|null, start: number, end: number, text: string}>,
+     *   sections: Object<string, {key: string, heading: string|null, start: number, end: number, text: string, segments: Array}>,
+     *   order: string[]
+     * }}
+     */
+    segment(text, options = {}) {
+        const headingLookup = this.headingLookups.get(options.language) ||
+            this.headingLookups.get(DEFAULT_LANGUAGE);
+        const segments = [];
+        let current = { key: 'header', heading: null, start: 0 };
+        let offset = 0;
+
+        for (const line of text.split('\n')) {
+            const lineStart = offset;
+            offset += line.length + 1;
+
+            const heading = this.detectHeading(line, headingLookup);
+            if (!heading) continue;
+
+            // Close the section that was open before this heading
+            this.pushSegment(segments, text, current, lineStart);
+
+            // "Skills: Python, SQL" - content continues on the heading line
+            const contentStart = heading.inlineContentOffset !== null
+                ? lineStart + heading.inlineContentOffset
+                : Math.min(offset, text.length);
+
+            current = { key: heading.key, heading: heading.text, start: contentStart };
+        }
+
+        this.pushSegment(segments, text, current, text.length);
+
+        return {
+            segments,
+            sections: this.buildSectionMap(segments),
+            order: [...new Set(segments.map(segment => segment.key))]
+        };
+    }
+
+    /**
+     * Decide whether a line is a section heading
+     * Returns the section key and, for "Heading: content" lines, where the
+     * inline content starts within the line.
+     */
+    detectHeading(line, headingLookup) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.length > 120) return null;
+
+        // "Heading: content" on one line
+        const colonIndex = trimmed.indexOf(':');
+        if (colonIndex > 0 && colonIndex <= MAX_HEADING_LENGTH) {
+            const key = this.lookupHeading(trimmed.substring(0, colonIndex), headingLookup);
+            if (key) {
+                const rest = trimmed.substring(colonIndex + 1);
+                const hasInlineContent = rest.trim().length > 0;
+                return {
+                    key,
+                    text: trimmed.substring(0, colonIndex).trim(),
+                    inlineContentOffset: hasInlineContent
+                        ? line.indexOf(rest) + (rest.length - rest.trimStart().length)
+                        : null
+                };
+            }
+        }
+
+        if (trimmed.length > MAX_HEADING_LENGTH) return null;
+
+        const key = this.lookupHeading(trimmed, headingLookup);
+        if (key) {
+            return { key, text: trimmed, inlineContentOffset: null };
+        }
+
+        // Upper-case headings often carry extra words, e.g. "PROFESSIONAL EXPERIENCE 2015-2024"
+        // or "NOTABLE PROJECTS"
+        if (trimmed === trimmed.toUpperCase() && /\p{Lu}{4,}/u.test(trimmed)) {
+            const normalized = this.normalizeHeading(trimmed);
+            const shortEnough = normalized.split(' ').length <= 4;
+            for (const [heading, headingKey] of headingLookup) {
+                if (heading.length < 6) continue;
+                if (normalized.startsWith(heading) || (shortEnough && normalized.endsWith(` ${heading}`))) {
+                    return { key: headingKey, text: trimmed, inlineContentOffset: null };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    lookupHeading(candidate, headingLookup) {
+        const normalized = this.normalizeHeading(candidate);
+        if (!normalized || normalized.split(' ').length > 5) return null;
+        return headingLookup.get(normalized) || null;
+    }
+
+    // Diacritics are dropped too: "Expérience" is "experience", and
+    // Vietnamese headings match whether or not they were typed with accents
+    normalizeHeading(candidate) {
+        return candidate
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/\p{M}/gu, '')
+            .replace(/đ/g, 'd')
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z\s]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    pushSegment(segments, text, section, end) {
+        const body = text.substring(section.start, end);
+        // Drop empty headers (documents that start with a heading)
+        if (!body.trim() && section.key === 'header') return;
+
+        // Skip blank lines after the heading so offsets point at real content
+        const leading = body.length - body.replace(/^\n+/, '').length;
+
+        segments.push({
+            key: section.key,
+            heading: section.heading,
+            start: section.start + leading,
+            end,
+            text: body.substring(leading).replace(/\n+$/, '')
+        });
+    }
+
+    /**
+     * Merge repeated sections (e.g. two "Experience" blocks) under one key
+     */
+    buildSectionMap(segments) {
+        const sections = {};
+
+        for (const segment of segments) {
+            if (!sections[segment.key]) {
+                sections[segment.key] = { ...segment, segments: [segment] };
+            } else {
+                const section = sections[segment.key];
+                section.segments.push(segment);
+                section.text = `${section.text}\n${segment.text}`;
+                section.end = segment.end;
+            }
+        }
+
+        return sections;
+    }
+
+    /**
+     * Convenience accessor returning the text of the first available section
+     *
+     * @param {Object} segmentation - Result of segment()
+     * @param {string[]} keys - Section keys in order of preference
+     */
+    getSectionText(segmentation, keys) {
+        for (const key of keys) {
+            const section = segmentation.sections[key];
+            if (section && section.text.trim()) {
+                return section.text;
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = new ResumeSectionSegmenter();
+module.exports.SECTION_HEADINGS = SECTION_HEADINGS;
@@ -0,0 +1,352 @@
+// Work History Extractor
+// File: src/services/parsing/workHistoryExtractor.js
+//
+// Turns the experience section of a resume into an ordered list of positions.
+// Each position is anchored on a date range line ("Jan 2020 - Present"), or
+// on a single month or season for short roles ("Intern | Bar LLC | Jun 2015");
+// the title and company come from the lines around it and the description from
+// the lines that follow. Dates are normalized to YYYY-MM so tenure and total
+// years of experience can be computed.
+
+const MONTHS = {
+    jan: 1, january: 1,
+    feb: 2, february: 2,
+    mar: 3, march: 3,
+    apr: 4, april: 4,
+    may: 5,
+    jun: 6, june: 6,
+    jul: 7, july: 7,
+    aug: 8, august: 8,
+    sep: 9, sept: 9, september: 9,
+    oct: 10, october: 10,
+    nov: 11, november: 11,
+    dec: 12, december: 12
+};
+
+const SEASONS = { spring: 3, summer: 6, fall: 9, autumn: 9, winter: 12 };
+
+const MONTH_PATTERN = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+const YEAR = '(?:19|20)\\d{2}';
+const DATE = `(?:(?:${MONTH_PATTERN})\\.?,?\\s+${YEAR}` +
+    `|(?:spring|summer|fall|autumn|winter)\\s+${YEAR}` +
+    `|(?:0?[1-9]|1[0-2])[/.-]${YEAR}` +
+    `|${YEAR}[/.-](?:0?[1-9]|1[0-2])(?!\\d)` +
+    `|${YEAR})`;
+const CURRENT = '(?:present|current|now|today|ongoing|to date)';
+const DATE_RANGE_REGEX = new RegExp(
+    `\\b(${DATE})\\s*(?:-|–|—|to|until|through|~)\\s*(${DATE}|${CURRENT})\\b`,
+    'i'
+);
+
+// A lone month or season, set off like a field, dates a role of one month
+const SINGLE_DATE = `(?:(?:${MONTH_PATTERN})\\.?,?|spring|summer|fall|autumn|winter)\\s+${YEAR}`;
+const SINGLE_DATE_REGEX = new RegExp(
+    `(?:^|[|,–—(]\\s*|\\s-\\s*|\\t)(${SINGLE_DATE})\\)?\\s*(?:$|[|,–—]|-\\s)`,
+    'i'
+);
+
+// Words that mark a line as a job title rather than a company name
+const TITLE_KEYWORDS = /\b(engineer|developer|programmer|manager|analyst|intern|designer|consultant|director|lead|specialist|scientist|architect|administrator|coordinator|officer|assistant|associate|technician|president|head|founder|owner|teacher|instructor|nurse|accountant|representative|supervisor|executive|researcher|editor|writer|advisor|strategist|recruiter|cto|ceo|cfo|vp)\b/i;
+
+const BULLET_REGEX = /^\s*(?:[-*•▪‣◦·●■]|\d+[.)])\s+/;
+
+class WorkHistoryExtractor {
+    /**
+     * Extract positions from experience text
+     *
+     * @param {string} text - Experience section text with line breaks preserved
+     * @param {Object} options
+     * @param {Date} options.referenceDate - Date used for "Present" (defaults to now)
+     * @returns {{positions: Array, totalMonthsExperience: number, totalYearsExperience: number}}
+     */
+    extract(text, options = {}) {
+        const referenceDate = options.referenceDate || new Date();
+        const lines = (text || '').split('\n').map(line => line.trim());
+
+        const anchors = [];
+        lines.forEach((line, index) => {
+            const range = this.findDateRange(line, referenceDate);
+            if (range) anchors.push({ index, range });
+        });
+
+        // Resumes use one layout throughout: either the title/company sit above
+        // the dates, or the dates come first and the title/company follow
+        const datesFirst = anchors.length > 0 &&
+            !lines.slice(0, anchors[0].index).some(Boolean) &&
+            !this.getInlineText(lines[anchors[0].index], anchors[0].range);
+
+        const positions = anchors.map((anchor, i) => {
+            const previousAnchor = anchors[i - 1];
+            const nextAnchor = anchors[i + 1];
+            let nextHeaderStart = lines.length;
+            if (nextAnchor) {
+                nextHeaderStart = datesFirst
+                    ? nextAnchor.index
+                    : this.findHeaderStart(lines, nextAnchor.index, anchor.index + 1);
+            }
+
+            return this.buildPosition(lines, anchor, {
+                floor: previousAnchor ? previousAnchor.index + 1 : 0,
+                ceiling: nextAnchor ? nextAnchor.index : lines.length,
+                nextHeaderStart,
+                datesFirst
+            });
+        });
+
+        // Most recent first; current roles ahead of finished ones
+        positions.sort((a, b) =>
+            (b.isCurrent - a.isCurrent) ||
+            (b.endDate || '').localeCompare(a.endDate || '') ||
+            (b.startDate || '').localeCompare(a.startDate || '')
+        );
+
+        const totalMonthsExperience = this.calculateTotalMonths(positions);
+
+        return {
+            positions,
+            totalMonthsExperience,
+            totalYearsExperience: Math.round((totalMonthsExperience / 12) * 10) / 10
+        };
+    }
+
+    /**
+     * Find a date range on a line and normalize both ends
+     */
+    findDateRange(line, referenceDate) {
+        if (!line || line.length > 200) return null;
+
+        const match = line.match(DATE_RANGE_REGEX);
+        if (!match) return this.findSingleDate(line);
+
+        const start = this.parseDate(match[1], false);
+        const isCurrent = new RegExp(`^${CURRENT}$`, 'i').test(match[2].trim());
+        const end = isCurrent
+            ? { year: referenceDate.getFullYear(), month: referenceDate.getMonth() + 1 }
+            : this.parseDate(match[2], true);
+
+        if (!start || !end) return null;
+        if (end.year * 12 + end.month < start.year * 12 + start.month) return null;
+
+        return {
+            text: match[0],
+            matchIndex: match.index,
+            start,
+            end,
+            isCurrent
+        };
+    }
+
+    /**
+     * A one-month range from a single date on a header line
+     * Bullets and sentences are description, even when they mention a month.
+     */
+    findSingleDate(line) {
+        if (BULLET_REGEX.test(line) || /[.!?]$/.test(line)) return null;
+
+        const match = line.match(SINGLE_DATE_REGEX);
+        const date = match && this.parseDate(match[1], false);
+        if (!date) return null;
+
+        return {
+            text: match[1],
+            matchIndex: match.index + match[0].indexOf(match[1]),
+            start: date,
+            end: date,
+            isCurrent: false
+        };
+    }
+
+    /**
+     * Parse one side of a range into {year, month}
+     * A bare year starts in January and, as an end date, runs through December.
+     */
+    parseDate(value, isEnd) {
+        const text = value.trim().toLowerCase().replace(/[.,]/g, ' ').replace(/\s+/g, ' ');
+
+        let match = text.match(/^([a-z]+) (\d{4})$/);
+        if (match) {
+            const month = MONTHS[match[1]] || SEASONS[match[1]];
+            return month ? { year: parseInt(match[2], 10), month } : null;
+        }
+
+        match = text.match(/^(\d{1,2})[/-](\d{4})$/) || text.match(/^(\d{1,2}) (\d{4})$/);
+        if (match) {
+            return { year: parseInt(match[2], 10), month: parseInt(match[1], 10) };
+        }
+
+        match = text.match(/^(\d{4})[/-](\d{1,2})$/) || text.match(/^(\d{4}) (\d{1,2})$/);
+        if (match) {
+            return { year: parseInt(match[1], 10), month: parseInt(match[2], 10) };
+        }
+
+        match = text.match(/^(\d{4})$/);
+        if (match) {
+            return { year: parseInt(match[1], 10), month: isEnd ? 12 : 1 };
+        }
+
+        return null;
+    }
+
+    /**
+     * Assemble a position from the lines around its date range
+     */
+    buildPosition(lines, anchor, bounds) {
+        const { index, range } = anchor;
+        const inlineText = this.getInlineText(lines[index], range);
+
+        let headerLines = inlineText ? [inlineText] : [];
+        let descriptionStart = index + 1;
+
+        if (!bounds.datesFirst) {
+            const headerStart = this.findHeaderStart(lines, index, bounds.floor);
+            const preceding = lines.slice(headerStart, index).filter(Boolean);
+            headerLines = [...preceding, ...headerLines].slice(-3);
+        }
+
+        // Date line first, then title/company ("2019 - 2021\nDeveloper\nAcme")
+        if (headerLines.length === 0) {
+            while (descriptionStart < bounds.ceiling &&
+                headerLines.length < 2 &&
+                lines[descriptionStart] &&
+                !BULLET_REGEX.test(lines[descriptionStart])) {
+                headerLines.push(lines[descriptionStart]);
+                descriptionStart++;
+            }
+        }
+
+        const descriptionLines = lines
+            .slice(descriptionStart, Math.min(bounds.ceiling, bounds.nextHeaderStart))
+            .filter(Boolean)
+            .map(line => line.replace(BULLET_REGEX, '').trim());
+
+        const { title, company, location } = this.splitHeader(headerLines);
+
+        return {
+            title,
+            company,
+            location,
+            duration: range.text,
+            description: descriptionLines.join('\n'),
+            startDate: this.formatYearMonth(range.start),
+            endDate: range.isCurrent ? null : this.formatYearMonth(range.end),
+            isCurrent: range.isCurrent,
+            tenureMonths: this.monthsBetween(range.start, range.end)
+        };
+    }
+
+    // Text sharing the line with the dates, e.g. "Developer | Acme | 2019 - 2021"
+    getInlineText(dateLine, range) {
+        return (dateLine.substring(0, range.matchIndex) + ' ' +
+            dateLine.substring(range.matchIndex + range.text.length))
+            .replace(/[()]/g, '')
+            .replace(/[|,–—-]\s*$/, '')
+            .replace(/^\s*[|,–—-]/, '')
+            .trim();
+    }
+
+    /**
+     * Walk back from a date line over the title/company lines above it
+     * Stops at a bullet, a blank line after header text, or the floor.
+     */
+    findHeaderStart(lines, dateIndex, floor) {
+        let start = dateIndex;
+        let taken = 0;
+
+        for (let i = dateIndex - 1; i >= floor && taken < 2; i--) {
+            const line = lines[i];
+            if (!line) {
+                if (taken > 0) break;
+                continue;
+            }
+            if (BULLET_REGEX.test(line) || line.length > 100 || /[.!?]$/.test(line)) break;
+            start = i;
+            taken++;
+        }
+
+        return start;
+    }
+
+    /**
+     * Work out which header text is the title and which is the company
+     */
+    splitHeader(headerLines) {
+        let parts = [];
+
+        for (const line of headerLines) {
+            // "Senior Developer at Acme Corp"
+            const atMatch = line.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+            if (atMatch && TITLE_KEYWORDS.test(atMatch[1])) {
+                parts.push(atMatch[1], atMatch[2]);
+                continue;
+            }
+            parts.push(...line.split(/\s+[|–—]\s+|\s+-\s+|\t/).map(part => part.trim()).filter(Boolean));
+        }
+
+        // "Engineer, Globex, Austin TX" - a single line with comma-separated parts
+        if (parts.length === 1 && TITLE_KEYWORDS.test(parts[0].split(',')[0])) {
+            const [title, company, ...location] = parts[0].split(',').map(part => part.trim());
+            parts = [title, company, location.join(', ')].filter(Boolean);
+        }
+
+        parts = parts.slice(0, 3);
+
+        let titleIndex = parts.findIndex(part => TITLE_KEYWORDS.test(part));
+        if (titleIndex === -1) titleIndex = 0;
+
+        const title = parts[titleIndex] || '';
+        const rest = parts.filter((_, i) => i !== titleIndex);
+        let company = rest[0] || '';
+        let location = rest[1] || '';
+
+        // "Acme Corp, San Francisco, CA"
+        if (!location && company.includes(',')) {
+            const commaIndex = company.indexOf(',');
+            location = company.substring(commaIndex + 1).trim();
+            company = company.substring(0, commaIndex).trim();
+        }
+
+        return { title, company, location: location || undefined };
+    }
+
+    formatYearMonth({ year, month }) {
+        return `${year}-${String(month).padStart(2, '0')}`;
+    }
+
+    // Both ends count, so "Jan 2020 - Jan 2020" is one month
+    monthsBetween(start, end) {
+        return (end.year * 12 + end.month) - (start.year * 12 + start.month) + 1;
+    }
+
+    /**
+     * Total months worked, counting overlapping roles only once
+     */
+    calculateTotalMonths(positions) {
+        const intervals = positions
+            .filter(position => position.startDate)
+            .map(position => {
+                const [startYear, startMonth] = position.startDate.split('-').map(Number);
+                const end = position.tenureMonths - 1;
+                const startValue = startYear * 12 + startMonth;
+                return [startValue, startValue + end];
+            })
+            .sort((a, b) => a[0] - b[0]);
+
+        let total = 0;
+        let current = null;
+
+        for (const [start, end] of intervals) {
+            if (!current || start > current[1] + 1) {
+                if (current) total += current[1] - current[0] + 1;
+                current = [start, end];
+            } else {
+                current[1] = Math.max(current[1], end);
+            }
+        }
+        if (current) total += current[1] - current[0] + 1;
+
+        return total;
+    }
+}
+
+module.exports = new WorkHistoryExtractor();
+module.exports.MONTHS = MONTHS;
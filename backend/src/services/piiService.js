@@ -0,0 +1,243 @@
+// PII Service
+// File: src/services/piiService.js
+//
+// Finds personal data in free text (resume text, transcripts, log lines) and
+// redacts it. Detected types: email addresses, phone numbers, street
+// addresses, dates of birth and national ID numbers. Patterns cover the
+// formats of the parser's languages (English, Spanish, French, Vietnamese);
+// dates of birth and most ID numbers are only recognized after a label
+// ("Date of birth:", "SSN", "DNI", ...) because on their own they look like
+// any other date or number.
+
+const PII_TYPES = ['email', 'nationalId', 'dateOfBirth', 'address', 'phone'];
+
+const LABELS = {
+    email: '[EMAIL]',
+    phone: '[PHONE]',
+    address: '[ADDRESS]',
+    dateOfBirth: '[DATE_OF_BIRTH]',
+    nationalId: '[NATIONAL_ID]'
+};
+
+const DATE_VALUE = [
+    '\\d{1,4}[./-]\\d{1,2}[./-]\\d{1,4}',
+    '(?:ngày\\s+)?\\d{1,2}\\s+tháng\\s+\\d{1,2},?\\s+(?:năm\\s+)?\\d{4}',
+    '\\d{1,2}(?:st|nd|rd|th|er)?\\s+(?:de\\s+)?\\p{L}+\\.?,?\\s+(?:de\\s+)?\\d{4}',
+    '\\p{L}+\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}',
+    '\\d{4}'
+].join('|');
+
+// Each pattern either matches the value itself or has it in group 1 (the
+// part after a label). The `d` flag gives the group's offsets.
+const PATTERNS = {
+    email: [
+        /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/gd
+    ],
+    nationalId: [
+        // US social security number
+        /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/gd,
+        // UK national insurance number
+        /\b[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/gd,
+        // Spanish DNI and NIE
+        /\b(?:\d{8}|[XYZ]-?\d{7})-?[A-HJ-NP-TV-Z]\b/gd,
+        // French social security (INSEE) number
+        /\b[12] ?\d{2} ?(?:0[1-9]|1[0-2]) ?(?:\d{2}|2[AB]) ?\d{3} ?\d{3}(?: ?\d{2})?\b/gd,
+        // Any number after an ID label, e.g. Vietnamese CCCD or a passport
+        /(?<!\p{L})(?:ssn|social security (?:number|no\.?)|national id(?:entity)?(?: (?:number|no\.?|card))?|id (?:number|no\.?)|passport(?: (?:number|no\.?))?|tax id|nino|dni|nie|n[uú]mero de identificaci[oó]n|num[ée]ro de s[ée]curit[ée] sociale|cccd|cmnd|căn cước(?: công dân)?|số cmnd|số cccd)\s*[:#.]?\s*((?:[A-Z]{1,3}[ -]?)?\d[\d -]{3,18}\d(?: ?[A-Z]\b)?)/giud
+    ],
+    dateOfBirth: [
+        new RegExp(
+            '(?<!\\p{L})(?:date of birth|birth ?date|birthday|d\\.?o\\.?b\\.?|born(?: on)?|fecha de nacimiento|' +
+            'nacid[oa] el|date de naissance|n[ée]e? le|ngày sinh|sinh ngày)\\s*[:\\-–]?\\s*(' + DATE_VALUE + ')',
+            'giud'
+        )
+    ],
+    address: [
+        // Everything after an address label, up to the end of the line
+        /(?<!(?:e-?mail|ip|web)\s)(?<!\p{L})(?:home address|mailing address|address|direcci[oó]n|domicilio|adresse|địa chỉ)\s*[:\-–]\s*([^\n|]{5,120})/giud,
+        // 123 Main Street, Apt 4, Springfield, IL 62704
+        /\b\d{1,6}[A-Za-z]?[ \t]+(?:[A-Z0-9][\w'.-]*[ \t]+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Parkway|Pkwy|Circle|Highway|Hwy|Square|Sq)\b\.?(?:,?[ \t]*(?:Apt|Apartment|Suite|Ste|Unit|#)\.?[ \t]*[\w-]+)?(?:,[ \t]*[A-Z][A-Za-z.'-]*(?:[ \t][A-Z][A-Za-z.'-]*){0,2}){0,2}(?:[ \t]+\d{5}(?:-\d{4})?)?/gd,
+        // 12 rue de la Paix, số 5 đường Lê Lợi
+        /(?<![\p{L}\d])(?:số[ \t]+)?\d{1,5}(?:[ \t]?(?:bis|ter)|[A-Z])?(?:\/\d+)*,?[ \t]+(?:rue|avenue|boulevard|bd|chemin|allée|impasse|quai|đường|phố|ngõ|hẻm)[ \t]+[^\n,|;]{2,60}/giud,
+        // Calle de Alcalá, 45
+        /(?<!\p{L})(?:calle|c\/|avenida|avda\.|paseo)[ \t]+[^\n,|;\d]{2,50},?[ \t]*(?:n[º°o.][ \t]*)?\d{1,5}[A-Za-z]?/giud
+    ],
+    phone: [
+        /(?<![\w+])(?:\+\d{1,3}[ \t.-]?)?(?:\(\d{1,4}\)[ \t.-]?)?\d{2,4}(?:[ \t.-]?\d{2,4}){1,4}(?!\w)/gd
+    ]
+};
+
+// Numbers shaped like phone numbers that are something else
+const YEAR_RANGE = /^(?:19|20)\d{2}(?:\s*[-–.\s]\s*(?:19|20)\d{2})+$/;
+const NUMERIC_DATE = /^(?:\d{1,2}[./-]\d{1,2}[./-]\d{2,4}|\d{4}[./-]\d{1,2}[./-]\d{1,2})$/;
+const IP_ADDRESS = /^\d{1,3}(?:\.\d{1,3}){3}$/;
+
+class PiiService {
+    constructor() {
+        // Keep a redacted copy of resume text and transcripts in the database
+        this.redactStoredText = process.env.PII_REDACT_STORED_TEXT === 'true';
+    }
+
+    /**
+     * Find personal data in a text
+     *
+     * @param {string} text
+     * @param {Object} options
+     * @param {string[]} options.types - PII types to look for (default all)
+     * @returns {Array<{type: string, start: number, end: number, value: string}>}
+     *   Non-overlapping findings in text order
+     */
+    detect(text, options = {}) {
+        const source = String(text || '');
+        const types = options.types || PII_TYPES;
+        const findings = [];
+
+        // Types earlier in PII_TYPES win overlaps, so an SSN isn't also a phone
+        for (const type of PII_TYPES.filter(t => types.includes(t))) {
+            for (const pattern of PATTERNS[type]) {
+                for (const match of source.matchAll(pattern)) {
+                    const [start, end] = match.indices[1] || match.indices[0];
+                    const value = source.slice(start, end).trimEnd();
+
+                    if (type === 'phone' && !this.isPhoneNumber(value)) continue;
+                    if (findings.some(f => start < f.end && start + value.length > f.start)) continue;
+
+                    findings.push({ type, start, end: start + value.length, value });
+                }
+            }
+        }
+
+        return findings.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Redact personal data from a text
+     *
+     * @param {string} text
+     * @param {Object} options
+     * @param {string[]} options.types - PII types to redact (default all)
+     * @param {'label'|'mask'} options.style - Replace each finding with its
+     *   label ("[EMAIL]"), or mask its characters with "*" so offsets into
+     *   the text stay valid
+     * @returns {{text: string, counts: Object}} counts has one entry per type found
+     */
+    redact(text, options = {}) {
+        const source = String(text || '');
+        const findings = this.detect(source, options);
+        const counts = {};
+
+        let redacted = '';
+        let cursor = 0;
+        for (const finding of findings) {
+            redacted += source.slice(cursor, finding.start);
+            redacted += options.style === 'mask'
+                ? finding.value.replace(/\S/g, '*')
+                : LABELS[finding.type];
+            cursor = finding.end;
+            counts[finding.type] = (counts[finding.type] || 0) + 1;
+        }
+        redacted += source.slice(cursor);
+
+        return { text: redacted, counts };
+    }
+
+    /**
+     * Redact every string in a JSON-like value (objects and arrays are copied)
+     */
+    redactDeep(value, options = {}) {
+        if (typeof value === 'string') {
+            return this.redact(value, options).text;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.redactDeep(item, options));
+        }
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            return Object.fromEntries(
+                Object.entries(value).map(([key, item]) => [key, this.redactDeep(item, options)])
+            );
+        }
+        return value;
+    }
+
+    /**
+     * Redacted copy of a resume's parsed data, for sharing
+     * Field provenance offsets are dropped: they point into the original text.
+     */
+    redactParsedData(parsedData) {
+        if (!parsedData) return parsedData;
+
+        const redacted = this.redactDeep(parsedData);
+        if (redacted.fieldProvenance) {
+            for (const provenance of Object.values(redacted.fieldProvenance)) {
+                if (provenance) {
+                    provenance.start = null;
+                    provenance.end = null;
+                }
+            }
+        }
+        return redacted;
+    }
+
+    /**
+     * Text as it should be stored: masked when PII_REDACT_STORED_TEXT=true
+     * Masking keeps the length, so field provenance offsets still line up.
+     */
+    forStorage(text) {
+        if (!this.redactStoredText || typeof text !== 'string') {
+            return text;
+        }
+        return this.redact(text, { style: 'mask' }).text;
+    }
+
+    /**
+     * Timestamped transcript segments as they should be stored
+     * A phone number is usually several words, so a word is masked when it
+     * no longer appears in its masked segment, rather than on its own.
+     */
+    segmentsForStorage(segments) {
+        if (!this.redactStoredText || !Array.isArray(segments)) {
+            return segments;
+        }
+
+        return segments.map(segment => {
+            const text = this.forStorage(segment.text);
+            if (!segment.words || text === segment.text) {
+                return { ...segment, text };
+            }
+
+            const kept = text.toLowerCase();
+            return {
+                ...segment,
+                text,
+                words: segment.words.map(word => (
+                    kept.includes(word.word.toLowerCase()) ? word : { ...word, word: word.word.replace(/\S/g, '*') }
+                ))
+            };
+        });
+    }
+
+    /**
+     * Whether a phone-shaped number is plausibly a phone number
+     * Year ranges, dates, IP addresses and long bare numbers (IDs, amounts)
+     * are not. Neither are numbers that merely sit next to each other, like
+     * the status, size and time in an access log line ("201 48213",
+     * "201 1534.210"): without a "+" or "(area code)" prefix, a phone number
+     * has at least three groups, all separated the same way.
+     */
+    isPhoneNumber(value) {
+        const digits = value.replace(/\D/g, '').length;
+        if (digits < 7 || digits > 15) return false;
+        if (YEAR_RANGE.test(value) || NUMERIC_DATE.test(value) || IP_ADDRESS.test(value)) return false;
+        if (/^[+(]/.test(value)) return true;
+
+        // Unformatted numbers need the length of a full number with area code
+        if (/^\d+$/.test(value)) return digits >= 10;
+
+        const separators = value.match(/[^\d]+/g);
+        return separators.length >= 2 && new Set(separators).size === 1;
+    }
+}
+
+// Export a singleton instance
+module.exports = new PiiService();
+module.exports.PII_TYPES = PII_TYPES;
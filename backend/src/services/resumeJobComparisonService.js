@@ -2,6 +2,7 @@
 // File: src/services/resumeJobComparisonService.js
 
 const huggingFaceResumeService = require('./huggingFaceResumeService');
+const skillTaxonomyService = require('./skillTaxonomyService');
 
 /**
  * This service compares resumes against job descriptions to provide
@@ -41,6 +42,9 @@ class ResumeJobComparisonService {
         try {
             console.log('Starting resume-job comparison analysis...');
 
+            // Skills are matched through the shared taxonomy
+            await skillTaxonomyService.ensureLoaded();
+
             // Parse job description to extract requirements
             const jobRequirements = await this.parseJobDescription(jobDescription);
 
@@ -53,7 +57,7 @@ class ResumeJobComparisonService {
 
             const experienceAnalysis = this.analyzeExperienceMatch(
                 resumeData.experienceLevel,
-                resumeData.experience,
+                this.getCandidateYears(resumeData),
                 jobRequirements.experienceRequirements
             );
 
@@ -223,7 +227,8 @@ class ResumeJobComparisonService {
         analysis.additionalSkills = candidateSkills.filter(skill => {
             const normalized = skill.toLowerCase().trim();
             return !allJobSkills.some(jobSkill =>
-                jobSkill.includes(normalized) || normalized.includes(jobSkill)
+                jobSkill.includes(normalized) || normalized.includes(jobSkill) ||
+                this.areSkillsSimilar(normalized, jobSkill)
             );
         });
 
@@ -248,7 +253,7 @@ class ResumeJobComparisonService {
     /**
      * Analyze experience level compatibility
      */
-    analyzeExperienceMatch(candidateLevel, candidateExperience, jobRequirements) {
+    analyzeExperienceMatch(candidateLevel, candidateYears, jobRequirements) {
         const analysis = {
             candidateLevel,
             requiredLevel: jobRequirements.level,
@@ -284,10 +289,8 @@ class ResumeJobComparisonService {
             analysis.interpretation = 'Candidate below required experience level';
         }
 
-        // Extract years of experience if mentioned
-        const yearsMatch = candidateExperience?.match(/(\d+)\s*(?:years?|yrs?)/i);
-        if (yearsMatch && jobRequirements.years) {
-            const candidateYears = parseInt(yearsMatch[1]);
+        // Compare years of experience when both sides are known
+        if (typeof candidateYears === 'number' && jobRequirements.years) {
             const requiredYears = jobRequirements.years;
 
             analysis.candidateYears = candidateYears;
@@ -333,8 +336,22 @@ class ResumeJobComparisonService {
             'doctorate': 5
         };
 
+        // Parsed resumes carry a list of degrees; older records a single string
+        const educationEntries = Array.isArray(candidateEducation)
+            ? candidateEducation
+            : (candidateEducation ? [{ degree: candidateEducation, field: candidateEducation }] : []);
+
         const requiredLevel = this.extractDegreeLevel(jobEducationRequirements.degree);
-        const candidateLevel = this.extractDegreeLevel(candidateEducation);
+
+        // Judge the candidate by their highest degree
+        let candidateLevel = null;
+        for (const entry of educationEntries) {
+            const level = this.extractDegreeLevel(entry.degree);
+            if (level && (degreeHierarchy[level] || 0) > (degreeHierarchy[candidateLevel] || 0)) {
+                candidateLevel = level;
+            }
+        }
+        analysis.candidateHighestDegree = candidateLevel;
 
         if (candidateLevel && requiredLevel) {
             const candidateValue = degreeHierarchy[candidateLevel] || 0;
@@ -351,11 +368,11 @@ class ResumeJobComparisonService {
         }
 
         // Check for field of study match if specified
-        if (jobEducationRequirements.field && candidateEducation) {
-            const fieldMatch = this.checkFieldMatch(
-                candidateEducation,
+        if (jobEducationRequirements.field && educationEntries.length > 0) {
+            const fieldMatch = educationEntries.some(entry => this.checkFieldMatch(
+                [entry.field, entry.degree].filter(Boolean).join(' '),
                 jobEducationRequirements.field
-            );
+            ));
 
             if (fieldMatch) {
                 analysis.fieldMatch = true;
@@ -516,24 +533,9 @@ class ResumeJobComparisonService {
 
     // Helper methods
 
+    // Canonical names of the known skills a job description mentions
     extractSkillMentions(text) {
-        // Common technical skills patterns
-        const skillPatterns = [
-            /\b(?:JavaScript|Python|Java|C\+\+|Ruby|Go|Rust|TypeScript|PHP|Swift)\b/gi,
-            /\b(?:React|Angular|Vue|Node\.js|Django|Flask|Spring|Express)\b/gi,
-            /\b(?:AWS|Azure|GCP|Docker|Kubernetes|Jenkins|Git|CI\/CD)\b/gi,
-            /\b(?:SQL|NoSQL|MongoDB|PostgreSQL|MySQL|Redis|Elasticsearch)\b/gi,
-            /\b(?:Machine Learning|AI|Data Science|Deep Learning|NLP)\b/gi
-        ];
-
-        const skills = new Set();
-
-        for (const pattern of skillPatterns) {
-            const matches = text.match(pattern) || [];
-            matches.forEach(match => skills.add(match));
-        }
-
-        return Array.from(skills);
+        return skillTaxonomyService.findMentions(text).map(mention => mention.name);
     }
 
     classifyRequirement(skill, jobDescription) {
@@ -636,35 +638,49 @@ class ResumeJobComparisonService {
         return null;
     }
 
+    // Same skill under any of its taxonomy names ("k8s" and "Kubernetes")
     areSkillsSimilar(skill1, skill2) {
-        // Define skill synonyms and variations
-        const skillSynonyms = {
-            'js': 'javascript',
-            'ts': 'typescript',
-            'nodejs': 'node.js',
-            'react.js': 'react',
-            'vuejs': 'vue.js',
-            'vue': 'vue.js',
-            'angular': 'angularjs',
-            'postgres': 'postgresql',
-            'mongo': 'mongodb',
-            'k8s': 'kubernetes'
-        };
+        return skillTaxonomyService.areSameSkill(skill1, skill2);
+    }
 
-        // Normalize skills
-        const normalized1 = skillSynonyms[skill1] || skill1;
-        const normalized2 = skillSynonyms[skill2] || skill2;
+    /**
+     * Years of experience for a parsed resume
+     * Prefers the total computed from the position list; older records only
+     * have the free-text answer, so fall back to reading a number from it.
+     */
+    getCandidateYears(resumeData) {
+        if (typeof resumeData.totalYearsExperience === 'number' && resumeData.experience?.length > 0) {
+            return resumeData.totalYearsExperience;
+        }
+
+        const experienceText = resumeData.experienceSummary ||
+            (typeof resumeData.experience === 'string' ? resumeData.experience : null);
+        const yearsMatch = experienceText?.match(/(\d+)\s*(?:years?|yrs?)/i);
 
-        return normalized1 === normalized2;
+        return yearsMatch ? parseInt(yearsMatch[1]) : null;
     }
 
     getResumeText(resumeData) {
         // Compile resume data into text for semantic analysis
+        const experience = Array.isArray(resumeData.experience)
+            ? resumeData.experience
+                .map(position => [position.title, position.company, position.description].filter(Boolean).join(' '))
+                .join(' ')
+            : resumeData.experience;
+
+        const education = Array.isArray(resumeData.education)
+            ? resumeData.education
+                .map(entry => [entry.degree, entry.field, entry.institution].filter(Boolean).join(' '))
+                .join(' ')
+            : resumeData.education;
+
         const sections = [
             resumeData.name,
-            resumeData.experience,
+            resumeData.experienceSummary,
+            experience,
             resumeData.skills?.join(', '),
-            resumeData.education
+            education,
+            resumeData.certifications?.map(certification => certification.name).join(', ')
         ].filter(Boolean);
 
         return sections.join(' ');
@@ -0,0 +1,405 @@
+// Resume Override Service
+// File: src/services/resumeOverrideService.js
+//
+// User corrections to parsed resume data. The parser's output and the
+// user's corrections are kept apart: resume_field_overrides holds the
+// corrected value of each field next to what the parser produced, and
+// parsed_data is always the parser output with the overrides applied.
+// Overrides are re-applied after every parse, so a correction survives a
+// reparse until the user resets it. Every change is recorded in
+// resume_field_revisions.
+
+const { query, transaction } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+const MAX_TEXT_LENGTH = 5000;
+const MAX_LIST_LENGTH = 200;
+
+// Fields users may correct, and the shape each value must have
+const EDITABLE_FIELDS = {
+    name: 'text',
+    email: 'email',
+    phone: 'text',
+    location: 'text',
+    summary: 'text',
+    currentJob: 'text',
+    highestEducation: 'text',
+    experienceSummary: 'text',
+    skills: 'textList',
+    experience: 'objectList',
+    education: 'objectList',
+    certifications: 'objectList'
+};
+
+function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+class ResumeOverrideService {
+    getEditableFields() {
+        return Object.keys(EDITABLE_FIELDS);
+    }
+
+    /**
+     * Validate and normalize a set of field corrections
+     * A null value records that the field should be empty.
+     *
+     * @param {Object} changes - field -> corrected value
+     * @returns {Object} field -> normalized value
+     * @throws {AppError} 400 for unknown fields or invalid values
+     */
+    validateChanges(changes) {
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            throw new AppError('Request body must be an object of field values', 400);
+        }
+
+        const fields = Object.keys(changes);
+        if (fields.length === 0) {
+            throw new AppError('No fields to update', 400);
+        }
+
+        const normalized = {};
+        for (const field of fields) {
+            if (!EDITABLE_FIELDS[field]) {
+                throw new AppError(
+                    `Invalid field "${field}". Editable fields: ${this.getEditableFields().join(', ')}`,
+                    400
+                );
+            }
+            normalized[field] = this.normalizeValue(field, changes[field]);
+        }
+
+        return normalized;
+    }
+
+    normalizeValue(field, value) {
+        if (value === null) return null;
+
+        switch (EDITABLE_FIELDS[field]) {
+            case 'text':
+            case 'email': {
+                if (typeof value !== 'string') {
+                    throw new AppError(`Invalid value for ${field}: expected a string`, 400);
+                }
+                const text = value.trim();
+                if (text.length > MAX_TEXT_LENGTH) {
+                    throw new AppError(`Invalid value for ${field}: longer than ${MAX_TEXT_LENGTH} characters`, 400);
+                }
+                if (!text) return null;
+
+                if (EDITABLE_FIELDS[field] === 'email') {
+                    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) {
+                        throw new AppError(`Invalid value for ${field}: not an email address`, 400);
+                    }
+                    return text.toLowerCase();
+                }
+                return text;
+            }
+
+            case 'textList': {
+                if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                    throw new AppError(`Invalid value for ${field}: expected an array of strings`, 400);
+                }
+                // Drop blanks and case-insensitive duplicates, keeping the first spelling
+                const seen = new Set();
+                const items = value
+                    .map(item => item.trim())
+                    .filter(item => {
+                        const key = item.toLowerCase();
+                        if (!item || seen.has(key)) return false;
+                        seen.add(key);
+                        return true;
+                    });
+                if (items.length > MAX_LIST_LENGTH || items.some(item => item.length > 100)) {
+                    throw new AppError(`Invalid value for ${field}: too many or too long entries`, 400);
+                }
+                return items;
+            }
+
+            case 'objectList': {
+                const isPlainObject = item => item && typeof item === 'object' && !Array.isArray(item);
+                if (!Array.isArray(value) || !value.every(isPlainObject)) {
+                    throw new AppError(`Invalid value for ${field}: expected an array of objects`, 400);
+                }
+                if (value.length > MAX_LIST_LENGTH || JSON.stringify(value).length > MAX_TEXT_LENGTH * 10) {
+                    throw new AppError(`Invalid value for ${field}: too large`, 400);
+                }
+                return value;
+            }
+
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Apply overrides to parser output
+     * Null overrides remove the field; overriddenFields lists what the user changed.
+     */
+    mergeOverrides(machineData, overrides) {
+        const merged = { ...machineData };
+        delete merged.overriddenFields;
+
+        for (const { field, value } of overrides) {
+            if (value === null) {
+                delete merged[field];
+            } else {
+                merged[field] = value;
+            }
+        }
+
+        if (overrides.length > 0) {
+            merged.overriddenFields = overrides.map(override => override.field).sort();
+        }
+
+        return merged;
+    }
+
+    /**
+     * The parser output behind parsed data that has overrides applied
+     * The inverse of mergeOverrides, using each override's machine_value.
+     */
+    stripOverrides(parsedData, overrides) {
+        const machineData = { ...parsedData };
+        delete machineData.overriddenFields;
+
+        for (const { field, machine_value: machineValue } of overrides) {
+            if (machineValue === null || machineValue === undefined) {
+                delete machineData[field];
+            } else {
+                machineData[field] = machineValue;
+            }
+        }
+
+        return machineData;
+    }
+
+    async getOverrides(resumeId, client = { query }) {
+        const result = await client.query(
+            `SELECT field, value, machine_value, user_id, created_at, updated_at
+             FROM resume_field_overrides
+             WHERE resume_id = $1
+             ORDER BY field`,
+            [resumeId]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Combine fresh parser output with the resume's overrides
+     * Called whenever a parse stores new data; each override's machine_value
+     * is refreshed so the corrections dataset compares against the latest parse.
+     *
+     * @param {number} resumeId
+     * @param {Object} machineData - Parser output
+     * @returns {Promise<Object>} The data to store as parsed_data
+     */
+    async applyOverrides(resumeId, machineData) {
+        const overrides = await this.getOverrides(resumeId);
+        if (overrides.length === 0) {
+            return machineData;
+        }
+
+        await query(
+            `UPDATE resume_field_overrides o
+             SET machine_value = $2::jsonb -> o.field
+             WHERE o.resume_id = $1`,
+            [resumeId, JSON.stringify(machineData)]
+        );
+
+        console.log(`Applied ${overrides.length} user correction(s) to resume ${resumeId}`);
+        return this.mergeOverrides(machineData, overrides);
+    }
+
+    /**
+     * Lock a user's resume and return its current parsed data
+     * @throws {AppError} 404 if missing, 409 if it has no parsed data to correct
+     */
+    async lockParsedResume(client, resumeId, userId) {
+        const result = await client.query(
+            `SELECT id, parsed_data
+             FROM resumes
+             WHERE id = $1 AND user_id = $2
+             FOR UPDATE`,
+            [resumeId, userId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new AppError('Resume not found', 404);
+        }
+
+        const parsedData = result.rows[0].parsed_data;
+        if (!parsedData || parsedData.error) {
+            throw new AppError('This resume has no parsed data to correct yet', 409);
+        }
+
+        return parsedData;
+    }
+
+    /**
+     * Save user corrections for one or more fields
+     *
+     * @param {number} resumeId
+     * @param {number} userId - Owner of the resume
+     * @param {Object} changes - field -> corrected value (validated here)
+     * @returns {Promise<{parsedData: Object, changedFields: string[]}>}
+     */
+    async setOverrides(resumeId, userId, changes) {
+        const normalized = this.validateChanges(changes);
+
+        return transaction(async (client) => {
+            const parsedData = await this.lockParsedResume(client, resumeId, userId);
+            const existing = new Map(
+                (await this.getOverrides(resumeId, client)).map(override => [override.field, override])
+            );
+
+            const changedFields = [];
+            for (const [field, value] of Object.entries(normalized)) {
+                const previousValue = parsedData[field] ?? null;
+                if (sameValue(previousValue, value)) continue;
+
+                // The parser's value is kept from the first correction onwards
+                const machineValue = existing.has(field) ? existing.get(field).machine_value : previousValue;
+
+                await client.query(
+                    `INSERT INTO resume_field_overrides (resume_id, field, value, machine_value, user_id)
+                     VALUES ($1, $2, $3, $4, $5)
+                     ON CONFLICT (resume_id, field) DO UPDATE
+                     SET value = EXCLUDED.value,
+                         user_id = EXCLUDED.user_id,
+                         updated_at = NOW()`,
+                    [resumeId, field, JSON.stringify(value), JSON.stringify(machineValue), userId]
+                );
+                await client.query(
+                    `INSERT INTO resume_field_revisions (resume_id, field, action, previous_value, new_value, user_id)
+                     VALUES ($1, $2, 'override', $3, $4, $5)`,
+                    [resumeId, field, JSON.stringify(previousValue), JSON.stringify(value), userId]
+                );
+
+                existing.set(field, { field, value });
+                changedFields.push(field);
+            }
+
+            const updated = this.mergeOverrides(parsedData, [...existing.values()]);
+            if (changedFields.length > 0) {
+                await client.query(
+                    'UPDATE resumes SET parsed_data = $1 WHERE id = $2',
+                    [JSON.stringify(updated), resumeId]
+                );
+            }
+
+            return { parsedData: updated, changedFields };
+        });
+    }
+
+    /**
+     * Drop the user's correction for a field and restore the parser's value
+     *
+     * @returns {Promise<{parsedData: Object, field: string}>}
+     * @throws {AppError} 404 if the field has no override
+     */
+    async resetOverride(resumeId, userId, field) {
+        return transaction(async (client) => {
+            const parsedData = await this.lockParsedResume(client, resumeId, userId);
+            const overrides = await this.getOverrides(resumeId, client);
+            const override = overrides.find(candidate => candidate.field === field);
+
+            if (!override) {
+                throw new AppError(`Field "${field}" has no correction to reset`, 404);
+            }
+
+            await client.query(
+                'DELETE FROM resume_field_overrides WHERE resume_id = $1 AND field = $2',
+                [resumeId, field]
+            );
+            await client.query(
+                `INSERT INTO resume_field_revisions (resume_id, field, action, previous_value, new_value, user_id)
+                 VALUES ($1, $2, 'reset', $3, $4, $5)`,
+                [resumeId, field, JSON.stringify(override.value), JSON.stringify(override.machine_value), userId]
+            );
+
+            const machineData = { ...parsedData };
+            if (override.machine_value === null) {
+                delete machineData[field];
+            } else {
+                machineData[field] = override.machine_value;
+            }
+
+            const remaining = overrides.filter(candidate => candidate.field !== field);
+            const updated = this.mergeOverrides(machineData, remaining);
+
+            await client.query(
+                'UPDATE resumes SET parsed_data = $1 WHERE id = $2',
+                [JSON.stringify(updated), resumeId]
+            );
+
+            return { parsedData: updated, field };
+        });
+    }
+
+    /**
+     * Edit history for a resume, newest first
+     */
+    async getRevisions(resumeId, options = {}) {
+        const limit = Math.min(parseInt(options.limit, 10) || 100, 500);
+
+        const result = await query(
+            `SELECT id, field, action, previous_value, new_value, user_id, created_at
+             FROM resume_field_revisions
+             WHERE resume_id = $1
+             ORDER BY created_at DESC, id DESC
+             LIMIT $2`,
+            [resumeId, limit]
+        );
+
+        return result.rows.map(row => ({
+            id: row.id,
+            field: row.field,
+            action: row.action,
+            previousValue: row.previous_value,
+            newValue: row.new_value,
+            userId: row.user_id,
+            createdAt: row.created_at
+        }));
+    }
+
+    /**
+     * Corrected examples for evaluating the parser, one per corrected resume
+     * `expected` holds the user's values and `machine` what the parser produced
+     * for the same fields; `text` is the text the parser read.
+     *
+     * @param {Object} options - {since} only resumes corrected after this date
+     */
+    async exportCorrections(options = {}) {
+        const result = await query(
+            `SELECT r.id AS resume_id,
+                    r.resume_type,
+                    r.mime_type,
+                    r.extracted_text,
+                    r.parsed_data->>'parserProvider' AS parser_provider,
+                    jsonb_object_agg(o.field, o.value) AS expected,
+                    jsonb_object_agg(o.field, o.machine_value) AS machine,
+                    MAX(o.updated_at) AS corrected_at
+             FROM resume_field_overrides o
+             JOIN resumes r ON r.id = o.resume_id
+             WHERE ($1::timestamp IS NULL OR o.updated_at >= $1)
+             GROUP BY r.id
+             ORDER BY corrected_at`,
+            [options.since || null]
+        );
+
+        return result.rows.map(row => ({
+            resumeId: row.resume_id,
+            resumeType: row.resume_type || 'document',
+            mimeType: row.mime_type,
+            parserProvider: row.parser_provider,
+            correctedAt: row.corrected_at,
+            text: row.extracted_text,
+            expected: row.expected,
+            machine: row.machine
+        }));
+    }
+}
+
+module.exports = new ResumeOverrideService();
+module.exports.EDITABLE_FIELDS = EDITABLE_FIELDS;
@@ -7,7 +7,7 @@ class ResumeStatusService {
     constructor() {
         // Define the valid status transitions to ensure state machine integrity
         this.validTransitions = {
-            'uploaded': ['transcribing', 'failed'],
+            'uploaded': ['transcribing', 'parsing', 'failed'], // Documents skip transcription
             'transcribing': ['transcribed', 'failed'],
             'transcribed': ['parsing', 'failed'],
             'parsing': ['parsed', 'failed'],
@@ -15,12 +15,12 @@ class ResumeStatusService {
             'enhancing': ['enhanced', 'failed'],
             'enhanced': ['completed', 'failed'],
             'completed': [], // Terminal state
-            'failed': ['transcribing'] // Allow retry from failed state
+            'failed': ['transcribing', 'parsing'] // Allow retry from failed state
         };
 
         // Define status messages that are user-friendly
         this.statusMessages = {
-            'uploaded': 'Your voice resume has been received and is queued for processing',
+            'uploaded': 'Your resume has been received and is queued for processing',
             'transcribing': 'Converting your audio to text using AI speech recognition',
             'transcribed': 'Audio successfully converted to text',
             'parsing': 'Extracting information from your resume text',
@@ -95,6 +95,27 @@ class ResumeStatusService {
         return this.validTransitions[fromStatus].includes(toStatus);
     }
 
+    /**
+     * Put a resume back at the start of the state machine
+     * Used when processing restarts after an interrupted attempt, where the
+     * resume may be left in any intermediate status. This bypasses the
+     * transition rules but is still recorded in the status history.
+     */
+    async resetStatus(resumeId, metadata = {}) {
+        await query(
+            `UPDATE resumes
+             SET processing_started_at = NULL,
+                 processing_completed_at = NULL
+             WHERE id = $1`,
+            [resumeId]
+        );
+        await query(
+            'SELECT update_resume_status($1, $2, $3)',
+            [resumeId, 'uploaded', JSON.stringify({ ...metadata, reset: true })]
+        );
+        console.log(`Resume ${resumeId} status reset to uploaded`);
+    }
+
     /**
      * Get the current status and processing details for a resume
      * This provides a comprehensive view of the resume's processing journey
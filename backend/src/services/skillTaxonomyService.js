@@ -0,0 +1,509 @@
+// Skill Taxonomy Service
+// File: src/services/skillTaxonomyService.js
+//
+// One list of known skills shared by the parser, the enhancement step and
+// job comparison. Each skill has a canonical name, aliases ("JS",
+// "ReactJS"), a category and related skills. Skills come from a data file
+// (data/skill-taxonomy.json, or a .json/.csv file named by
+// SKILL_TAXONOMY_FILE) and from the skill_taxonomy table, where admins add
+// their own through /api/v1/admin/skills.
+//
+// Lookups are synchronous against the loaded taxonomy; async callers run
+// ensureLoaded() first to pick up database additions. If the table can't
+// be read, the file's skills are used on their own.
+
+const fs = require('fs');
+const path = require('path');
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+const DEFAULT_TAXONOMY_FILE = path.join(__dirname, '../../data/skill-taxonomy.json');
+const MAX_NAME_LENGTH = 100;
+const MAX_LIST_LENGTH = 50;
+
+// "React.JS " -> "react.js"
+function normalizeSkill(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Looser key for spelling variants: "Node JS", "node-js" and "nodejs"
+function compactSkill(text) {
+    return normalizeSkill(text).replace(/[\s.\-_]/g, '');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Mentions must be delimited by characters that can't be part of a skill
+// name, so "C" isn't found in "C++" nor "Java" in "JavaScript"
+function buildMentionPattern(terms, flags) {
+    if (terms.length === 0) return null;
+
+    const alternatives = [...terms]
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp);
+    return new RegExp(`(?<![\\w+#.])(?:${alternatives.join('|')})(?![\\w+#])`, flags);
+}
+
+function unique(items) {
+    const seen = new Set();
+    return items.filter(item => {
+        const key = normalizeSkill(item);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Validate one skill definition (file row, table row or admin input)
+ *
+ * @returns {{name, aliases, category, related, matchCase}}
+ * @throws {AppError} 400 describing the first problem
+ */
+function validateEntry(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new AppError('Each skill must be an object', 400);
+    }
+
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        throw new AppError(`Skill name must be 1-${MAX_NAME_LENGTH} characters`, 400);
+    }
+
+    const list = (field) => {
+        const value = input[field] ?? [];
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+            throw new AppError(`${field} of "${name}" must be an array of strings`, 400);
+        }
+        const items = unique(value.map(item => item.trim()).filter(Boolean));
+        if (items.length > MAX_LIST_LENGTH || items.some(item => item.length > MAX_NAME_LENGTH)) {
+            throw new AppError(`${field} of "${name}" has too many or too long entries`, 400);
+        }
+        return items;
+    };
+
+    const aliases = list('aliases').filter(alias => normalizeSkill(alias) !== normalizeSkill(name));
+    const related = list('related').filter(skill => normalizeSkill(skill) !== normalizeSkill(name));
+    const matchCase = list('matchCase');
+
+    if (matchCase.some(term => term !== name && !aliases.includes(term))) {
+        throw new AppError(`matchCase of "${name}" may only list its name or aliases`, 400);
+    }
+
+    let category = null;
+    if (input.category !== undefined && input.category !== null && input.category !== '') {
+        if (typeof input.category !== 'string' || input.category.trim().length > MAX_NAME_LENGTH) {
+            throw new AppError(`category of "${name}" must be a string`, 400);
+        }
+        category = input.category.trim();
+    }
+
+    return { name, aliases, category, related, matchCase };
+}
+
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+
+    return fields;
+}
+
+/**
+ * Skill definitions from CSV
+ * Columns: name, aliases, category, related, matchCase; lists are separated
+ * by "|", e.g. `Node.js,"Node|NodeJS",Backend Development,Express.js,Node`
+ */
+function parseTaxonomyCsv(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+    const header = parseCsvLine(lines.shift() || '');
+    if (!header.includes('name')) {
+        throw new Error('the CSV header must include a name column');
+    }
+
+    const toList = value => (value ? value.split('|') : []);
+
+    return lines.map(line => {
+        const fields = parseCsvLine(line);
+        const row = Object.fromEntries(header.map((column, index) => [column, fields[index] || '']));
+        return {
+            name: row.name,
+            aliases: toList(row.aliases),
+            category: row.category,
+            related: toList(row.related),
+            matchCase: toList(row.matchCase)
+        };
+    });
+}
+
+class SkillTaxonomyService {
+    constructor() {
+        this.dataFile = process.env.SKILL_TAXONOMY_FILE || DEFAULT_TAXONOMY_FILE;
+        this.databaseEnabled = process.env.SKILL_TAXONOMY_DB_ENABLED !== 'false';
+        this.refreshIntervalMs = parseInt(process.env.SKILL_TAXONOMY_REFRESH_MS, 10) || 5 * 60 * 1000;
+
+        this.fileEntries = this.loadFile(this.dataFile);
+        this.databaseEntries = [];
+        this.databaseLoadedAt = 0;
+        this.loading = null;
+        this.warnedAboutError = false;
+
+        this.buildIndex();
+    }
+
+    /**
+     * Read skill definitions from a .json ({"skills": [...]}) or .csv file
+     * A broken taxonomy file is a configuration error, so this throws.
+     */
+    loadFile(filePath) {
+        try {
+            const content = fs.readFileSync(filePath, 'utf8');
+            const entries = path.extname(filePath).toLowerCase() === '.csv'
+                ? parseTaxonomyCsv(content)
+                : JSON.parse(content).skills;
+
+            if (!Array.isArray(entries)) {
+                throw new Error('expected {"skills": [...]}');
+            }
+            return entries.map(entry => ({ ...validateEntry(entry), origin: 'file' }));
+        } catch (error) {
+            throw new Error(`Could not load the skill taxonomy from ${filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Pick up skills added to the skill_taxonomy table
+     * Reloads at most every SKILL_TAXONOMY_REFRESH_MS; concurrent callers
+     * share one query.
+     */
+    async ensureLoaded() {
+        if (!this.databaseEnabled || Date.now() - this.databaseLoadedAt < this.refreshIntervalMs) {
+            return;
+        }
+
+        if (!this.loading) {
+            this.loading = this.loadDatabaseEntries().finally(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    }
+
+    async loadDatabaseEntries() {
+        try {
+            const result = await query(
+                `SELECT name, aliases, category, related, match_case
+                 FROM skill_taxonomy
+                 ORDER BY id`
+            );
+
+            this.databaseEntries = result.rows.map(row => ({
+                name: row.name,
+                aliases: row.aliases,
+                category: row.category,
+                related: row.related,
+                matchCase: row.match_case,
+                origin: 'database'
+            }));
+            this.buildIndex();
+        } catch (error) {
+            if (!this.warnedAboutError) {
+                console.warn(`⚠️  Using the skill taxonomy file only; could not read skill_taxonomy: ${error.message}`);
+                this.warnedAboutError = true;
+            }
+        }
+
+        // A failing database is retried on the next interval, not every call
+        this.databaseLoadedAt = Date.now();
+    }
+
+    // Reload database skills on the next ensureLoaded()
+    invalidate() {
+        this.databaseLoadedAt = 0;
+    }
+
+    /**
+     * Merge file and database skills and index every name and alias
+     * A database skill with the same name as a file skill extends it.
+     */
+    buildIndex() {
+        const skills = new Map();
+
+        for (const entry of [...this.fileEntries, ...this.databaseEntries]) {
+            const key = normalizeSkill(entry.name);
+            const existing = skills.get(key);
+
+            if (existing) {
+                existing.aliases = unique([...existing.aliases, ...entry.aliases]);
+                existing.related = unique([...existing.related, ...entry.related]);
+                existing.matchCase = [...new Set([...existing.matchCase, ...entry.matchCase])];
+                existing.category = entry.category || existing.category;
+                if (entry.origin === 'database') existing.source = 'extended';
+            } else {
+                skills.set(key, {
+                    name: entry.name,
+                    aliases: [...entry.aliases],
+                    category: entry.category || null,
+                    related: [...entry.related],
+                    matchCase: [...entry.matchCase],
+                    source: entry.origin === 'database' ? 'custom' : 'built-in'
+                });
+            }
+        }
+
+        // The first skill to claim a term keeps it
+        const terms = new Map();
+        const compactTerms = new Map();
+        const anyCaseTerms = [];
+        const exactCaseTerms = [];
+
+        for (const skill of skills.values()) {
+            for (const term of [skill.name, ...skill.aliases]) {
+                const key = normalizeSkill(term);
+                if (terms.has(key)) continue;
+
+                terms.set(key, skill);
+                if (!compactTerms.has(compactSkill(term))) {
+                    compactTerms.set(compactSkill(term), skill);
+                }
+                (skill.matchCase.includes(term) ? exactCaseTerms : anyCaseTerms).push(term);
+            }
+        }
+
+        this.skills = skills;
+        this.terms = terms;
+        this.compactTerms = compactTerms;
+        this.mentionPatterns = [
+            buildMentionPattern(anyCaseTerms, 'gi'),
+            buildMentionPattern(exactCaseTerms, 'g')
+        ].filter(Boolean);
+    }
+
+    /**
+     * The taxonomy entry for a skill name or alias, or null if unknown
+     */
+    lookup(skill) {
+        const key = normalizeSkill(skill);
+        if (!key) return null;
+
+        return this.terms.get(key) || this.compactTerms.get(compactSkill(skill)) || null;
+    }
+
+    /**
+     * Canonical spelling of a skill; unknown skills come back trimmed
+     */
+    canonicalize(skill) {
+        const entry = this.lookup(skill);
+        return entry ? entry.name : String(skill || '').trim();
+    }
+
+    /**
+     * Canonical names for a list of skills, without duplicates
+     */
+    canonicalizeList(skills) {
+        return unique(skills.map(skill => this.canonicalize(skill)).filter(Boolean));
+    }
+
+    areSameSkill(a, b) {
+        return normalizeSkill(this.canonicalize(a)) === normalizeSkill(this.canonicalize(b));
+    }
+
+    getCategory(skill) {
+        const entry = this.lookup(skill);
+        return entry ? entry.category : null;
+    }
+
+    /**
+     * Skills related to the given ones that they don't already include
+     */
+    getRelatedSkills(skills) {
+        const known = new Set(skills.map(skill => normalizeSkill(this.canonicalize(skill))));
+        const related = [];
+
+        for (const skill of skills) {
+            const entry = this.lookup(skill);
+            if (!entry) continue;
+
+            for (const name of entry.related) {
+                const canonical = this.canonicalize(name);
+                if (!known.has(normalizeSkill(canonical))) {
+                    known.add(normalizeSkill(canonical));
+                    related.push(canonical);
+                }
+            }
+        }
+
+        return related;
+    }
+
+    /**
+     * Known skills mentioned in free text, in order of first mention
+     * Overlapping mentions keep the earliest, longest one ("GitLab CI" over "CI").
+     *
+     * @returns {Array<{name, text, start, end}>} Canonical name, the text as
+     *   written and its offsets
+     */
+    findMentions(text) {
+        if (!text) return [];
+
+        const matches = [];
+        for (const pattern of this.mentionPatterns) {
+            for (const match of text.matchAll(pattern)) {
+                const entry = this.lookup(match[0]);
+                if (entry) {
+                    matches.push({
+                        name: entry.name,
+                        text: match[0],
+                        start: match.index,
+                        end: match.index + match[0].length
+                    });
+                }
+            }
+        }
+        matches.sort((a, b) => a.start - b.start || b.end - a.end);
+
+        const mentions = [];
+        const seen = new Set();
+        let lastEnd = -1;
+        for (const match of matches) {
+            if (match.start < lastEnd) continue;
+            lastEnd = match.end;
+
+            if (!seen.has(match.name)) {
+                seen.add(match.name);
+                mentions.push(match);
+            }
+        }
+
+        return mentions;
+    }
+
+    /**
+     * @throws {AppError} 400 if the skill definition is invalid
+     */
+    validateSkill(input) {
+        return validateEntry(input);
+    }
+
+    describe(skill) {
+        return {
+            name: skill.name,
+            aliases: skill.aliases,
+            category: skill.category,
+            related: skill.related,
+            matchCase: skill.matchCase,
+            source: skill.source
+        };
+    }
+
+    /**
+     * Every known skill, by name
+     *
+     * @param {Object} options - {search} in names and aliases, {category}
+     */
+    listSkills(options = {}) {
+        const search = normalizeSkill(options.search);
+        const category = normalizeSkill(options.category);
+
+        return [...this.skills.values()]
+            .filter(skill => !category || normalizeSkill(skill.category) === category)
+            .filter(skill => !search ||
+                [skill.name, ...skill.aliases].some(term => normalizeSkill(term).includes(search)))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(skill => this.describe(skill));
+    }
+
+    /**
+     * Add a skill, or extend an existing one with more aliases and related
+     * skills (and a new category, if given)
+     *
+     * @param {Object} input - {name, aliases?, category?, related?, matchCase?}
+     * @param {number} userId - The admin making the change
+     * @returns {Promise<Object>} The skill as it now stands
+     * @throws {AppError} 400 for invalid input, 409 if a name or alias
+     *   already belongs to a different skill
+     */
+    async upsertSkill(input, userId) {
+        const entry = validateEntry(input);
+        await this.ensureLoaded();
+
+        const key = normalizeSkill(entry.name);
+        for (const term of [entry.name, ...entry.aliases]) {
+            const owner = this.terms.get(normalizeSkill(term));
+            if (owner && normalizeSkill(owner.name) !== key) {
+                throw new AppError(`"${term}" already refers to ${owner.name}`, 409);
+            }
+        }
+
+        await query(
+            `INSERT INTO skill_taxonomy (name, normalized_name, aliases, category, related, match_case, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             ON CONFLICT (normalized_name) DO UPDATE
+             SET aliases = ARRAY(SELECT DISTINCT unnest(skill_taxonomy.aliases || EXCLUDED.aliases)),
+                 related = ARRAY(SELECT DISTINCT unnest(skill_taxonomy.related || EXCLUDED.related)),
+                 match_case = ARRAY(SELECT DISTINCT unnest(skill_taxonomy.match_case || EXCLUDED.match_case)),
+                 category = COALESCE(EXCLUDED.category, skill_taxonomy.category),
+                 updated_at = NOW()`,
+            [entry.name, key, entry.aliases, entry.category, entry.related, entry.matchCase, userId || null]
+        );
+
+        this.invalidate();
+        await this.ensureLoaded();
+
+        const skill = this.lookup(entry.name);
+        return skill ? this.describe(skill) : { ...entry, source: 'custom' };
+    }
+
+    /**
+     * Remove a skill an admin added (or their additions to a built-in one)
+     *
+     * @throws {AppError} 404 if there is no such skill, 409 for built-in skills
+     */
+    async removeSkill(name) {
+        await this.ensureLoaded();
+        const skill = this.lookup(name);
+
+        const result = await query(
+            'DELETE FROM skill_taxonomy WHERE normalized_name = $1 RETURNING name',
+            [normalizeSkill(skill ? skill.name : name)]
+        );
+
+        if (result.rows.length === 0) {
+            if (skill) {
+                throw new AppError(`${skill.name} is a built-in skill; change it in the taxonomy data file`, 409);
+            }
+            throw new AppError('Skill not found', 404);
+        }
+
+        this.invalidate();
+        await this.ensureLoaded();
+        return { name: result.rows[0].name };
+    }
+}
+
+module.exports = new SkillTaxonomyService();
+module.exports.normalizeSkill = normalizeSkill;
@@ -0,0 +1,180 @@
+// Stuck Resume Sweeper
+// File: src/services/stuckResumeSweeper.js
+//
+// Finds resumes whose processing stopped moving: a non-terminal
+// processing_status that has not changed for longer than a threshold, with
+// no queued or running job behind it. Each one is marked failed with an
+// explanation, and optionally queued for another attempt.
+//
+// The worker runs a sweep periodically; admins can run one on demand
+// through POST /api/v1/admin/resumes/sweep.
+
+const { query, transaction } = require('../config/database');
+const jobQueueService = require('./jobQueueService');
+
+const NON_TERMINAL_STATUSES = [
+    'uploaded', 'transcribing', 'transcribed', 'parsing', 'parsed', 'enhancing', 'enhanced'
+];
+
+// $1 = statuses to check, $2 = threshold in minutes
+function buildStuckResumesQuery(lockClause = '') {
+    return `
+        SELECT r.id, r.user_id, r.resume_type, r.processing_status, r.file_path, r.mime_type, r.language_hint,
+               COALESCE(r.last_status_update, r.processing_started_at, r.uploaded_at) AS stuck_since
+        FROM resumes r
+        WHERE r.processing_status::text = ANY($1)
+          AND COALESCE(r.last_status_update, r.processing_started_at, r.uploaded_at)
+              < NOW() - ($2 * INTERVAL '1 minute')
+          -- Documents parsed before they had a status lifecycle stayed 'uploaded'
+          AND NOT (r.processing_status = 'uploaded' AND r.parsed_at IS NOT NULL)
+          AND NOT EXISTS (
+              SELECT 1 FROM processing_jobs j
+              WHERE j.resume_id = r.id AND j.status IN ('queued', 'running')
+          )
+        ORDER BY stuck_since
+        ${lockClause}
+    `;
+}
+
+class StuckResumeSweeper {
+    constructor() {
+        this.thresholdMinutes = parseInt(process.env.STUCK_RESUME_THRESHOLD_MINUTES, 10) || 30;
+        this.requeue = process.env.STUCK_RESUME_REQUEUE === 'true';
+        this.intervalMs = parseInt(process.env.STUCK_RESUME_SWEEP_INTERVAL_MS, 10) || 5 * 60 * 1000;
+        this.timer = null;
+    }
+
+    /**
+     * Find stuck resumes without changing anything
+     *
+     * @param {Object} options - {thresholdMinutes}
+     * @returns {Promise<Array>} Stuck resumes, longest-stuck first
+     */
+    async findStuck(options = {}) {
+        const thresholdMinutes = options.thresholdMinutes || this.thresholdMinutes;
+
+        const result = await query(buildStuckResumesQuery(), [NON_TERMINAL_STATUSES, thresholdMinutes]);
+
+        return result.rows;
+    }
+
+    /**
+     * Mark stuck resumes as failed, and optionally queue them again
+     *
+     * Rows are locked while they are marked, so concurrent sweeps (several
+     * workers, or an admin request) never handle the same resume twice.
+     *
+     * @param {Object} options - {thresholdMinutes, requeue, dryRun}
+     * @returns {Promise<Object>} Summary with one entry per swept resume
+     */
+    async sweep(options = {}) {
+        const thresholdMinutes = options.thresholdMinutes || this.thresholdMinutes;
+        const requeue = options.requeue ?? this.requeue;
+
+        if (options.dryRun) {
+            const stuck = await this.findStuck({ thresholdMinutes });
+            return {
+                thresholdMinutes,
+                dryRun: true,
+                swept: stuck.map(resume => this.describe(resume))
+            };
+        }
+
+        const swept = await transaction(async (client) => {
+            const candidates = await client.query(
+                buildStuckResumesQuery('FOR UPDATE OF r SKIP LOCKED'),
+                [NON_TERMINAL_STATUSES, thresholdMinutes]
+            );
+
+            const marked = [];
+            for (const resume of candidates.rows) {
+                const entry = this.describe(resume);
+                const errorMessage = `Processing stopped while ${resume.processing_status} ` +
+                    `and made no progress for ${entry.stuckForMinutes} minutes`;
+
+                // The status history records why the resume failed
+                await client.query(
+                    'SELECT update_resume_status($1, $2, $3)',
+                    [resume.id, 'failed', JSON.stringify({
+                        error: errorMessage,
+                        failedAtStage: resume.processing_status,
+                        sweptAt: new Date().toISOString(),
+                        stuckForMinutes: entry.stuckForMinutes,
+                        canRetry: true
+                    })]
+                );
+                await client.query(
+                    'UPDATE resumes SET error_message = $1 WHERE id = $2',
+                    [errorMessage, resume.id]
+                );
+
+                marked.push({ ...entry, resume, errorMessage });
+            }
+
+            return marked;
+        });
+
+        const results = [];
+        for (const { resume, ...entry } of swept) {
+            if (requeue) {
+                try {
+                    const job = await jobQueueService.enqueueResume(resume);
+                    entry.requeued = true;
+                    entry.jobId = job.id;
+                } catch (error) {
+                    console.error(`Failed to requeue stuck resume ${resume.id}:`, error.message);
+                    entry.requeued = false;
+                    entry.requeueError = error.message;
+                }
+            } else {
+                entry.requeued = false;
+            }
+            results.push(entry);
+        }
+
+        if (results.length > 0) {
+            console.log(`🧹 Swept ${results.length} stuck resume(s)${requeue ? ' and requeued them' : ''}`);
+        }
+
+        return { thresholdMinutes, dryRun: false, swept: results };
+    }
+
+    describe(resume) {
+        return {
+            resumeId: resume.id,
+            userId: resume.user_id,
+            resumeType: resume.resume_type || 'document',
+            stuckStatus: resume.processing_status,
+            stuckSince: resume.stuck_since,
+            stuckForMinutes: Math.round((Date.now() - new Date(resume.stuck_since).getTime()) / 60000)
+        };
+    }
+
+    /**
+     * Sweep now and then on an interval (used by the worker process)
+     */
+    start() {
+        if (this.timer) return;
+
+        console.log(`🧹 Stuck resume sweeper running every ${Math.round(this.intervalMs / 1000)}s ` +
+            `(threshold ${this.thresholdMinutes} minutes, requeue ${this.requeue ? 'on' : 'off'})`);
+
+        const runSweep = () => {
+            this.sweep().catch(error => {
+                console.error('❌ Stuck resume sweep failed:', error.message);
+            });
+        };
+
+        this.timer = setInterval(runSweep, this.intervalMs);
+        runSweep();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = new StuckResumeSweeper();
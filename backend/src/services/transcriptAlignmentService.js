@@ -0,0 +1,204 @@
+// Transcript Alignment Service
+// File: src/services/transcriptAlignmentService.js
+//
+// Links the fields parsed from a voice resume back to where they were said.
+// The parser works on text, so each field's value (or the snippet it was
+// read from, per fieldProvenance) is looked up in the timestamped transcript
+// segments and turned into time spans the voice resume page can play.
+
+const skillTaxonomyService = require('./skillTaxonomyService');
+
+// Single-value fields worth pointing at in the recording
+const SCALAR_FIELDS = ['name', 'email', 'phone', 'currentJob', 'highestEducation', 'experienceSummary'];
+
+// Most mentions are in the first few places a phrase comes up
+const MAX_SPANS = 3;
+
+// Between two parts of a phrase: punctuation or spaces
+const SEPARATOR = '[^\\p{L}\\p{N}]+';
+// In an email address, also the words people say for the symbols
+// ("john dot smith at gmail dot com")
+const SPOKEN_SEPARATOR = '(?:[^\\p{L}\\p{N}]*\\s(?:dot|at|underscore|dash|hyphen)\\s[^\\p{L}\\p{N}]*|[^\\p{L}\\p{N}]+)';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class TranscriptAlignmentService {
+    /**
+     * Find the evidence for a parse in its transcript
+     *
+     * @param {Object} parsedData - Parser output (before user overrides)
+     * @param {Array<Object>} segments - Transcript segments {id, start, end, text, words?}
+     * @returns {Object|null} {fields, skills, experience, education, certifications}
+     *   where each value is a list of spans {segmentId, start, end, text}
+     *   (seconds into the recording, or into the interview answer named by
+     *   clip; experience, education and certifications
+     *   are lists in the same order as the parsed entries), or null when
+     *   the transcript has no timestamps
+     */
+    align(parsedData, segments) {
+        if (!parsedData || !Array.isArray(segments) || segments.length === 0) {
+            return null;
+        }
+
+        const index = this.buildIndex(segments);
+        const provenance = parsedData.fieldProvenance || {};
+
+        const fields = {};
+        for (const field of SCALAR_FIELDS) {
+            if (typeof parsedData[field] !== 'string' || !parsedData[field]) continue;
+
+            // The snippet the value was read from is closer to what was said
+            const phrases = [provenance[field]?.text, parsedData[field]].filter(Boolean);
+            const spans = this.findFirst(index, phrases, { spoken: field === 'email' });
+            if (spans.length > 0) fields[field] = spans;
+        }
+
+        return {
+            fields,
+            skills: this.alignSkills(index, parsedData.skills),
+            experience: this.alignEntries(index, parsedData.experience, ['title', 'company']),
+            education: this.alignEntries(index, parsedData.education, ['degree', 'institution']),
+            certifications: this.alignEntries(index, parsedData.certifications, ['name'])
+        };
+    }
+
+    /**
+     * Join the segments' text, remembering where each one starts
+     */
+    buildIndex(segments) {
+        let text = '';
+        const ranges = [];
+
+        for (const segment of segments) {
+            if (text) text += ' ';
+            const start = text.length;
+            text += segment.text;
+            ranges.push({ segment, start, end: text.length, words: this.locateWords(segment) });
+        }
+
+        return { text, ranges };
+    }
+
+    /**
+     * Character offsets of a segment's words within its text
+     * Word timings are optional; words that can't be found are skipped.
+     */
+    locateWords(segment) {
+        if (!Array.isArray(segment.words) || segment.words.length === 0) return [];
+
+        const lower = segment.text.toLowerCase();
+        const located = [];
+        let cursor = 0;
+        for (const word of segment.words) {
+            const position = lower.indexOf(word.word.toLowerCase(), cursor);
+            if (position === -1) continue;
+            located.push({ ...word, charStart: position, charEnd: position + word.word.length });
+            cursor = position + word.word.length;
+        }
+        return located;
+    }
+
+    /**
+     * Spans for the first phrase that can be found in the transcript
+     */
+    findFirst(index, phrases, options = {}) {
+        for (const phrase of phrases) {
+            const spans = this.locate(index, phrase, options);
+            if (spans.length > 0) return spans;
+        }
+        return [];
+    }
+
+    /**
+     * Where a phrase is said, ignoring case, punctuation and spacing
+     *
+     * @param {Object} index - From buildIndex()
+     * @param {string} phrase
+     * @param {Object} options - {spoken}: symbols may be said as words
+     * @returns {Array<{segmentId: number, start: number, end: number, text: string}>}
+     */
+    locate(index, phrase, options = {}) {
+        const tokens = String(phrase || '').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        // A single letter would match all over the transcript
+        if (tokens.join('').length < 2) return [];
+
+        const pattern = new RegExp(
+            `(?<![\\p{L}\\p{N}])${tokens.map(escapeRegExp).join(options.spoken ? SPOKEN_SEPARATOR : SEPARATOR)}(?![\\p{L}\\p{N}])`,
+            'giu'
+        );
+
+        const spans = [];
+        for (const match of index.text.matchAll(pattern)) {
+            spans.push(this.toSpan(index, match.index, match.index + match[0].length));
+            if (spans.length >= MAX_SPANS) break;
+        }
+        return spans;
+    }
+
+    /**
+     * Time span for a range of the joined transcript text
+     * Word timings narrow it down when the provider returned them;
+     * otherwise it covers the whole segments the range falls in.
+     */
+    toSpan(index, charStart, charEnd) {
+        const covered = index.ranges.filter(range => range.start < charEnd && range.end > charStart);
+        const first = covered[0];
+        const last = covered[covered.length - 1];
+
+        const overlaps = (range, word) => range.start + word.charStart < charEnd && range.start + word.charEnd > charStart;
+        const firstWord = first.words.find(word => overlaps(first, word));
+        const lastWord = [...last.words].reverse().find(word => overlaps(last, word));
+
+        return {
+            segmentId: first.segment.id,
+            // Interview answers are separate recordings, timed from their own start
+            ...(first.segment.clip && { clip: first.segment.clip }),
+            start: firstWord ? firstWord.start : first.segment.start,
+            end: lastWord ? lastWord.end : last.segment.end,
+            text: index.text.slice(charStart, charEnd)
+        };
+    }
+
+    /**
+     * Where each skill is first mentioned
+     * Skills the taxonomy knows are found by any of their aliases ("JS" for
+     * JavaScript); others by their name.
+     */
+    alignSkills(index, skills) {
+        if (!Array.isArray(skills) || skills.length === 0) return {};
+
+        const mentions = new Map(
+            skillTaxonomyService.findMentions(index.text).map(mention => [mention.name, mention])
+        );
+
+        const evidence = {};
+        for (const skill of skills) {
+            if (typeof skill !== 'string') continue;
+
+            const entry = skillTaxonomyService.lookup(skill);
+            const mention = entry && mentions.get(entry.name);
+            const spans = mention
+                ? [this.toSpan(index, mention.start, mention.end)]
+                : entry ? [] : this.locate(index, skill);
+
+            if (spans.length > 0) evidence[skill] = spans;
+        }
+        return evidence;
+    }
+
+    /**
+     * Spans for each entry of a list field, from the first of its keys
+     * that can be found (e.g. an experience entry's title, then company)
+     */
+    alignEntries(index, entries, keys) {
+        if (!Array.isArray(entries)) return [];
+
+        return entries.map(entry => this.findFirst(
+            index,
+            keys.map(key => entry && entry[key]).filter(value => typeof value === 'string' && value)
+        ));
+    }
+}
+
+// Export a singleton instance
+module.exports = new TranscriptAlignmentService();
@@ -0,0 +1,294 @@
+// Voice Interview Service
+// File: src/services/voiceInterviewService.js
+//
+// Guided voice resumes: instead of one free-form recording whose sections
+// are guessed from keywords, the candidate answers a script of prompts
+// (intro, current role, past roles, education, skills, goals) with one clip
+// each. Every clip is transcribed on its own, and because we know which
+// prompt it answers, its transcript goes under that section's heading in
+// the text the parser reads.
+//
+// The script comes from data/interview-script.json, or the .json file named
+// by INTERVIEW_SCRIPT_FILE. Prompts are written per language ("en" is
+// required and used when the candidate's language is missing).
+
+const fs = require('fs');
+const path = require('path');
+const { AppError } = require('../middleware/errorHandler');
+const voiceTranscriptionService = require('./ai/voiceTranscriptionService');
+const languageDetector = require('./parsing/languageDetector');
+const { normalizeLanguage } = require('./parsing/locales');
+const { resolveStoredFilePath } = require('../utils/storagePaths');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+const DEFAULT_SCRIPT_FILE = path.join(__dirname, '../../data/interview-script.json');
+
+// Sections a prompt can answer, and the heading its transcript is filed
+// under for the parser (English headings are recognized in every language)
+const SECTIONS = {
+    introduction: 'PERSONAL INFORMATION',
+    goals: 'SUMMARY',
+    currentRole: 'EXPERIENCE',
+    experience: 'EXPERIENCE',
+    education: 'EDUCATION',
+    skills: 'SKILLS'
+};
+
+// Order of the headings in the parser's text; the current role comes first
+// under EXPERIENCE, as the most recent position does on a written resume
+const SECTION_ORDER = ['introduction', 'goals', 'currentRole', 'experience', 'education', 'skills'];
+
+const PROMPT_ID_PATTERN = /^[a-z0-9_-]{1,50}$/i;
+
+class VoiceInterviewService {
+    constructor() {
+        this.scriptFile = process.env.INTERVIEW_SCRIPT_FILE || DEFAULT_SCRIPT_FILE;
+        this.script = this.loadScript(this.scriptFile);
+    }
+
+    /**
+     * Read and check the interview script
+     * A broken script is a configuration error, so this throws.
+     */
+    loadScript(filePath) {
+        try {
+            const script = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            if (!Array.isArray(script.prompts) || script.prompts.length === 0) {
+                throw new Error('expected {"version": ..., "prompts": [...]}');
+            }
+
+            const ids = new Set();
+            const prompts = script.prompts.map((prompt, index) => {
+                if (!PROMPT_ID_PATTERN.test(prompt.id || '') || ids.has(prompt.id)) {
+                    throw new Error(`prompt ${index + 1} needs a unique id (letters, digits, "_" or "-")`);
+                }
+                if (!SECTIONS[prompt.section]) {
+                    throw new Error(`prompt "${prompt.id}" has unknown section "${prompt.section}" (one of ${Object.keys(SECTIONS).join(', ')})`);
+                }
+                const text = typeof prompt.text === 'string' ? { en: prompt.text } : prompt.text;
+                if (!text || typeof text.en !== 'string' || !text.en.trim()) {
+                    throw new Error(`prompt "${prompt.id}" needs English text`);
+                }
+                ids.add(prompt.id);
+
+                return {
+                    id: prompt.id,
+                    section: prompt.section,
+                    required: prompt.required !== false,
+                    maxSeconds: Number.isFinite(prompt.maxSeconds) ? prompt.maxSeconds : null,
+                    text
+                };
+            });
+
+            return { version: script.version || 1, prompts };
+        } catch (error) {
+            throw new Error(`Could not load the interview script from ${filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * The script as the recorder shows it, in one language
+     *
+     * @param {string} [language] - Language hint; English when unsupported
+     * @returns {{version: number, language: string, prompts: Array<Object>}}
+     */
+    getScript(language) {
+        const code = normalizeLanguage(language) || 'en';
+
+        return {
+            version: this.script.version,
+            language: code,
+            prompts: this.script.prompts.map(prompt => ({
+                id: prompt.id,
+                section: prompt.section,
+                required: prompt.required,
+                maxSeconds: prompt.maxSeconds,
+                text: prompt.text[code] || prompt.text.en
+            }))
+        };
+    }
+
+    getPrompt(promptId) {
+        return this.script.prompts.find(prompt => prompt.id === promptId) || null;
+    }
+
+    /**
+     * Pair uploaded clips with the prompts they answer, in script order
+     *
+     * @param {string|string[]} promptIds - One per clip, in upload order; a
+     *   JSON array or repeated form fields
+     * @param {Array<Object>} files - The uploaded clips
+     * @returns {Array<{prompt: Object, file: Object}>}
+     * @throws {AppError} 400 if a prompt is unknown, answered twice, or a
+     *   required prompt is missing
+     */
+    matchAnswers(promptIds, files) {
+        let ids = promptIds;
+        if (typeof ids === 'string') {
+            try {
+                ids = ids.trim().startsWith('[') ? JSON.parse(ids) : [ids];
+            } catch (error) {
+                throw new AppError('promptIds must be a JSON array of prompt ids', 400);
+            }
+        }
+
+        if (!Array.isArray(files) || files.length === 0) {
+            throw new AppError('No answers uploaded', 400);
+        }
+        if (!Array.isArray(ids) || ids.length !== files.length) {
+            throw new AppError('promptIds must name the prompt of every uploaded clip, in order', 400);
+        }
+
+        const answers = new Map();
+        ids.forEach((id, index) => {
+            const prompt = this.getPrompt(id);
+            if (!prompt) {
+                throw new AppError(`Unknown prompt "${id}"`, 400);
+            }
+            if (answers.has(id)) {
+                throw new AppError(`Prompt "${id}" was answered more than once`, 400);
+            }
+            answers.set(id, { prompt, file: files[index] });
+        });
+
+        const missing = this.script.prompts.filter(prompt => prompt.required && !answers.has(prompt.id));
+        if (missing.length > 0) {
+            throw new AppError(`Missing answers to required prompts: ${missing.map(prompt => prompt.id).join(', ')}`, 400);
+        }
+
+        return this.script.prompts.filter(prompt => answers.has(prompt.id)).map(prompt => answers.get(prompt.id));
+    }
+
+    /**
+     * Transcribe each answer and join them
+     * Clips are transcribed a few at a time (TRANSCRIPTION_CHUNK_CONCURRENCY).
+     *
+     * @param {Object} interview - resumes.interview: {scriptVersion, clips}
+     * @param {Object} options - {language}, the language hint
+     * @returns {Promise<Object>} Shaped like voiceTranscriptionService.transcribeAudio's
+     *   result, plus clips: each answer's prompt, transcript, duration and
+     *   position in the joined text. Segment times are relative to their
+     *   clip, which segment.clip names.
+     */
+    async transcribe(interview, options = {}) {
+        const startTime = Date.now();
+
+        const results = await mapWithConcurrency(
+            interview.clips,
+            voiceTranscriptionService.chunkConcurrency,
+            async (clip) => {
+                const { filePath } = resolveStoredFilePath(clip.storagePath);
+                const result = await voiceTranscriptionService.transcribeAudio(filePath, { language: options.language });
+                if (!result.success) {
+                    throw new Error(`Could not transcribe the answer to "${clip.promptId}": ${result.error}`);
+                }
+                console.log(`✓ Transcribed interview answer "${clip.promptId}"`);
+                return result;
+            }
+        );
+
+        let text = '';
+        const segments = [];
+        const clips = [];
+
+        results.forEach((result, index) => {
+            const clip = interview.clips[index];
+
+            if (text && result.text) text += '\n\n';
+            const textStart = text.length;
+            text += result.text;
+
+            clips.push({
+                promptId: clip.promptId,
+                section: clip.section,
+                prompt: clip.prompt,
+                text: result.text,
+                textStart,
+                textEnd: text.length,
+                duration: result.duration,
+                wordCount: result.wordCount
+            });
+
+            for (const segment of result.segments || []) {
+                segments.push({ ...segment, id: segments.length, clip: clip.promptId });
+            }
+        });
+
+        const durations = results.map(result => result.duration);
+
+        return {
+            success: true,
+            text,
+            language: languageDetector.resolve(text, normalizeLanguage(options.language)),
+            provider: results[0].provider,
+            model: results[0].model,
+            duration: durations.every(duration => typeof duration === 'number')
+                ? Math.round(durations.reduce((sum, duration) => sum + duration, 0) * 100) / 100
+                : null,
+            audio: null,
+            segments,
+            chunks: null,
+            clips,
+            processingTime: Date.now() - startTime,
+            quality: voiceTranscriptionService.assessTranscriptionQuality(text),
+            wordCount: text.split(/\s+/).filter(word => word.length > 0).length,
+            characterCount: text.length
+        };
+    }
+
+    /**
+     * The text the parser reads: each answer under its section's heading
+     * Takes the place of voiceTranscriptionService.formatTranscriptionForParsing,
+     * which has to guess the sections of a free-form recording.
+     *
+     * @param {Array<Object>} clips - The transcribed answers (transcribe().clips)
+     */
+    formatForParsing(clips) {
+        const bySection = new Map();
+        for (const section of SECTION_ORDER) {
+            for (const clip of clips) {
+                if (clip.section !== section || !clip.text) continue;
+                const heading = SECTIONS[section];
+                bySection.set(heading, [...(bySection.get(heading) || []), clip.text]);
+            }
+        }
+
+        const formattedText = [...bySection.entries()]
+            .map(([heading, texts]) => `${heading}\n${texts.join('\n\n')}`)
+            .join('\n\n');
+
+        return {
+            formattedText,
+            detectedSections: SECTION_ORDER.filter(section => clips.some(clip => clip.section === section && clip.text)),
+            metadata: { isVoiceResume: true, isInterview: true }
+        };
+    }
+
+    /**
+     * What the parsed data records about the interview
+     * Transcripts stay in transcription_data (where stored text is masked
+     * when PII_REDACT_STORED_TEXT is set); the goals answer becomes
+     * careerGoals, which has no counterpart in a written resume's sections.
+     */
+    describeInterview(interview, clips) {
+        const goals = clips.find(clip => clip.section === 'goals' && clip.text);
+
+        return {
+            interview: {
+                scriptVersion: interview.scriptVersion,
+                answers: clips.map(clip => ({
+                    promptId: clip.promptId,
+                    section: clip.section,
+                    prompt: clip.prompt,
+                    duration: clip.duration,
+                    wordCount: clip.wordCount
+                }))
+            },
+            ...(goals && { careerGoals: goals.text })
+        };
+    }
+}
+
+// Export a singleton instance
+module.exports = new VoiceInterviewService();
+module.exports.SECTIONS = SECTIONS;
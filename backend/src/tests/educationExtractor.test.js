@@ -0,0 +1,69 @@
+// Education extractor tests
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const educationExtractor = require('../services/parsing/educationExtractor');
+
+const extract = (text) => educationExtractor.extractEducation(text);
+
+test('a single line with the degree, school and year', () => {
+    assert.deepStrictEqual(extract('B.S. Computer Science, MIT, 2015'), [
+        { degree: 'B.S. Computer Science', field: 'Computer Science', institution: 'MIT', year: '2015', gpa: null }
+    ]);
+    assert.deepStrictEqual(extract('Bachelor of Science in Computer Science, University of Texas, 2014'), [
+        { degree: 'Bachelor of Science in Computer Science', field: 'Computer Science', institution: 'University of Texas', year: '2014', gpa: null }
+    ]);
+});
+
+test('long lines split by dashes or pipes are not read as sentences', () => {
+    assert.deepStrictEqual(extract('Master of Science in Data Science - Stanford University - 2018'), [
+        { degree: 'Master of Science in Data Science', field: 'Data Science', institution: 'Stanford University', year: '2018', gpa: null }
+    ]);
+    assert.deepStrictEqual(extract('Doctor of Philosophy in Theoretical Physics | Caltech | Pasadena | 2020'), [
+        { degree: 'Doctor of Philosophy in Theoretical Physics', field: 'Theoretical Physics', institution: 'Caltech', year: '2020', gpa: null }
+    ]);
+});
+
+test('a note after the degree is not the school', () => {
+    assert.deepStrictEqual(extract('Master of Science in Computer Science, Minor in Mathematics, 2014'), [
+        { degree: 'Master of Science in Computer Science', field: 'Computer Science', institution: '', year: '2014', gpa: null }
+    ]);
+});
+
+test('degree, school and year on separate lines', () => {
+    const text = [
+        'Master of Science in Computer Science',
+        'Stanford University, Stanford, CA',
+        '2016 - 2018 | GPA: 3.9/4.0',
+        'B.S., Software Engineering',
+        'University of California, Berkeley',
+        '2012 - 2016'
+    ].join('\n');
+
+    assert.deepStrictEqual(extract(text), [
+        { degree: 'Master of Science in Computer Science', field: 'Computer Science', institution: 'Stanford University', location: 'Stanford, CA', year: '2018', gpa: '3.9/4.0' },
+        { degree: 'B.S.', field: 'Software Engineering', institution: 'University of California, Berkeley', year: '2016', gpa: null }
+    ]);
+});
+
+test('degrees in a spoken sentence', () => {
+    assert.deepStrictEqual(
+        extract("I graduated from the University of Texas with a bachelor's degree in statistics."),
+        [{ degree: "bachelor's degree in statistics", field: 'statistics', institution: 'University of Texas', year: null, gpa: null }]
+    );
+});
+
+test('certifications with issuers and dates', () => {
+    const text = [
+        'AWS Certified Solutions Architect - Associate (2021)',
+        'Certified Kubernetes Administrator (CKA), Cloud Native Computing Foundation, March 2022',
+        'PMP, issued by Project Management Institute, 05/2019'
+    ].join('\n');
+
+    assert.deepStrictEqual(educationExtractor.extractCertifications(text), [
+        { name: 'AWS Certified Solutions Architect - Associate', issuer: 'Amazon Web Services', date: '2021' },
+        { name: 'Certified Kubernetes Administrator (CKA)', issuer: 'Cloud Native Computing Foundation', date: '2022-03' },
+        { name: 'PMP', issuer: 'Project Management Institute', date: '2019-05' }
+    ]);
+});
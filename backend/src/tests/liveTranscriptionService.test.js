@@ -0,0 +1,149 @@
+// Live transcription tests
+// Records a session end to end with the local provider: the sidecar
+// transcript is handed out by how long each cut of the recording is, so the
+// final text shows whether the cuts line up. The audio is generated with
+// ffmpeg; without it only the rejection is tested.
+// Run with: npm test
+
+process.env.TRANSCRIPTION_PROVIDER = 'local';
+process.env.TRANSCRIPTION_FIXTURE_WORDS_PER_MINUTE = '150';
+process.env.LIVE_TRANSCRIPTION_ENABLED = 'true';
+process.env.LIVE_TRANSCRIPTION_WINDOW_SECONDS = '0.001';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const audioChunker = require('../services/ai/audioChunker');
+const liveTranscriptionService = require('../services/liveTranscriptionService');
+
+const USER_ID = 1;
+// 4s of tone, 1.2s pause, 4s of tone, 1.5s pause, 4s of tone
+const RECORDING_SECONDS = 14.7;
+const WORDS = Array.from({ length: 60 }, (_, i) => `word${i + 1}`);
+
+let fixturesDir;
+let recording;
+
+test.before(async () => {
+    console.log = () => {};
+    if (!(await audioChunker.isAvailable())) return;
+
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'live-transcription-test-'));
+    process.env.TRANSCRIPTION_FIXTURES_DIR = fixturesDir;
+
+    const tone = ['-f', 'lavfi', '-i', 'sine=frequency=440:sample_rate=16000:duration=4'];
+    const pause = (seconds) => ['-f', 'lavfi', '-t', String(seconds), '-i', 'anullsrc=r=16000:cl=mono'];
+    const filePath = path.join(fixturesDir, 'take.wav');
+    execFileSync(audioChunker.ffmpegPath, [
+        '-hide_banner', '-loglevel', 'error', '-y',
+        ...tone, ...pause(1.2), ...tone, ...pause(1.5), ...tone,
+        '-filter_complex', '[0][1][2][3][4]concat=n=5:v=0:a=1', '-ac', '1',
+        filePath
+    ], { timeout: 60000 });
+
+    recording = fs.readFileSync(filePath);
+    fs.writeFileSync(path.join(fixturesDir, 'take.wav.txt'), WORDS.join(' '));
+});
+
+test.after(() => {
+    if (fixturesDir) fs.rmSync(fixturesDir, { recursive: true, force: true });
+});
+
+test('a recording sent in chunks is transcribed as it arrives', async (t) => {
+    if (!recording) return t.skip('ffmpeg is not installed');
+
+    const { sessionId } = await liveTranscriptionService.createSession(USER_ID, { fileName: 'take.wav' });
+    const session = liveTranscriptionService.sessions.get(sessionId);
+    const events = [];
+    liveTranscriptionService.subscribe(sessionId, USER_ID, (event, data) => events.push({ event, data }));
+
+    const chunkSize = Math.ceil(recording.length / 6);
+    for (let sequence = 0; sequence * chunkSize < recording.length; sequence++) {
+        const chunk = recording.subarray(sequence * chunkSize, (sequence + 1) * chunkSize);
+        assert.deepStrictEqual(
+            await liveTranscriptionService.appendChunk(sessionId, USER_ID, chunk, sequence),
+            { sequence, bytes: Math.min((sequence + 1) * chunkSize, recording.length) }
+        );
+        while (session.running) await session.running;
+    }
+
+    const transcript = await liveTranscriptionService.finish(sessionId, USER_ID);
+
+    // All of it is final, cut after cut without a word lost or repeated
+    const spoken = Math.round(transcript.duration * 150 / 60);
+    assert.ok(Math.abs(transcript.duration - RECORDING_SECONDS) < 0.1, `duration ${transcript.duration}`);
+    assert.strictEqual(transcript.final, WORDS.slice(0, spoken).join(' '));
+    assert.strictEqual(transcript.partial, '');
+
+    // Final text only ever grows; the partial text follows it
+    const transcripts = events.filter(({ event }) => event === 'transcript').map(({ data }) => data);
+    assert.ok(transcripts.some(({ final }) => final), 'a pass made text final before the end');
+    transcripts.reduce((previous, current) => {
+        assert.ok(current.final.startsWith(previous.final));
+        assert.strictEqual(current.text, [current.final, current.partial].filter(Boolean).join(' '));
+        return current;
+    });
+
+    assert.deepStrictEqual(events.slice(-2).map(({ event }) => event), ['done', 'closed']);
+    assert.deepStrictEqual(events[events.length - 2].data, transcript);
+    assert.strictEqual(liveTranscriptionService.sessions.has(sessionId), false);
+    assert.strictEqual(fs.existsSync(session.dir), false);
+});
+
+test("chunks must arrive in order, from the session's user", async (t) => {
+    if (!recording) return t.skip('ffmpeg is not installed');
+
+    const { sessionId } = await liveTranscriptionService.createSession(USER_ID, { fileName: 'take.wav' });
+    t.after(() => liveTranscriptionService.discard(sessionId, USER_ID).catch(() => {}));
+
+    await assert.rejects(
+        liveTranscriptionService.appendChunk(sessionId, USER_ID, recording.subarray(0, 100), 1),
+        { statusCode: 409, message: 'Expected chunk 0, got 1' }
+    );
+    await assert.rejects(
+        liveTranscriptionService.appendChunk(sessionId, USER_ID, Buffer.alloc(0), 0),
+        { statusCode: 400 }
+    );
+    await assert.rejects(
+        liveTranscriptionService.appendChunk(sessionId, USER_ID + 1, recording.subarray(0, 100), 0),
+        { statusCode: 404 }
+    );
+});
+
+test('a user can only have a few sessions open, and idle ones are closed', async (t) => {
+    if (!recording) return t.skip('ffmpeg is not installed');
+
+    const opened = [];
+    for (let i = 0; i < 3; i++) {
+        opened.push((await liveTranscriptionService.createSession(USER_ID)).sessionId);
+    }
+    await assert.rejects(liveTranscriptionService.createSession(USER_ID), { statusCode: 429 });
+
+    // A listener that never went away doesn't keep a session open
+    const events = [];
+    liveTranscriptionService.subscribe(opened[0], USER_ID, (event) => events.push(event));
+    for (const sessionId of opened) {
+        liveTranscriptionService.sessions.get(sessionId).lastActivity = 0;
+    }
+    await liveTranscriptionService.closeIdleSessions();
+
+    assert.deepStrictEqual(events, ['closed']);
+    assert.strictEqual(liveTranscriptionService.sessions.size, 0);
+
+    const { sessionId } = await liveTranscriptionService.createSession(USER_ID);
+    await liveTranscriptionService.discard(sessionId, USER_ID);
+});
+
+test('sessions are refused without ffmpeg', async (t) => {
+    const availability = audioChunker.availability;
+    audioChunker.availability = Promise.resolve(false);
+    t.after(() => { audioChunker.availability = availability; });
+
+    await assert.rejects(liveTranscriptionService.createSession(USER_ID), {
+        statusCode: 503,
+        message: 'Live transcription is unavailable: ffmpeg is not installed on the server'
+    });
+});
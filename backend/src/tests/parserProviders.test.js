@@ -0,0 +1,49 @@
+// Parser provider registry tests
+// Run with: npm test
+
+// Without a Hugging Face key the registry falls back to the rule-based provider
+delete process.env.HUGGINGFACE_API_KEY;
+delete process.env.RESUME_PARSER_PROVIDER;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const parserProviders = require('../services/parsing/providers');
+
+test('providers are found by name, ignoring case and spaces', () => {
+    assert.strictEqual(parserProviders.getProvider('rule-based').name, 'rule-based');
+    assert.strictEqual(parserProviders.getProvider(' Rule-Based ').name, 'rule-based');
+    assert.strictEqual(parserProviders.getProvider('huggingface').name, 'huggingface');
+});
+
+test('an unknown provider name is an error listing the known ones', () => {
+    assert.throws(
+        () => parserProviders.getProvider('gpt'),
+        { message: 'Unknown resume parser provider "gpt". Available: huggingface, rule-based' }
+    );
+});
+
+test('RESUME_PARSER_PROVIDER picks the provider when none is given', (t) => {
+    process.env.RESUME_PARSER_PROVIDER = 'huggingface';
+    t.after(() => delete process.env.RESUME_PARSER_PROVIDER);
+
+    assert.strictEqual(parserProviders.getProvider().name, 'huggingface');
+});
+
+test('without a Hugging Face key the rule-based provider is used', () => {
+    assert.strictEqual(parserProviders.getProvider().name, 'rule-based');
+});
+
+test('the rule-based provider answers with the span it found', async () => {
+    const provider = parserProviders.getProvider('rule-based');
+    const context = 'Jane Doe\nSenior Engineer\njane.doe@example.com | (555) 987-6543';
+
+    assert.deepStrictEqual(
+        await provider.answer({ key: 'email', question: 'What is the email?', context, fullText: context }),
+        { text: 'jane.doe@example.com', score: null, start: 25, end: 45, source: { method: 'rule', rule: 'email' } }
+    );
+    assert.strictEqual(
+        (await provider.answer({ key: 'phone', context, fullText: context })).text,
+        '(555) 987-6543'
+    );
+    assert.strictEqual(await provider.answer({ key: 'unknown', context, fullText: context }), null);
+});
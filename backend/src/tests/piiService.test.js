@@ -0,0 +1,43 @@
+// PII detection tests
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const piiService = require('../services/piiService');
+
+const redact = (text) => piiService.redact(text).text;
+
+test('access log lines keep their status, size, time and address', () => {
+    const lines = [
+        'POST /api/v1/resumes/upload 201 48213 - 1534.210 ms',
+        'POST /api/v1/resumes/upload 201 1534.210 ms - 48213',
+        '::ffff:10.20.30.40 - - [18/Jul/2025:09:48:10 +0000] "GET /health HTTP/1.1" 200 1048576 "-" "Mozilla/5.0 Chrome/120.0.0.0 Safari/537.36"'
+    ];
+
+    for (const line of lines) {
+        assert.strictEqual(redact(line), line);
+    }
+});
+
+test('phone numbers in resume text are redacted', () => {
+    assert.strictEqual(
+        redact('Call 555-123-4567, (555) 123-4567, +1 555 123 4567 or 5551234567'),
+        'Call [PHONE], [PHONE], [PHONE] or [PHONE]'
+    );
+    assert.strictEqual(
+        redact('Tél : 06 12 34 56 78 | Móvil: 612 345 678 | ĐT: 0912 345 678 | 555.123.4567'),
+        'Tél : [PHONE] | Móvil: [PHONE] | ĐT: [PHONE] | [PHONE]'
+    );
+});
+
+test('years, dates and short numbers are not phone numbers', () => {
+    const text = 'Software Engineer, 2015 - 2019. Graduated 2014-06-30. Team of 12, budget 250 000.';
+    assert.strictEqual(redact(text), text);
+});
+
+test('emails, IDs and dates of birth are redacted', () => {
+    assert.strictEqual(
+        redact('jane.doe@example.com, SSN 123-45-6789, Date of birth: 12/03/1990'),
+        '[EMAIL], SSN [NATIONAL_ID], Date of birth: [DATE_OF_BIRTH]'
+    );
+});
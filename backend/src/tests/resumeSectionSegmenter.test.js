@@ -0,0 +1,63 @@
+// Resume section segmenter tests
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const resumeSectionSegmenter = require('../services/parsing/resumeSectionSegmenter');
+
+const text = [
+    'Jane Doe',
+    'jane@example.com',
+    '',
+    'Skills: Python, SQL',
+    '',
+    'PROFESSIONAL EXPERIENCE 2015-2024',
+    'Engineer at Acme',
+    '2015 - 2024',
+    '',
+    'Education',
+    'B.S. Computer Science, MIT, 2015',
+    '',
+    'Experience',
+    'Intern at Foo'
+].join('\n');
+
+test('splits a resume into sections at its headings', () => {
+    const segmentation = resumeSectionSegmenter.segment(text);
+
+    assert.deepStrictEqual(segmentation.order, ['header', 'skills', 'experience', 'education']);
+    assert.deepStrictEqual(segmentation.segments.map(segment => [segment.key, segment.heading, segment.text]), [
+        ['header', null, 'Jane Doe\njane@example.com'],
+        ['skills', 'Skills', 'Python, SQL'],
+        ['experience', 'PROFESSIONAL EXPERIENCE 2015-2024', 'Engineer at Acme\n2015 - 2024'],
+        ['education', 'Education', 'B.S. Computer Science, MIT, 2015'],
+        ['experience', 'Experience', 'Intern at Foo']
+    ]);
+});
+
+test('section offsets point into the original text', () => {
+    for (const segment of resumeSectionSegmenter.segment(text).segments) {
+        assert.strictEqual(text.substring(segment.start, segment.start + segment.text.length), segment.text);
+    }
+});
+
+test('repeated sections are merged under one key', () => {
+    const segmentation = resumeSectionSegmenter.segment(text);
+
+    assert.strictEqual(segmentation.sections.experience.segments.length, 2);
+    assert.strictEqual(
+        resumeSectionSegmenter.getSectionText(segmentation, ['summary', 'experience']),
+        'Engineer at Acme\n2015 - 2024\nIntern at Foo'
+    );
+    assert.strictEqual(resumeSectionSegmenter.getSectionText(segmentation, ['summary']), null);
+});
+
+test("another language's headings are recognized when it is given", () => {
+    const spanish = 'María García\n\nExperiencia laboral\nAnalista de datos\n\nFormación académica\nGrado en Estadística';
+
+    assert.deepStrictEqual(resumeSectionSegmenter.segment(spanish).order, ['header']);
+    assert.deepStrictEqual(
+        resumeSectionSegmenter.segment(spanish, { language: 'es' }).order,
+        ['header', 'experience', 'education']
+    );
+});
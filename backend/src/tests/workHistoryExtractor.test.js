@@ -0,0 +1,83 @@
+// Work history extractor tests
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const workHistoryExtractor = require('../services/parsing/workHistoryExtractor');
+
+const referenceDate = new Date(2024, 5, 15);
+const extract = (lines) => workHistoryExtractor.extract(lines.join('\n'), { referenceDate });
+
+test('title and company above the dates', () => {
+    const result = extract([
+        'Lead Full Stack Developer',
+        'InnovateTech Solutions, San Francisco, CA',
+        'January 2021 - Present',
+        '- Led team of 5 developers',
+        '',
+        'Full Stack Developer',
+        'Digital Dynamics Inc., Austin, TX',
+        'June 2018 - December 2020',
+        '- Built React Native mobile application'
+    ]);
+
+    assert.deepStrictEqual(result.positions.map(({ title, company, location, startDate, endDate, isCurrent, tenureMonths }) => (
+        { title, company, location, startDate, endDate, isCurrent, tenureMonths }
+    )), [
+        { title: 'Lead Full Stack Developer', company: 'InnovateTech Solutions', location: 'San Francisco, CA', startDate: '2021-01', endDate: null, isCurrent: true, tenureMonths: 42 },
+        { title: 'Full Stack Developer', company: 'Digital Dynamics Inc.', location: 'Austin, TX', startDate: '2018-06', endDate: '2020-12', isCurrent: false, tenureMonths: 31 }
+    ]);
+    assert.strictEqual(result.positions[0].description, 'Led team of 5 developers');
+    assert.strictEqual(result.totalMonthsExperience, 73);
+});
+
+test('a single month or season dates a one-month role', () => {
+    const result = extract([
+        'Software Engineer | Foo Inc | Jan 2017 - Dec 2019',
+        '- Shipped the billing service in March 2019',
+        'Intern | Bar LLC | Jun 2015',
+        '- Wrote integration tests',
+        'Research Assistant | Baz University | Summer 2014',
+        '- Ran experiments'
+    ]);
+
+    assert.deepStrictEqual(result.positions.map(({ title, company, duration, startDate, endDate, tenureMonths, description }) => (
+        { title, company, duration, startDate, endDate, tenureMonths, description }
+    )), [
+        { title: 'Software Engineer', company: 'Foo Inc', duration: 'Jan 2017 - Dec 2019', startDate: '2017-01', endDate: '2019-12', tenureMonths: 36, description: 'Shipped the billing service in March 2019' },
+        { title: 'Intern', company: 'Bar LLC', duration: 'Jun 2015', startDate: '2015-06', endDate: '2015-06', tenureMonths: 1, description: 'Wrote integration tests' },
+        { title: 'Research Assistant', company: 'Baz University', duration: 'Summer 2014', startDate: '2014-06', endDate: '2014-06', tenureMonths: 1, description: 'Ran experiments' }
+    ]);
+    assert.strictEqual(result.totalMonthsExperience, 38);
+});
+
+test('overlapping roles count once toward total experience', () => {
+    const result = extract([
+        'Senior Developer at Acme Corp',
+        '2019 - 2021',
+        'Consultant at Initech',
+        '2020 - 2022'
+    ]);
+
+    assert.deepStrictEqual(result.positions.map(p => [p.title, p.company]), [
+        ['Consultant', 'Initech'],
+        ['Senior Developer', 'Acme Corp']
+    ]);
+    assert.strictEqual(result.totalMonthsExperience, 48);
+    assert.strictEqual(result.totalYearsExperience, 4);
+});
+
+test('dates first, then title and company', () => {
+    const result = extract([
+        '03/2016 - 05/2018',
+        'Data Analyst',
+        'Globex Corporation',
+        '- Built dashboards'
+    ]);
+
+    assert.strictEqual(result.positions.length, 1);
+    assert.deepStrictEqual(
+        [result.positions[0].title, result.positions[0].company, result.positions[0].startDate, result.positions[0].endDate],
+        ['Data Analyst', 'Globex Corporation', '2016-03', '2018-05']
+    );
+});
@@ -0,0 +1,34 @@
+// Concurrency utilities
+
+/**
+ * Map over items with at most `limit` calls in flight at once
+ *
+ * Results keep the order of the input, like Promise.all. The first
+ * rejection rejects the whole map; callers that want per-item failures
+ * should catch inside `fn`.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, runNext);
+  await Promise.all(workers);
+
+  return results;
+};
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,49 @@
+// Log redaction utilities
+//
+// Console output ends up in the hosting provider's log store, where it is
+// kept longer and seen by more people than the resumes it describes. These
+// helpers pass every log line through the PII service first.
+
+const util = require('util');
+const piiService = require('../services/piiService');
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+
+let installed = false;
+
+/**
+ * Redact PII from everything written with console.* in this process
+ *
+ * Arguments are formatted the way console would format them, then redacted,
+ * so objects and errors (query params, API responses) are covered too.
+ * Set LOG_PII_REDACTION=false to log unredacted, e.g. when debugging parsing
+ * locally.
+ */
+const installLogRedaction = () => {
+  if (installed || process.env.LOG_PII_REDACTION === 'false') {
+    return;
+  }
+
+  for (const method of CONSOLE_METHODS) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(piiService.redact(util.format(...args)).text);
+  }
+  installed = true;
+};
+
+/**
+ * A writable-like stream that redacts before writing, for morgan
+ *
+ * @param {NodeJS.WritableStream} stream - Where redacted lines go
+ * @returns {{write: Function}}
+ */
+const createRedactingStream = (stream = process.stdout) => ({
+  write: (line) => stream.write(
+    process.env.LOG_PII_REDACTION === 'false' ? line : piiService.redact(line).text
+  )
+});
+
+module.exports = {
+  installLogRedaction,
+  createRedactingStream
+};
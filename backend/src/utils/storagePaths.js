@@ -0,0 +1,39 @@
+// Storage path utilities
+// Resumes store either a local path relative to the backend directory, an S3
+// key, or a full S3 URL in file_path. Processing needs something it can read.
+
+const path = require('path');
+
+// Key prefixes used by the S3 upload storage (config/s3Upload.js)
+const S3_KEY_PREFIXES = ['resumes/', 'voice-resumes/'];
+
+/**
+ * Turn a stored file_path into a readable location
+ *
+ * @param {string} storedPath - The resume's file_path column
+ * @returns {{filePath: string, isS3: boolean}} Local path or S3 URL
+ */
+const resolveStoredFilePath = (storedPath) => {
+  // S3 URL stored in database
+  if (storedPath.startsWith('http://') || storedPath.startsWith('https://')) {
+    return { filePath: storedPath, isS3: true };
+  }
+
+  // S3 key stored in database - construct the URL
+  // This assumes S3_BUCKET_NAME and AWS_REGION are set
+  if (S3_KEY_PREFIXES.some(prefix => storedPath.startsWith(prefix))) {
+    const bucketName = process.env.S3_BUCKET_NAME;
+    const region = process.env.AWS_REGION || 'us-east-1';
+    return {
+      filePath: `https://${bucketName}.s3.${region}.amazonaws.com/${storedPath}`,
+      isS3: true
+    };
+  }
+
+  // Local file path
+  return { filePath: path.join(__dirname, '../../', storedPath), isS3: false };
+};
+
+module.exports = {
+  resolveStoredFilePath
+};
@@ -0,0 +1,71 @@
+// Background worker - processes queued resume jobs
+// Run alongside the API server: npm run worker
+//
+// The API only enqueues parsing and transcription work; this process does
+// it, so an API restart never interrupts a resume mid-parse and a worker
+// restart only delays it.
+
+const config = require('./config');
+// Keep resume PII (emails, phone numbers, ...) out of the logs
+require('./utils/logRedaction').installLogRedaction();
+const { pool, testConnection } = require('./config/database');
+const JobWorker = require('./jobs/jobWorker');
+const resumeJobs = require('./jobs/resumeJobs');
+const stuckResumeSweeper = require('./services/stuckResumeSweeper');
+const aiHttpClient = require('./services/ai/aiHttpClient');
+
+// AI call metrics live in this process, so log them periodically
+const AI_METRICS_LOG_INTERVAL_MS = 10 * 60 * 1000;
+
+const logAiMetrics = () => {
+  const models = aiHttpClient.getMetrics();
+  if (Object.keys(models).length > 0) {
+    console.log('📈 AI model metrics:', JSON.stringify(models));
+  }
+};
+
+const worker = new JobWorker(resumeJobs);
+
+const startWorker = async () => {
+  console.log('🔄 Testing database connection...');
+  const dbConnected = await testConnection();
+
+  if (!dbConnected) {
+    console.error('❌ Failed to connect to database');
+    process.exit(1);
+  }
+
+  console.log(`🔧 Environment: ${config.env}`);
+  worker.start();
+  stuckResumeSweeper.start();
+  setInterval(logAiMetrics, AI_METRICS_LOG_INTERVAL_MS).unref();
+};
+
+// Finish the current job before exiting; if it takes too long, its lease
+// expires and another worker retries it
+const gracefulShutdown = async () => {
+  console.log('\n🛑 Shutdown signal received: finishing current job');
+
+  setTimeout(() => {
+    console.error('❌ Current job did not finish in time, exiting');
+    process.exit(1);
+  }, 30000).unref();
+
+  stuckResumeSweeper.stop();
+  await worker.stop();
+  logAiMetrics();
+
+  try {
+    await pool.end();
+    console.log('🗄️  Database connections closed');
+  } catch (error) {
+    console.error('❌ Error closing database connections:', error.message);
+  }
+
+  process.exit(0);
+};
+
+process.on('SIGTERM', gracefulShutdown);
+process.on('SIGINT', gracefulShutdown);
+
+startWorker();
@@ -1,9 +1,53 @@
 'use client'
 
-import { use, useEffect, useState } from 'react'
+import { use, useCallback, useEffect, useRef, useState } from 'react'
 import { useAuth } from '@/app/contexts/AuthContext'
 import { useRouter } from 'next/navigation'
-import { ArrowLeft, RefreshCw, FileText, Mail, Briefcase, GraduationCap, Code } from 'lucide-react'
+import { ArrowLeft, RefreshCw, FileText, Mail, Briefcase, GraduationCap, Code, Award, ScrollText, Play, Mic } from 'lucide-react'
+
+// Where a parsed field came from; offsets point into ResumeDetails.extractedText
+interface FieldProvenance {
+    text: string
+    score: number | null
+    start: number | null
+    end: number | null
+    source: {
+        provider?: string
+        method: 'question' | 'fallbackQuestion' | 'rule' | 'workHistory'
+        question?: string
+        rule?: string
+    }
+}
+
+// Where a field was said in a voice resume; times are seconds into the recording,
+// or into the guided interview answer named by clip
+interface TranscriptSpan {
+    segmentId: number
+    clip?: string
+    start: number
+    end: number
+    text: string
+}
+
+// The prompts a guided voice interview answered, one recording each
+interface InterviewDetails {
+    scriptVersion: number
+    answers: Array<{
+        promptId: string
+        section: string
+        prompt: string
+        duration: number | null
+        wordCount: number
+    }>
+}
+
+interface TranscriptEvidence {
+    fields: Record<string, TranscriptSpan[]>
+    skills: Record<string, TranscriptSpan[]>
+    experience: TranscriptSpan[][]
+    education: TranscriptSpan[][]
+    certifications: TranscriptSpan[][]
+}
 
 interface ParsedData {
     name?: string
@@ -15,14 +59,31 @@ interface ParsedData {
     experience?: Array<{
         title: string
         company: string
+        location?: string
         duration: string
         description: string
+        startDate?: string | null
+        endDate?: string | null
+        isCurrent?: boolean
+        tenureMonths?: number
     }>
+    totalYearsExperience?: number
     education?: Array<{
         degree: string
         institution: string
         year: string
+        field?: string | null
+        gpa?: string | null
     }>
+    certifications?: Array<{
+        name: string
+        issuer: string | null
+        date: string | null
+    }>
+    fieldProvenance?: Record<string, FieldProvenance>
+    transcriptEvidence?: TranscriptEvidence | null
+    interview?: InterviewDetails
+    careerGoals?: string
     error?: string
     attempted?: boolean
 }
@@ -33,6 +94,36 @@ interface ResumeDetails {
     parsedAt: string | null
     parsingStatus: 'not_started' | 'completed' | 'failed' | 'error'
     parsedData: ParsedData | null
+    extractedText?: string | null
+}
+
+const PROVENANCE_METHOD_LABELS: Record<FieldProvenance['source']['method'], string> = {
+    question: 'AI model',
+    fallbackQuestion: 'AI model (retry)',
+    rule: 'Pattern match',
+    workHistory: 'Work history'
+}
+
+// Render a field's source as "AI model · 92%"
+function describeProvenance(provenance: FieldProvenance): string {
+    const label = PROVENANCE_METHOD_LABELS[provenance.source.method] || provenance.source.method
+    return provenance.score !== null ? `${label} · ${Math.round(provenance.score * 100)}%` : label
+}
+
+// Render a role's tenure as "2 yrs 3 mos"
+function formatTenure(months: number): string {
+    const years = Math.floor(months / 12)
+    const remainder = months % 12
+    const parts = []
+    if (years > 0) parts.push(`${years} yr${years > 1 ? 's' : ''}`)
+    if (remainder > 0) parts.push(`${remainder} mo${remainder > 1 ? 's' : ''}`)
+    return parts.join(' ') || '1 mo'
+}
+
+// Render a position in the recording as "1:05"
+function formatTimestamp(seconds: number): string {
+    const minutes = Math.floor(seconds / 60)
+    return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`
 }
 
 // Update the params type to be a Promise for Next.js 15
@@ -46,6 +137,17 @@ export default function ResumeDetailPage({ params }: { params: Promise<{ id: str
     const [loading, setLoading] = useState(true)
     const [error, setError] = useState('')
     const [reparsing, setReparsing] = useState(false)
+    const [highlightedField, setHighlightedField] = useState<string | null>(null)
+    const highlightRef = useRef<HTMLElement | null>(null)
+    const [audioUrl, setAudioUrl] = useState<string | null>(null)
+    const audioRef = useRef<HTMLAudioElement | null>(null)
+    // Where the span being played ends
+    const stopAtRef = useRef<number | null>(null)
+    // Guided interviews: the answer loaded in the player, each answer's
+    // object URL once fetched, and the span to play once another has loaded
+    const [audioClip, setAudioClip] = useState<string | null>(null)
+    const audioUrlsRef = useRef<Record<string, string>>({})
+    const pendingSpanRef = useRef<TranscriptSpan | null>(null)
 
     useEffect(() => {
         if (!authLoading && !user) {
@@ -59,6 +161,58 @@ export default function ResumeDetailPage({ params }: { params: Promise<{ id: str
         }
     }, [token, id])
 
+    // Bring the highlighted source text into view
+    useEffect(() => {
+        highlightRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' })
+    }, [highlightedField])
+
+    // Voice resumes with timestamped evidence get their recording loaded
+    // The audio endpoint needs the auth header, which an <audio src> can't send
+    const hasTranscriptEvidence = !!resume?.parsedData?.transcriptEvidence
+    const firstClip = resume?.parsedData?.interview?.answers[0]?.promptId || null
+
+    // Object URL of a recording (an interview answer's, with clip), or null
+    // when isCancelled says it is no longer wanted by the time it arrives
+    const loadRecording = useCallback(async (clip: string | null, isCancelled: () => boolean = () => false) => {
+        const key = clip || ''
+        if (audioUrlsRef.current[key]) return audioUrlsRef.current[key]
+
+        const query = clip ? `?clip=${encodeURIComponent(clip)}` : ''
+        const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/voiceresumes/${id}/audio${query}`, {
+            headers: {
+                'Authorization': `Bearer ${token}`
+            }
+        })
+        if (!response.ok) throw new Error('Failed to fetch recording')
+
+        const blob = await response.blob()
+        // The cache may have been cleared meanwhile; a URL added now would never be revoked
+        if (isCancelled()) return null
+
+        const objectUrl = URL.createObjectURL(blob)
+        audioUrlsRef.current[key] = objectUrl
+        return objectUrl
+    }, [id, token])
+
+    useEffect(() => {
+        if (!hasTranscriptEvidence || !token) return
+
+        let cancelled = false
+        loadRecording(firstClip, () => cancelled)
+            .then(objectUrl => {
+                if (!objectUrl) return
+                setAudioClip(firstClip)
+                setAudioUrl(objectUrl)
+            })
+            .catch(err => console.error('Error loading recording:', err))
+
+        return () => {
+            cancelled = true
+            Object.values(audioUrlsRef.current).forEach(url => URL.revokeObjectURL(url))
+            audioUrlsRef.current = {}
+        }
+    }, [hasTranscriptEvidence, firstClip, token, loadRecording])
+
     const fetchResumeDetails = async () => {
         try {
             const response = await fetch(
@@ -161,6 +315,108 @@ export default function ResumeDetailPage({ params }: { params: Promise<{ id: str
         )
     }
 
+    const provenance = resume.parsedData?.fieldProvenance || {}
+    const highlighted = highlightedField ? provenance[highlightedField] : null
+    const canHighlight = (field: string) =>
+        !!resume.extractedText && provenance[field]?.start != null && provenance[field]?.end != null
+
+    // Badge showing how a field was extracted; clicking it highlights the source text
+    const renderSourceBadge = (field: string) => {
+        const fieldProvenance = provenance[field]
+        if (!fieldProvenance) return null
+
+        const isActive = highlightedField === field
+        return (
+            <button
+                type="button"
+                onClick={() => setHighlightedField(isActive ? null : field)}
+                disabled={!canHighlight(field)}
+                title={fieldProvenance.source.question || 'Show where this was found'}
+                className={`ml-2 px-2 py-0.5 rounded text-xs font-normal ${
+                    isActive
+                        ? 'bg-yellow-200 text-yellow-900'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 disabled:hover:bg-gray-100'
+                }`}
+            >
+                {describeProvenance(fieldProvenance)}
+            </button>
+        )
+    }
+
+    const evidence = resume.parsedData?.transcriptEvidence || null
+
+    // Play the part of the recording a field came from, then stop
+    // A span in another interview answer loads that answer first
+    const playSpan = (span: TranscriptSpan) => {
+        const audio = audioRef.current
+        if (!audio) return
+
+        if (span.clip && span.clip !== audioClip) {
+            audio.pause()
+            loadRecording(span.clip)
+                .then(objectUrl => {
+                    if (!objectUrl) return
+                    pendingSpanRef.current = span
+                    setAudioClip(span.clip || null)
+                    setAudioUrl(objectUrl)
+                })
+                .catch(err => console.error('Error loading recording:', err))
+            return
+        }
+
+        audio.currentTime = span.start
+        stopAtRef.current = span.end
+        audio.play().catch(err => console.error('Error playing recording:', err))
+    }
+
+    // Play the pending span once its answer's recording has loaded
+    const handleLoadedMetadata = () => {
+        const span = pendingSpanRef.current
+        pendingSpanRef.current = null
+        if (span) playSpan(span)
+    }
+
+    const handleTimeUpdate = () => {
+        const audio = audioRef.current
+        if (audio && stopAtRef.current !== null && audio.currentTime >= stopAtRef.current) {
+            audio.pause()
+            stopAtRef.current = null
+        }
+    }
+
+    // Button that plays where a value was said
+    const renderPlayButton = (spans?: TranscriptSpan[]) => {
+        if (!audioUrl || !spans || spans.length === 0) return null
+
+        const span = spans[0]
+        return (
+            <button
+                type="button"
+                onClick={() => playSpan(span)}
+                title={`Play "${span.text}" (${formatTimestamp(span.start)})`}
+                className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-normal bg-purple-100 text-purple-700 hover:bg-purple-200"
+            >
+                <Play className="h-3 w-3 mr-0.5" />
+                {formatTimestamp(span.start)}
+            </button>
+        )
+    }
+
+    const renderExtractedText = (text: string) => {
+        if (!highlighted || highlighted.start == null || highlighted.end == null) {
+            return text
+        }
+        return (
+            <>
+                {text.slice(0, highlighted.start)}
+                <mark ref={highlightRef} className="bg-yellow-200 rounded">
+                    {text.slice(highlighted.start, highlighted.end)}
+                </mark>
+                {text.slice(highlighted.end)}
+            </>
+        )
+    }
+
     return (
         <div className="min-h-screen bg-gray-50">
             <div className="max-w-4xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
@@ -216,7 +472,9 @@ export default function ResumeDetailPage({ params }: { params: Promise<{ id: str
                                     <div className="flex items-center">
                                         <FileText className="h-5 w-5 text-gray-400 mr-2" />
                                         <div>
-                                            <p className="text-sm text-gray-500">Name</p>
+                                            <p className="text-sm text-gray-500">
+                                                Name{renderSourceBadge('name')}{renderPlayButton(evidence?.fields.name)}
+                                            </p>
                                             <p className="font-medium">{resume.parsedData.name}</p>
                                         </div>
                                     </div>
@@ -225,7 +483,9 @@ export default function ResumeDetailPage({ params }: { params: Promise<{ id: str
                                     <div className="flex items-center">
                                         <Mail className="h-5 w-5 text-gray-400 mr-2" />
                                         <div>
-                                            <p className="text-sm text-gray-500">Email</p>
+                                            <p className="text-sm text-gray-500">
+                                                Email{renderSourceBadge('email')}{renderPlayButton(evidence?.fields.email)}
+                                            </p>
                                             <p className="font-medium">{resume.parsedData.email}</p>
                                         </div>
                                     </div>
@@ -239,6 +499,7 @@ export default function ResumeDetailPage({ params }: { params: Promise<{ id: str
                                 <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
                                     <Code className="h-5 w-5 mr-2" />
                                     Skills
+                                    {renderSourceBadge('skills')}
                                 </h2>
                                 <div className="flex flex-wrap gap-2">
                                     {resume.parsedData.skills.map((skill, index) => (
@@ -247,6 +508,7 @@ export default function ResumeDetailPage({ params }: { params: Promise<{ id: str
                                             className="px-3 py-1 bg-blue-100 text-blue-700 rounded-full text-sm"
                                         >
                                             {skill}
+                                            {renderPlayButton(evidence?.skills[skill])}
                                         </span>
                                     ))}
                                 </div>
@@ -259,15 +521,28 @@ export default function ResumeDetailPage({ params }: { params: Promise<{ id: str
                                 <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
                                     <Briefcase className="h-5 w-5 mr-2" />
                                     Experience
+                                    {typeof resume.parsedData.totalYearsExperience === 'number' && (
+                                        <span className="ml-2 text-sm font-normal text-gray-500">
+                                            ({resume.parsedData.totalYearsExperience} years total)
+                                        </span>
+                                    )}
                                 </h2>
                                 <div className="space-y-4">
                                     {resume.parsedData.experience.map((exp, index) => (
                                         <div key={index} className="border-l-2 border-gray-200 pl-4">
-                                            <h3 className="font-medium text-gray-900">{exp.title}</h3>
-                                            <p className="text-sm text-gray-600">{exp.company}</p>
-                                            <p className="text-sm text-gray-500">{exp.duration}</p>
+                                            <h3 className="font-medium text-gray-900">
+                                                {exp.title}
+                                                {renderPlayButton(evidence?.experience[index])}
+                                            </h3>
+                                            <p className="text-sm text-gray-600">
+                                                {exp.company}{exp.location && ` · ${exp.location}`}
+                                            </p>
+                                            <p className="text-sm text-gray-500">
+                                                {exp.duration}
+                                                {typeof exp.tenureMonths === 'number' && ` (${formatTenure(exp.tenureMonths)})`}
+                                            </p>
                                             {exp.description && (
-                                                <p className="mt-2 text-gray-700">{exp.description}</p>
+                                                <p className="mt-2 text-gray-700 whitespace-pre-line">{exp.description}</p>
                                             )}
                                         </div>
                                     ))}
@@ -285,14 +560,101 @@ export default function ResumeDetailPage({ params }: { params: Promise<{ id: str
                                 <div className="space-y-4">
                                     {resume.parsedData.education.map((edu, index) => (
                                         <div key={index} className="border-l-2 border-gray-200 pl-4">
-                                            <h3 className="font-medium text-gray-900">{edu.degree}</h3>
+                                            <h3 className="font-medium text-gray-900">
+                                                {edu.degree}
+                                                {renderPlayButton(evidence?.education[index])}
+                                            </h3>
                                             <p className="text-sm text-gray-600">{edu.institution}</p>
-                                            <p className="text-sm text-gray-500">{edu.year}</p>
+                                            <p className="text-sm text-gray-500">
+                                                {edu.year}
+                                                {edu.gpa && ` · GPA ${edu.gpa}`}
+                                            </p>
                                         </div>
                                     ))}
                                 </div>
                             </div>
                         )}
+
+                        {/* Certifications */}
+                        {resume.parsedData.certifications && Array.isArray(resume.parsedData.certifications) && resume.parsedData.certifications.length > 0 && (
+                            <div className="bg-white shadow rounded-lg p-6">
+                                <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+                                    <Award className="h-5 w-5 mr-2" />
+                                    Certifications
+                                </h2>
+                                <ul className="space-y-2">
+                                    {resume.parsedData.certifications.map((cert, index) => (
+                                        <li key={index}>
+                                            <p className="font-medium text-gray-900">
+                                                {cert.name}
+                                                {renderPlayButton(evidence?.certifications[index])}
+                                            </p>
+                                            {(cert.issuer || cert.date) && (
+                                                <p className="text-sm text-gray-500">
+                                                    {[cert.issuer, cert.date].filter(Boolean).join(' · ')}
+                                                </p>
+                                            )}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+
+                        {/* Recording, played from the spans next to each field */}
+                        {audioUrl && (
+                            <div className="bg-white shadow rounded-lg p-6">
+                                <h2 className="text-lg font-semibold text-gray-900 mb-1 flex items-center">
+                                    <Mic className="h-5 w-5 mr-2" />
+                                    Recording
+                                </h2>
+                                <p className="text-sm text-gray-500 mb-4">
+                                    Click a field&apos;s play button to hear where it was said.
+                                </p>
+                                {resume.parsedData?.interview && (
+                                    <div className="flex flex-wrap gap-2 mb-4">
+                                        {resume.parsedData.interview.answers.map((answer, index) => (
+                                            <button
+                                                key={answer.promptId}
+                                                type="button"
+                                                title={answer.prompt}
+                                                onClick={() => playSpan({ segmentId: -1, clip: answer.promptId, start: 0, end: answer.duration || Infinity, text: answer.prompt })}
+                                                className={`px-2 py-1 rounded text-xs ${
+                                                    answer.promptId === audioClip
+                                                        ? 'bg-purple-600 text-white'
+                                                        : 'bg-purple-100 text-purple-700 hover:bg-purple-200'
+                                                }`}
+                                            >
+                                                Answer {index + 1}
+                                            </button>
+                                        ))}
+                                    </div>
+                                )}
+                                <audio
+                                    ref={audioRef}
+                                    src={audioUrl}
+                                    controls
+                                    onTimeUpdate={handleTimeUpdate}
+                                    onLoadedMetadata={handleLoadedMetadata}
+                                    className="w-full"
+                                />
+                            </div>
+                        )}
+
+                        {/* Source text, with the selected field's origin highlighted */}
+                        {resume.extractedText && (
+                            <div className="bg-white shadow rounded-lg p-6">
+                                <h2 className="text-lg font-semibold text-gray-900 mb-1 flex items-center">
+                                    <ScrollText className="h-5 w-5 mr-2" />
+                                    Source Text
+                                </h2>
+                                <p className="text-sm text-gray-500 mb-4">
+                                    Click a field&apos;s source badge to highlight where it was found.
+                                </p>
+                                <pre className="whitespace-pre-wrap font-sans text-sm text-gray-700 max-h-96 overflow-y-auto">
+                                    {renderExtractedText(resume.extractedText)}
+                                </pre>
+                            </div>
+                        )}
                     </div>
                 ) : resume.parsingStatus === 'failed' || resume.parsedData?.error ? (
                     <div className="bg-red-50 border border-red-200 rounded-lg p-6">
@@ -33,8 +33,16 @@ export default function ResumeManagementPage() {
         if (!file) return
 
         // Validate file type
-        if (file.type !== 'application/pdf') {
-            setUploadError('Please upload a PDF file')
+        const allowedTypes = [
+            'application/pdf',
+            'application/msword',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'application/rtf',
+            'text/rtf',
+            'application/vnd.oasis.opendocument.text'
+        ]
+        if (!allowedTypes.includes(file.type)) {
+            setUploadError('Please upload a PDF, Word, RTF or ODT file')
             return
         }
 
@@ -111,14 +119,14 @@ export default function ResumeManagementPage() {
                     <h2 className="text-xl font-semibold mb-4">Upload New Resume</h2>
 
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                        {/* PDF Upload */}
+                        {/* Document Upload */}
                         <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-blue-400 transition-colors">
                             <FileText className="mx-auto h-12 w-12 text-gray-400 mb-3" />
-                            <p className="text-sm text-gray-600 mb-3">Upload PDF Resume</p>
+                            <p className="text-sm text-gray-600 mb-3">Upload Resume Document</p>
                             <input
                                 ref={fileInputRef}
                                 type="file"
-                                accept=".pdf"
+                                accept=".pdf,.doc,.docx,.rtf,.odt"
                                 onChange={handleFileUpload}
                                 className="hidden"
                                 id="file-upload"
@@ -135,7 +143,7 @@ export default function ResumeManagementPage() {
                                 <Upload className="h-4 w-4 mr-2" />
                                 {uploading ? 'Uploading...' : 'Choose File'}
                             </label>
-                            <p className="text-xs text-gray-500 mt-2">PDF format, max 10MB</p>
+                            <p className="text-xs text-gray-500 mt-2">PDF, DOC, DOCX, RTF or ODT, max 10MB</p>
                         </div>
 
                         {/* Voice Recording */}
@@ -3,6 +3,49 @@
 import { useState, useRef, useEffect } from 'react'
 import { useAuth } from '@/app/contexts/AuthContext'
 
+// Formats the browser may record in, with the extension the upload gets
+// Safari can't record WebM; the server converts whichever is used
+const RECORDING_FORMATS = [
+    { mimeType: 'audio/webm', extension: 'webm' },
+    { mimeType: 'audio/ogg', extension: 'ogg' },
+    { mimeType: 'audio/mp4', extension: 'm4a' }
+]
+
+function pickRecordingFormat() {
+    return RECORDING_FORMATS.find(format => MediaRecorder.isTypeSupported(format.mimeType)) || RECORDING_FORMATS[0]
+}
+
+// How often the recorder hands over audio for live transcription
+const LIVE_CHUNK_MS = 3000
+
+// What has been transcribed so far; partial text may still change
+interface LiveTranscript {
+    final: string
+    partial: string
+}
+
+interface InterviewPrompt {
+    id: string
+    section: string
+    required: boolean
+    maxSeconds: number | null
+    text: string
+}
+
+interface InterviewScript {
+    version: number
+    language: string
+    prompts: InterviewPrompt[]
+}
+
+// A recorded answer to one interview prompt
+interface InterviewAnswer {
+    blob: Blob
+    url: string
+    format: typeof RECORDING_FORMATS[number]
+    duration: number
+}
+
 interface VoiceRecorderProps {
     onUploadSuccess?: () => void  // Callback to refresh the resume list
 }
@@ -21,10 +64,29 @@ export default function VoiceRecorder({ onUploadSuccess }: VoiceRecorderProps) {
     const [error, setError] = useState<string | null>(null)
     const [success, setSuccess] = useState<string | null>(null)
 
+    // Guided interview: one clip per prompt of the backend's script
+    const [guided, setGuided] = useState(false)
+    const [script, setScript] = useState<InterviewScript | null>(null)
+    const [promptIndex, setPromptIndex] = useState(0)
+    const [answers, setAnswers] = useState<Record<string, InterviewAnswer>>({})
+
+    // Transcript shown while recording; recording works without it
+    const [liveTranscript, setLiveTranscript] = useState<LiveTranscript | null>(null)
+
     // Refs for managing recording state
     const mediaRecorderRef = useRef<MediaRecorder | null>(null)
     const chunksRef = useRef<Blob[]>([])
     const timerRef = useRef<NodeJS.Timeout | null>(null)
+    const formatRef = useRef(RECORDING_FORMATS[0])
+    const recordingTimeRef = useRef(0)
+    // Live transcription: the session, the next chunk's number, the queue
+    // that sends chunks in order, and the transcript stream
+    const liveSessionRef = useRef<string | null>(null)
+    const liveSequenceRef = useRef(0)
+    const liveQueueRef = useRef<Promise<void>>(Promise.resolve())
+    const liveStreamRef = useRef<AbortController | null>(null)
+
+    const currentPrompt = guided && script ? script.prompts[promptIndex] : null
 
     // Effect to manage recording timer
     useEffect(() => {
@@ -45,6 +107,50 @@ export default function VoiceRecorder({ onUploadSuccess }: VoiceRecorderProps) {
         }
     }, [isRecording, isPaused])
 
+    // The recorder's onstop handler needs the length without re-rendering
+    useEffect(() => {
+        recordingTimeRef.current = recordingTime
+    }, [recordingTime])
+
+    // Interview answers stop at the prompt's time limit
+    useEffect(() => {
+        if (isRecording && currentPrompt?.maxSeconds && recordingTime >= currentPrompt.maxSeconds) {
+            stopRecording()
+        }
+    }, [isRecording, recordingTime, currentPrompt])
+
+    // Stop following the live transcript when the recorder goes away
+    useEffect(() => {
+        return () => liveStreamRef.current?.abort()
+    }, [])
+
+    // Load the interview script the first time guided mode is picked
+    useEffect(() => {
+        if (!guided || script || !token) return
+
+        const loadScript = async () => {
+            try {
+                const language = encodeURIComponent(navigator.language || 'en')
+                const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/voiceresumes/interview/script?language=${language}`, {
+                    headers: {
+                        'Authorization': `Bearer ${token}`
+                    }
+                })
+                const data = await response.json()
+
+                if (!response.ok) {
+                    throw new Error(data.message || 'Failed to load the interview questions')
+                }
+
+                setScript(data.data)
+            } catch (err) {
+                setError(err instanceof Error ? err.message : 'Failed to load the interview questions')
+            }
+        }
+
+        loadScript()
+    }, [guided, script, token])
+
     // Format recording time for display
     const formatTime = (seconds: number): string => {
         const mins = Math.floor(seconds / 60)
@@ -52,6 +158,148 @@ export default function VoiceRecorder({ onUploadSuccess }: VoiceRecorderProps) {
         return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`
     }
 
+    // Follow a live session's transcript (Server-Sent Events, read with
+    // fetch since EventSource can't send the auth header)
+    const followLiveTranscript = async (sessionId: string) => {
+        const controller = new AbortController()
+        liveStreamRef.current = controller
+
+        const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/voiceresumes/live/${sessionId}/events`, {
+            headers: {
+                'Authorization': `Bearer ${token}`
+            },
+            signal: controller.signal
+        })
+        if (!response.ok || !response.body) return
+
+        const reader = response.body.getReader()
+        const decoder = new TextDecoder()
+        let buffer = ''
+
+        for (;;) {
+            const { done, value } = await reader.read()
+            if (done) break
+
+            buffer += decoder.decode(value, { stream: true })
+            const messages = buffer.split('\n\n')
+            buffer = messages.pop() || ''
+
+            for (const message of messages) {
+                const event = message.match(/^event: (.*)$/m)?.[1]
+                const data = message.match(/^data: (.*)$/m)?.[1]
+                if ((event === 'transcript' || event === 'done') && data) {
+                    const transcript = JSON.parse(data)
+                    setLiveTranscript({ final: transcript.final, partial: transcript.partial })
+                }
+            }
+        }
+    }
+
+    // Open a live session for a new recording
+    const startLiveTranscription = (format: typeof RECORDING_FORMATS[number]) => {
+        setLiveTranscript(null)
+        liveSequenceRef.current = 0
+
+        liveQueueRef.current = (async () => {
+            const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/voiceresumes/live`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ fileName: `voice-resume.${format.extension}` })
+            })
+            const data = await response.json()
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to start live transcription')
+            }
+
+            liveSessionRef.current = data.data.sessionId
+            followLiveTranscript(data.data.sessionId).catch(() => {})
+        })().catch(err => {
+            console.warn('Live transcription unavailable:', err)
+            liveSessionRef.current = null
+        })
+    }
+
+    // Stop following a session and close it on the server, where an open
+    // session counts toward the user's limit and keeps its audio
+    const closeLiveSession = async (sessionId: string) => {
+        liveStreamRef.current?.abort()
+
+        await fetch(`${process.env.NEXT_PUBLIC_API_URL}/voiceresumes/live/${sessionId}`, {
+            method: 'DELETE',
+            headers: {
+                'Authorization': `Bearer ${token}`
+            }
+        })
+    }
+
+    // Send a chunk of the recording, after the ones before it
+    const sendLiveChunk = (chunk: Blob) => {
+        liveQueueRef.current = liveQueueRef.current.then(async () => {
+            const sessionId = liveSessionRef.current
+            if (!sessionId) return
+
+            const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/voiceresumes/live/${sessionId}/chunks?sequence=${liveSequenceRef.current}`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/octet-stream'
+                },
+                body: chunk
+            })
+            if (!response.ok) {
+                throw new Error('Failed to send audio for live transcription')
+            }
+            liveSequenceRef.current += 1
+        }).catch(err => {
+            console.warn('Live transcription stopped:', err)
+            const sessionId = liveSessionRef.current
+            liveSessionRef.current = null
+
+            if (sessionId) {
+                closeLiveSession(sessionId).catch(() => {})
+            }
+        })
+    }
+
+    // The recording stopped: get the rest of the transcript
+    const finishLiveTranscription = () => {
+        liveQueueRef.current = liveQueueRef.current.then(async () => {
+            const sessionId = liveSessionRef.current
+            if (!sessionId) return
+            liveSessionRef.current = null
+
+            const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/voiceresumes/live/${sessionId}/finish`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            })
+            const data = await response.json()
+
+            if (response.ok) {
+                setLiveTranscript({ final: data.data.final, partial: '' })
+            }
+        }).catch(err => console.warn('Could not finish live transcription:', err))
+    }
+
+    // The recording was thrown away
+    const discardLiveTranscription = () => {
+        liveStreamRef.current?.abort()
+        setLiveTranscript(null)
+
+        liveQueueRef.current = liveQueueRef.current.then(async () => {
+            const sessionId = liveSessionRef.current
+            if (!sessionId) return
+            liveSessionRef.current = null
+
+            await closeLiveSession(sessionId)
+        }).catch(err => console.warn('Could not discard live transcription:', err))
+    }
+
     // Start recording function
     const startRecording = async () => {
         try {
@@ -62,37 +310,52 @@ export default function VoiceRecorder({ onUploadSuccess }: VoiceRecorderProps) {
             const stream = await navigator.mediaDevices.getUserMedia({ audio: true })
 
             // Create MediaRecorder instance
-            // We'll use webm format as it's widely supported and works well with Whisper
+            // WebM where the browser supports it, as it's widely supported and works well with Whisper
+            const format = pickRecordingFormat()
+            formatRef.current = format
+            // In an interview, the clip answers the prompt shown when recording started
+            const promptId = currentPrompt?.id
             const mediaRecorder = new MediaRecorder(stream, {
-                mimeType: 'audio/webm'
+                mimeType: format.mimeType
             })
 
             mediaRecorderRef.current = mediaRecorder
             chunksRef.current = []
+            startLiveTranscription(format)
 
             // Handle data available event
+            // Chunks come every LIVE_CHUNK_MS, and are transcribed as they come
             mediaRecorder.ondataavailable = (event) => {
                 if (event.data.size > 0) {
                     chunksRef.current.push(event.data)
+                    sendLiveChunk(event.data)
                 }
             }
 
             // Handle recording stop
             mediaRecorder.onstop = () => {
                 // Create blob from chunks
-                const blob = new Blob(chunksRef.current, { type: 'audio/webm' })
-                setAudioBlob(blob)
+                const blob = new Blob(chunksRef.current, { type: format.mimeType })
 
                 // Create URL for audio playback
                 const url = URL.createObjectURL(blob)
-                setAudioUrl(url)
+
+                if (promptId) {
+                    const duration = recordingTimeRef.current
+                    setAnswers(prev => ({ ...prev, [promptId]: { blob, url, format, duration } }))
+                } else {
+                    setAudioBlob(blob)
+                    setAudioUrl(url)
+                }
 
                 // Clean up stream
                 stream.getTracks().forEach(track => track.stop())
+
+                finishLiveTranscription()
             }
 
             // Start recording
-            mediaRecorder.start()
+            mediaRecorder.start(LIVE_CHUNK_MS)
             setIsRecording(true)
             setRecordingTime(0)
 
@@ -126,6 +389,7 @@ export default function VoiceRecorder({ onUploadSuccess }: VoiceRecorderProps) {
 
     // Reset recording
     const resetRecording = () => {
+        discardLiveTranscription()
         setAudioBlob(null)
         setAudioUrl(null)
         setRecordingTime(0)
@@ -134,6 +398,91 @@ export default function VoiceRecorder({ onUploadSuccess }: VoiceRecorderProps) {
         chunksRef.current = []
     }
 
+    // Switch between one free-form recording and the guided interview
+    const toggleGuided = (value: boolean) => {
+        if (isRecording || uploading) return
+
+        resetRecording()
+        setGuided(value)
+        setPromptIndex(0)
+        setAnswers({})
+    }
+
+    // Discard the current prompt's answer, to record it again
+    const discardAnswer = (promptId: string) => {
+        setLiveTranscript(null)
+        setAnswers(prev => {
+            const rest = { ...prev }
+            delete rest[promptId]
+            return rest
+        })
+        setRecordingTime(0)
+    }
+
+    const missingRequired = script
+        ? script.prompts.filter(prompt => prompt.required && !answers[prompt.id])
+        : []
+
+    // Upload the interview's answers, one clip per prompt
+    const uploadInterview = async () => {
+        if (!script || !token) return
+
+        setUploading(true)
+        setError(null)
+        setSuccess(null)
+
+        try {
+            const formData = new FormData()
+            const promptIds: string[] = []
+
+            script.prompts.forEach(prompt => {
+                const answer = answers[prompt.id]
+                if (!answer) return
+
+                formData.append('clips', new File([answer.blob], `interview-${prompt.id}-${Date.now()}.${answer.format.extension}`, {
+                    type: answer.format.mimeType
+                }))
+                promptIds.push(prompt.id)
+            })
+
+            // The backend pairs clips with prompts by position
+            formData.append('promptIds', JSON.stringify(promptIds))
+            formData.append('language', script.language)
+
+            const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/voiceresumes/upload-interview`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                },
+                body: formData
+            })
+
+            const data = await response.json()
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Upload failed')
+            }
+
+            setSuccess('Interview uploaded successfully! Transcription in progress...')
+
+            if (onUploadSuccess) {
+                onUploadSuccess()
+            }
+
+            // Start over after a successful upload
+            setTimeout(() => {
+                setAnswers({})
+                setPromptIndex(0)
+                setSuccess(null)
+            }, 3000)
+
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to upload interview')
+        } finally {
+            setUploading(false)
+        }
+    }
+
     // Upload audio to backend
     const uploadAudio = async () => {
         if (!audioBlob || !token) return
@@ -147,8 +496,8 @@ export default function VoiceRecorder({ onUploadSuccess }: VoiceRecorderProps) {
             const formData = new FormData()
 
             // Convert blob to file with proper extension
-            const audioFile = new File([audioBlob], `voice-resume-${Date.now()}.webm`, {
-                type: 'audio/webm'
+            const audioFile = new File([audioBlob], `voice-resume-${Date.now()}.${formatRef.current.extension}`, {
+                type: formatRef.current.mimeType
             })
 
             formData.append('audio', audioFile)
@@ -187,6 +536,58 @@ export default function VoiceRecorder({ onUploadSuccess }: VoiceRecorderProps) {
         }
     }
 
+    // What has been said so far, with the part that may still change greyed out
+    const renderLiveTranscript = () => {
+        if (!liveTranscript || (!liveTranscript.final && !liveTranscript.partial)) return null
+
+        return (
+            <div className="text-left p-3 bg-gray-50 border border-gray-200 rounded-md max-h-40 overflow-y-auto">
+                <p className="text-xs font-medium text-gray-500 mb-1">Live transcript</p>
+                <p className="text-sm text-gray-900">
+                    {liveTranscript.final}{' '}
+                    <span className="text-gray-400 italic">{liveTranscript.partial}</span>
+                </p>
+            </div>
+        )
+    }
+
+    // Timer, animation and controls while recording
+    const renderRecordingControls = () => (
+        <div className="space-y-3">
+            {/* Recording Timer */}
+            <div className="text-2xl font-mono text-red-600">
+                {formatTime(recordingTime)}
+            </div>
+
+            {/* Recording Animation */}
+            <div className="flex justify-center items-center space-x-1">
+                <div className="w-1 h-4 bg-red-600 animate-pulse"></div>
+                <div className="w-1 h-6 bg-red-600 animate-pulse animation-delay-200"></div>
+                <div className="w-1 h-4 bg-red-600 animate-pulse animation-delay-400"></div>
+                <div className="w-1 h-8 bg-red-600 animate-pulse animation-delay-600"></div>
+                <div className="w-1 h-4 bg-red-600 animate-pulse animation-delay-800"></div>
+            </div>
+
+            {/* Control Buttons */}
+            <div className="flex justify-center space-x-3">
+                <button
+                    onClick={togglePause}
+                    className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                >
+                    {isPaused ? 'Resume' : 'Pause'}
+                </button>
+                <button
+                    onClick={stopRecording}
+                    className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-gray-600 hover:bg-gray-700"
+                >
+                    Stop Recording
+                </button>
+            </div>
+
+            {renderLiveTranscript()}
+        </div>
+    )
+
     return (
         <div className="border-2 border-dashed border-gray-300 rounded-lg p-6">
             <div className="text-center">
@@ -197,7 +598,29 @@ export default function VoiceRecorder({ onUploadSuccess }: VoiceRecorderProps) {
                 </svg>
 
                 <h3 className="mt-2 text-sm font-medium text-gray-900">Voice Resume Recording</h3>
-                <p className="mt-1 text-sm text-gray-500">Record your experience and let AI transcribe it</p>
+                <p className="mt-1 text-sm text-gray-500">
+                    {guided
+                        ? 'Answer a few questions, one recording each'
+                        : 'Record your experience and let AI transcribe it'}
+                </p>
+
+                {/* Mode Toggle */}
+                <div className="mt-4 inline-flex rounded-md border border-gray-300 overflow-hidden">
+                    <button
+                        onClick={() => toggleGuided(false)}
+                        disabled={isRecording || uploading}
+                        className={`px-3 py-1 text-sm font-medium ${!guided ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                    >
+                        Free Recording
+                    </button>
+                    <button
+                        onClick={() => toggleGuided(true)}
+                        disabled={isRecording || uploading}
+                        className={`px-3 py-1 text-sm font-medium ${guided ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                    >
+                        Guided Interview
+                    </button>
+                </div>
 
                 {/* Error Display */}
                 {error && (
@@ -213,10 +636,40 @@ export default function VoiceRecorder({ onUploadSuccess }: VoiceRecorderProps) {
                     </div>
                 )}
 
-                {/* Recording Controls */}
-                {!audioBlob ? (
-                    <div className="mt-4">
-                        {!isRecording ? (
+                {/* Guided Interview */}
+                {guided && !script && !error && (
+                    <p className="mt-4 text-sm text-gray-500">Loading questions...</p>
+                )}
+
+                {currentPrompt && script && (
+                    <div className="mt-4 space-y-3">
+                        {/* Prompt */}
+                        <div className="text-left p-4 bg-gray-50 border border-gray-200 rounded-md">
+                            <p className="text-xs font-medium text-gray-500">
+                                Question {promptIndex + 1} of {script.prompts.length}
+                                {!currentPrompt.required && ' (optional)'}
+                                {currentPrompt.maxSeconds && ` - up to ${formatTime(currentPrompt.maxSeconds)}`}
+                            </p>
+                            <p className="mt-1 text-sm text-gray-900">{currentPrompt.text}</p>
+                        </div>
+
+                        {answers[currentPrompt.id] ? (
+                            <div className="space-y-3">
+                                <audio controls className="mx-auto" src={answers[currentPrompt.id].url}>
+                                    Your browser does not support the audio element.
+                                </audio>
+                                <p className="text-sm text-gray-500">
+                                    Duration: {formatTime(answers[currentPrompt.id].duration)}
+                                </p>
+                                <button
+                                    onClick={() => discardAnswer(currentPrompt.id)}
+                                    disabled={uploading}
+                                    className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                                >
+                                    Record Again
+                                </button>
+                            </div>
+                        ) : !isRecording ? (
                             <button
                                 onClick={startRecording}
                                 className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700"
@@ -224,41 +677,72 @@ export default function VoiceRecorder({ onUploadSuccess }: VoiceRecorderProps) {
                                 <svg className="mr-2 h-4 w-4" fill="currentColor" viewBox="0 0 20 20">
                                     <circle cx="10" cy="10" r="8" />
                                 </svg>
-                                Start Recording
+                                Record Answer
                             </button>
                         ) : (
-                            <div className="space-y-3">
-                                {/* Recording Timer */}
-                                <div className="text-2xl font-mono text-red-600">
-                                    {formatTime(recordingTime)}
-                                </div>
-
-                                {/* Recording Animation */}
-                                <div className="flex justify-center items-center space-x-1">
-                                    <div className="w-1 h-4 bg-red-600 animate-pulse"></div>
-                                    <div className="w-1 h-6 bg-red-600 animate-pulse animation-delay-200"></div>
-                                    <div className="w-1 h-4 bg-red-600 animate-pulse animation-delay-400"></div>
-                                    <div className="w-1 h-8 bg-red-600 animate-pulse animation-delay-600"></div>
-                                    <div className="w-1 h-4 bg-red-600 animate-pulse animation-delay-800"></div>
-                                </div>
-
-                                {/* Control Buttons */}
-                                <div className="flex justify-center space-x-3">
+                            renderRecordingControls()
+                        )}
+
+                        {/* Navigation */}
+                        {!isRecording && (
+                            <div className="flex justify-center space-x-3">
+                                {promptIndex > 0 && (
                                     <button
-                                        onClick={togglePause}
+                                        onClick={() => setPromptIndex(promptIndex - 1)}
+                                        disabled={uploading}
                                         className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
                                     >
-                                        {isPaused ? 'Resume' : 'Pause'}
+                                        Back
                                     </button>
+                                )}
+                                {promptIndex < script.prompts.length - 1 && (answers[currentPrompt.id] || !currentPrompt.required) && (
                                     <button
-                                        onClick={stopRecording}
-                                        className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-gray-600 hover:bg-gray-700"
+                                        onClick={() => setPromptIndex(promptIndex + 1)}
+                                        className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
                                     >
-                                        Stop Recording
+                                        {answers[currentPrompt.id] ? 'Next Question' : 'Skip'}
                                     </button>
-                                </div>
+                                )}
+                                {promptIndex === script.prompts.length - 1 && (
+                                    <button
+                                        onClick={uploadInterview}
+                                        disabled={uploading || missingRequired.length > 0}
+                                        className={`inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white ${
+                                            uploading || missingRequired.length > 0
+                                                ? 'bg-gray-400 cursor-not-allowed'
+                                                : 'bg-blue-600 hover:bg-blue-700'
+                                        }`}
+                                    >
+                                        {uploading ? 'Uploading...' : 'Upload Interview'}
+                                    </button>
+                                )}
                             </div>
                         )}
+
+                        {promptIndex === script.prompts.length - 1 && missingRequired.length > 0 && (
+                            <p className="text-xs text-gray-500">
+                                Still to answer: {missingRequired.map(prompt => `question ${script.prompts.indexOf(prompt) + 1}`).join(', ')}
+                            </p>
+                        )}
+                    </div>
+                )}
+
+                {/* Recording Controls */}
+                {guided ? null : !audioBlob ? (
+                    <div className="mt-4">
+                        {!isRecording ? (
+                            <button
+                                onClick={startRecording}
+                                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700"
+                            >
+                                <svg className="mr-2 h-4 w-4" fill="currentColor" viewBox="0 0 20 20">
+                                    <circle cx="10" cy="10" r="8" />
+                                </svg>
+                                Start Recording
+                            </button>
+                        ) : (
+                            renderRecordingControls()
+                        )}
                     </div>
                 ) : (
                     /* Audio Preview and Upload */
@@ -273,6 +757,8 @@ export default function VoiceRecorder({ onUploadSuccess }: VoiceRecorderProps) {
                             Duration: {formatTime(recordingTime)}
                         </p>
 
+                        {renderLiveTranscript()}
+
                         {/* Action Buttons */}
                         <div className="flex justify-center space-x-3">
                             <button